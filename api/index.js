@@ -24,6 +24,19 @@ import fixedExpenseRoutes from "../routes/fixedExpenses.js";
 import possibleExpenseRoutes from "../routes/possibleExpenses.js";
 import targetSavingsRoutes from "../routes/targetSavings.js";
 import borrowingRoutes from "../routes/borrowings.js";
+import importRoutes from "../routes/imports.js";
+import exportRoutes from "../routes/exports.js";
+import exchangeRateRoutes from "../routes/exchangeRates.js";
+import householdRoutes from "../routes/households.js";
+import auditRoutes from "../routes/audit.js";
+import trashRoutes from "../routes/trash.js";
+import tagRoutes from "../routes/tags.js";
+import categoryRoutes from "../routes/categories.js";
+import attachmentRoutes from "../routes/attachments.js";
+import adminRoutes from "../routes/admin.js";
+
+// Import background jobs
+import { startScheduler } from "../jobs/scheduler.js";
 
 // Load environment variables
 dotenv.config();
@@ -31,6 +44,19 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Proxies in front of the app (TRUST_PROXY: a number of hops, true/false or
+// a list of addresses), so that req.ip is the client's address rather than
+// the proxy's. Vercel puts one proxy in front.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === "") {
+    return process.env.VERCEL ? 1 : false;
+  }
+  if (value === "true" || value === "false") return value === "true";
+  const hops = Number(value);
+  return Number.isInteger(hops) ? hops : value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(
   helmet({
@@ -51,7 +77,7 @@ app.use(
     origin: "*",
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Household-Id"],
   })
 );
 
@@ -67,14 +93,28 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
-// app.use("/api/", limiter);
+// Per-IP cap on the endpoints that take credentials, on top of the
+// failed-login protection of the login route (see
+// middleware/loginProtection.js). Signed-in requests are left alone.
+app.post(
+  [
+    "/api/auth/register",
+    "/api/auth/login",
+    "/api/auth/2fa/verify",
+    "/api/auth/forgot-password",
+    "/api/auth/reset-password",
+    "/api/auth/verify-email",
+  ],
+  limiter
+);
 
 // Additional security middleware
 app.use(hpp()); // Protect against HTTP Parameter Pollution attacks
 app.use(mongoSanitize()); // Prevent NoSQL injection attacks
 app.use(xss()); // Prevent XSS attacks
 
-// Body parsing middleware
+// Body parsing middleware (file uploads are multipart, see
+// middleware/upload.js)
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
@@ -125,6 +165,16 @@ app.use("/api/fixed-expenses", fixedExpenseRoutes);
 app.use("/api/possible-expenses", possibleExpenseRoutes);
 app.use("/api/target-savings", targetSavingsRoutes);
 app.use("/api/borrowings", borrowingRoutes);
+app.use("/api/imports", importRoutes);
+app.use("/api/exports", exportRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/households", householdRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/attachments", attachmentRoutes);
+app.use("/api/admin", adminRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -161,6 +211,14 @@ app.use((error, req, res, next) => {
     });
   }
 
+  // Multipart upload errors (see middleware/upload.js)
+  if (error.name === "MulterError") {
+    return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
   // JWT errors
   if (error.name === "JsonWebTokenError") {
     return res.status(401).json({
@@ -192,6 +250,9 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Start background jobs (skipped on Vercel serverless)
+    startScheduler();
+
     // Start the server
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -53,8 +53,14 @@ const options = {
             description: { type: "string", example: "Short-term loan" },
             dueDate: { type: "string", format: "date", example: "2025-01-31" },
             isPaid: { type: "boolean", example: false },
+            isOverdue: { type: "boolean", example: false },
             paidDate: { type: "string", format: "date-time", nullable: true },
             isActive: { type: "boolean", example: true },
+            tags: {
+              type: "array",
+              items: { type: "string" },
+              example: ["vacation-2026"],
+            },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
@@ -95,6 +101,21 @@ const options = {
               example: "user@example.com",
             },
             name: { type: "string", example: "John Doe" },
+            role: { type: "string", enum: ["user", "admin"], example: "user" },
+            emailVerified: { type: "boolean", example: true },
+            pendingEmail: {
+              type: "string",
+              format: "email",
+              description: "New address waiting to be confirmed",
+            },
+            emailVerifiedAt: { type: "string", format: "date-time" },
+            twoFactor: {
+              type: "object",
+              properties: {
+                enabled: { type: "boolean", example: false },
+                enabledAt: { type: "string", format: "date-time" },
+              },
+            },
             settings: {
               type: "object",
               properties: {
@@ -123,32 +144,131 @@ const options = {
               example: "bank",
             },
             balance: { type: "number", example: 5000.0 },
+            openingBalance: { type: "number", example: 1000.0 },
             currency: { type: "string", example: "USD" },
             isActive: { type: "boolean", example: true },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
         },
+        AccountShare: {
+          type: "object",
+          properties: {
+            userId: { type: "string", example: "507f1f77bcf86cd799439012" },
+            name: { type: "string", example: "Jane Doe" },
+            email: { type: "string", example: "jane@example.com" },
+            access: { type: "string", enum: ["read", "contribute"] },
+            grantedAt: { type: "string", format: "date-time" },
+          },
+        },
+        Reconciliation: {
+          type: "object",
+          properties: {
+            accountId: { type: "string", example: "507f1f77bcf86cd799439011" },
+            accountName: { type: "string", example: "Main Bank Account" },
+            currency: { type: "string", example: "USD" },
+            openingBalance: { type: "number", example: 1000.0 },
+            openingBalanceInferred: { type: "boolean", example: false },
+            transactionTotal: { type: "number", example: 520.75 },
+            transactionCount: { type: "integer", example: 42 },
+            borrowingAdjustment: { type: "number", example: 0 },
+            recordedBalance: { type: "number", example: 1540.75 },
+            expectedBalance: { type: "number", example: 1520.75 },
+            discrepancy: { type: "number", example: 20.0 },
+            isBalanced: { type: "boolean", example: false },
+            corrected: { type: "boolean", example: false },
+            statement: {
+              type: "object",
+              properties: {
+                date: { type: "string", format: "date" },
+                statementBalance: { type: "number", example: 1520.75 },
+                ledgerBalance: { type: "number", example: 1520.75 },
+                difference: { type: "number", example: 0 },
+              },
+            },
+          },
+        },
         Transaction: {
           type: "object",
           properties: {
             _id: { type: "string", example: "507f1f77bcf86cd799439011" },
             userId: { type: "string", example: "507f1f77bcf86cd799439011" },
             accountId: { type: "string", example: "507f1f77bcf86cd799439011" },
+            toAccountId: {
+              type: "string",
+              nullable: true,
+              description: "Destination account (transfers only)",
+              example: "507f1f77bcf86cd799439012",
+            },
             type: {
               type: "string",
-              enum: ["income", "expense"],
+              enum: ["income", "expense", "transfer"],
               example: "expense",
             },
             amount: { type: "number", example: 150.0 },
             description: { type: "string", example: "Grocery shopping" },
             category: { type: "string", example: "Food & Dining" },
+            splits: {
+              type: "array",
+              nullable: true,
+              description:
+                "Lines splitting the transaction across categories, adding up to its total",
+              items: { $ref: "#/components/schemas/SplitLine" },
+            },
+            tags: {
+              type: "array",
+              items: { type: "string" },
+              example: ["vacation-2026"],
+            },
             date: { type: "string", format: "date", example: "2024-01-15" },
             time: { type: "string", example: "14:30" },
+            toAmount: {
+              type: "number",
+              nullable: true,
+              description:
+                "Amount credited to the destination account when its currency differs",
+            },
+            originalAmount: {
+              type: "number",
+              nullable: true,
+              description: "Amount paid in another currency",
+              example: 50.0,
+            },
+            originalCurrency: { type: "string", nullable: true, example: "EUR" },
+            exchangeRate: {
+              type: "number",
+              nullable: true,
+              description:
+                "Rate from originalCurrency (or, for transfers, the source account currency) to the account (destination) currency",
+              example: 1.08,
+            },
+            importBatchId: {
+              type: "string",
+              nullable: true,
+              description: "Statement import that created the transaction",
+            },
+            externalId: {
+              type: "string",
+              nullable: true,
+              description: "Bank identifier from the imported statement",
+            },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
         },
+        SplitLine: {
+          type: "object",
+          required: ["category", "amount"],
+          properties: {
+            category: { type: "string", maxLength: 50, example: "Groceries" },
+            amount: { type: "number", minimum: 0.01, example: 42.3 },
+            note: {
+              type: "string",
+              maxLength: 200,
+              example: "Cleaning supplies",
+            },
+          },
+        },
         Budget: {
           type: "object",
           properties: {
@@ -157,6 +277,8 @@ const options = {
             category: { type: "string", example: "Food & Dining" },
             amount: { type: "number", example: 500.0 },
             month: { type: "string", example: "2024-01" },
+            currency: { type: "string", example: "USD" },
+            carryForward: { type: "boolean", example: false },
             spent: { type: "number", example: 350.0 },
             remaining: { type: "number", example: 150.0 },
             percentage: { type: "number", example: 70 },
@@ -172,10 +294,30 @@ const options = {
             title: { type: "string", example: "Rent Payment" },
             amount: { type: "number", example: 1200.0 },
             category: { type: "string", example: "Housing" },
-            dueDate: { type: "number", example: 1 },
+            dueDate: {
+              type: "number",
+              example: 1,
+              description: "Day of the month the expense falls due",
+            },
+            frequency: {
+              type: "string",
+              enum: ["weekly", "biweekly", "monthly", "quarterly", "yearly"],
+              example: "monthly",
+            },
+            startDate: {
+              type: "string",
+              format: "date-time",
+              description: "First occurrence of the schedule",
+            },
+            nextDueDate: { type: "string", format: "date-time" },
             accountId: { type: "string", example: "507f1f77bcf86cd799439011" },
             isPaid: { type: "boolean", example: false },
             isActive: { type: "boolean", example: true },
+            tags: {
+              type: "array",
+              items: { type: "string" },
+              example: ["vacation-2026"],
+            },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
@@ -202,6 +344,8 @@ const options = {
             category: { type: "string", example: "Food & Dining" },
             amount: { type: "number", example: 500.0 },
             month: { type: "string", example: "2024-01" },
+            currency: { type: "string", example: "USD" },
+            carryForward: { type: "boolean", example: false },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
@@ -214,14 +358,452 @@ const options = {
             title: { type: "string", example: "Rent Payment" },
             amount: { type: "number", example: 1200.0 },
             category: { type: "string", example: "Housing" },
-            dueDate: { type: "string", format: "date", example: "2024-01-15" },
+            dueDate: {
+              type: "number",
+              example: 1,
+              description: "Day of the month the expense falls due",
+            },
+            frequency: {
+              type: "string",
+              enum: ["weekly", "biweekly", "monthly", "quarterly", "yearly"],
+              example: "monthly",
+            },
+            startDate: {
+              type: "string",
+              format: "date-time",
+              description: "First occurrence of the schedule",
+            },
+            nextDueDate: { type: "string", format: "date-time" },
             accountId: { type: "string", example: "507f1f77bcf86cd799439011" },
             isPaid: { type: "boolean", example: false },
             isActive: { type: "boolean", example: true },
+            tags: {
+              type: "array",
+              items: { type: "string" },
+              example: ["vacation-2026"],
+            },
             createdAt: { type: "string", format: "date-time" },
             updatedAt: { type: "string", format: "date-time" },
           },
         },
+        FixedExpenseOccurrence: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390789" },
+            fixedExpenseId: {
+              type: "string",
+              example: "507f1f77bcf86cd799439011",
+            },
+            dueDate: { type: "string", format: "date-time" },
+            amount: { type: "number", example: 1200.0 },
+            isPaid: { type: "boolean", example: false },
+            paidDate: { type: "string", format: "date-time", nullable: true },
+            isOverdue: { type: "boolean", example: false },
+            transactionId: { type: "string", nullable: true },
+          },
+        },
+        JobRun: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390999" },
+            job: { type: "string", example: "borrowing-overdue" },
+            trigger: {
+              type: "string",
+              enum: ["schedule", "manual"],
+              example: "schedule",
+            },
+            status: {
+              type: "string",
+              enum: ["running", "success", "failed"],
+              example: "success",
+            },
+            startedAt: { type: "string", format: "date-time" },
+            finishedAt: { type: "string", format: "date-time" },
+            durationMs: { type: "number", example: 42 },
+            processed: { type: "number", example: 3 },
+            details: { type: "object" },
+            error: { type: "string", nullable: true },
+          },
+        },
+        ImportRequest: {
+          type: "object",
+          required: ["accountId", "format", "content"],
+          properties: {
+            accountId: { type: "string", example: "507f1f77bcf86cd799439011" },
+            format: { type: "string", enum: ["csv", "ofx", "qif"] },
+            content: {
+              type: "string",
+              description: "Raw text of the exported statement file",
+              example: "Date,Description,Amount\n2024-01-15,Grocery store,-45.20",
+            },
+            fileName: { type: "string", example: "january.csv" },
+            mapping: {
+              type: "object",
+              description:
+                "CSV only (required). Header names or zero-based column indexes; map either a signed amount column or debit/credit columns",
+              properties: {
+                date: { type: "string", example: "Date" },
+                description: { type: "string", example: "Description" },
+                amount: { type: "string", example: "Amount" },
+                debit: { type: "string" },
+                credit: { type: "string" },
+                type: {
+                  type: "string",
+                  description: "Column holding income/expense or credit/debit",
+                },
+                category: { type: "string" },
+                externalId: { type: "string" },
+              },
+            },
+            delimiter: { type: "string", example: "," },
+            hasHeader: { type: "boolean", default: true },
+            dateFormat: {
+              type: "string",
+              enum: ["auto", "YYYY-MM-DD", "MM/DD/YYYY", "DD/MM/YYYY"],
+              default: "auto",
+            },
+            invertAmounts: {
+              type: "boolean",
+              default: false,
+              description:
+                "Flip signs, e.g. for card exports listing charges as positive",
+            },
+            defaultCategory: { type: "string", default: "Uncategorized" },
+          },
+        },
+        ImportRow: {
+          type: "object",
+          properties: {
+            row: { type: "number", example: 0 },
+            date: { type: "string", format: "date", example: "2024-01-15" },
+            type: { type: "string", enum: ["income", "expense"] },
+            amount: { type: "number", example: 45.2 },
+            description: { type: "string", example: "Grocery store" },
+            category: { type: "string", example: "Uncategorized" },
+            externalId: { type: "string", nullable: true },
+            isValid: { type: "boolean", example: true },
+            errors: { type: "array", items: { type: "string" } },
+            isDuplicate: { type: "boolean", example: false },
+            duplicateOf: {
+              type: "object",
+              nullable: true,
+              properties: {
+                id: { type: "string" },
+                date: { type: "string", format: "date" },
+                amount: { type: "number" },
+                description: { type: "string" },
+              },
+            },
+          },
+        },
+        ImportBatch: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390aaa" },
+            accountId: { type: "string", example: "507f1f77bcf86cd799439011" },
+            accountName: { type: "string", example: "Main Checking" },
+            format: { type: "string", enum: ["csv", "ofx", "qif"] },
+            fileName: { type: "string", example: "january.csv" },
+            status: { type: "string", enum: ["committed", "undone"] },
+            rowCount: { type: "number", example: 42 },
+            importedCount: { type: "number", example: 40 },
+            skippedCount: { type: "number", example: 2 },
+            duplicateCount: { type: "number", example: 2 },
+            netAmount: { type: "number", example: -812.4 },
+            createdAt: { type: "string", format: "date-time" },
+            undoneAt: { type: "string", format: "date-time", nullable: true },
+          },
+        },
+        ExchangeRate: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390bbb" },
+            base: { type: "string", example: "USD" },
+            currency: { type: "string", example: "EUR" },
+            rate: {
+              type: "number",
+              description: "Units of currency per 1 unit of base",
+              example: 0.92,
+            },
+            date: { type: "string", format: "date", example: "2024-01-15" },
+            source: { type: "string", enum: ["manual", "file"] },
+            isShared: {
+              type: "boolean",
+              description: "Loaded from the rates file for all users",
+            },
+          },
+        },
+        Session: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390ccc" },
+            deviceName: { type: "string", example: "Chrome on macOS" },
+            userAgent: { type: "string" },
+            ipAddress: { type: "string", example: "203.0.113.7" },
+            lastSeenAt: { type: "string", format: "date-time" },
+            createdAt: { type: "string", format: "date-time" },
+            expiresAt: { type: "string", format: "date-time" },
+            isCurrent: {
+              type: "boolean",
+              description: "Whether this is the session making the request",
+            },
+          },
+        },
+        LoginAttempt: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390eee" },
+            ipAddress: { type: "string", example: "203.0.113.7" },
+            userAgent: { type: "string" },
+            outcome: { type: "string", enum: ["success", "failed", "blocked"] },
+            reason: {
+              type: "string",
+              example: "invalid-password",
+              description:
+                "invalid-password, invalid-two-factor-code, account-locked or ip-blocked",
+            },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        AccountDeletion: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390ddd" },
+            status: {
+              type: "string",
+              enum: ["scheduled", "in-progress", "completed", "cancelled"],
+            },
+            requestedAt: { type: "string", format: "date-time" },
+            scheduledFor: {
+              type: "string",
+              format: "date-time",
+              description: "End of the grace period",
+            },
+            startedAt: { type: "string", format: "date-time" },
+            completedAt: { type: "string", format: "date-time" },
+            cancelledAt: { type: "string", format: "date-time" },
+            steps: {
+              type: "array",
+              description: "Erasure steps completed so far",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", example: "transactions" },
+                  action: { type: "string", enum: ["deleted", "anonymised"] },
+                  count: { type: "number", example: 312 },
+                  completedAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+            error: { type: "string" },
+          },
+        },
+        Household: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994390fff" },
+            name: { type: "string", example: "Home" },
+            currency: { type: "string", example: "EUR" },
+            role: {
+              type: "string",
+              enum: ["owner", "editor", "viewer"],
+              description: "The requesting user's role",
+            },
+            memberCount: { type: "number", example: 2 },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        HouseholdInvitation: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994391000" },
+            email: { type: "string", example: "partner@example.com" },
+            role: { type: "string", enum: ["editor", "viewer"] },
+            expiresAt: { type: "string", format: "date-time" },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        HouseholdDetails: {
+          allOf: [
+            { $ref: "#/components/schemas/Household" },
+            {
+              type: "object",
+              properties: {
+                members: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      userId: { type: "string" },
+                      name: { type: "string", example: "Jane Doe" },
+                      email: { type: "string", example: "jane@example.com" },
+                      role: {
+                        type: "string",
+                        enum: ["owner", "editor", "viewer"],
+                      },
+                      joinedAt: { type: "string", format: "date-time" },
+                    },
+                  },
+                },
+                invitations: {
+                  type: "array",
+                  description: "Pending invitations (owner only)",
+                  items: { $ref: "#/components/schemas/HouseholdInvitation" },
+                },
+              },
+            },
+          ],
+        },
+        TrashItem: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "507f1f77bcf86cd799439011" },
+            type: {
+              type: "string",
+              enum: [
+                "transactions",
+                "accounts",
+                "budgets",
+                "fixed-expenses",
+                "possible-expenses",
+                "target-savings",
+                "borrowings",
+              ],
+            },
+            name: { type: "string", example: "Grocery shopping" },
+            amount: { type: "number", example: 45.5 },
+            deletedAt: { type: "string", format: "date-time" },
+            purgeAt: {
+              type: "string",
+              format: "date-time",
+              description: "When the record will be deleted permanently",
+            },
+          },
+        },
+        Tag: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994392222" },
+            name: { type: "string", example: "vacation-2026" },
+            color: { type: "string", example: "#6B7280" },
+            createdAt: { type: "string", format: "date-time" },
+            usage: {
+              type: "object",
+              description: "Number of records carrying the tag",
+              properties: {
+                transactions: { type: "integer", example: 12 },
+                borrowings: { type: "integer", example: 0 },
+                fixedExpenses: { type: "integer", example: 1 },
+              },
+            },
+          },
+        },
+        Category: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994394444" },
+            name: { type: "string", example: "Groceries" },
+            type: { type: "string", enum: ["income", "expense"] },
+            parentId: {
+              type: "string",
+              nullable: true,
+              description: "Parent category of a subcategory",
+              example: "65f1f77bcf86cd7994395555",
+            },
+            icon: { type: "string", example: "🛒" },
+            color: { type: "string", example: "#F97316" },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        Attachment: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994393333" },
+            parentType: {
+              type: "string",
+              enum: ["Transaction", "FixedExpense", "Borrowing"],
+            },
+            parentId: { type: "string", example: "507f1f77bcf86cd799439011" },
+            fileName: { type: "string", example: "receipt.jpg" },
+            contentType: {
+              type: "string",
+              enum: [
+                "image/jpeg",
+                "image/png",
+                "image/webp",
+                "application/pdf",
+              ],
+            },
+            size: { type: "integer", description: "Bytes", example: 182044 },
+            image: {
+              type: "object",
+              description: "Pixel size (images only)",
+              properties: {
+                width: { type: "integer", example: 1200 },
+                height: { type: "integer", example: 1600 },
+              },
+            },
+            thumbnail: {
+              type: "object",
+              description:
+                "Size to show the image at as a thumbnail, fitting 256x256 (images only)",
+              properties: {
+                width: { type: "integer", example: 192 },
+                height: { type: "integer", example: 256 },
+              },
+            },
+            uploadedBy: { type: "string", example: "507f1f77bcf86cd799439011" },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        AuditEntry: {
+          type: "object",
+          properties: {
+            id: { type: "string", example: "65f1f77bcf86cd7994391111" },
+            entity: {
+              type: "string",
+              enum: [
+                "Transaction",
+                "Account",
+                "Budget",
+                "FixedExpense",
+                "PossibleExpense",
+                "TargetSavings",
+                "Borrowing",
+              ],
+            },
+            entityId: { type: "string", example: "507f1f77bcf86cd799439011" },
+            action: { type: "string", enum: ["create", "update", "delete"] },
+            actorId: {
+              type: "string",
+              description: "User who made the change; missing for jobs",
+            },
+            actorName: { type: "string", example: "John Doe" },
+            source: {
+              type: "string",
+              example: "api",
+              description: "api, or job:<name> for background jobs",
+            },
+            ipAddress: { type: "string", example: "203.0.113.7" },
+            changes: {
+              type: "array",
+              items: { type: "string" },
+              description: "Fields changed by an update",
+              example: ["balance"],
+            },
+            before: {
+              type: "object",
+              nullable: true,
+              description: "The record before the change (null for creates)",
+            },
+            after: {
+              type: "object",
+              nullable: true,
+              description: "The record after the change (null for deletes)",
+            },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
         DashboardData: {
           type: "object",
           properties: {
@@ -338,6 +920,47 @@ const options = {
         name: "Target Savings",
         description: "Savings goals and analysis",
       },
+      {
+        name: "Imports",
+        description: "Bank statement import (CSV, OFX, QIF)",
+      },
+      {
+        name: "Exports",
+        description: "Data export (CSV, JSON archive, OFX)",
+      },
+      {
+        name: "Exchange Rates",
+        description: "Currency exchange rates and conversion",
+      },
+      {
+        name: "Households",
+        description:
+          "Shared workspaces. Send a household's id in the X-Household-Id header to work with its records instead of your own.",
+      },
+      {
+        name: "Tags",
+        description: "Labels for transactions, borrowings and fixed expenses",
+      },
+      {
+        name: "Categories",
+        description: "Income and expense categories and subcategories",
+      },
+      {
+        name: "Attachments",
+        description: "Receipts and documents attached to records",
+      },
+      {
+        name: "Trash",
+        description: "Deleted records and restoring them",
+      },
+      {
+        name: "Audit",
+        description: "History of changes to financial records",
+      },
+      {
+        name: "Admin",
+        description: "Background jobs and maintenance (admin only)",
+      },
     ],
   },
   apis: ["./routes/*.js", "./controllers/*.js"],
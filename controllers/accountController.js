@@ -1,8 +1,13 @@
 import Account from "../models/Account.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import { withTransaction } from "../utils/db.js";
+import { resolveTransferAmounts } from "../utils/currency.js";
+import { sendMail } from "../utils/mailer.js";
 
 export const createAccount = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { name, type, balance, currency = "USD" } = req.body;
 
     const account = new Account({
@@ -10,6 +15,7 @@ export const createAccount = async (req, res) => {
       name,
       type,
       balance: parseFloat(balance) || 0,
+      openingBalance: parseFloat(balance) || 0,
       currency,
     });
 
@@ -31,7 +37,7 @@ export const createAccount = async (req, res) => {
 
 export const getAccounts = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { isActive } = req.query;
 
     const filters = { userId };
@@ -56,7 +62,7 @@ export const getAccounts = async (req, res) => {
 
 export const updateAccount = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
     const updateData = req.body;
 
@@ -69,6 +75,17 @@ export const updateAccount = async (req, res) => {
       });
     }
 
+    // A hand-edited balance is a manual adjustment outside the ledger, so
+    // shift the opening balance with it to keep reconciliation consistent
+    if (
+      updateData.balance !== undefined &&
+      account.openingBalance !== null &&
+      account.openingBalance !== undefined
+    ) {
+      updateData.openingBalance =
+        account.openingBalance + (updateData.balance - account.balance);
+    }
+
     // Update account
     const updatedAccount = await Account.findByIdAndUpdate(id, updateData, {
       new: true,
@@ -91,7 +108,7 @@ export const updateAccount = async (req, res) => {
 
 export const deleteAccount = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
 
     // Find account and verify ownership
@@ -106,8 +123,8 @@ export const deleteAccount = async (req, res) => {
     // Note: Removed validation to allow deleting accounts with transactions
     // This allows users to delete accounts even if they have transactions
 
-    // Delete account
-    await Account.findByIdAndDelete(id);
+    // Move account to the trash
+    await account.softDelete();
 
     res.json({
       success: true,
@@ -124,8 +141,15 @@ export const deleteAccount = async (req, res) => {
 
 export const transferFunds = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { fromAccountId, toAccountId, amount, description } = req.body;
+    const userId = req.workspace.userId;
+    const {
+      fromAccountId,
+      toAccountId,
+      amount,
+      toAmount,
+      exchangeRate,
+      description,
+    } = req.body;
 
     // Validate accounts
     const [fromAccount, toAccount] = await Promise.all([
@@ -154,35 +178,74 @@ export const transferFunds = async (req, res) => {
       });
     }
 
-    // Update account balances
-    fromAccount.balance -= amount;
-    toAccount.balance += amount;
-
-    await Promise.all([fromAccount.save(), toAccount.save()]);
-
-    // Create single transfer transaction
-    const Transaction = (await import("../models/Transaction.js")).default;
+    // Between currencies the destination is credited the converted amount
     const currentDate = new Date();
-
-    const transferTransaction = await new Transaction({
+    const conversion = await resolveTransferAmounts(
       userId,
-      accountId: fromAccountId, // Use from account as primary
-      type: "transfer",
+      fromAccount,
+      toAccount,
       amount,
-      description: `Transfer from ${fromAccount.name} to ${toAccount.name}: ${
-        description || "Fund transfer"
-      }`,
-      category: "Account Transfer",
-      date: currentDate,
-    }).save();
+      { toAmount, exchangeRate, date: currentDate }
+    );
+    if (conversion.error) {
+      return res.status(400).json({
+        success: false,
+        message: conversion.error,
+      });
+    }
+    const creditAmount = conversion.toAmount || amount;
+
+    // Move the funds and record the transfer atomically. The balance is
+    // checked again by the debit itself, as it may have changed since.
+    const updated = await withTransaction(async (session) => {
+      const from = await Account.adjustBalance(
+        fromAccountId,
+        -amount,
+        session,
+        { requireFunds: true }
+      );
+      if (!from) return null;
+      const to = await Account.adjustBalance(
+        toAccountId,
+        creditAmount,
+        session
+      );
+
+      // Create single transfer transaction
+      await new Transaction({
+        userId,
+        accountId: fromAccountId,
+        toAccountId,
+        type: "transfer",
+        amount,
+        toAmount: conversion.toAmount,
+        exchangeRate: conversion.exchangeRate,
+        description: `Transfer from ${fromAccount.name} to ${toAccount.name}: ${
+          description || "Fund transfer"
+        }`,
+        category: "Account Transfer",
+        date: currentDate,
+      }).save({ session });
+
+      return [from, to];
+    });
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: "Insufficient funds",
+      });
+    }
+    const [updatedFrom, updatedTo] = updated;
 
     res.json({
       success: true,
       message: "Funds transferred successfully",
       data: {
-        fromAccount: fromAccount.getSummary(),
-        toAccount: toAccount.getSummary(),
+        fromAccount: updatedFrom.getSummary(),
+        toAccount: updatedTo.getSummary(),
         amount,
+        toAmount: creditAmount,
+        exchangeRate: conversion.exchangeRate,
         transferDate: currentDate,
       },
     });
@@ -194,3 +257,330 @@ export const transferFunds = async (req, res) => {
     });
   }
 };
+
+// Round to cents so floating point noise is not reported as a discrepancy
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Compare an account's stored balance with its ledger, optionally fixing it
+// and/or checking it against a bank statement balance for a given date
+const reconcile = async (account, options = {}) => {
+  const { correct = false, statementBalance, statementDate } = options;
+
+  const ledger = await Account.getLedgerBalance(account);
+
+  // Accounts created before opening balances were recorded have no fixed
+  // starting point: infer one from the current balance instead
+  const openingBalanceInferred = ledger.balance === null;
+  if (openingBalanceInferred) {
+    ledger.openingBalance = roundAmount(
+      account.balance - ledger.transactionTotal - ledger.borrowingAdjustment
+    );
+    ledger.balance = account.balance;
+  }
+
+  const expectedBalance = roundAmount(ledger.balance);
+  const discrepancy = roundAmount(account.balance - expectedBalance);
+
+  const result = {
+    accountId: account._id,
+    accountName: account.name,
+    currency: account.currency,
+    openingBalance: ledger.openingBalance,
+    openingBalanceInferred,
+    transactionTotal: roundAmount(ledger.transactionTotal),
+    transactionCount: ledger.transactionCount,
+    borrowingAdjustment: roundAmount(ledger.borrowingAdjustment),
+    recordedBalance: account.balance,
+    expectedBalance,
+    discrepancy,
+    isBalanced: discrepancy === 0,
+    corrected: false,
+  };
+
+  if (correct && (discrepancy !== 0 || openingBalanceInferred)) {
+    await Account.findByIdAndUpdate(account._id, {
+      balance: expectedBalance,
+      openingBalance: ledger.openingBalance,
+    });
+    result.corrected = true;
+  }
+
+  if (statementBalance !== undefined) {
+    // Count everything up to the end of the statement day
+    const asOf = statementDate ? new Date(statementDate) : new Date();
+    asOf.setUTCHours(23, 59, 59, 999);
+
+    const ledgerAtDate = await Account.getLedgerBalance(
+      { _id: account._id, openingBalance: ledger.openingBalance },
+      asOf
+    );
+    const balanceAtDate = roundAmount(ledgerAtDate.balance);
+
+    result.statement = {
+      date: asOf.toISOString().split("T")[0],
+      statementBalance,
+      ledgerBalance: balanceAtDate,
+      difference: roundAmount(statementBalance - balanceAtDate),
+    };
+  }
+
+  return result;
+};
+
+export const reconcileAccount = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+
+    // Find account and verify ownership
+    const account = await Account.findOne({ _id: id, userId });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found",
+      });
+    }
+
+    const result = await reconcile(account, req.body);
+
+    res.json({
+      success: true,
+      message: result.corrected
+        ? "Account balance corrected"
+        : "Account reconciled successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Reconcile account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const reconcileAccounts = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { correct = false } = req.body;
+
+    const accounts = await Account.find({ userId }).sort({ name: 1 });
+
+    const results = [];
+    for (const account of accounts) {
+      results.push(await reconcile(account, { correct }));
+    }
+
+    res.json({
+      success: true,
+      message: "Accounts reconciled successfully",
+      data: {
+        accounts: results,
+        discrepancies: results.filter((result) => !result.isBalanced).length,
+        corrected: results.filter((result) => result.corrected).length,
+      },
+    });
+  } catch (error) {
+    console.error("Reconcile accounts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Shares of an account with the names and emails of the users
+const getShares = async (account) => {
+  const users = await User.find({
+    _id: { $in: account.shares.map((share) => share.userId) },
+  }).select("name email");
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  return account.shares.map((share) => ({
+    userId: share.userId,
+    name: usersById.get(String(share.userId))?.name,
+    email: usersById.get(String(share.userId))?.email,
+    access: share.access,
+    grantedAt: share.grantedAt,
+  }));
+};
+
+// Accounts other users have shared with the current user
+export const getSharedAccounts = async (req, res) => {
+  try {
+    const accounts = await Account.find({
+      "shares.userId": req.user._id,
+      isActive: true,
+    }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: accounts.map((account) => ({
+        ...account.getSummary(),
+        access: account.getShare(req.user._id).access,
+      })),
+    });
+  } catch (error) {
+    console.error("Get shared accounts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getAccountShares = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+
+    // Find account and verify ownership
+    const account = await Account.findOne({ _id: id, userId });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getShares(account),
+    });
+  } catch (error) {
+    console.error("Get account shares error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Sharing with someone who already has access changes their access. In a
+// household only its owner may share its accounts.
+export const shareAccount = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+    const { email, access } = req.body;
+
+    if (req.workspace.role !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the household owner can do this",
+      });
+    }
+
+    // Find account and verify ownership
+    const account = await Account.findOne({ _id: id, userId });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found",
+      });
+    }
+
+    const grantee = await User.findOne({ email: email.toLowerCase() });
+    if (!grantee) {
+      return res.status(404).json({
+        success: false,
+        message: "No user is registered with this email",
+      });
+    }
+    if (grantee._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot share an account with yourself",
+      });
+    }
+
+    const existing = account.getShare(grantee._id);
+    if (existing) {
+      existing.access = access;
+    } else {
+      account.shares.push({ userId: grantee._id, access });
+    }
+    await account.save();
+
+    if (!existing) {
+      try {
+        await sendMail({
+          to: grantee.email,
+          subject: `${req.user.name} shared an account with you`,
+          text:
+            `Hi ${grantee.name},\n\n` +
+            `${req.user.name} shared the account "${account.name}" with ` +
+            `you${access === "read" ? " (read-only)" : ""}. You will find ` +
+            `it under shared accounts.`,
+        });
+      } catch (error) {
+        console.error("Send account share notification error:", error);
+      }
+    }
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing
+        ? "Account access updated successfully"
+        : "Account shared successfully",
+      data: await getShares(account),
+    });
+  } catch (error) {
+    console.error("Share account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// The owner (of the household, for its accounts) may revoke anyone's
+// access; others may only give up their own
+export const revokeAccountShare = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id, userId: granteeId } = req.params;
+
+    const account = await Account.findOne({
+      _id: id,
+      $or: [{ userId }, { "shares.userId": req.user._id }],
+    });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found",
+      });
+    }
+
+    const isOwner =
+      account.userId.equals(userId) && req.workspace.role === "owner";
+    if (!isOwner && !req.user._id.equals(granteeId)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the account owner can do this",
+      });
+    }
+
+    const result = await Account.updateOne(
+      { _id: account._id },
+      { $pull: { shares: { userId: granteeId } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Share not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Account access revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke account share error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,92 @@
+import JobRun from "../models/JobRun.js";
+import { listJobs, hasJob, runJob } from "../jobs/scheduler.js";
+
+export const getJobs = async (req, res) => {
+  try {
+    const jobs = listJobs();
+
+    // Attach the most recent run of each job
+    const lastRuns = await Promise.all(
+      jobs.map((job) =>
+        JobRun.findOne({ job: job.name }).sort({ startedAt: -1 })
+      )
+    );
+
+    res.json({
+      success: true,
+      data: jobs.map((job, index) => ({
+        ...job,
+        lastRun: lastRuns[index] ? lastRuns[index].getSummary() : null,
+      })),
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getJobRuns = async (req, res) => {
+  try {
+    const { job, status, limit = 50 } = req.query;
+
+    const filters = {};
+    if (job) filters.job = job;
+    if (status) filters.status = status;
+
+    const runs = await JobRun.find(filters)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 500));
+
+    res.json({
+      success: true,
+      data: runs.map((run) => run.getSummary()),
+    });
+  } catch (error) {
+    console.error("Get job runs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!hasJob(name)) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    const run = await runJob(name, {
+      trigger: "manual",
+      triggeredBy: req.user._id,
+    });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: "Job is already running",
+      });
+    }
+
+    res.status(run.status === "success" ? 200 : 500).json({
+      success: run.status === "success",
+      message:
+        run.status === "success" ? "Job completed successfully" : "Job failed",
+      data: run.getSummary(),
+    });
+  } catch (error) {
+    console.error("Trigger job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
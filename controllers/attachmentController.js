@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import path from "path";
+import { pipeline } from "stream/promises";
+import Attachment from "../models/Attachment.js";
+import FixedExpense from "../models/FixedExpense.js";
+import Borrowing from "../models/Borrowing.js";
+import { findAccessibleTransaction } from "./transactionController.js";
+import {
+  SUPPORTED_FILE_TYPES,
+  detectFileType,
+  getImageSize,
+  getThumbnailSize,
+} from "../utils/fileInfo.js";
+import {
+  createStorageKey,
+  getDefaultStorageDriver,
+  getStorage,
+} from "../utils/storage.js";
+
+// Most files a single record can carry
+const MAX_ATTACHMENTS_PER_RECORD = 10;
+
+// Records files can be attached to, by the type used in attachment URLs.
+// find() applies the same ownership checks as the record's own endpoints:
+// transactions are also reachable through shared accounts, with "read"
+// access to see their files and "contribute" access to change them.
+const PARENTS = {
+  transactions: {
+    parentType: "Transaction",
+    find: (req, id, access) => findAccessibleTransaction(req, id, access),
+  },
+  "fixed-expenses": {
+    parentType: "FixedExpense",
+    find: (req, id) =>
+      FixedExpense.findOne({ _id: id, userId: req.workspace.userId }),
+  },
+  borrowings: {
+    parentType: "Borrowing",
+    find: (req, id) =>
+      Borrowing.findOne({ _id: id, userId: req.workspace.userId }),
+  },
+};
+
+const findParent = (req, type, id, access) =>
+  Object.hasOwn(PARENTS, type) && mongoose.isValidObjectId(id)
+    ? PARENTS[type].find(req, id, access)
+    : null;
+
+// Find an attachment whose record the user can reach with the given access
+const findAttachment = async (req, id, access) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const attachment = await Attachment.findById(id);
+  if (!attachment) return null;
+
+  const type = Object.keys(PARENTS).find(
+    (name) => PARENTS[name].parentType === attachment.parentType
+  );
+  const parent = await findParent(req, type, attachment.parentId, access);
+  return parent ? attachment : null;
+};
+
+// Name to keep for an uploaded file: the client's, without any directories
+const getFileName = (originalName, extension) =>
+  path.basename(String(originalName || "")).trim().slice(0, 255) ||
+  `attachment.${extension}`;
+
+export const uploadAttachment = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    const parent = await findParent(req, type, id, "contribute");
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found",
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the file as multipart/form-data in the "file" field',
+      });
+    }
+
+    const fileType = detectFileType(req.file.buffer);
+    if (!fileType) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported file type. Use ${SUPPORTED_FILE_TYPES.join(", ")}`,
+      });
+    }
+
+    const { parentType } = PARENTS[type];
+    const count = await Attachment.countDocuments({
+      parentType,
+      parentId: parent._id,
+    });
+    if (count >= MAX_ATTACHMENTS_PER_RECORD) {
+      return res.status(400).json({
+        success: false,
+        message: `A record can have at most ${MAX_ATTACHMENTS_PER_RECORD} attachments`,
+      });
+    }
+
+    const image = getImageSize(req.file.buffer, fileType.contentType);
+    const driver = getDefaultStorageDriver();
+    const storage = getStorage(driver);
+    const storageKey = createStorageKey(parent.userId, fileType.extension);
+    await storage.put(storageKey, req.file.buffer, fileType.contentType);
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        userId: parent.userId,
+        parentType,
+        parentId: parent._id,
+        uploadedBy: req.user._id,
+        fileName: getFileName(req.file.originalname, fileType.extension),
+        contentType: fileType.contentType,
+        size: req.file.size,
+        driver,
+        storageKey,
+        image: image || undefined,
+        thumbnail: image ? getThumbnailSize(image) : undefined,
+      });
+    } catch (error) {
+      // Don't leave the stored file behind
+      await storage.remove(storageKey);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "File attached successfully",
+      data: attachment.getSummary(),
+    });
+  } catch (error) {
+    console.error("Upload attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getAttachments = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    const parent = await findParent(req, type, id, "read");
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found",
+      });
+    }
+
+    const attachments = await Attachment.find({
+      parentType: PARENTS[type].parentType,
+      parentId: parent._id,
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: attachments.map((attachment) => attachment.getSummary()),
+    });
+  } catch (error) {
+    console.error("Get attachments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const downloadAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, req.params.id, "read");
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      });
+    }
+
+    const file = await getStorage(attachment.driver).get(
+      attachment.storageKey
+    );
+
+    // Shown in the browser when asked for (e.g. to preview an image),
+    // otherwise downloaded
+    const disposition = req.query.inline === "true" ? "inline" : "attachment";
+    res.set({
+      "Content-Type": attachment.contentType,
+      "Content-Length": attachment.size,
+      "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      "Cache-Control": "private, max-age=3600",
+    });
+    await pipeline(file, res);
+  } catch (error) {
+    console.error("Download attachment error:", error);
+    // Too late for an error response once the file has started streaming
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const deleteAttachment = async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, req.params.id, "contribute");
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      });
+    }
+
+    await Attachment.removeFor({ _id: attachment._id });
+
+    res.json({
+      success: true,
+      message: "Attachment deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete attachment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+import AuditLog, { AUDITED_ENTITIES } from "../models/AuditLog.js";
+import User from "../models/User.js";
+
+const AUDIT_ACTIONS = ["create", "update", "delete"];
+
+// Comma-separated query values ("Transaction,Account") as a list
+const parseList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+export const getAuditLog = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const {
+      entity,
+      entityId,
+      action,
+      startDate,
+      endDate,
+      limit = 50,
+      page,
+    } = req.query;
+
+    const query = { userId };
+
+    if (entity) {
+      const entities = parseList(entity);
+      const unknown = entities.filter(
+        (name) => !AUDITED_ENTITIES.includes(name)
+      );
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown entities: ${unknown.join(", ")}. Use ${AUDITED_ENTITIES.join(", ")}`,
+        });
+      }
+      query.entity = { $in: entities };
+    }
+
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid entityId",
+        });
+      }
+      query.entityId = entityId;
+    }
+
+    if (action) {
+      const actions = parseList(action);
+      if (actions.some((name) => !AUDIT_ACTIONS.includes(name))) {
+        return res.status(400).json({
+          success: false,
+          message: `action must be one of ${AUDIT_ACTIONS.join(", ")}`,
+        });
+      }
+      query.action = { $in: actions };
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+      if (
+        Object.values(query.createdAt).some((date) =>
+          Number.isNaN(date.getTime())
+        )
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date range",
+        });
+      }
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(query),
+    ]);
+
+    // Name who made each change (members of a household differ)
+    const actors = await User.find({
+      _id: { $in: entries.map((entry) => entry.actorId).filter(Boolean) },
+    }).select("name");
+    const actorNames = new Map(
+      actors.map((actor) => [String(actor._id), actor.name])
+    );
+
+    res.json({
+      success: true,
+      data: entries.map((entry) => ({
+        ...entry.getSummary(),
+        actorName: actorNames.get(String(entry.actorId)),
+      })),
+      pagination: {
+        total,
+        limit: pageSize,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Get audit log error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -1,6 +1,103 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import { generateToken, generateRefreshToken } from "../middleware/auth.js";
+import AuthToken from "../models/AuthToken.js";
+import AccountDeletion from "../models/AccountDeletion.js";
+import Session, {
+  generateTokenId,
+  describeUserAgent,
+} from "../models/Session.js";
+import {
+  generateToken,
+  generateRefreshToken,
+  generateChallengeToken,
+} from "../middleware/auth.js";
+import {
+  getLoginBlock,
+  sendLoginBlocked,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../middleware/loginProtection.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import Category from "../models/Category.js";
+import { sendMail, appUrl } from "../utils/mailer.js";
+import {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../utils/totp.js";
+
+// The session lives as long as its latest refresh token
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Start a new device session and issue its first pair of tokens. Clients
+// may name the device (body.deviceName); otherwise it is derived from the
+// User-Agent header.
+const startSession = async (userId, req, deviceName = req.body.deviceName) => {
+  const userAgent = req.get("User-Agent");
+  const session = new Session({
+    userId,
+    tokenId: generateTokenId(),
+    deviceName: deviceName || describeUserAgent(userAgent),
+    userAgent: userAgent?.substring(0, 500),
+    ipAddress: req.ip,
+  });
+  const refreshToken = generateRefreshToken(
+    userId,
+    session._id,
+    session.tokenId
+  );
+  session.expiresAt = getTokenExpiry(refreshToken);
+  await session.save();
+
+  return { token: generateToken(userId, session._id), refreshToken };
+};
+
+// How long a password reset link stays valid
+const getResetTokenTtl = () =>
+  parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Days between asking to delete the account and the data being erased
+const getDeletionGraceDays = () => {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isNaN(days) ? 7 : days;
+};
+
+// How long an email verification link stays valid, and the minimum time
+// between two verification emails
+const getVerificationTokenTtl = () =>
+  (parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24) * 60;
+const getVerificationResendInterval = () =>
+  (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+
+// Email a link proving the user owns their address
+const sendVerificationEmail = async (user) => {
+  const ttl = getVerificationTokenTtl();
+  const token = await AuthToken.issue(
+    user._id,
+    "email-verification",
+    ttl,
+    user.email
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm this is your email address by opening the link below ` +
+      `within ${ttl / 60} hours.\n\n` +
+      `${appUrl("/verify-email", { token })}\n\n` +
+      `If you did not create an account, you can ignore this email.`,
+  });
+
+  user.emailVerificationSentAt = new Date();
+  await User.updateOne(
+    { _id: user._id },
+    { emailVerificationSentAt: user.emailVerificationSentAt }
+  );
+};
 
 export const register = async (req, res) => {
   try {
@@ -24,9 +121,24 @@ export const register = async (req, res) => {
 
     await user.save();
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Start the user off with the default categories; those missing are
+    // seeded on first use anyway, so this should not fail the registration
+    try {
+      await Category.seedDefaults(user._id);
+    } catch (error) {
+      console.error("Seed categories error:", error);
+    }
+
+    // The account is usable right away (subject to the verification policy),
+    // so a failed email should not fail the registration; it can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Send verification email error:", error);
+    }
+
+    // Start a session and generate its tokens
+    const { token, refreshToken } = await startSession(user._id, req);
 
     res.status(201).json({
       success: true,
@@ -53,6 +165,7 @@ export const login = async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(req, email, null, "unknown-email");
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
@@ -62,15 +175,43 @@ export const login = async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure(req, email, user, "invalid-password");
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // No new sessions once the erasure has started
+    const deletion = await AccountDeletion.findPending(user._id);
+    if (deletion?.status === "in-progress") {
+      return res.status(403).json({
+        success: false,
+        message: "This account is being deleted",
+      });
+    }
+
+    // With two-factor authentication on, the password only earns a challenge
+    // token, exchanged for real tokens at /api/auth/2fa/verify. Failures are
+    // not cleared until then, so codes cannot be guessed by logging in again.
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(
+            user._id,
+            req.body.deviceName
+          ),
+        },
+      });
+    }
+
+    await recordLoginSuccess(req, user);
+
+    // Start a session and generate its tokens
+    const { token, refreshToken } = await startSession(user._id, req);
 
     res.json({
       success: true,
@@ -103,7 +244,15 @@ export const refreshToken = async (req, res) => {
 
     // Verify refresh token
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await User.findById(decoded.userId).select("-password");
+    const session =
+      decoded.sessionId &&
+      (await Session.findOne({
+        _id: decoded.sessionId,
+        userId: decoded.userId,
+      }));
+    const user =
+      session?.isActive &&
+      (await User.findById(decoded.userId).select("-password"));
 
     if (!user) {
       return res.status(401).json({
@@ -112,9 +261,33 @@ export const refreshToken = async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
+    // Rotate: the presented token stops working and a new one is issued
+    const newTokenId = generateTokenId();
+    const newRefreshToken = generateRefreshToken(
+      user._id,
+      session._id,
+      newTokenId
+    );
+    const rotated = await Session.rotate(
+      session._id,
+      decoded.jti,
+      newTokenId,
+      getTokenExpiry(newRefreshToken),
+      req.ip
+    );
+
+    if (!rotated) {
+      // An earlier token of this session was replayed, so it may have been
+      // stolen: revoke the session and every token issued from it
+      await Session.revoke({ _id: session._id }, "token-reuse");
+      return res.status(401).json({
+        success: false,
+        message:
+          "Refresh token has already been used. The session has been revoked, please log in again.",
+      });
+    }
+
+    const newToken = generateToken(user._id, session._id);
 
     res.json({
       success: true,
@@ -134,6 +307,420 @@ export const refreshToken = async (req, res) => {
   }
 };
 
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // Tokens from registration verify the current address; those sent by
+    // changeEmail confirm the new one
+    const verification = await AuthToken.consume(token, [
+      "email-verification",
+      "email-change",
+    ]);
+    const user = verification && (await User.findById(verification.userId));
+    const isChange = verification?.purpose === "email-change";
+
+    // The link only verifies the address it was sent to
+    if (!user || (!isChange && user.email !== verification.email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    if (isChange) {
+      const emailTaken = await User.exists({
+        email: verification.email,
+        _id: { $ne: user._id },
+      });
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: "Email is already in use",
+        });
+      }
+      user.email = verification.email;
+      user.pendingEmail = undefined;
+    }
+
+    if (!user.emailVerified || isChange) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      data: {
+        user: user.toPublicJSON(),
+      },
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    const nextAllowedAt = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() +
+        getVerificationResendInterval()
+      : 0;
+    if (Date.now() < nextAllowedAt) {
+      const retryAfter = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    // Hashed by the User pre-save hook
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in and sign out every other one
+    const revoked = await Session.revoke(
+      { userId: user._id, _id: { $ne: req.sessionId } },
+      "password-change"
+    );
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const changeEmail = async (req, res) => {
+  try {
+    const { password, email } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const newEmail = email.toLowerCase().trim();
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "This is already your email address",
+      });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already in use",
+      });
+    }
+
+    // The address only changes once the link sent to it is opened
+    const ttl = getVerificationTokenTtl();
+    const token = await AuthToken.issue(
+      user._id,
+      "email-change",
+      ttl,
+      newEmail
+    );
+
+    await sendMail({
+      to: newEmail,
+      subject: "Confirm your new email address",
+      text:
+        `Hi ${user.name},\n\n` +
+        `Open the link below within ${ttl / 60} hours to use this address ` +
+        `for your account.\n\n` +
+        `${appUrl("/verify-email", { token })}\n\n` +
+        `If you did not ask for this change, you can ignore this email.`,
+    });
+
+    user.pendingEmail = newEmail;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Confirmation link sent to the new email address",
+      data: { pendingEmail: newEmail },
+    });
+  } catch (error) {
+    console.error("Change email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    if (await AccountDeletion.findPending(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Account deletion has already been requested",
+      });
+    }
+
+    const graceDays = getDeletionGraceDays();
+    const deletion = await AccountDeletion.create({
+      userId: user._id,
+      scheduledFor: new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000),
+    });
+
+    // Only this device stays signed in, to cancel if needed
+    await Session.revoke(
+      { userId: user._id, _id: { $ne: req.sessionId } },
+      "logout-all"
+    );
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Your account is scheduled for deletion",
+        text:
+          `Hi ${user.name},\n\n` +
+          `Your account and all its data will be permanently erased on ` +
+          `${deletion.scheduledFor.toISOString().substring(0, 10)}. ` +
+          `To keep your account, log in and cancel the deletion before then.`,
+      });
+    } catch (error) {
+      console.error("Send deletion notice error:", error);
+    }
+
+    res.json({
+      success: true,
+      message: `Account scheduled for deletion in ${graceDays} days`,
+      data: deletion.getSummary(),
+    });
+  } catch (error) {
+    console.error("Request account deletion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getAccountDeletion = async (req, res) => {
+  try {
+    const deletion = await AccountDeletion.findPending(req.user._id);
+    if (!deletion) {
+      return res.status(404).json({
+        success: false,
+        message: "No account deletion pending",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: deletion.getSummary(),
+    });
+  } catch (error) {
+    console.error("Get account deletion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    // Only possible during the grace period
+    const deletion = await AccountDeletion.findOneAndUpdate(
+      { userId: req.user._id, status: "scheduled" },
+      { status: "cancelled", cancelledAt: new Date() },
+      { new: true }
+    );
+    if (!deletion) {
+      return res.status(404).json({
+        success: false,
+        message: "No account deletion to cancel",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Account deletion cancelled",
+      data: deletion.getSummary(),
+    });
+  } catch (error) {
+    console.error("Cancel account deletion error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    await Session.revoke(
+      { _id: req.sessionId, userId: req.user._id },
+      "logout"
+    );
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await Session.revoke(
+      { userId: req.user._id },
+      "logout-all"
+    );
+
+    res.json({
+      success: true,
+      message: "Logged out of all devices",
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => session.getSummary(req.sessionId)),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const revoked = await Session.revoke(
+      { _id: id, userId: req.user._id },
+      "revoked"
+    );
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getLoginAttempts = async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const attempts = await LoginAttempt.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: attempts.map((attempt) => attempt.getSummary()),
+    });
+  } catch (error) {
+    console.error("Get login attempts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 export const getProfile = async (req, res) => {
   try {
     res.json({
@@ -184,22 +771,311 @@ export const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
 
+    // Respond the same way whether or not the email is registered, so the
+    // endpoint cannot be used to discover accounts
+    // (a failure to send is logged rather than answered with an error)
     const user = await User.findOne({ email });
+    if (user) {
+      try {
+        const ttl = getResetTokenTtl();
+        const token = await AuthToken.issue(user._id, "password-reset", ttl);
+
+        await sendMail({
+          to: user.email,
+          subject: "Reset your password",
+          text:
+            `Hi ${user.name},\n\n` +
+            `Use the link below to choose a new password. It expires in ` +
+            `${ttl} minutes and can only be used once.\n\n` +
+            `${appUrl("/reset-password", { token })}\n\n` +
+            `If you did not ask to reset your password, you can ignore this email.`,
+        });
+      } catch (error) {
+        console.error("Send password reset email error:", error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, password reset instructions have been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await AuthToken.consume(token, "password-reset");
+    const user = resetToken && (await User.findById(resetToken.userId));
     if (!user) {
-      return res.status(404).json({
+      return res.status(400).json({
         success: false,
-        message: "User not found",
+        message: "Invalid or expired reset token",
       });
     }
 
-    // In a real application, you would send an email with a reset link
-    // For now, we'll just return a success message
+    // Hashed by the User pre-save hook
+    user.password = password;
+    await user.save();
+
+    // Sign out every device, in case the old password was compromised
+    await Session.revoke({ userId: user._id }, "password-reset");
+
+    // Any other links that were sent are no longer needed
+    await AuthToken.deleteMany({
+      userId: user._id,
+      purpose: "password-reset",
+      usedAt: null,
+    });
+
     res.json({
       success: true,
-      message: "Password reset instructions sent to your email",
+      message: "Password reset successfully",
     });
   } catch (error) {
-    console.error("Forgot password error:", error);
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded = null;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      // Reported below like any other unusable token
+    }
+    const user =
+      decoded?.purpose === "2fa" &&
+      (await User.findById(decoded.userId).select(
+        "+twoFactor.secret +twoFactor.recoveryCodes"
+      ));
+
+    if (!user?.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge token",
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const block = await getLoginBlock(user.email, req.ip);
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
+    const accepted = code
+      ? await user.verifyTwoFactorCode(code)
+      : await user.useRecoveryCode(recoveryCode);
+    if (!accepted) {
+      await recordLoginFailure(
+        req,
+        user.email,
+        user,
+        "invalid-two-factor-code"
+      );
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    await recordLoginSuccess(req, user);
+
+    const { token, refreshToken } = await startSession(
+      user._id,
+      req,
+      decoded.deviceName
+    );
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: user.toPublicJSON(),
+        token,
+        refreshToken,
+        ...(recoveryCode && {
+          recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("Verify two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    // Not active until confirmed with a code from the app
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Scan the code with an authenticator app, then confirm it",
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.email),
+      },
+    });
+  } catch (error) {
+    console.error("Setup two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret"
+    );
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    // Replaces every earlier code, used or not
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Recovery codes regenerated",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": 1,
+          "twoFactor.pendingSecret": 1,
+          "twoFactor.recoveryCodes": 1,
+          "twoFactor.lastUsedStep": 1,
+          "twoFactor.enabledAt": 1,
+        },
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
     res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -1,7 +1,11 @@
 import Borrowing from "../models/Borrowing.js";
 import Account from "../models/Account.js";
 import Transaction from "../models/Transaction.js";
+import Tag from "../models/Tag.js";
+import Attachment from "../models/Attachment.js";
 import { validateRequest } from "../middleware/validation.js";
+import { withTransaction } from "../utils/db.js";
+import { createConverter } from "../utils/currency.js";
 
 // Create a new borrowing/lending record
 const createBorrowing = async (req, res) => {
@@ -14,6 +18,7 @@ const createBorrowing = async (req, res) => {
       description,
       transactionDate,
       dueDate,
+      tags,
     } = req.body;
 
     // Get account details
@@ -26,7 +31,7 @@ const createBorrowing = async (req, res) => {
     }
 
     // Check if account belongs to user
-    if (account.userId.toString() !== req.user.id) {
+    if (!account.userId.equals(req.workspace.userId)) {
       return res.status(403).json({
         success: false,
         message: "Access denied to this account",
@@ -35,27 +40,26 @@ const createBorrowing = async (req, res) => {
 
     // Create borrowing record with paid status by default
     const borrowing = new Borrowing({
-      userId: req.user.id,
+      userId: req.workspace.userId,
       personName,
       type,
       amount,
       accountId,
       accountName: account.name,
       description,
+      tags,
       transactionDate: transactionDate ? new Date(transactionDate) : new Date(),
       dueDate: dueDate ? new Date(dueDate) : null,
       isPaid: false, // Set as paid by default
       paidDate: null, // Set paid date to current date
     });
 
-    await borrowing.save();
-
     // Create a transaction for this borrowing/lending
     const transactionDateToUse = transactionDate
       ? new Date(transactionDate)
       : new Date();
     const transaction = new Transaction({
-      userId: req.user.id,
+      userId: req.workspace.userId,
       type: type === "borrowed" ? "income" : "expense",
       amount: amount,
       category: type === "borrowed" ? "Borrowed Money" : "Lent Money",
@@ -70,18 +74,18 @@ const createBorrowing = async (req, res) => {
         new Date().toLocaleTimeString(),
     });
 
-    await transaction.save();
+    borrowing.transactionId = transaction._id;
 
-    // Update account balance based on type
-    if (type === "borrowed") {
-      // You borrowed money, so your account balance increases
-      account.balance += amount;
-    } else if (type === "lent") {
-      // You lent money, so your account balance decreases
-      account.balance -= amount;
-    }
+    // You borrowed money, so your account balance increases;
+    // you lent money, so your account balance decreases
+    const balanceChange = type === "borrowed" ? amount : -amount;
 
-    await account.save();
+    await Tag.ensureTags(req.workspace.userId, tags);
+    await withTransaction(async (session) => {
+      await borrowing.save({ session });
+      await transaction.save({ session });
+      await Account.adjustBalance(accountId, balanceChange, session);
+    });
 
     res.status(201).json({
       success: true,
@@ -101,11 +105,12 @@ const createBorrowing = async (req, res) => {
 // Get all borrowing records for a user
 const getBorrowings = async (req, res) => {
   try {
-    const { type, isPaid, personName } = req.query;
-    const filter = { userId: req.user.id, isActive: true };
+    const { type, isPaid, isOverdue, personName } = req.query;
+    const filter = { userId: req.workspace.userId, isActive: true };
 
     if (type) filter.type = type;
     if (isPaid !== undefined) filter.isPaid = isPaid === "true";
+    if (isOverdue !== undefined) filter.isOverdue = isOverdue === "true";
     if (personName) {
       filter.personName = { $regex: new RegExp(personName, "i") };
     }
@@ -131,7 +136,15 @@ const getBorrowings = async (req, res) => {
 // Get borrowing summary
 const getBorrowingSummary = async (req, res) => {
   try {
-    const summary = await Borrowing.getUserSummary(req.user.id);
+    // Totals are in the user's currency
+    const converter = await createConverter(
+      req.workspace.userId,
+      req.workspace.currency
+    );
+    const summary = await Borrowing.getUserSummary(
+      req.workspace.userId,
+      converter
+    );
     res.json({
       success: true,
       data: summary,
@@ -150,7 +163,10 @@ const getBorrowingSummary = async (req, res) => {
 const getPersonSummary = async (req, res) => {
   try {
     const { personName } = req.params;
-    const summary = await Borrowing.getPersonSummary(req.user.id, personName);
+    const summary = await Borrowing.getPersonSummary(
+      req.workspace.userId,
+      personName
+    );
     res.json({
       success: true,
       data: summary,
@@ -179,41 +195,60 @@ const updateBorrowing = async (req, res) => {
       });
     }
 
-    if (borrowing.userId.toString() !== req.user.id) {
+    if (!borrowing.userId.equals(req.workspace.userId)) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
-    // If amount or type is being updated, we need to adjust account balance
+    // If amount or type is being updated, we need to adjust account balance:
+    // revert the old transaction and apply the new one
+    const newType = updateData.type || borrowing.type;
+    const newAmount = updateData.amount || borrowing.amount;
+    const newPersonName = updateData.personName || borrowing.personName;
+    const newDescription =
+      updateData.description !== undefined
+        ? updateData.description
+        : borrowing.description;
+    let balanceAdjustment = 0;
     if (updateData.amount || updateData.type) {
-      const account = await Account.findById(borrowing.accountId);
-      if (account) {
-        // Revert the old transaction
-        if (borrowing.type === "borrowed") {
-          account.balance -= borrowing.amount;
-        } else if (borrowing.type === "lent") {
-          account.balance += borrowing.amount;
-        }
-
-        // Apply the new transaction
-        const newType = updateData.type || borrowing.type;
-        const newAmount = updateData.amount || borrowing.amount;
+      const oldChange =
+        borrowing.type === "borrowed" ? borrowing.amount : -borrowing.amount;
+      const newChange = newType === "borrowed" ? newAmount : -newAmount;
+      balanceAdjustment = newChange - oldChange;
+    }
 
-        if (newType === "borrowed") {
-          account.balance += newAmount;
-        } else if (newType === "lent") {
-          account.balance -= newAmount;
-        }
+    await Tag.ensureTags(req.workspace.userId, updateData.tags);
+    await withTransaction(async (session) => {
+      if (balanceAdjustment !== 0) {
+        await Account.adjustBalance(
+          borrowing.accountId,
+          balanceAdjustment,
+          session
+        );
+      }
 
-        await account.save();
+      // Keep the linked transaction in step with the borrowing
+      if (borrowing.transactionId) {
+        await Transaction.findByIdAndUpdate(
+          borrowing.transactionId,
+          {
+            type: newType === "borrowed" ? "income" : "expense",
+            amount: newAmount,
+            category: newType === "borrowed" ? "Borrowed Money" : "Lent Money",
+            description: `${
+              newType === "borrowed" ? "Borrowed from" : "Lent to"
+            } ${newPersonName}${newDescription ? ` - ${newDescription}` : ""}`,
+          },
+          { session }
+        );
       }
-    }
 
-    // Update the borrowing record
-    Object.assign(borrowing, updateData);
-    await borrowing.save();
+      // Update the borrowing record
+      Object.assign(borrowing, updateData);
+      await borrowing.save({ session });
+    });
 
     res.json({
       success: true,
@@ -244,7 +279,7 @@ const togglePaidStatus = async (req, res) => {
       });
     }
 
-    if (borrowing.userId.toString() !== req.user.id) {
+    if (!borrowing.userId.equals(req.workspace.userId)) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -260,10 +295,16 @@ const togglePaidStatus = async (req, res) => {
       });
     }
 
+    // Paying back borrowed money reduces balance; collecting lent money increases balance
+    const repaymentChange =
+      borrowing.type === "borrowed" ? -borrowing.amount : borrowing.amount;
+
     // If marking as paid: create a counter transaction (repayment) and adjust balance
     if (isPaid) {
       // If there is already a repayment transaction, skip creating duplicate
-      if (!borrowing.repaymentTransactionId) {
+      const needsRepayment = !borrowing.repaymentTransactionId;
+      let repaymentTransaction = null;
+      if (needsRepayment) {
         const repaymentType =
           borrowing.type === "borrowed" ? "expense" : "income";
         const repaymentCategory =
@@ -275,8 +316,8 @@ const togglePaidStatus = async (req, res) => {
         }`;
 
         const repaymentDate = new Date();
-        const repaymentTransaction = new Transaction({
-          userId: req.user.id,
+        repaymentTransaction = new Transaction({
+          userId: req.workspace.userId,
           accountId: borrowing.accountId,
           type: repaymentType,
           amount: borrowing.amount,
@@ -285,46 +326,53 @@ const togglePaidStatus = async (req, res) => {
           date: repaymentDate,
           time: repaymentDate.toLocaleTimeString(),
         });
-
-        await repaymentTransaction.save();
-
-        // Adjust account balance: paying back borrowed money reduces balance; collecting lent money increases balance
-        if (borrowing.type === "borrowed") {
-          account.balance -= borrowing.amount;
-        } else if (borrowing.type === "lent") {
-          account.balance += borrowing.amount;
-        }
-        await account.save();
-
         borrowing.repaymentTransactionId = repaymentTransaction._id;
       }
       borrowing.isPaid = true;
       borrowing.paidDate = new Date();
+
+      await withTransaction(async (session) => {
+        if (needsRepayment) {
+          await repaymentTransaction.save({ session });
+          await Account.adjustBalance(
+            borrowing.accountId,
+            repaymentChange,
+            session
+          );
+        }
+        await borrowing.save({ session });
+      });
     } else {
       // Marking as unpaid: if a repayment transaction exists, remove it and revert account balance
-      if (borrowing.repaymentTransactionId) {
-        const repaymentTx = await Transaction.findById(
-          borrowing.repaymentTransactionId
-        );
-        if (repaymentTx) {
-          await repaymentTx.deleteOne();
-        }
-        // Revert account balance change performed during repayment creation
-        if (borrowing.type === "borrowed") {
-          account.balance += borrowing.amount;
-        } else if (borrowing.type === "lent") {
-          account.balance -= borrowing.amount;
+      const repaymentTransactionId = borrowing.repaymentTransactionId;
+      borrowing.repaymentTransactionId = undefined;
+      borrowing.isPaid = false;
+      borrowing.paidDate = null;
+
+      await withTransaction(async (session) => {
+        if (repaymentTransactionId) {
+          await Transaction.findByIdAndDelete(repaymentTransactionId, {
+            session,
+          });
+          // Revert account balance change performed during repayment creation
+          await Account.adjustBalance(
+            borrowing.accountId,
+            -repaymentChange,
+            session
+          );
         }
-        await account.save();
+        await borrowing.save({ session });
+      });
 
-        borrowing.repaymentTransactionId = undefined;
+      // Files attached to the removed repayment go with it
+      if (repaymentTransactionId) {
+        await Attachment.removeFor({
+          parentType: "Transaction",
+          parentId: repaymentTransactionId,
+        });
       }
-      borrowing.isPaid = false;
-      borrowing.paidDate = null;
     }
 
-    await borrowing.save();
-
     res.json({
       success: true,
       message: `Borrowing record marked as ${isPaid ? "paid" : "unpaid"}`,
@@ -353,30 +401,44 @@ const deleteBorrowing = async (req, res) => {
       });
     }
 
-    if (borrowing.userId.toString() !== req.user.id) {
+    if (!borrowing.userId.equals(req.workspace.userId)) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
-    // Revert account balance if not paid
-    if (!borrowing.isPaid) {
-      const account = await Account.findById(borrowing.accountId);
-      if (account) {
-        if (borrowing.type === "borrowed") {
-          account.balance -= borrowing.amount;
-        } else if (borrowing.type === "lent") {
-          account.balance += borrowing.amount;
+    // Move to the trash, reverting the account balance if not paid. Nothing
+    // is reverted when a concurrent request already deleted it.
+    const deleted = await withTransaction(async (session) => {
+      if (!(await borrowing.softDelete(session, { isActive: false }))) {
+        return false;
+      }
+      if (!borrowing.isPaid) {
+        const balanceChange =
+          borrowing.type === "borrowed" ? -borrowing.amount : borrowing.amount;
+        await Account.adjustBalance(
+          borrowing.accountId,
+          balanceChange,
+          session
+        );
+        // The original transaction goes with it so the ledger still adds up
+        if (borrowing.transactionId) {
+          const transaction = await Transaction.findById(
+            borrowing.transactionId
+          ).session(session);
+          await transaction?.softDelete(session);
         }
-        await account.save();
       }
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Borrowing record not found",
+      });
     }
 
-    // Soft delete
-    borrowing.isActive = false;
-    await borrowing.save();
-
     res.json({
       success: true,
       message: "Borrowing record deleted successfully",
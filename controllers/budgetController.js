@@ -1,10 +1,17 @@
 import Budget from "../models/Budget.js";
-import Transaction from "../models/Transaction.js";
+import Category from "../models/Category.js";
+import Transaction, { SPLIT_LINE_STAGES } from "../models/Transaction.js";
+import { createConverter } from "../utils/currency.js";
 
 export const createBudget = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { category, amount, month } = req.body;
+    const userId = req.workspace.userId;
+    const { amount, month, currency, carryForward = false } = req.body;
+    const [category] = await Category.resolve(
+      userId,
+      [req.body.category],
+      "expense"
+    );
 
     // Check if budget already exists for this category and month
     const existingBudget = await Budget.findOne({
@@ -24,7 +31,10 @@ export const createBudget = async (req, res) => {
       userId,
       category,
       amount: parseFloat(amount),
+      // Budgets default to the user's reporting currency
+      currency: currency || req.workspace.currency,
       month,
+      carryForward,
     });
 
     await budget.save();
@@ -45,7 +55,7 @@ export const createBudget = async (req, res) => {
 
 export const getBudgets = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { month } = req.query;
 
     const filters = { userId };
@@ -55,15 +65,21 @@ export const getBudgets = async (req, res) => {
 
     const budgets = await Budget.find(filters).sort({ category: 1 });
 
-    // If month is specified, get spending data for each budget
+    // If month is specified, get spending data for each budget (including
+    // split lines in its category), converted from each account's currency
+    // into the budget's
     if (month) {
+      const converter = await createConverter(userId, req.workspace.currency);
       const budgetsWithSpending = await Promise.all(
         budgets.map(async (budget) => {
           const spending = await Transaction.aggregate([
             {
               $match: {
                 userId: budget.userId,
-                category: budget.category,
+                $or: [
+                  { category: budget.category },
+                  { "splits.category": budget.category },
+                ],
                 type: "expense",
                 date: {
                   $gte: new Date(month + "-01"),
@@ -75,15 +91,26 @@ export const getBudgets = async (req, res) => {
                 },
               },
             },
+            ...SPLIT_LINE_STAGES,
+            { $match: { "line.category": budget.category } },
             {
               $group: {
-                _id: null,
-                totalSpent: { $sum: "$amount" },
+                _id: "$accountId",
+                totalSpent: { $sum: "$line.amount" },
               },
             },
           ]);
 
-          const totalSpent = spending.length > 0 ? spending[0].totalSpent : 0;
+          const totalSpent = spending.reduce(
+            (sum, item) =>
+              sum +
+              converter.convertFromAccount(
+                item.totalSpent,
+                item._id,
+                budget.currency || converter.currency
+              ),
+            0
+          );
           const remaining = budget.amount - totalSpent;
           const percentageUsed = (totalSpent / budget.amount) * 100;
 
@@ -117,7 +144,7 @@ export const getBudgets = async (req, res) => {
 
 export const updateBudget = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
     const updateData = req.body;
 
@@ -130,6 +157,14 @@ export const updateBudget = async (req, res) => {
       });
     }
 
+    if (updateData.category) {
+      [updateData.category] = await Category.resolve(
+        userId,
+        [updateData.category],
+        "expense"
+      );
+    }
+
     // Update budget
     const updatedBudget = await Budget.findByIdAndUpdate(id, updateData, {
       new: true,
@@ -152,7 +187,7 @@ export const updateBudget = async (req, res) => {
 
 export const deleteBudget = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
 
     // Find budget and verify ownership
@@ -164,8 +199,8 @@ export const deleteBudget = async (req, res) => {
       });
     }
 
-    // Delete budget
-    await Budget.findByIdAndDelete(id);
+    // Move budget to the trash
+    await budget.softDelete();
 
     res.json({
       success: true,
@@ -182,7 +217,7 @@ export const deleteBudget = async (req, res) => {
 
 export const getBudgetAnalytics = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { month } = req.query;
 
     if (!month) {
@@ -200,35 +235,53 @@ export const getBudgetAnalytics = async (req, res) => {
       1
     );
 
+    // Spending and totals are in the user's currency
+    const converter = await createConverter(userId, req.workspace.currency);
+
     const analytics = await Promise.all(
       budgets.map(async (budget) => {
         const spending = await Transaction.aggregate([
           {
             $match: {
               userId: budget.userId,
-              category: budget.category,
+              $or: [
+                { category: budget.category },
+                { "splits.category": budget.category },
+              ],
               type: "expense",
               date: { $gte: startDate, $lt: endDate },
             },
           },
+          ...SPLIT_LINE_STAGES,
+          { $match: { "line.category": budget.category } },
           {
             $group: {
-              _id: null,
-              totalSpent: { $sum: "$amount" },
+              _id: "$accountId",
+              totalSpent: { $sum: "$line.amount" },
               transactionCount: { $sum: 1 },
             },
           },
         ]);
 
-        const totalSpent = spending.length > 0 ? spending[0].totalSpent : 0;
-        const remaining = budget.amount - totalSpent;
-        const percentageUsed = (totalSpent / budget.amount) * 100;
-        const transactionCount =
-          spending.length > 0 ? spending[0].transactionCount : 0;
+        const budgetAmount = converter.convert(
+          budget.amount,
+          budget.currency || converter.currency
+        );
+        const totalSpent = spending.reduce(
+          (sum, item) =>
+            sum + converter.convertFromAccount(item.totalSpent, item._id),
+          0
+        );
+        const remaining = budgetAmount - totalSpent;
+        const percentageUsed = (totalSpent / budgetAmount) * 100;
+        const transactionCount = spending.reduce(
+          (sum, item) => sum + item.transactionCount,
+          0
+        );
 
         return {
           category: budget.category,
-          budgetAmount: budget.amount,
+          budgetAmount,
           totalSpent,
           remaining,
           percentageUsed,
@@ -243,7 +296,10 @@ export const getBudgetAnalytics = async (req, res) => {
       })
     );
 
-    const totalBudget = budgets.reduce((sum, budget) => sum + budget.amount, 0);
+    const totalBudget = analytics.reduce(
+      (sum, item) => sum + item.budgetAmount,
+      0
+    );
     const totalSpent = analytics.reduce(
       (sum, item) => sum + item.totalSpent,
       0
@@ -256,6 +312,8 @@ export const getBudgetAnalytics = async (req, res) => {
       success: true,
       data: {
         month,
+        currency: converter.currency,
+        missingRates: converter.missingRates,
         totalBudget,
         totalSpent,
         totalRemaining,
@@ -0,0 +1,299 @@
+import mongoose from "mongoose";
+import Category, { getCategoryKey } from "../models/Category.js";
+import { withTransaction } from "../utils/db.js";
+
+const findCategory = (id, userId) =>
+  mongoose.isValidObjectId(id) ? Category.findOne({ _id: id, userId }) : null;
+
+// A parent must be one of the owner's top-level categories of the same type,
+// and a category with subcategories cannot become one itself (the
+// hierarchy is two levels deep). Resolves with an error to answer with, or
+// null.
+const checkParent = async (userId, parentId, type, category = null) => {
+  if (!parentId) return null;
+
+  const parent = await findCategory(parentId, userId);
+  if (!parent) {
+    return { status: 404, message: "Parent category not found" };
+  }
+  if (category && parent._id.equals(category._id)) {
+    return { status: 400, message: "A category cannot be its own parent" };
+  }
+  if (parent.parentId) {
+    return {
+      status: 400,
+      message: "Subcategories cannot have subcategories of their own",
+    };
+  }
+  if (parent.type !== type) {
+    return {
+      status: 400,
+      message: "A subcategory must have the same type as its parent",
+    };
+  }
+  if (category && (await Category.exists({ parentId: category._id }))) {
+    return {
+      status: 400,
+      message: "A category with subcategories cannot become a subcategory",
+    };
+  }
+  return null;
+};
+
+export const getCategories = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { type } = req.query;
+
+    // Owners from before categories were managed get theirs on first use
+    await Category.ensureCategories(userId);
+
+    const filters = { userId };
+    if (type) {
+      filters.type = type;
+    }
+    const categories = await Category.find(filters).sort({ type: 1, key: 1 });
+
+    res.json({
+      success: true,
+      data: categories.map((category) => category.getSummary()),
+    });
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const createCategory = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { name, type, parentId, icon, color } = req.body;
+
+    const existingCategory = await Category.findOne({
+      userId,
+      key: getCategoryKey(name),
+    });
+    if (existingCategory) {
+      return res.status(400).json({
+        success: false,
+        message: "Category already exists",
+      });
+    }
+
+    const error = await checkParent(userId, parentId, type);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const category = new Category({
+      userId,
+      name,
+      type,
+      parentId: parentId || null,
+      icon,
+      color,
+    });
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      data: category.getSummary(),
+    });
+  } catch (error) {
+    console.error("Create category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const updateCategory = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+    const { name, type, parentId, icon, color } = req.body;
+
+    const category = await findCategory(id, userId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (name && getCategoryKey(name) !== category.key) {
+      const existingCategory = await Category.findOne({
+        userId,
+        key: getCategoryKey(name),
+      });
+      if (existingCategory) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "A category with this name already exists; merge into it instead",
+        });
+      }
+    }
+
+    // Subcategories always have their parent's type
+    const newParentId =
+      parentId === undefined ? category.parentId : parentId || null;
+    const newType = type || category.type;
+    if (type && type !== category.type && newParentId) {
+      return res.status(400).json({
+        success: false,
+        message: "A subcategory has the type of its parent",
+      });
+    }
+    if (parentId) {
+      const error = await checkParent(userId, parentId, newType, category);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
+    category.set({ type: newType, parentId: newParentId });
+    if (icon !== undefined) category.icon = icon;
+    if (color) category.color = color;
+
+    // Save the changes, renaming the category on every record filed under
+    // it and bringing subcategories to the new type, atomically
+    await withTransaction(async (session) => {
+      if (name && name !== category.name) {
+        await category.rename(name, session);
+      } else {
+        await category.save({ session });
+      }
+      await Category.updateMany(
+        { parentId: category._id },
+        { $set: { type: category.type } },
+        { session }
+      );
+    });
+
+    res.json({
+      success: true,
+      message: "Category updated successfully",
+      data: category.getSummary(),
+    });
+  } catch (error) {
+    console.error("Update category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const mergeCategory = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+    const { targetId } = req.body;
+
+    const category = await findCategory(id, userId);
+    const target = await findCategory(targetId, userId);
+    if (!category || !target) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (category._id.equals(target._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot merge a category into itself",
+      });
+    }
+    if (category.type !== target.type) {
+      return res.status(400).json({
+        success: false,
+        message: "Categories must be of the same type to be merged",
+      });
+    }
+    if (target.parentId?.equals(category._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot merge a category into one of its subcategories",
+      });
+    }
+
+    // Refile the records and remove the category atomically
+    const merged = await withTransaction((session) =>
+      category.mergeInto(target, session)
+    );
+    if (!merged) {
+      return res.status(409).json({
+        success: false,
+        message: "Both categories have a budget for the same month in different currencies; change or delete one of them first",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Categories merged successfully",
+      data: target.getSummary(),
+    });
+  } catch (error) {
+    console.error("Merge category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const deleteCategory = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+
+    const category = await findCategory(id, userId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    if (await Category.exists({ parentId: category._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Move or delete its subcategories first",
+      });
+    }
+
+    const count = await category.countRecords();
+    if (count > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Category is used by ${count} records; merge it into another category instead`,
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
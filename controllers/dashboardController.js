@@ -1,14 +1,16 @@
 import Account from "../models/Account.js";
-import Transaction from "../models/Transaction.js";
+import Transaction, { SPLIT_LINE_STAGES } from "../models/Transaction.js";
 import FixedExpense from "../models/FixedExpense.js";
 import PossibleExpense from "../models/PossibleExpense.js";
 import Budget from "../models/Budget.js";
 import TargetSavings from "../models/TargetSavings.js";
+import Category from "../models/Category.js";
 import mongoose from "mongoose";
+import { createConverter } from "../utils/currency.js";
 
 export const getDashboard = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { month, year } = req.query;
 
     // Determine the month to query for
@@ -35,6 +37,10 @@ export const getDashboard = async (req, res) => {
     const startDate = new Date(Date.UTC(yearNum, monthNum - 1, 1, 0, 0, 0, 0));
     const endDate = new Date(Date.UTC(yearNum, monthNum, 0, 23, 59, 59, 999));
 
+    // Totals are reported in the user's currency
+    const converter = await createConverter(userId, req.workspace.currency);
+    const parentOf = await getParentOf(req);
+
     // Get all data in parallel for better performance
     const [
       accounts,
@@ -53,31 +59,24 @@ export const getDashboard = async (req, res) => {
       }),
       FixedExpense.getUserFixedExpenses(userId),
       PossibleExpense.getUserPossibleExpenses(userId),
-      Budget.getBudgetWithSpending(userId, queryMonth),
-      getAnalyticsData(userId, queryMonth),
-      getSavingsOverviewData(userId, queryMonth),
+      Budget.getBudgetWithSpending(userId, queryMonth, converter.currency),
+      getAnalyticsData(userId, queryMonth, converter, parentOf),
+      getSavingsOverviewData(userId, queryMonth, converter),
     ]);
 
     // Calculate total balance
-    const totalBalance = accounts.reduce(
-      (sum, account) => sum + account.balance,
-      0
-    );
+    const totalBalance = getTotalBalance(accounts, converter);
 
     // Calculate monthly totals (transactions are already filtered by month)
-    const monthlyIncome = transactions
-      .filter((t) => t.type === "income")
-      .reduce((sum, t) => sum + t.amount, 0);
-
-    const monthlyExpenses = transactions
-      .filter((t) => t.type === "expense")
-      .reduce((sum, t) => sum + t.amount, 0);
+    const monthlyIncome = sumTransactions(transactions, "income", converter);
+    const monthlyExpenses = sumTransactions(transactions, "expense", converter);
 
     // Group transactions by date for frontend
     const groupedTransactions = groupTransactionsByDate(transactions);
 
     const dashboardData = {
       user: req.user.toPublicJSON(),
+      household: req.workspace.household?.getSummary(req.user._id) || null,
       accounts: accounts.map((account) => account.getSummary()),
       transactions: groupedTransactions,
       fixedExpenses: fixedExpenses.map((expense) => ({
@@ -86,6 +85,8 @@ export const getDashboard = async (req, res) => {
         amount: expense.amount,
         category: expense.category,
         dueDate: expense.dueDate,
+        frequency: expense.frequency,
+        nextDueDate: expense.getNextDueDate(),
         isPaid: expense.isPaid,
         account: expense.accountId._id,
         accountName: expense.accountId.name,
@@ -101,6 +102,8 @@ export const getDashboard = async (req, res) => {
       })),
       budgets: budgets,
       analytics: {
+        currency: converter.currency,
+        missingRates: converter.missingRates,
         totalBalance,
         monthlyIncome,
         monthlyExpenses,
@@ -126,14 +129,42 @@ export const getDashboard = async (req, res) => {
   }
 };
 
-const getAnalyticsData = async (userId, month) => {
+// Sum account balances in the converter's currency
+const getTotalBalance = (accounts, converter) =>
+  accounts.reduce(
+    (sum, account) => sum + converter.convert(account.balance, account.currency),
+    0
+  );
+
+// Sum one type of (populated) transactions in the converter's currency
+const sumTransactions = (transactions, type, converter) =>
+  transactions
+    .filter((t) => t.type === type)
+    .reduce(
+      (sum, t) => sum + converter.convertFromAccount(t.amount, t.accountId),
+      0
+    );
+
+// Subcategories are reported under their parent when asked for
+// (?rollup=true)
+const getParentOf = async (req) =>
+  req.query.rollup === "true"
+    ? await Category.getParentOf(req.workspace.userId)
+    : null;
+
+// Given parentOf (see Category.getParentOf), subcategories count towards
+// their parent category, and top categories list them under subcategories
+const getAnalyticsData = async (userId, month, converter, parentOf = null) => {
   try {
     // Calculate analytics directly using UTC dates
     const [yearNum, monthNum] = month.split('-').map(Number);
     const startDate = new Date(Date.UTC(yearNum, monthNum - 1, 1, 0, 0, 0, 0));
     const endDate = new Date(Date.UTC(yearNum, monthNum, 0, 23, 59, 59, 999));
 
-    const [categoryBreakdown, topCategories] = await Promise.all([
+    // Totals are grouped per account so they can be converted from each
+    // account's currency before being combined. Split transactions count
+    // towards the category of each line.
+    const [categoryTotals, dailyTotals] = await Promise.all([
       Transaction.aggregate([
         {
           $match: {
@@ -142,13 +173,13 @@ const getAnalyticsData = async (userId, month) => {
             date: { $gte: startDate, $lte: endDate },
           },
         },
+        ...SPLIT_LINE_STAGES,
         {
           $group: {
-            _id: "$category",
-            total: { $sum: "$amount" },
+            _id: { category: "$line.category", accountId: "$accountId" },
+            total: { $sum: "$line.amount" },
           },
         },
-        { $sort: { total: -1 } },
       ]),
       Transaction.aggregate([
         {
@@ -163,6 +194,7 @@ const getAnalyticsData = async (userId, month) => {
               year: { $year: "$date" },
               month: { $month: "$date" },
               day: { $dayOfMonth: "$date" },
+              accountId: "$accountId",
             },
             income: {
               $sum: {
@@ -176,10 +208,44 @@ const getAnalyticsData = async (userId, month) => {
             },
           },
         },
-        { $sort: { "_id.year": 1, "_id.month": 1, "_id.day": 1 } },
       ]),
     ]);
 
+    const categoryMap = new Map();
+    const subcategoryMap = new Map();
+    for (const item of categoryTotals) {
+      const total = converter.convertFromAccount(item.total, item._id.accountId);
+      const parent = parentOf?.(item._id.category);
+      const category = parent || item._id.category;
+      categoryMap.set(category, (categoryMap.get(category) || 0) + total);
+      if (parent) {
+        const subcategories = subcategoryMap.get(parent) || new Map();
+        subcategories.set(
+          item._id.category,
+          (subcategories.get(item._id.category) || 0) + total
+        );
+        subcategoryMap.set(parent, subcategories);
+      }
+    }
+    const categoryBreakdown = [...categoryMap]
+      .map(([category, total]) => ({ _id: category, total }))
+      .sort((a, b) => b.total - a.total);
+
+    const dayMap = new Map();
+    for (const item of dailyTotals) {
+      const { year, month: monthOfYear, day, accountId } = item._id;
+      const key = `${year}-${String(monthOfYear).padStart(2, "0")}-${String(
+        day
+      ).padStart(2, "0")}`;
+      const totals = dayMap.get(key) || { income: 0, expenses: 0 };
+      totals.income += converter.convertFromAccount(item.income, accountId);
+      totals.expenses += converter.convertFromAccount(item.expenses, accountId);
+      dayMap.set(key, totals);
+    }
+    const dailyTrend = [...dayMap]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, totals]) => ({ date, ...totals }));
+
     const analytics = {
       categoryBreakdown: categoryBreakdown.reduce((acc, item) => {
         acc[item._id] = item.total;
@@ -189,12 +255,14 @@ const getAnalyticsData = async (userId, month) => {
         category: item._id,
         amount: item.total,
         percentage: 0, // Will be calculated below
+        ...(subcategoryMap.has(item._id) && {
+          subcategories: [...subcategoryMap.get(item._id)]
+            .map(([category, amount]) => ({ category, amount }))
+            .sort((a, b) => b.amount - a.amount),
+        }),
       })),
-      monthlyTrend: topCategories.map((item) => ({
-        date: `${item._id.year}-${String(item._id.month).padStart(
-          2,
-          "0"
-        )}-${String(item._id.day).padStart(2, "0")}`,
+      monthlyTrend: dailyTrend.map((item) => ({
+        date: item.date,
         income: item.income,
         expenses: item.expenses,
         savings: item.income - item.expenses,
@@ -222,7 +290,7 @@ const getAnalyticsData = async (userId, month) => {
   }
 };
 
-const getSavingsOverviewData = async (userId, month) => {
+const getSavingsOverviewData = async (userId, month, converter) => {
   try {
     // Get all active targets
     const targets = await TargetSavings.find({
@@ -231,22 +299,8 @@ const getSavingsOverviewData = async (userId, month) => {
     }).populate("accountId", "name");
 
     // Get total balance from accounts
-    const totalBalance = await mongoose.model("Account").aggregate([
-      {
-        $match: {
-          userId: new mongoose.Types.ObjectId(userId),
-          isActive: true,
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          totalBalance: { $sum: "$balance" },
-        },
-      },
-    ]);
-
-    const totalBalanceAmount = totalBalance[0]?.totalBalance || 0;
+    const accounts = await Account.find({ userId, isActive: true });
+    const totalBalanceAmount = getTotalBalance(accounts, converter);
     const totalSavingsTarget = targets.reduce(
       (sum, target) => sum + target.targetAmount,
       0
@@ -275,13 +329,17 @@ const getSavingsOverviewData = async (userId, month) => {
       },
       {
         $group: {
-          _id: null,
+          _id: "$accountId",
           totalExpenses: { $sum: "$amount" },
         },
       },
     ]);
 
-    const monthlyExpenses = monthlyExpensesAgg[0]?.totalExpenses || 0;
+    const monthlyExpenses = monthlyExpensesAgg.reduce(
+      (sum, item) =>
+        sum + converter.convertFromAccount(item.totalExpenses, item._id),
+      0
+    );
 
     // Treat configured target amounts as reserved savings for display
     const totalCurrentSavings = totalSavingsTarget;
@@ -331,9 +389,17 @@ const groupTransactionsByDate = (transactions) => {
       amount: transaction.amount,
       description: transaction.description,
       category: transaction.category,
+      splits: transaction.splits,
+      tags: transaction.tags,
       date: transaction.date.toISOString().split("T")[0],
       account: transaction.accountId?._id || null,
       accountName: transaction.accountId?.name || "Unknown Account",
+      toAccount: transaction.toAccountId?._id || null,
+      toAccountName: transaction.toAccountId?.name,
+      toAmount: transaction.toAmount,
+      originalAmount: transaction.originalAmount,
+      originalCurrency: transaction.originalCurrency,
+      exchangeRate: transaction.exchangeRate,
       time: transaction.time,
       createdAt: transaction.createdAt,
     });
@@ -367,7 +433,7 @@ const getQueryMonth = (req) => {
 // Get dashboard summary (quick stats only)
 export const getDashboardSummary = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const queryMonth = getQueryMonth(req);
 
     // Calculate date range for transactions in UTC
@@ -376,33 +442,29 @@ export const getDashboardSummary = async (req, res) => {
     const endDate = new Date(Date.UTC(yearNum, monthNum, 0, 23, 59, 59, 999));
 
     // Get only essential data in parallel
-    const [accounts, transactions] = await Promise.all([
+    const [accounts, transactions, converter] = await Promise.all([
       Account.find({ userId, isActive: true }).sort({ name: 1 }),
       Transaction.getUserTransactions(userId, {
         startDate: startDate.toISOString(),
         endDate: endDate.toISOString(),
         limit: 100,
       }),
+      createConverter(userId, req.workspace.currency),
     ]);
 
-    // Calculate totals
-    const totalBalance = accounts.reduce(
-      (sum, account) => sum + account.balance,
-      0
-    );
-
-    const monthlyIncome = transactions
-      .filter((t) => t.type === "income")
-      .reduce((sum, t) => sum + t.amount, 0);
-
-    const monthlyExpenses = transactions
-      .filter((t) => t.type === "expense")
-      .reduce((sum, t) => sum + t.amount, 0);
+    // Calculate totals in the user's currency
+    const totalBalance = getTotalBalance(accounts, converter);
+    const monthlyIncome = sumTransactions(transactions, "income", converter);
+    const monthlyExpenses = sumTransactions(transactions, "expense", converter);
 
     res.json({
       success: true,
       data: {
         user: req.user.toPublicJSON(),
+        household:
+          req.workspace.household?.getSummary(req.user._id) || null,
+        currency: converter.currency,
+        missingRates: converter.missingRates,
         totalBalance,
         monthlyIncome,
         monthlyExpenses,
@@ -424,7 +486,7 @@ export const getDashboardSummary = async (req, res) => {
 // Get transactions
 export const getDashboardTransactions = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const queryMonth = getQueryMonth(req);
 
     // Calculate date range for transactions in UTC
@@ -456,10 +518,14 @@ export const getDashboardTransactions = async (req, res) => {
 // Get budgets
 export const getDashboardBudgets = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const queryMonth = getQueryMonth(req);
 
-    const budgets = await Budget.getBudgetWithSpending(userId, queryMonth);
+    const budgets = await Budget.getBudgetWithSpending(
+      userId,
+      queryMonth,
+      req.workspace.currency
+    );
 
     res.json({
       success: true,
@@ -477,10 +543,15 @@ export const getDashboardBudgets = async (req, res) => {
 // Get savings overview
 export const getDashboardSavings = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const queryMonth = getQueryMonth(req);
 
-    const savingsOverview = await getSavingsOverviewData(userId, queryMonth);
+    const converter = await createConverter(userId, req.workspace.currency);
+    const savingsOverview = await getSavingsOverviewData(
+      userId,
+      queryMonth,
+      converter
+    );
 
     res.json({
       success: true,
@@ -498,22 +569,27 @@ export const getDashboardSavings = async (req, res) => {
 // Get analytics (lazy loaded)
 export const getDashboardAnalytics = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const queryMonth = getQueryMonth(req);
 
-    const analytics = await getAnalyticsData(userId, queryMonth);
+    const converter = await createConverter(userId, req.workspace.currency);
+    const analytics = await getAnalyticsData(
+      userId,
+      queryMonth,
+      converter,
+      await getParentOf(req)
+    );
 
     // Get accounts for total balance calculation
     const accounts = await Account.find({ userId, isActive: true });
-    const totalBalance = accounts.reduce(
-      (sum, account) => sum + account.balance,
-      0
-    );
+    const totalBalance = getTotalBalance(accounts, converter);
 
     res.json({
       success: true,
       data: {
         ...analytics,
+        currency: converter.currency,
+        missingRates: converter.missingRates,
         totalBalance,
       },
     });
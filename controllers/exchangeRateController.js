@@ -0,0 +1,136 @@
+import ExchangeRate from "../models/ExchangeRate.js";
+import { getRate } from "../utils/currency.js";
+
+export const getExchangeRates = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { base, currency, limit = 100 } = req.query;
+
+    // The user's own rates and the shared ones
+    const filters = { userId: { $in: [userId, null] } };
+    if (base) filters.base = String(base).toUpperCase();
+    if (currency) filters.currency = String(currency).toUpperCase();
+
+    const rates = await ExchangeRate.find(filters)
+      .sort({ date: -1, base: 1, currency: 1 })
+      .limit(Math.min(parseInt(limit) || 100, 1000));
+
+    res.json({
+      success: true,
+      data: rates.map((rate) => rate.getSummary()),
+    });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const createExchangeRate = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { base, currency, rate } = req.body;
+
+    if (base === currency) {
+      return res.status(400).json({
+        success: false,
+        message: "Base and currency must differ",
+      });
+    }
+
+    // One rate per pair and day; entering it again replaces it
+    const day = new Date(req.body.date || Date.now());
+    const date = new Date(
+      Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+    );
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { userId, base, currency, date },
+      { $set: { rate, source: "manual" } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Exchange rate saved successfully",
+      data: exchangeRate.getSummary(),
+    });
+  } catch (error) {
+    console.error("Create exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+
+    // Shared rates can only be changed through the rates file
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ _id: id, userId });
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: "Exchange rate not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Exchange rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const convertAmount = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const amount = parseFloat(req.query.amount);
+    const from = String(req.query.from || "").toUpperCase();
+    const to = String(req.query.to || req.workspace.currency).toUpperCase();
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (Number.isNaN(amount) || !from || Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "amount, from and a valid date are required",
+      });
+    }
+
+    const rate = await getRate(userId, from, to, date);
+    if (rate === null) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate from ${from} to ${to}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        amount,
+        from,
+        to,
+        rate,
+        converted: Math.round(amount * rate * 100) / 100,
+      },
+    });
+  } catch (error) {
+    console.error("Convert amount error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
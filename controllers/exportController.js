@@ -0,0 +1,368 @@
+import Transaction from "../models/Transaction.js";
+import Account from "../models/Account.js";
+import Budget from "../models/Budget.js";
+import FixedExpense from "../models/FixedExpense.js";
+import PossibleExpense from "../models/PossibleExpense.js";
+import TargetSavings from "../models/TargetSavings.js";
+import Borrowing from "../models/Borrowing.js";
+import { toCSV, toOFX } from "../utils/exportFormatters.js";
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().split("T")[0] : "";
+
+// Exportable collections. dateField/monthField and accountFields say how the
+// date range and account filters apply; columns define the CSV layout and
+// receive the map of account names.
+const ENTITIES = {
+  transactions: {
+    model: Transaction,
+    dateField: "date",
+    accountFields: ["accountId", "toAccountId"],
+    sort: { date: -1, createdAt: -1 },
+    columns: (accountNames) => [
+      { header: "id", value: (t) => t._id },
+      { header: "date", value: (t) => formatDate(t.date) },
+      { header: "time", value: (t) => t.time },
+      { header: "type", value: (t) => t.type },
+      { header: "amount", value: (t) => t.amount },
+      { header: "description", value: (t) => t.description },
+      { header: "category", value: (t) => t.category },
+      {
+        header: "splits",
+        value: (t) => (t.splits?.length ? JSON.stringify(t.splits) : ""),
+      },
+      { header: "tags", value: (t) => t.tags?.join(";") },
+      { header: "account", value: (t) => accountNames.get(String(t.accountId)) },
+      {
+        header: "toAccount",
+        value: (t) => t.toAccountId && accountNames.get(String(t.toAccountId)),
+      },
+    ],
+  },
+  accounts: {
+    model: Account,
+    accountFields: ["_id"],
+    sort: { createdAt: 1 },
+    columns: () => [
+      { header: "id", value: (a) => a._id },
+      { header: "name", value: (a) => a.name },
+      { header: "type", value: (a) => a.type },
+      { header: "balance", value: (a) => a.balance },
+      { header: "openingBalance", value: (a) => a.openingBalance },
+      { header: "currency", value: (a) => a.currency },
+      { header: "isActive", value: (a) => a.isActive },
+      { header: "createdAt", value: (a) => formatDate(a.createdAt) },
+    ],
+  },
+  budgets: {
+    model: Budget,
+    monthField: "month",
+    sort: { month: -1, category: 1 },
+    columns: () => [
+      { header: "id", value: (b) => b._id },
+      { header: "month", value: (b) => b.month },
+      { header: "category", value: (b) => b.category },
+      { header: "amount", value: (b) => b.amount },
+      { header: "carryForward", value: (b) => b.carryForward },
+    ],
+  },
+  fixedExpenses: {
+    model: FixedExpense,
+    accountFields: ["accountId"],
+    sort: { dueDate: 1 },
+    columns: (accountNames) => [
+      { header: "id", value: (f) => f._id },
+      { header: "title", value: (f) => f.title },
+      { header: "amount", value: (f) => f.amount },
+      { header: "category", value: (f) => f.category },
+      { header: "frequency", value: (f) => f.frequency },
+      { header: "dueDate", value: (f) => f.dueDate },
+      { header: "startDate", value: (f) => formatDate(f.startDate) },
+      { header: "tags", value: (f) => f.tags?.join(";") },
+      { header: "account", value: (f) => accountNames.get(String(f.accountId)) },
+      { header: "isActive", value: (f) => f.isActive },
+    ],
+  },
+  possibleExpenses: {
+    model: PossibleExpense,
+    accountFields: ["accountId"],
+    sort: { createdAt: -1 },
+    columns: (accountNames) => [
+      { header: "id", value: (p) => p._id },
+      { header: "title", value: (p) => p.title },
+      { header: "expectedAmount", value: (p) => p.expectedAmount },
+      { header: "category", value: (p) => p.category },
+      { header: "account", value: (p) => accountNames.get(String(p.accountId)) },
+      { header: "notes", value: (p) => p.notes },
+    ],
+  },
+  borrowings: {
+    model: Borrowing,
+    dateField: "transactionDate",
+    accountFields: ["accountId"],
+    sort: { transactionDate: -1 },
+    columns: (accountNames) => [
+      { header: "id", value: (b) => b._id },
+      { header: "personName", value: (b) => b.personName },
+      { header: "type", value: (b) => b.type },
+      { header: "amount", value: (b) => b.amount },
+      { header: "description", value: (b) => b.description },
+      { header: "transactionDate", value: (b) => formatDate(b.transactionDate) },
+      { header: "dueDate", value: (b) => formatDate(b.dueDate) },
+      { header: "isPaid", value: (b) => b.isPaid },
+      { header: "paidDate", value: (b) => formatDate(b.paidDate) },
+      { header: "tags", value: (b) => b.tags?.join(";") },
+      { header: "account", value: (b) => accountNames.get(String(b.accountId)) },
+      { header: "isActive", value: (b) => b.isActive },
+    ],
+  },
+  savingsGoals: {
+    model: TargetSavings,
+    accountFields: ["accountId"],
+    sort: { createdAt: -1 },
+    columns: (accountNames) => [
+      { header: "id", value: (s) => s._id },
+      { header: "title", value: (s) => s.title },
+      { header: "targetAmount", value: (s) => s.targetAmount },
+      { header: "currentAmount", value: (s) => s.currentAmount },
+      { header: "startDate", value: (s) => formatDate(s.startDate) },
+      { header: "account", value: (s) => accountNames.get(String(s.accountId)) },
+      { header: "description", value: (s) => s.description },
+      { header: "isActive", value: (s) => s.isActive },
+    ],
+  },
+};
+
+// Read and check the shared startDate/endDate/accountId query filters.
+// Returns { error } with a status and message when they are unusable.
+const parseFilters = async (userId, query) => {
+  const filters = {};
+
+  for (const field of ["startDate", "endDate"]) {
+    if (query[field]) {
+      const date = new Date(query[field]);
+      if (Number.isNaN(date.getTime())) {
+        return { error: { status: 400, message: `Invalid ${field}` } };
+      }
+      filters[field] = date;
+    }
+  }
+
+  if (query.accountId) {
+    const account = await Account.findOne({ _id: query.accountId, userId });
+    if (!account) {
+      return { error: { status: 404, message: "Account not found" } };
+    }
+    filters.accountId = account._id;
+  }
+
+  return { filters };
+};
+
+const buildQuery = (entity, userId, filters) => {
+  const query = { userId };
+
+  if (entity.dateField && (filters.startDate || filters.endDate)) {
+    query[entity.dateField] = {};
+    if (filters.startDate) query[entity.dateField].$gte = filters.startDate;
+    if (filters.endDate) query[entity.dateField].$lte = filters.endDate;
+  }
+
+  // Budgets are keyed by "YYYY-MM" month strings
+  if (entity.monthField && (filters.startDate || filters.endDate)) {
+    query[entity.monthField] = {};
+    if (filters.startDate) {
+      query[entity.monthField].$gte = formatDate(filters.startDate).slice(0, 7);
+    }
+    if (filters.endDate) {
+      query[entity.monthField].$lte = formatDate(filters.endDate).slice(0, 7);
+    }
+  }
+
+  if (filters.accountId) {
+    // Collections without an account (budgets) are not account-specific
+    if (!entity.accountFields) return query;
+    query.$or = entity.accountFields.map((field) => ({
+      [field]: filters.accountId,
+    }));
+  }
+
+  return query;
+};
+
+const findRecords = (entity, userId, filters) =>
+  entity.model
+    .find(buildQuery(entity, userId, filters))
+    .sort(entity.sort)
+    .select("-__v -userId")
+    .lean();
+
+const getAccountNames = async (userId) => {
+  const accounts = await Account.find({ userId }).select("name").lean();
+  return new Map(accounts.map((account) => [String(account._id), account.name]));
+};
+
+const sendFile = (res, { fileName, contentType, body }) => {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  res.send(body);
+};
+
+export const exportArchive = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const names = req.query.entities
+      ? String(req.query.entities).split(",").map((name) => name.trim())
+      : Object.keys(ENTITIES);
+
+    const unknown = names.filter((name) => !ENTITIES[name]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown export entities: ${unknown.join(", ")}`,
+      });
+    }
+
+    const { error, filters } = await parseFilters(userId, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const records = await Promise.all(
+      names.map((name) => findRecords(ENTITIES[name], userId, filters))
+    );
+
+    const exportedAt = new Date();
+    const archive = {
+      exportedAt,
+      user: {
+        name: req.user.name,
+        email: req.user.email,
+        settings: req.user.settings,
+      },
+      // Set when exporting a household's shared records
+      household: req.workspace.household?.getSummary(req.user._id) || null,
+      filters: {
+        startDate: filters.startDate ? formatDate(filters.startDate) : null,
+        endDate: filters.endDate ? formatDate(filters.endDate) : null,
+        accountId: filters.accountId || null,
+      },
+      counts: Object.fromEntries(
+        names.map((name, index) => [name, records[index].length])
+      ),
+      data: Object.fromEntries(
+        names.map((name, index) => [name, records[index]])
+      ),
+    };
+
+    sendFile(res, {
+      fileName: `flowtrance-export-${formatDate(exportedAt)}.json`,
+      contentType: "application/json",
+      body: JSON.stringify(archive, null, 2),
+    });
+  } catch (error) {
+    console.error("Export archive error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const exportEntity = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { entity: name } = req.params;
+    const { format = "csv" } = req.query;
+
+    const entity = ENTITIES[name];
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown export entity",
+      });
+    }
+
+    if (!["csv", "json", "ofx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv, json or ofx",
+      });
+    }
+
+    if (format === "ofx" && name !== "transactions") {
+      return res.status(400).json({
+        success: false,
+        message: "OFX export is only available for transactions",
+      });
+    }
+
+    const { error, filters } = await parseFilters(userId, req.query);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const records = await findRecords(entity, userId, filters);
+    const baseName = `flowtrance-${name}-${formatDate(new Date())}`;
+
+    if (format === "json") {
+      return sendFile(res, {
+        fileName: `${baseName}.json`,
+        contentType: "application/json",
+        body: JSON.stringify(records, null, 2),
+      });
+    }
+
+    if (format === "csv") {
+      const accountNames = await getAccountNames(userId);
+      return sendFile(res, {
+        fileName: `${baseName}.csv`,
+        contentType: "text/csv; charset=utf-8",
+        body: toCSV(records, entity.columns(accountNames)),
+      });
+    }
+
+    // OFX: one statement per account, with each transaction signed from
+    // that account's side (transfers appear in both statements)
+    const accounts = await Account.find(
+      filters.accountId ? { _id: filters.accountId, userId } : { userId }
+    );
+    const statements = accounts.map((account) => ({
+      account,
+      transactions: [],
+    }));
+    const byAccount = new Map(
+      statements.map((statement) => [String(statement.account._id), statement])
+    );
+
+    for (const record of records) {
+      const transaction = Transaction.hydrate(record);
+      for (const effect of transaction.getBalanceEffects()) {
+        byAccount
+          .get(String(effect.accountId))
+          ?.transactions.push({ transaction, amount: effect.amount });
+      }
+    }
+
+    sendFile(res, {
+      fileName: `${baseName}.ofx`,
+      contentType: "application/x-ofx",
+      body: toOFX(
+        statements.filter((statement) => statement.transactions.length > 0),
+        { startDate: filters.startDate, endDate: filters.endDate }
+      ),
+    });
+  } catch (error) {
+    console.error("Export entity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -1,16 +1,55 @@
 import FixedExpense from "../models/FixedExpense.js";
+import FixedExpenseOccurrence from "../models/FixedExpenseOccurrence.js";
 import Account from "../models/Account.js";
+import Transaction from "../models/Transaction.js";
+import Tag from "../models/Tag.js";
+import Category from "../models/Category.js";
+import { withTransaction } from "../utils/db.js";
+
+// Resolve the schedule from a request: dueDate may be a day of the month or
+// the date of the first occurrence
+const resolveSchedule = ({ dueDate, startDate }) => {
+  const schedule = {};
+  const day = Number(dueDate);
+
+  if (Number.isInteger(day) && day >= 1 && day <= 31) {
+    schedule.dueDate = day;
+    if (startDate) schedule.startDate = new Date(startDate);
+  } else if (dueDate || startDate) {
+    schedule.startDate = new Date(startDate || dueDate);
+    schedule.dueDate = dueDate
+      ? new Date(dueDate).getUTCDate()
+      : schedule.startDate.getUTCDate();
+  }
+
+  return schedule;
+};
+
+const formatFixedExpense = (expense) => ({
+  id: expense._id,
+  title: expense.title,
+  amount: expense.amount,
+  category: expense.category,
+  dueDate: expense.dueDate,
+  frequency: expense.frequency,
+  startDate: expense.startDate,
+  nextDueDate: expense.getNextDueDate(),
+  isPaid: expense.isPaid,
+  tags: expense.tags,
+  account: expense.accountId._id,
+  accountName: expense.accountId.name,
+});
 
 export const createFixedExpense = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const {
       title,
       amount,
-      category,
-      dueDate,
       accountId,
+      frequency = "monthly",
       isPaid = false,
+      tags,
     } = req.body;
 
     // Verify account exists and belongs to user
@@ -22,32 +61,48 @@ export const createFixedExpense = async (req, res) => {
       });
     }
 
+    const [category] = await Category.resolve(
+      userId,
+      [req.body.category],
+      "expense"
+    );
+
     const fixedExpense = new FixedExpense({
       userId,
       title,
       amount: parseFloat(amount),
       category,
-      dueDate: new Date(dueDate),
       accountId,
-      isPaid,
+      frequency,
+      tags,
+      ...resolveSchedule(req.body),
     });
 
+    // A bare day of the month starts on its next occurrence
+    if (!fixedExpense.startDate) {
+      fixedExpense.startDate = fixedExpense.getNextDueDate();
+    }
+
+    await Tag.ensureTags(userId, tags);
     await fixedExpense.save();
+    await fixedExpense.syncOccurrences();
+
+    // Created as already paid: settle the first occurrence without posting a
+    // transaction, as it was paid outside the app
+    if (isPaid) {
+      await FixedExpenseOccurrence.updateOne(
+        { fixedExpenseId: fixedExpense._id, dueDate: fixedExpense.startDate },
+        { isPaid: true, paidDate: new Date() }
+      );
+      await fixedExpense.syncOccurrences();
+    }
+
     await fixedExpense.populate("accountId", "name type");
 
     res.status(201).json({
       success: true,
       message: "Fixed expense created successfully",
-      data: {
-        id: fixedExpense._id,
-        title: fixedExpense.title,
-        amount: fixedExpense.amount,
-        category: fixedExpense.category,
-        dueDate: fixedExpense.dueDate,
-        isPaid: fixedExpense.isPaid,
-        account: fixedExpense.accountId._id,
-        accountName: fixedExpense.accountId.name,
-      },
+      data: formatFixedExpense(fixedExpense),
     });
   } catch (error) {
     console.error("Create fixed expense error:", error);
@@ -60,9 +115,12 @@ export const createFixedExpense = async (req, res) => {
 
 export const getFixedExpenses = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { isActive, isPaid, category } = req.query;
 
+    // Roll paid status over into the current period before filtering on it
+    await FixedExpense.rollOver({ userId });
+
     const filters = { userId };
     if (isActive !== undefined) {
       filters.isActive = isActive === "true";
@@ -80,16 +138,7 @@ export const getFixedExpenses = async (req, res) => {
 
     res.json({
       success: true,
-      data: fixedExpenses.map((expense) => ({
-        id: expense._id,
-        title: expense.title,
-        amount: expense.amount,
-        category: expense.category,
-        dueDate: expense.dueDate,
-        isPaid: expense.isPaid,
-        account: expense.accountId._id,
-        accountName: expense.accountId.name,
-      })),
+      data: fixedExpenses.map(formatFixedExpense),
     });
   } catch (error) {
     console.error("Get fixed expenses error:", error);
@@ -102,9 +151,9 @@ export const getFixedExpenses = async (req, res) => {
 
 export const updateFixedExpense = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
-    const updateData = req.body;
+    const { dueDate, startDate, ...updateData } = req.body;
 
     // Find fixed expense and verify ownership
     const fixedExpense = await FixedExpense.findOne({ _id: id, userId });
@@ -115,26 +164,75 @@ export const updateFixedExpense = async (req, res) => {
       });
     }
 
-    // Update fixed expense
-    const updatedFixedExpense = await FixedExpense.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate("accountId", "name type");
+    if (updateData.accountId) {
+      const account = await Account.findOne({
+        _id: updateData.accountId,
+        userId,
+      });
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: "Account not found",
+        });
+      }
+    }
+
+    // Paid status belongs to the current occurrence; use mark-paid instead
+    delete updateData.isPaid;
+
+    if (updateData.category) {
+      [updateData.category] = await Category.resolve(
+        userId,
+        [updateData.category],
+        "expense"
+      );
+    }
+
+    const scheduleChanged =
+      dueDate !== undefined ||
+      startDate !== undefined ||
+      (updateData.frequency &&
+        updateData.frequency !== fixedExpense.frequency);
+
+    const schedule = resolveSchedule({ dueDate, startDate });
+    fixedExpense.set({ ...updateData, ...schedule });
+
+    // A new day or frequency without a start date restarts the schedule on
+    // its next occurrence, rather than back-filling it from the old start
+    if (scheduleChanged && !schedule.startDate) {
+      fixedExpense.startDate = undefined;
+      fixedExpense.startDate = fixedExpense.getNextDueDate();
+    }
+
+    await Tag.ensureTags(userId, updateData.tags);
+    await fixedExpense.save();
+
+    // Unpaid occurrences from today on follow the new amount and schedule
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    if (scheduleChanged) {
+      await FixedExpenseOccurrence.deleteMany({
+        fixedExpenseId: fixedExpense._id,
+        isPaid: false,
+        dueDate: { $gte: today },
+      });
+    } else if (updateData.amount) {
+      await FixedExpenseOccurrence.updateMany(
+        { fixedExpenseId: fixedExpense._id, isPaid: false },
+        { amount: fixedExpense.amount }
+      );
+    }
+    await fixedExpense.syncOccurrences();
+
+    const updatedFixedExpense = await fixedExpense.populate(
+      "accountId",
+      "name type"
+    );
 
     res.json({
       success: true,
       message: "Fixed expense updated successfully",
-      data: {
-        id: updatedFixedExpense._id,
-        title: updatedFixedExpense.title,
-        amount: updatedFixedExpense.amount,
-        category: updatedFixedExpense.category,
-        dueDate: updatedFixedExpense.dueDate,
-        isPaid: updatedFixedExpense.isPaid,
-        account: updatedFixedExpense.accountId._id,
-        accountName: updatedFixedExpense.accountId.name,
-      },
+      data: formatFixedExpense(updatedFixedExpense),
     });
   } catch (error) {
     console.error("Update fixed expense error:", error);
@@ -147,7 +245,7 @@ export const updateFixedExpense = async (req, res) => {
 
 export const deleteFixedExpense = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
 
     // Find fixed expense and verify ownership
@@ -159,8 +257,9 @@ export const deleteFixedExpense = async (req, res) => {
       });
     }
 
-    // Delete fixed expense
-    await FixedExpense.findByIdAndDelete(id);
+    // Move fixed expense to the trash. Its schedule goes when it is purged
+    // (see FixedExpense.purgeDeleted).
+    await fixedExpense.softDelete();
 
     res.json({
       success: true,
@@ -177,8 +276,9 @@ export const deleteFixedExpense = async (req, res) => {
 
 export const markAsPaid = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
+    const { occurrenceId, amount, date } = req.body;
 
     // Find fixed expense and verify ownership
     const fixedExpense = await FixedExpense.findOne({ _id: id, userId });
@@ -189,23 +289,91 @@ export const markAsPaid = async (req, res) => {
       });
     }
 
-    // Mark as paid
-    fixedExpense.isPaid = true;
-    await fixedExpense.save();
+    await fixedExpense.syncOccurrences();
+
+    // Pay the requested occurrence, or else the oldest unpaid one
+    const occurrence = occurrenceId
+      ? await FixedExpenseOccurrence.findOne({
+          _id: occurrenceId,
+          fixedExpenseId: fixedExpense._id,
+        })
+      : await FixedExpenseOccurrence.findOne({
+          fixedExpenseId: fixedExpense._id,
+          isPaid: false,
+        }).sort({ dueDate: 1 });
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "No unpaid occurrence found",
+      });
+    }
+
+    if (occurrence.isPaid) {
+      return res.status(400).json({
+        success: false,
+        message: "Occurrence is already paid",
+      });
+    }
+
+    const paidDate = date ? new Date(date) : new Date();
+    const transaction = new Transaction({
+      userId,
+      accountId: fixedExpense.accountId,
+      type: "expense",
+      amount: amount ? parseFloat(amount) : occurrence.amount,
+      description: fixedExpense.title,
+      category: fixedExpense.category,
+      tags: fixedExpense.tags,
+      date: paidDate,
+    });
+
+    // Settle the occurrence, post the expense and update the account
+    // balance atomically. The occurrence is only settled if it is still
+    // unpaid, so that concurrent requests cannot pay it twice.
+    const settled = await withTransaction(async (session) => {
+      const { modifiedCount } = await FixedExpenseOccurrence.updateOne(
+        { _id: occurrence._id, isPaid: false },
+        {
+          $set: {
+            isPaid: true,
+            paidDate,
+            transactionId: transaction._id,
+          },
+        },
+        { session }
+      );
+      if (modifiedCount === 0) return false;
+
+      await transaction.save({ session });
+      await Account.adjustBalance(
+        fixedExpense.accountId,
+        -transaction.amount,
+        session
+      );
+      return true;
+    });
+    if (!settled) {
+      return res.status(400).json({
+        success: false,
+        message: "Occurrence is already paid",
+      });
+    }
+
+    occurrence.isPaid = true;
+    occurrence.paidDate = paidDate;
+    occurrence.transactionId = transaction._id;
+
+    await fixedExpense.syncOccurrences();
     await fixedExpense.populate("accountId", "name type");
 
     res.json({
       success: true,
       message: "Fixed expense marked as paid",
       data: {
-        id: fixedExpense._id,
-        title: fixedExpense.title,
-        amount: fixedExpense.amount,
-        category: fixedExpense.category,
-        dueDate: fixedExpense.dueDate,
-        isPaid: fixedExpense.isPaid,
-        account: fixedExpense.accountId._id,
-        accountName: fixedExpense.accountId.name,
+        ...formatFixedExpense(fixedExpense),
+        occurrence: occurrence.getSummary(),
+        transactionId: transaction._id,
       },
     });
   } catch (error) {
@@ -217,38 +385,76 @@ export const markAsPaid = async (req, res) => {
   }
 };
 
+export const getOccurrences = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+    const { isPaid } = req.query;
+
+    // Find fixed expense and verify ownership
+    const fixedExpense = await FixedExpense.findOne({ _id: id, userId });
+    if (!fixedExpense) {
+      return res.status(404).json({
+        success: false,
+        message: "Fixed expense not found",
+      });
+    }
+
+    await fixedExpense.syncOccurrences();
+
+    const filters = { fixedExpenseId: fixedExpense._id };
+    if (isPaid !== undefined) {
+      filters.isPaid = isPaid === "true";
+    }
+
+    const occurrences = await FixedExpenseOccurrence.find(filters).sort({
+      dueDate: -1,
+    });
+
+    res.json({
+      success: true,
+      data: occurrences.map((occurrence) => occurrence.getSummary()),
+    });
+  } catch (error) {
+    console.error("Get occurrences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
 export const getUpcomingExpenses = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { days = 30 } = req.query;
 
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() + parseInt(days));
-
-    const upcomingExpenses = await FixedExpense.find({
+    const occurrences = await FixedExpense.getUpcomingExpenses(
       userId,
-      isActive: true,
-      dueDate: { $lte: endDate },
-      $or: [{ isPaid: false }, { isPaid: { $exists: false } }],
-    })
-      .populate("accountId", "name type")
-      .sort({ dueDate: 1 });
+      parseInt(days)
+    );
 
     res.json({
       success: true,
-      data: upcomingExpenses.map((expense) => ({
-        id: expense._id,
-        title: expense.title,
-        amount: expense.amount,
-        category: expense.category,
-        dueDate: expense.dueDate,
-        isPaid: expense.isPaid,
-        account: expense.accountId._id,
-        accountName: expense.accountId.name,
-        daysUntilDue: Math.ceil(
-          (expense.dueDate - new Date()) / (1000 * 60 * 60 * 24)
-        ),
-      })),
+      data: occurrences.map((occurrence) => {
+        const expense = occurrence.fixedExpenseId;
+        return {
+          id: expense._id,
+          occurrenceId: occurrence._id,
+          title: expense.title,
+          amount: occurrence.amount,
+          category: expense.category,
+          dueDate: occurrence.dueDate,
+          frequency: expense.frequency,
+          isPaid: occurrence.isPaid,
+          isOverdue: occurrence.isOverdue,
+          account: expense.accountId._id,
+          accountName: expense.accountId.name,
+          daysUntilDue: Math.ceil(
+            (occurrence.dueDate - new Date()) / (1000 * 60 * 60 * 24)
+          ),
+        };
+      }),
     });
   } catch (error) {
     console.error("Get upcoming expenses error:", error);
@@ -0,0 +1,392 @@
+import User from "../models/User.js";
+import Household from "../models/Household.js";
+import HouseholdInvitation from "../models/HouseholdInvitation.js";
+import Category from "../models/Category.js";
+import { sendMail, appUrl } from "../utils/mailer.js";
+
+const getInvitationTtlDays = () =>
+  parseInt(process.env.HOUSEHOLD_INVITATION_EXPIRES_DAYS) || 7;
+
+// Find the household for a member, answering 404 (or 403 unless they are
+// the owner, when ownerOnly is set). Resolves with the household, or null
+// once a response has been sent.
+const findHousehold = async (req, res, { ownerOnly = false } = {}) => {
+  const household = await Household.findForMember(req.params.id, req.user._id);
+  if (!household) {
+    res.status(404).json({
+      success: false,
+      message: "Household not found",
+    });
+    return null;
+  }
+
+  if (ownerOnly && household.getMember(req.user._id).role !== "owner") {
+    res.status(403).json({
+      success: false,
+      message: "Only the household owner can do this",
+    });
+    return null;
+  }
+
+  return household;
+};
+
+// Members with their names and emails, in the order they joined
+const getMembers = async (household) => {
+  const users = await User.find({
+    _id: { $in: household.members.map((member) => member.userId) },
+  }).select("name email");
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  return household.members.map((member) => ({
+    userId: member.userId,
+    name: usersById.get(String(member.userId))?.name,
+    email: usersById.get(String(member.userId))?.email,
+    role: member.role,
+    joinedAt: member.joinedAt,
+  }));
+};
+
+export const createHousehold = async (req, res) => {
+  try {
+    const { name, currency } = req.body;
+
+    const household = await Household.create({
+      name,
+      currency: currency || req.user.settings?.currency || "USD",
+      members: [{ userId: req.user._id, role: "owner" }],
+    });
+    await Category.seedDefaults(household._id);
+
+    res.status(201).json({
+      success: true,
+      message: "Household created successfully",
+      data: household.getSummary(req.user._id),
+    });
+  } catch (error) {
+    console.error("Create household error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getHouseholds = async (req, res) => {
+  try {
+    const households = await Household.find({
+      "members.userId": req.user._id,
+    }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: households.map((household) => household.getSummary(req.user._id)),
+    });
+  } catch (error) {
+    console.error("Get households error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getHousehold = async (req, res) => {
+  try {
+    const household = await findHousehold(req, res);
+    if (!household) return;
+
+    const summary = household.getSummary(req.user._id);
+    const members = await getMembers(household);
+
+    // Only the owner sees who has been invited
+    let invitations;
+    if (summary.role === "owner") {
+      const pending = await HouseholdInvitation.find({
+        householdId: household._id,
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ createdAt: -1 });
+      invitations = pending.map((invitation) => invitation.getSummary());
+    }
+
+    res.json({
+      success: true,
+      data: { ...summary, members, invitations },
+    });
+  } catch (error) {
+    console.error("Get household error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const updateHousehold = async (req, res) => {
+  try {
+    const household = await findHousehold(req, res, { ownerOnly: true });
+    if (!household) return;
+
+    const { name, currency } = req.body;
+    if (name !== undefined) household.name = name;
+    if (currency !== undefined) household.currency = currency;
+    await household.save();
+
+    res.json({
+      success: true,
+      message: "Household updated successfully",
+      data: household.getSummary(req.user._id),
+    });
+  } catch (error) {
+    console.error("Update household error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Deleting a household erases all its shared records
+export const deleteHousehold = async (req, res) => {
+  try {
+    const household = await findHousehold(req, res, { ownerOnly: true });
+    if (!household) return;
+
+    await household.erase();
+
+    res.json({
+      success: true,
+      message: "Household deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete household error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const inviteMember = async (req, res) => {
+  try {
+    const household = await findHousehold(req, res, { ownerOnly: true });
+    if (!household) return;
+
+    const { email, role } = req.body;
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser && household.getMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "This user is already a member of the household",
+      });
+    }
+
+    const ttlDays = getInvitationTtlDays();
+    const { invitation, token } = await HouseholdInvitation.issue(
+      { householdId: household._id, email, role, invitedBy: req.user._id },
+      ttlDays
+    );
+
+    await sendMail({
+      to: invitation.email,
+      subject: `You have been invited to join ${household.name}`,
+      text:
+        `Hi,\n\n` +
+        `${req.user.name} invited you to share the household ` +
+        `"${household.name}" as ${role === "editor" ? "an" : "a"} ${role}. ` +
+        `Sign in (or create an account) with this email address and open ` +
+        `the link below within ${ttlDays} days to accept.\n\n` +
+        `${appUrl("/households/accept", { token })}\n\n` +
+        `If you were not expecting this, you can ignore this email.`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: invitation.getSummary(),
+    });
+  } catch (error) {
+    console.error("Invite household member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const revokeInvitation = async (req, res) => {
+  try {
+    const household = await findHousehold(req, res, { ownerOnly: true });
+    if (!household) return;
+
+    const result = await HouseholdInvitation.deleteOne({
+      _id: req.params.invitationId,
+      householdId: household._id,
+      acceptedAt: null,
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invitation revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke household invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Invitations can only be accepted by the account they were sent to
+export const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await HouseholdInvitation.findPending(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: "This invitation was sent to a different email address",
+      });
+    }
+
+    const household = await Household.findById(invitation.householdId);
+    if (!household || !(await invitation.accept(req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      });
+    }
+
+    // Accepting again (e.g. a second invitation) keeps the current role
+    await Household.updateOne(
+      { _id: household._id, "members.userId": { $ne: req.user._id } },
+      { $push: { members: { userId: req.user._id, role: invitation.role } } }
+    );
+    const updated = await Household.findById(household._id);
+
+    res.json({
+      success: true,
+      message: `You joined ${household.name}`,
+      data: updated.getSummary(req.user._id),
+    });
+  } catch (error) {
+    console.error("Accept household invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// Making another member the owner hands ownership over; the previous owner
+// becomes an editor
+export const updateMember = async (req, res) => {
+  try {
+    const household = await findHousehold(req, res, { ownerOnly: true });
+    if (!household) return;
+
+    const member = household.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    if (member.userId.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Make another member the owner to change your own role",
+      });
+    }
+
+    const { role } = req.body;
+    if (role === "owner") {
+      household.getMember(req.user._id).role = "editor";
+    }
+    member.role = role;
+    await household.save();
+
+    res.json({
+      success: true,
+      message: "Member updated successfully",
+      data: {
+        ...household.getSummary(req.user._id),
+        members: await getMembers(household),
+      },
+    });
+  } catch (error) {
+    console.error("Update household member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+// The owner may remove anyone else; any other member may leave
+export const removeMember = async (req, res) => {
+  try {
+    const household = await findHousehold(req, res);
+    if (!household) return;
+
+    const member = household.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found",
+      });
+    }
+
+    const isSelf = member.userId.equals(req.user._id);
+    const isOwner = household.getMember(req.user._id).role === "owner";
+
+    if (!isSelf && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the household owner can do this",
+      });
+    }
+
+    if (isSelf && isOwner) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Make another member the owner before leaving, or delete the household",
+      });
+    }
+
+    household.members = household.members.filter(
+      (other) => !other.userId.equals(member.userId)
+    );
+    await household.save();
+
+    res.json({
+      success: true,
+      message: isSelf
+        ? "You left the household"
+        : "Member removed successfully",
+    });
+  } catch (error) {
+    console.error("Remove household member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,435 @@
+import Transaction from "../models/Transaction.js";
+import Account from "../models/Account.js";
+import ImportBatch from "../models/ImportBatch.js";
+import Attachment from "../models/Attachment.js";
+import Category from "../models/Category.js";
+import { parseStatement } from "../utils/importParsers.js";
+import { withTransaction } from "../utils/db.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Lowercase and strip punctuation/whitespace so "AMAZON.COM*123" and
+// "Amazon.com 123" compare equal
+const normalizeDescription = (description) =>
+  String(description || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const isSimilarDescription = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (!left || !right) return false;
+  return left === right || left.includes(right) || right.includes(left);
+};
+
+// Parse the uploaded statement for the user's account and turn each row into
+// a transaction candidate. Returns { error } with a status and message when
+// the account or file cannot be used.
+const loadStatement = async (userId, body) => {
+  const {
+    accountId,
+    format,
+    content,
+    mapping,
+    delimiter,
+    hasHeader,
+    dateFormat,
+    invertAmounts = false,
+    defaultCategory = "Uncategorized",
+  } = body;
+
+  const account = await Account.findOne({ _id: accountId, userId });
+  if (!account) {
+    return { error: { status: 404, message: "Account not found" } };
+  }
+
+  let parsed;
+  try {
+    parsed = parseStatement(format, content, {
+      mapping,
+      delimiter,
+      hasHeader,
+      dateFormat,
+    });
+  } catch (error) {
+    return { error: { status: 400, message: error.message } };
+  }
+
+  if (parsed.length === 0) {
+    return { error: { status: 400, message: "No transactions found in file" } };
+  }
+
+  const rows = parsed.map((entry, index) => {
+    const errors = [];
+    if (!entry.date) errors.push("Invalid or missing date");
+    if (entry.amount === null || roundAmount(entry.amount) === 0) {
+      errors.push("Invalid or missing amount");
+    }
+
+    const signedAmount = roundAmount(
+      (entry.amount || 0) * (invertAmounts ? -1 : 1)
+    );
+
+    return {
+      row: index,
+      date: entry.date,
+      type: signedAmount >= 0 ? "income" : "expense",
+      amount: Math.abs(signedAmount),
+      signedAmount,
+      description: (entry.description || "Imported transaction").slice(0, 200),
+      category: (entry.category || defaultCategory).slice(0, 50),
+      externalId: entry.externalId,
+      errors,
+      isDuplicate: false,
+      duplicateOf: null,
+    };
+  });
+
+  await flagDuplicates(userId, account, rows);
+
+  return { account, rows };
+};
+
+// Flag rows that most likely already exist in the account: same bank
+// identifier, or same day, same signed amount and a similar description.
+// Each existing transaction can only be matched by one row.
+const flagDuplicates = async (userId, account, rows) => {
+  const validRows = rows.filter((row) => row.errors.length === 0);
+  if (validRows.length === 0) return;
+
+  const times = validRows.map((row) => row.date.getTime());
+  const externalIds = validRows
+    .map((row) => row.externalId)
+    .filter(Boolean);
+
+  const existing = await Transaction.find({
+    userId,
+    $and: [
+      { $or: [{ accountId: account._id }, { toAccountId: account._id }] },
+      {
+        $or: [
+          {
+            date: {
+              $gte: new Date(Math.min(...times)),
+              $lt: new Date(Math.max(...times) + DAY_MS),
+            },
+          },
+          ...(externalIds.length > 0
+            ? [{ externalId: { $in: externalIds } }]
+            : []),
+        ],
+      },
+    ],
+  });
+
+  // Signed effect of each existing transaction on this account
+  const candidates = existing.map((transaction) => ({
+    transaction,
+    day: transaction.date.toISOString().split("T")[0],
+    amount: roundAmount(
+      transaction
+        .getBalanceEffects()
+        .filter((effect) => effect.accountId.equals(account._id))
+        .reduce((sum, effect) => sum + effect.amount, 0)
+    ),
+  }));
+  const matched = new Set();
+
+  for (const row of validRows) {
+    const day = row.date.toISOString().split("T")[0];
+    const match =
+      (row.externalId &&
+        candidates.find(
+          (candidate) =>
+            !matched.has(candidate) &&
+            candidate.transaction.externalId === row.externalId
+        )) ||
+      candidates.find(
+        (candidate) =>
+          !matched.has(candidate) &&
+          candidate.day === day &&
+          candidate.amount === row.signedAmount &&
+          isSimilarDescription(
+            candidate.transaction.description,
+            row.description
+          )
+      );
+
+    if (match) {
+      matched.add(match);
+      row.isDuplicate = true;
+      row.duplicateOf = {
+        id: match.transaction._id,
+        date: match.day,
+        amount: match.transaction.amount,
+        description: match.transaction.description,
+      };
+    }
+  }
+};
+
+const formatRow = (row) => ({
+  row: row.row,
+  date: row.date ? row.date.toISOString().split("T")[0] : null,
+  type: row.type,
+  amount: row.amount,
+  description: row.description,
+  category: row.category,
+  externalId: row.externalId,
+  isValid: row.errors.length === 0,
+  errors: row.errors,
+  isDuplicate: row.isDuplicate,
+  duplicateOf: row.duplicateOf,
+});
+
+export const previewImport = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+
+    const { error, account, rows } = await loadStatement(userId, req.body);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const importable = rows.filter(
+      (row) => row.errors.length === 0 && !row.isDuplicate
+    );
+
+    res.json({
+      success: true,
+      data: {
+        account: account.getSummary(),
+        rows: rows.map(formatRow),
+        summary: {
+          rowCount: rows.length,
+          invalidCount: rows.filter((row) => row.errors.length > 0).length,
+          duplicateCount: rows.filter((row) => row.isDuplicate).length,
+          importableCount: importable.length,
+          netAmount: roundAmount(
+            importable.reduce((sum, row) => sum + row.signedAmount, 0)
+          ),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Preview import error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const commitImport = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { format, fileName, skipRows = [], includeDuplicates = false } =
+      req.body;
+
+    const { error, account, rows } = await loadStatement(userId, req.body);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Invalid rows are always left out; duplicates unless asked for
+    const selected = rows.filter(
+      (row) =>
+        row.errors.length === 0 &&
+        !skipRows.includes(row.row) &&
+        (includeDuplicates || !row.isDuplicate)
+    );
+
+    if (selected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No rows to import",
+      });
+    }
+
+    const netAmount = roundAmount(
+      selected.reduce((sum, row) => sum + row.signedAmount, 0)
+    );
+
+    const batch = new ImportBatch({
+      userId,
+      accountId: account._id,
+      format,
+      fileName,
+      rowCount: rows.length,
+      importedCount: selected.length,
+      skippedCount: rows.length - selected.length,
+      duplicateCount: rows.filter((row) => row.isDuplicate).length,
+      netAmount,
+    });
+
+    // File the rows under the owner's categories, creating those not used
+    // before
+    for (const type of ["income", "expense"]) {
+      const typeRows = selected.filter((row) => row.type === type);
+      const names = await Category.resolve(
+        userId,
+        typeRows.map((row) => row.category),
+        type
+      );
+      typeRows.forEach((row, index) => {
+        row.category = names[index];
+      });
+    }
+
+    const transactions = selected.map((row) => ({
+      userId,
+      accountId: account._id,
+      type: row.type,
+      amount: row.amount,
+      description: row.description,
+      category: row.category,
+      date: row.date,
+      importBatchId: batch._id,
+      externalId: row.externalId || undefined,
+    }));
+
+    // Insert the whole batch and apply its net effect on the balance at once
+    const updatedAccount = await withTransaction(async (session) => {
+      await batch.save({ session });
+      await Transaction.insertMany(transactions, { session });
+      return await Account.adjustBalance(account._id, netAmount, session);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Transactions imported successfully",
+      data: {
+        batch: batch.getSummary(),
+        account: updatedAccount.getSummary(),
+      },
+    });
+  } catch (error) {
+    console.error("Commit import error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const getImports = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { accountId, status, limit = 50 } = req.query;
+
+    const filters = { userId };
+    if (accountId) filters.accountId = accountId;
+    if (status) filters.status = status;
+
+    const batches = await ImportBatch.find(filters)
+      .sort({ createdAt: -1 })
+      .populate("accountId", "name type")
+      .limit(Math.min(parseInt(limit) || 50, 500));
+
+    res.json({
+      success: true,
+      data: batches.map((batch) => batch.getSummary()),
+    });
+  } catch (error) {
+    console.error("Get imports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const undoImport = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+
+    const batch = await ImportBatch.findOne({ _id: id, userId });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    if (batch.status === "undone") {
+      return res.status(400).json({
+        success: false,
+        message: "Import has already been undone",
+      });
+    }
+
+    // Mark the batch undone, reverse what the imported transactions do now
+    // and remove them atomically. Reversing what they do now accounts for
+    // edits made to them since the import (amount, type, account); effects
+    // are netted per account to keep the number of writes small. The batch
+    // is only marked if it is not undone yet, so that concurrent requests
+    // cannot reverse the balances twice.
+    const undoneAt = new Date();
+    const transactions = await withTransaction(async (session) => {
+      const { modifiedCount } = await ImportBatch.updateOne(
+        { _id: batch._id, status: { $ne: "undone" } },
+        { $set: { status: "undone", undoneAt } },
+        { session }
+      );
+      if (modifiedCount === 0) return null;
+
+      const imported = await Transaction.find({
+        importBatchId: batch._id,
+      }).session(session);
+      const netByAccount = new Map();
+      for (const transaction of imported) {
+        for (const effect of transaction.getBalanceEffects()) {
+          const key = effect.accountId.toString();
+          netByAccount.set(key, (netByAccount.get(key) || 0) + effect.amount);
+        }
+      }
+      const effects = [...netByAccount].map(([accountId, amount]) => ({
+        accountId,
+        amount: roundAmount(amount),
+      }));
+
+      await Account.applyBalanceEffects(effects, session, -1);
+      await Transaction.deleteMany({ importBatchId: batch._id }, { session });
+      return imported;
+    });
+    if (!transactions) {
+      return res.status(400).json({
+        success: false,
+        message: "Import has already been undone",
+      });
+    }
+
+    batch.status = "undone";
+    batch.undoneAt = undoneAt;
+
+    // Files attached to the removed transactions go with them
+    await Attachment.removeFor({
+      parentType: "Transaction",
+      parentId: { $in: transactions.map((transaction) => transaction._id) },
+    });
+
+    res.json({
+      success: true,
+      message: "Import undone successfully",
+      data: {
+        ...batch.getSummary(),
+        removedCount: transactions.length,
+      },
+    });
+  } catch (error) {
+    console.error("Undo import error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
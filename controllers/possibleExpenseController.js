@@ -1,10 +1,13 @@
 import PossibleExpense from "../models/PossibleExpense.js";
 import Account from "../models/Account.js";
+import Category from "../models/Category.js";
+import Transaction from "../models/Transaction.js";
+import { withTransaction } from "../utils/db.js";
 
 export const createPossibleExpense = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { title, expectedAmount, category, accountId, notes } = req.body;
+    const userId = req.workspace.userId;
+    const { title, expectedAmount, accountId, notes } = req.body;
 
     // Verify account exists and belongs to user
     const account = await Account.findOne({ _id: accountId, userId });
@@ -15,6 +18,12 @@ export const createPossibleExpense = async (req, res) => {
       });
     }
 
+    const [category] = await Category.resolve(
+      userId,
+      [req.body.category],
+      "expense"
+    );
+
     const possibleExpense = new PossibleExpense({
       userId,
       title,
@@ -51,7 +60,7 @@ export const createPossibleExpense = async (req, res) => {
 
 export const getPossibleExpenses = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { category } = req.query;
 
     const filters = { userId };
@@ -86,7 +95,7 @@ export const getPossibleExpenses = async (req, res) => {
 
 export const updatePossibleExpense = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
     const updateData = req.body;
 
@@ -99,6 +108,14 @@ export const updatePossibleExpense = async (req, res) => {
       });
     }
 
+    if (updateData.category) {
+      [updateData.category] = await Category.resolve(
+        userId,
+        [updateData.category],
+        "expense"
+      );
+    }
+
     // Update possible expense
     const updatedPossibleExpense = await PossibleExpense.findByIdAndUpdate(
       id,
@@ -130,7 +147,7 @@ export const updatePossibleExpense = async (req, res) => {
 
 export const deletePossibleExpense = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
 
     // Find possible expense and verify ownership
@@ -142,8 +159,8 @@ export const deletePossibleExpense = async (req, res) => {
       });
     }
 
-    // Delete possible expense
-    await PossibleExpense.findByIdAndDelete(id);
+    // Move possible expense to the trash
+    await possibleExpense.softDelete();
 
     res.json({
       success: true,
@@ -160,7 +177,7 @@ export const deletePossibleExpense = async (req, res) => {
 
 export const getPossibleExpensesByCategory = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { category } = req.params;
 
     const possibleExpenses = await PossibleExpense.find({
@@ -201,7 +218,7 @@ export const getPossibleExpensesByCategory = async (req, res) => {
 
 export const convertToTransaction = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
     const { amount, description, date } = req.body;
 
@@ -215,7 +232,6 @@ export const convertToTransaction = async (req, res) => {
     }
 
     // Create transaction
-    const Transaction = (await import("../models/Transaction.js")).default;
     const transaction = new Transaction({
       userId,
       accountId: possibleExpense.accountId,
@@ -226,19 +242,19 @@ export const convertToTransaction = async (req, res) => {
       date: new Date(date) || new Date(),
     });
 
-    await transaction.save();
+    // Save the transaction, update the account balance and delete the
+    // possible expense atomically
+    const account = await withTransaction(async (session) => {
+      await transaction.save({ session });
+      await PossibleExpense.findByIdAndDelete(id, { session });
+      return await Account.adjustBalance(
+        possibleExpense.accountId,
+        -transaction.amount,
+        session
+      );
+    });
     await transaction.populate("accountId", "name type");
 
-    // Update account balance
-    const account = await Account.findById(possibleExpense.accountId);
-    if (account) {
-      account.balance -= transaction.amount;
-      await account.save();
-    }
-
-    // Delete possible expense
-    await PossibleExpense.findByIdAndDelete(id);
-
     res.json({
       success: true,
       message: "Possible expense converted to transaction",
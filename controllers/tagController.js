@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import Tag, { getEmptyUsage, normalizeTagNames } from "../models/Tag.js";
+import { withTransaction } from "../utils/db.js";
+
+const findTag = (id, userId) =>
+  mongoose.isValidObjectId(id) ? Tag.findOne({ _id: id, userId }) : null;
+
+export const getTags = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+
+    const tags = await Tag.find({ userId }).sort({ name: 1 });
+    const usage = await Tag.getUsage(userId);
+
+    res.json({
+      success: true,
+      data: tags.map((tag) => ({
+        ...tag.getSummary(),
+        usage: usage.get(tag.name) || getEmptyUsage(),
+      })),
+    });
+  } catch (error) {
+    console.error("Get tags error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const createTag = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { color } = req.body;
+    const [name] = normalizeTagNames(req.body.name);
+
+    const existingTag = await Tag.findOne({ userId, name });
+    if (existingTag) {
+      return res.status(400).json({
+        success: false,
+        message: "Tag already exists",
+      });
+    }
+
+    const tag = new Tag({ userId, name, color });
+    await tag.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Tag created successfully",
+      data: { ...tag.getSummary(), usage: getEmptyUsage() },
+    });
+  } catch (error) {
+    console.error("Create tag error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const updateTag = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+    const { color } = req.body;
+    const [name] = normalizeTagNames(req.body.name);
+
+    const tag = await findTag(id, userId);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    if (color) tag.color = color;
+
+    if (name && name !== tag.name) {
+      const existingTag = await Tag.findOne({ userId, name });
+      if (existingTag) {
+        return res.status(400).json({
+          success: false,
+          message: "Tag already exists",
+        });
+      }
+
+      // Rename the tag on every record carrying it atomically
+      await withTransaction((session) => tag.rename(name, session));
+    } else {
+      await tag.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Tag updated successfully",
+      data: tag.getSummary(),
+    });
+  } catch (error) {
+    console.error("Update tag error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const deleteTag = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { id } = req.params;
+
+    const tag = await findTag(id, userId);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    // Remove the tag from every record carrying it atomically
+    await withTransaction((session) => tag.erase(session));
+
+    res.json({
+      success: true,
+      message: "Tag deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete tag error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -1,12 +1,14 @@
 import TargetSavings from "../models/TargetSavings.js";
 import Transaction from "../models/Transaction.js";
 import Budget from "../models/Budget.js";
+import Account from "../models/Account.js";
 import mongoose from "mongoose";
+import { createConverter } from "../utils/currency.js";
 
 // Create a new target savings goal
 export const createTargetSavings = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { title, targetAmount, description, color, accountId } = req.body;
 
     const targetSavings = new TargetSavings({
@@ -37,7 +39,7 @@ export const createTargetSavings = async (req, res) => {
 // Get all target savings for a user
 export const getUserTargetSavings = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
 
     const targets = await TargetSavings.find({ userId }).populate(
       "accountId",
@@ -60,10 +62,14 @@ export const getUserTargetSavings = async (req, res) => {
 // Get a specific target savings with analysis
 export const getTargetSavingsById = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
 
-    const target = await TargetSavings.getTargetWithAnalysis(id, userId);
+    const target = await TargetSavings.getTargetWithAnalysis(
+      id,
+      userId,
+      req.workspace.currency
+    );
 
     if (!target) {
       return res.status(404).json({
@@ -88,7 +94,7 @@ export const getTargetSavingsById = async (req, res) => {
 // Update target savings
 export const updateTargetSavings = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
     const updateData = req.body;
 
@@ -135,7 +141,7 @@ export const updateTargetSavings = async (req, res) => {
 // Delete target savings
 export const deleteTargetSavings = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { id } = req.params;
 
     const target = await TargetSavings.findOne({ _id: id, userId });
@@ -147,7 +153,7 @@ export const deleteTargetSavings = async (req, res) => {
       });
     }
 
-    await TargetSavings.findByIdAndDelete(id);
+    await target.softDelete();
 
     res.json({
       success: true,
@@ -165,7 +171,7 @@ export const deleteTargetSavings = async (req, res) => {
 // Check if a transaction would exceed any target savings
 export const checkTargetSavingsWarning = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const { amount, type } = req.body;
 
     // Only check for expense transactions
@@ -181,22 +187,12 @@ export const checkTargetSavingsWarning = async (req, res) => {
 
     const warnings = [];
 
-    // Get total balance
-    const totalBalanceAgg = await mongoose.model("Account").aggregate([
-      {
-        $match: {
-          userId: new mongoose.Types.ObjectId(userId),
-          isActive: true,
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          totalBalance: { $sum: "$balance" },
-        },
-      },
-    ]);
-    const totalBalanceAmount = totalBalanceAgg[0]?.totalBalance || 0;
+    // Get total balance in the user's currency
+    const converter = await createConverter(userId, req.workspace.currency);
+    const totalBalanceAmount = await Account.getTotalBalance(
+      userId,
+      converter
+    );
     
     // Get total savings target (not current amount, but target amount)
     const totalSavingsTarget = targets.reduce(
@@ -244,7 +240,7 @@ export const checkTargetSavingsWarning = async (req, res) => {
 // Get savings overview
 export const getSavingsOverview = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
 
     // Get all active targets
     const targets = await TargetSavings.find({
@@ -252,23 +248,12 @@ export const getSavingsOverview = async (req, res) => {
       isActive: true,
     }).populate("accountId", "name");
 
-    // Get total balance from accounts
-    const totalBalance = await mongoose.model("Account").aggregate([
-      {
-        $match: {
-          userId: new mongoose.Types.ObjectId(userId),
-          isActive: true,
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          totalBalance: { $sum: "$balance" },
-        },
-      },
-    ]);
-
-    const totalBalanceAmount = totalBalance[0]?.totalBalance || 0;
+    // Get total balance from accounts, in the user's currency
+    const converter = await createConverter(userId, req.workspace.currency);
+    const totalBalanceAmount = await Account.getTotalBalance(
+      userId,
+      converter
+    );
     const totalSavingsTarget = targets.reduce(
       (sum, target) => sum + target.targetAmount,
       0
@@ -1,19 +1,101 @@
 import mongoose from "mongoose";
-import Transaction from "../models/Transaction.js";
+import Transaction, {
+  TRANSACTION_SORT_FIELDS,
+} from "../models/Transaction.js";
 import Account from "../models/Account.js";
+import Tag from "../models/Tag.js";
+import Category from "../models/Category.js";
 import TargetSavings from "../models/TargetSavings.js";
 import {
   updateTargetProgress,
   deductFromSavings,
 } from "./targetSavingsController.js";
+import { withTransaction } from "../utils/db.js";
+import {
+  createConverter,
+  resolveOriginalAmount,
+  resolveTransferAmounts,
+} from "../utils/currency.js";
+
+// Who a request acts as, for Account.findAccessible
+const getAccessor = (req) => ({
+  ownerId: req.workspace.userId,
+  userId: req.user._id,
+});
+
+// Find a transaction in the workspace, or on accounts shared with the user
+// with the given access (for transfers, both accounts must be)
+export const findAccessibleTransaction = async (
+  req,
+  id,
+  access = "contribute"
+) => {
+  const transaction = await Transaction.findById(id);
+  if (!transaction) return null;
+  if (transaction.userId.equals(req.workspace.userId)) return transaction;
+
+  const accounts = await Promise.all(
+    [transaction.accountId, transaction.toAccountId]
+      .filter(Boolean)
+      .map((accountId) =>
+        Account.findAccessible(accountId, getAccessor(req), access)
+      )
+  );
+  const allowed = accounts.every((account) =>
+    account?.userId.equals(transaction.userId)
+  );
+  return allowed ? transaction : null;
+};
+
+// Match the transaction's category (or, when split, its lines') to the
+// owner's categories, creating new ones. Transfers are not categorised.
+const resolveCategories = async (ownerId, transaction) => {
+  if (transaction.type === "transfer") return;
+  if (transaction.splits?.length) {
+    const names = await Category.resolve(
+      ownerId,
+      transaction.splits.map((line) => line.category),
+      transaction.type
+    );
+    transaction.splits.forEach((line, index) => {
+      line.category = names[index];
+    });
+  } else {
+    [transaction.category] = await Category.resolve(
+      ownerId,
+      [transaction.category],
+      transaction.type
+    );
+  }
+};
 
 export const createTransaction = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { type, amount, description, category, accountId, date, time } = req.body;
-
-    // Verify account exists and belongs to user
-    const account = await Account.findOne({ _id: accountId, userId });
+    const userId = req.workspace.userId;
+    const {
+      type,
+      amount,
+      description,
+      category,
+      splits,
+      tags,
+      accountId,
+      toAccountId,
+      toAmount,
+      originalAmount,
+      originalCurrency,
+      exchangeRate,
+      date,
+      time,
+    } = req.body;
+
+    // Verify account exists and belongs to user, or is shared with them to
+    // contribute
+    const account = await Account.findAccessible(
+      accountId,
+      getAccessor(req),
+      "contribute"
+    );
     if (!account) {
       return res.status(404).json({
         success: false,
@@ -21,17 +103,103 @@ export const createTransaction = async (req, res) => {
       });
     }
 
+    // Transactions are kept with the records of the account's owner
+    const ownerId = account.userId;
+
+    // Transfers may name a destination account, which must have the same
+    // owner
+    let toAccount = null;
+    if (toAccountId) {
+      if (type !== "transfer") {
+        return res.status(400).json({
+          success: false,
+          message: "Destination account is only valid for transfers",
+        });
+      }
+      if (toAccountId === accountId) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot transfer to the same account",
+        });
+      }
+      toAccount = await Account.findAccessible(
+        toAccountId,
+        getAccessor(req),
+        "contribute"
+      );
+      if (!toAccount || !toAccount.userId.equals(ownerId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Destination account not found",
+        });
+      }
+    }
+
     // Create transaction with explicit time if provided
     const transactionData = {
-      userId,
+      userId: ownerId,
       accountId,
       type,
       amount,
       description,
       category,
+      splits,
+      tags,
       date: new Date(date),
     };
 
+    // Amounts paid in another currency are stored in the account currency
+    // alongside the original amount and the rate used
+    if (originalAmount) {
+      if (type === "transfer") {
+        return res.status(400).json({
+          success: false,
+          message: "Original currency amounts are not supported for transfers",
+        });
+      }
+      const resolved = await resolveOriginalAmount(ownerId, account, {
+        amount,
+        originalAmount,
+        originalCurrency,
+        exchangeRate,
+        date: transactionData.date,
+      });
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error,
+        });
+      }
+      Object.assign(transactionData, {
+        amount: resolved.amount,
+        originalAmount,
+        originalCurrency,
+        exchangeRate: resolved.exchangeRate,
+      });
+    }
+
+    // Transfers between currencies record what the destination receives
+    if (toAccount) {
+      const resolved = await resolveTransferAmounts(
+        ownerId,
+        account,
+        toAccount,
+        amount,
+        { toAmount, exchangeRate, date: transactionData.date }
+      );
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error,
+        });
+      }
+      Object.assign(transactionData, {
+        toAccountId,
+        toAmount: resolved.toAmount,
+        exchangeRate: resolved.exchangeRate,
+      });
+    }
+
     // Only add time if explicitly provided (from frontend with user's timezone)
     if (time) {
       transactionData.time = time;
@@ -39,29 +207,42 @@ export const createTransaction = async (req, res) => {
 
     const transaction = new Transaction(transactionData);
 
-    await transaction.save();
+    // Split lines must add up to the total, now that it is known
+    const splitError = transaction.getSplitError();
+    if (splitError) {
+      return res.status(400).json({
+        success: false,
+        message: splitError,
+      });
+    }
+
+    // Tags and categories not used before are created for the owner
+    await resolveCategories(ownerId, transaction);
+    await Tag.ensureTags(ownerId, tags);
 
-    // Update account balance
-    const balanceChange = type === "income" ? amount : -amount;
-    account.balance += balanceChange;
-    await account.save();
+    // Save the transaction and update the account balance(s) atomically
+    await withTransaction(async (session) => {
+      await transaction.save({ session });
+      await Account.applyBalanceEffects(
+        transaction.getBalanceEffects(),
+        session
+      );
+    });
 
     // If expense and overall available-for-spending goes negative, deduct the deficit from savings
-    if (type === "expense") {
-      // Compute user's total balance and monthly commitment
-      const [totalBalanceAgg, activeTargets] = await Promise.all([
-        Account.aggregate([
-          {
-            $match: { userId: account.userId, isActive: true },
-          },
-          {
-            $group: { _id: null, totalBalance: { $sum: "$balance" } },
-          },
-        ]),
+    // (not for contributions to shared accounts: savings goals are the owner's)
+    if (type === "expense" && ownerId.equals(userId)) {
+      // Compute user's total balance (in their currency) and monthly commitment
+      const [accounts, activeTargets, converter] = await Promise.all([
+        Account.find({ userId: account.userId, isActive: true }),
         TargetSavings.find({ userId: account.userId, isActive: true }),
+        createConverter(userId, req.workspace.currency),
       ]);
 
-      const totalBalance = totalBalanceAgg[0]?.totalBalance || 0;
+      const totalBalance = accounts.reduce(
+        (sum, item) => sum + converter.convert(item.balance, item.currency),
+        0
+      );
       const totalMonthlyTarget = activeTargets.reduce(
         (sum, t) => sum + (t.monthlyTarget || 0),
         0
@@ -74,10 +255,13 @@ export const createTransaction = async (req, res) => {
     }
 
     // Update target savings progress (no-op now; handled by overspend deduction)
-    await updateTargetProgress(userId, amount, type);
+    await updateTargetProgress(userId, transaction.amount, type);
 
     // Populate account details for response
-    await transaction.populate("accountId", "name type");
+    await transaction.populate([
+      { path: "accountId", select: "name type" },
+      { path: "toAccountId", select: "name type" },
+    ]);
 
     res.status(201).json({
       success: true,
@@ -88,9 +272,17 @@ export const createTransaction = async (req, res) => {
         amount: transaction.amount,
         description: transaction.description,
         category: transaction.category,
+        splits: transaction.splits,
+        tags: transaction.tags,
         date: transaction.date.toISOString().split("T")[0],
         account: transaction.accountId._id,
         accountName: transaction.accountId.name,
+        toAccount: transaction.toAccountId?._id,
+        toAccountName: transaction.toAccountId?.name,
+        toAmount: transaction.toAmount,
+        originalAmount: transaction.originalAmount,
+        originalCurrency: transaction.originalCurrency,
+        exchangeRate: transaction.exchangeRate,
         time: transaction.time,
       },
     });
@@ -103,30 +295,110 @@ export const createTransaction = async (req, res) => {
   }
 };
 
+// Comma-separated query values ("Food,Rent") as a list
+const parseList = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+
 export const getTransactions = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.workspace.userId;
     const {
       startDate,
       endDate,
       type,
       category,
+      tag,
       accountId,
+      minAmount,
+      maxAmount,
+      search,
+      sortBy = "date",
+      sortOrder = "desc",
+      cursor,
       limit = 50,
-      page = 1,
+      page,
     } = req.query;
 
     const filters = {};
-    if (startDate && endDate) {
-      filters.startDate = new Date(startDate);
-      filters.endDate = new Date(endDate);
+    if (startDate) filters.startDate = new Date(startDate);
+    if (endDate) filters.endDate = new Date(endDate);
+    if (type) filters.type = parseList(type);
+    if (category) filters.category = parseList(category);
+    if (tag) filters.tags = parseList(tag);
+    if (accountId) filters.accountId = parseList(accountId);
+    if (search) filters.search = String(search).trim();
+
+    for (const [field, value] of [
+      ["minAmount", minAmount],
+      ["maxAmount", maxAmount],
+    ]) {
+      if (value !== undefined && value !== "") {
+        filters[field] = Number(value);
+        if (Number.isNaN(filters[field])) {
+          return res.status(400).json({
+            success: false,
+            message: `${field} must be a number`,
+          });
+        }
+      }
+    }
+
+    if (
+      (filters.startDate && Number.isNaN(filters.startDate.getTime())) ||
+      (filters.endDate && Number.isNaN(filters.endDate.getTime()))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
     }
-    if (type) filters.type = type;
-    if (category) filters.category = category;
-    if (accountId) filters.accountId = accountId;
-    if (limit) filters.limit = parseInt(limit);
 
-    const transactions = await Transaction.getUserTransactions(userId, filters);
+    if (
+      !TRANSACTION_SORT_FIELDS.includes(sortBy) ||
+      !["asc", "desc"].includes(sortOrder)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of ${TRANSACTION_SORT_FIELDS.join(", ")} and sortOrder asc or desc`,
+      });
+    }
+    filters.sortBy = sortBy;
+    filters.sortOrder = sortOrder;
+
+    filters.limit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    // Cursor paging is preferred; page is kept as an offset fallback
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    if (cursor) {
+      filters.cursor = Transaction.decodeCursor(cursor);
+      if (!filters.cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    } else {
+      filters.skip = (pageNumber - 1) * filters.limit;
+    }
+
+    // Filtering on a single account shared with the user lists its
+    // transactions from the owner's records
+    let ownerId = userId;
+    if (filters.accountId?.length === 1) {
+      const account = await Account.findAccessible(
+        filters.accountId[0],
+        getAccessor(req)
+      );
+      if (account) ownerId = account.userId;
+    }
+
+    const { transactions, total, hasMore, nextCursor } =
+      await Transaction.getTransactionPage(ownerId, filters);
 
     res.json({
       success: true,
@@ -136,11 +408,28 @@ export const getTransactions = async (req, res) => {
         amount: transaction.amount,
         description: transaction.description,
         category: transaction.category,
+        splits: transaction.splits,
+        tags: transaction.tags,
         date: transaction.date.toISOString().split("T")[0],
         account: transaction?.accountId?._id,
         accountName: transaction?.accountId?.name,
+        toAccount: transaction?.toAccountId?._id,
+        toAccountName: transaction?.toAccountId?.name,
+        toAmount: transaction.toAmount,
+        originalAmount: transaction.originalAmount,
+        originalCurrency: transaction.originalCurrency,
+        exchangeRate: transaction.exchangeRate,
         time: transaction.time,
       })),
+      pagination: {
+        total,
+        limit: filters.limit,
+        hasMore,
+        nextCursor,
+        ...(cursor
+          ? {}
+          : { page: pageNumber, pages: Math.ceil(total / filters.limit) }),
+      },
     });
   } catch (error) {
     console.error("Get transactions error:", error);
@@ -153,45 +442,194 @@ export const getTransactions = async (req, res) => {
 
 export const updateTransaction = async (req, res) => {
   try {
-    const userId = req.user._id;
     const { id } = req.params;
     const updateData = req.body;
 
-    // Find transaction and verify ownership
-    const transaction = await Transaction.findOne({ _id: id, userId });
+    // Find transaction and verify ownership (or contributor access)
+    const transaction = await findAccessibleTransaction(req, id);
     if (!transaction) {
       return res.status(404).json({
         success: false,
         message: "Transaction not found",
       });
     }
+    const ownerId = transaction.userId;
+
+    // Accounts being moved to must have the same owner and be accessible
+    for (const field of ["accountId", "toAccountId"]) {
+      if (updateData[field]) {
+        const account = await Account.findAccessible(
+          updateData[field],
+          getAccessor(req),
+          "contribute"
+        );
+        if (!account || !account.userId.equals(ownerId)) {
+          return res.status(404).json({
+            success: false,
+            message: "Account not found",
+          });
+        }
+      }
+    }
 
-    // If amount or type changed, we need to update account balance
-    if (updateData.amount || updateData.type) {
-      const oldAmount = transaction.amount;
-      const oldType = transaction.type;
-      const newAmount = updateData.amount || oldAmount;
-      const newType = updateData.type || oldType;
+    // Work out the balance effects before and after the update, so that
+    // changes to amount, type, either account or the currency conversion
+    // are fully re-applied
+    const balanceFields = [
+      "amount",
+      "type",
+      "accountId",
+      "toAccountId",
+      "toAmount",
+      "originalAmount",
+      "originalCurrency",
+      "exchangeRate",
+    ];
+    const affectsBalance = balanceFields.some(
+      (field) => updateData[field] !== undefined
+    );
+    const oldEffects = transaction.getBalanceEffects();
+    transaction.set(updateData);
+    if (updateData.splits === null) {
+      transaction.splits = undefined;
+    }
 
-      // Calculate balance adjustment
-      const oldBalanceChange = oldType === "income" ? oldAmount : -oldAmount;
-      const newBalanceChange = newType === "income" ? newAmount : -newAmount;
-      const balanceAdjustment = newBalanceChange - oldBalanceChange;
+    if (
+      transaction.type === "transfer" &&
+      transaction.toAccountId &&
+      transaction.toAccountId.equals(transaction.accountId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot transfer to the same account",
+      });
+    }
+    if (transaction.type !== "transfer" && transaction.toAccountId) {
+      if (updateData.toAccountId) {
+        return res.status(400).json({
+          success: false,
+          message: "Destination account is only valid for transfers",
+        });
+      }
+      // A transfer turned into income/expense no longer has a destination
+      transaction.toAccountId = undefined;
+    }
 
-      // Update account balance
+    // Re-derive currency conversions from whatever changed
+    if (affectsBalance) {
+      const accountsChanged =
+        updateData.accountId !== undefined ||
+        updateData.toAccountId !== undefined;
       const account = await Account.findById(transaction.accountId);
-      if (account) {
-        account.balance += balanceAdjustment;
-        await account.save();
+
+      if (transaction.type === "transfer" && transaction.toAccountId) {
+        if (transaction.originalAmount) {
+          return res.status(400).json({
+            success: false,
+            message: "Original currency amounts are not supported for transfers",
+          });
+        }
+        const toAccount = await Account.findById(transaction.toAccountId);
+        // Keep the recorded destination amount unless something it depends
+        // on changed
+        const keepToAmount =
+          updateData.toAmount !== undefined ||
+          (updateData.amount === undefined &&
+            updateData.exchangeRate === undefined &&
+            !accountsChanged);
+        const resolved = await resolveTransferAmounts(
+          ownerId,
+          account,
+          toAccount,
+          transaction.amount,
+          {
+            toAmount: keepToAmount ? transaction.toAmount : undefined,
+            exchangeRate:
+              updateData.exchangeRate ??
+              (accountsChanged ? undefined : transaction.exchangeRate),
+            date: transaction.date,
+          }
+        );
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: resolved.error,
+          });
+        }
+        transaction.toAmount = resolved.toAmount;
+        transaction.exchangeRate = resolved.exchangeRate;
+      } else if (transaction.originalAmount && transaction.originalCurrency) {
+        transaction.toAmount = undefined;
+        const resolved = await resolveOriginalAmount(ownerId, account, {
+          amount: updateData.amount,
+          originalAmount: transaction.originalAmount,
+          originalCurrency: transaction.originalCurrency,
+          exchangeRate:
+            updateData.exchangeRate ??
+            (accountsChanged || updateData.originalCurrency !== undefined
+              ? undefined
+              : transaction.exchangeRate),
+          date: transaction.date,
+        });
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: resolved.error,
+          });
+        }
+        transaction.amount = resolved.amount;
+        transaction.exchangeRate = resolved.exchangeRate;
+      } else {
+        transaction.toAmount = undefined;
+        transaction.exchangeRate = undefined;
+      }
+    }
+
+    // Split lines must still add up to the (possibly re-derived) total
+    const splitError = transaction.getSplitError();
+    if (splitError) {
+      return res.status(400).json({
+        success: false,
+        message: splitError,
+      });
+    }
+
+    await resolveCategories(ownerId, transaction);
+    await Tag.ensureTags(ownerId, updateData.tags);
+
+    // Claim the change first: the balance effects read above are only
+    // reversed if the transaction was not edited or deleted since
+    const newEffects = transaction.getBalanceEffects();
+    const updated = await withTransaction(async (session) => {
+      const claim = await Transaction.updateOne(
+        {
+          _id: transaction._id,
+          updatedAt: transaction.updatedAt ?? null,
+          deletedAt: null,
+        },
+        { $set: { updatedAt: new Date() } },
+        { session, timestamps: false }
+      );
+      if (claim.modifiedCount === 0) return false;
+
+      if (affectsBalance) {
+        await Account.applyBalanceEffects(oldEffects, session, -1);
+        await Account.applyBalanceEffects(newEffects, session);
       }
+      await transaction.save({ session });
+      return true;
+    });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "Transaction was changed by another request, please try again",
+      });
     }
 
-    // Update transaction
-    const updatedTransaction = await Transaction.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate("accountId", "name type");
+    const updatedTransaction = await transaction.populate([
+      { path: "accountId", select: "name type" },
+      { path: "toAccountId", select: "name type" },
+    ]);
 
     res.json({
       success: true,
@@ -202,9 +640,17 @@ export const updateTransaction = async (req, res) => {
         amount: updatedTransaction.amount,
         description: updatedTransaction.description,
         category: updatedTransaction.category,
+        splits: updatedTransaction.splits,
+        tags: updatedTransaction.tags,
         date: updatedTransaction.date.toISOString().split("T")[0],
         account: updatedTransaction.accountId._id,
         accountName: updatedTransaction.accountId.name,
+        toAccount: updatedTransaction.toAccountId?._id,
+        toAccountName: updatedTransaction.toAccountId?.name,
+        toAmount: updatedTransaction.toAmount,
+        originalAmount: updatedTransaction.originalAmount,
+        originalCurrency: updatedTransaction.originalCurrency,
+        exchangeRate: updatedTransaction.exchangeRate,
         time: updatedTransaction.time,
       },
     });
@@ -219,11 +665,10 @@ export const updateTransaction = async (req, res) => {
 
 export const deleteTransaction = async (req, res) => {
   try {
-    const userId = req.user._id;
     const { id } = req.params;
 
-    // Find transaction and verify ownership
-    const transaction = await Transaction.findOne({ _id: id, userId });
+    // Find transaction and verify ownership (or contributor access)
+    const transaction = await findAccessibleTransaction(req, id);
     if (!transaction) {
       return res.status(404).json({
         success: false,
@@ -231,18 +676,25 @@ export const deleteTransaction = async (req, res) => {
       });
     }
 
-    // Update account balance (reverse the transaction)
-    const balanceChange =
-      transaction.type === "income" ? -transaction.amount : transaction.amount;
-    const account = await Account.findById(transaction.accountId);
-    if (account) {
-      account.balance += balanceChange;
-      await account.save();
+    // Move the transaction to the trash and reverse the balance change(s)
+    // atomically, restoring both accounts for transfers. Nothing is reversed
+    // when a concurrent request already deleted it.
+    const deleted = await withTransaction(async (session) => {
+      if (!(await transaction.softDelete(session))) return false;
+      await Account.applyBalanceEffects(
+        transaction.getBalanceEffects(),
+        session,
+        -1
+      );
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+      });
     }
 
-    // Delete transaction
-    await Transaction.findByIdAndDelete(id);
-
     res.json({
       success: true,
       message: "Transaction deleted successfully",
@@ -258,8 +710,8 @@ export const deleteTransaction = async (req, res) => {
 
 export const getTransactionAnalytics = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { startDate, endDate } = req.query;
+    const userId = req.workspace.userId;
+    const { startDate, endDate, rollup } = req.query;
 
     if (!startDate || !endDate) {
       return res.status(400).json({
@@ -268,15 +720,25 @@ export const getTransactionAnalytics = async (req, res) => {
       });
     }
 
+    // Subcategories are reported under their parent when asked for
+    const parentOf =
+      rollup === "true" ? await Category.getParentOf(userId) : null;
+
+    // Totals are reported in the user's currency
+    const converter = await createConverter(userId, req.workspace.currency);
     const analytics = await Transaction.getAnalytics(
       userId,
       startDate,
-      endDate
+      endDate,
+      converter,
+      parentOf
     );
 
     res.json({
       success: true,
       data: analytics,
+      currency: converter.currency,
+      missingRates: converter.missingRates,
     });
   } catch (error) {
     console.error("Get transaction analytics error:", error);
@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import Account from "../models/Account.js";
+import Transaction from "../models/Transaction.js";
+import { withTransaction } from "../utils/db.js";
+import {
+  TRASH_TYPES,
+  getPurgeDate,
+  getTrashRetentionDays,
+} from "../utils/trash.js";
+
+const formatTrashItem = (type, doc) => ({
+  id: doc._id,
+  type,
+  ...TRASH_TYPES[type].describe(doc),
+  deletedAt: doc.deletedAt,
+  purgeAt: getPurgeDate(doc.deletedAt),
+});
+
+// A record can only come back once the accounts it belongs to are out of
+// the trash. Resolves with an error to answer with, or null.
+const checkAccounts = async (doc) => {
+  const accountIds = [
+    ...new Set([doc.accountId, doc.toAccountId].filter(Boolean).map(String)),
+  ];
+  const found = await Account.countDocuments({ _id: { $in: accountIds } });
+  if (found < accountIds.length) {
+    return {
+      status: 409,
+      message: "Restore the account this belongs to from the trash first",
+    };
+  }
+  return null;
+};
+
+// Restore a record, then put back the balance change(s) its deletion
+// reversed. Each only touches balances when the record was still in the
+// trash, so a restore racing another one changes nothing.
+const restorers = {
+  transactions: async (transaction, session) => {
+    if (await transaction.restore(session)) {
+      await Account.applyBalanceEffects(
+        transaction.getBalanceEffects(),
+        session
+      );
+    }
+  },
+  // Through its transaction when that was trashed along with it
+  borrowings: async (borrowing, session) => {
+    const restored = await borrowing.restore(session, { isActive: true });
+    if (!restored || borrowing.isPaid) return;
+
+    const transaction = borrowing.transactionId
+      ? await Transaction.findById(borrowing.transactionId)
+          .setOptions({ withDeleted: true })
+          .session(session)
+      : null;
+    if (transaction?.deletedAt) {
+      await restorers.transactions(transaction, session);
+    } else if (!transaction) {
+      const balanceChange =
+        borrowing.type === "borrowed" ? borrowing.amount : -borrowing.amount;
+      await Account.adjustBalance(borrowing.accountId, balanceChange, session);
+    }
+  },
+};
+
+export const getTrash = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { type } = req.query;
+
+    const types = type
+      ? String(type)
+          .split(",")
+          .map((name) => name.trim())
+      : Object.keys(TRASH_TYPES);
+    const unknown = types.filter((name) => !Object.hasOwn(TRASH_TYPES, name));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown types: ${unknown.join(", ")}. Use ${Object.keys(TRASH_TYPES).join(", ")}`,
+      });
+    }
+
+    const items = [];
+    for (const name of types) {
+      const docs = await TRASH_TYPES[name].Model.findDeleted(userId);
+      items.push(...docs.map((doc) => formatTrashItem(name, doc)));
+    }
+    items.sort((a, b) => b.deletedAt - a.deletedAt);
+
+    res.json({
+      success: true,
+      data: items,
+      retentionDays: getTrashRetentionDays(),
+    });
+  } catch (error) {
+    console.error("Get trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const userId = req.workspace.userId;
+    const { type, id } = req.params;
+
+    if (!Object.hasOwn(TRASH_TYPES, type)) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown trash type",
+      });
+    }
+
+    const doc = mongoose.isValidObjectId(id)
+      ? await TRASH_TYPES[type].Model.findOne({
+          _id: id,
+          userId,
+          deletedAt: { $ne: null },
+        })
+      : null;
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found in the trash",
+      });
+    }
+
+    const error = await checkAccounts(doc);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Restore the record and re-apply its balance changes atomically
+    await withTransaction(async (session) => {
+      if (restorers[type]) {
+        await restorers[type](doc, session);
+      } else {
+        await doc.restore(session);
+      }
+    });
+
+    res.json({
+      success: true,
+      message: "Restored successfully",
+      data: { id: doc._id, type, ...TRASH_TYPES[type].describe(doc) },
+    });
+  } catch (error) {
+    console.error("Restore from trash error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
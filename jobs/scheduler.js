@@ -0,0 +1,164 @@
+import JobRun from "../models/JobRun.js";
+import { runWithAuditContext } from "../utils/audit.js";
+import FixedExpense from "../models/FixedExpense.js";
+import "../models/FixedExpenseOccurrence.js";
+import Borrowing from "../models/Borrowing.js";
+import Budget from "../models/Budget.js";
+import AccountDeletion from "../models/AccountDeletion.js";
+import { loadExchangeRateFile } from "../utils/currency.js";
+import { purgeTrash } from "../utils/trash.js";
+
+// Background jobs. Each one must be idempotent: running it twice for the
+// same moment changes nothing the second time, so ticks can overlap with
+// manual runs and a missed tick is simply caught up by the next one.
+const jobs = {
+  "fixed-expense-rollover": {
+    description:
+      "Generate due fixed expense occurrences and roll paid status over",
+    run: async (now) => {
+      const processed = await FixedExpense.rollOver({}, now);
+      return { processed, details: { expenses: processed } };
+    },
+  },
+  "borrowing-overdue": {
+    description: "Flag unpaid borrowings whose due date has passed",
+    run: async (now) => {
+      const processed = await Borrowing.markOverdue(now);
+      return { processed, details: { markedOverdue: processed } };
+    },
+  },
+  "budget-carry-forward": {
+    description: "Copy carry-forward budgets into the current month",
+    run: async (now) => {
+      const month = now.toISOString().substring(0, 7);
+      const result = await Budget.carryForwardInto(month);
+      return { processed: result.created, details: { month, ...result } };
+    },
+  },
+  "exchange-rate-file": {
+    description: "Load shared exchange rates from EXCHANGE_RATES_FILE",
+    run: async () => {
+      const path = process.env.EXCHANGE_RATES_FILE;
+      if (!path) {
+        return {
+          processed: 0,
+          details: { skipped: "No rates file configured" },
+        };
+      }
+      const processed = await loadExchangeRateFile(path);
+      return { processed, details: { path, ratesChanged: processed } };
+    },
+  },
+  "trash-purge": {
+    description:
+      "Permanently delete records kept in the trash past TRASH_RETENTION_DAYS",
+    run: async (now) => {
+      const purged = await purgeTrash(now);
+      const processed = Object.values(purged).reduce(
+        (sum, count) => sum + count,
+        0
+      );
+      return { processed, details: { purged } };
+    },
+  },
+  "account-deletion": {
+    description: "Erase accounts whose deletion grace period has ended",
+    run: async (now) => {
+      const { completed, failed } = await AccountDeletion.processDue(now);
+      return { processed: completed, details: { completed, failed } };
+    },
+  },
+};
+
+// Jobs currently executing in this process, to avoid overlapping runs
+const running = new Set();
+let timer = null;
+
+export const listJobs = () =>
+  Object.entries(jobs).map(([name, job]) => ({
+    name,
+    description: job.description,
+    isRunning: running.has(name),
+  }));
+
+export const hasJob = (name) => Object.hasOwn(jobs, name);
+
+// Run a job now and record the run. Resolves with the JobRun document.
+export const runJob = async (name, options = {}) => {
+  const { trigger = "schedule", triggeredBy, now = new Date() } = options;
+
+  if (!hasJob(name)) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (running.has(name)) {
+    return null;
+  }
+
+  running.add(name);
+  let run;
+  try {
+    run = await JobRun.create({ job: name, trigger, triggeredBy });
+  } catch (error) {
+    // The job did not start, so let the next tick try again
+    running.delete(name);
+    throw error;
+  }
+
+  try {
+    const result = await runWithAuditContext(
+      { actorId: triggeredBy, source: `job:${name}` },
+      () => jobs[name].run(now)
+    );
+    run.status = "success";
+    run.processed = result.processed;
+    run.details = result.details;
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = "failed";
+    run.error = error.message;
+  } finally {
+    running.delete(name);
+    run.finishedAt = new Date();
+    await run.save();
+  }
+
+  return run;
+};
+
+export const runAllJobs = async (options = {}) => {
+  const runs = [];
+  for (const name of Object.keys(jobs)) {
+    runs.push(await runJob(name, options));
+  }
+  return runs;
+};
+
+// The scheduler runs in-process, so it is skipped on serverless platforms
+// (Vercel) where there is no long-lived process to host it
+export const isSchedulerEnabled = () =>
+  !process.env.VERCEL && process.env.SCHEDULER_ENABLED !== "false";
+
+export const startScheduler = () => {
+  if (timer || !isSchedulerEnabled()) return false;
+
+  const interval =
+    parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+
+  const tick = () =>
+    runAllJobs().catch((error) => console.error("Scheduler error:", error));
+
+  tick();
+  timer = setInterval(tick, interval);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+
+  console.log(`⏱️  Scheduler started (every ${interval / 1000}s)`);
+  return true;
+};
+
+export const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
@@ -1,51 +1,113 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { runWithAuditContext } from "../utils/audit.js";
 
-export const auth = async (req, res, next) => {
-  try {
-    const token = req.header("Authorization")?.replace("Bearer ", "");
+// Access tokens are only accepted while the session they were issued for
+// has not been revoked or expired. Resolves with the session, or null.
+const getActiveSession = async (decoded) => {
+  if (!decoded.sessionId) return null;
+  const session = await Session.findOne({
+    _id: decoded.sessionId,
+    userId: decoded.userId,
+  });
+  return session?.isActive ? session : null;
+};
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Access denied. No token provided.",
-      });
-    }
+// What accounts that have not verified their email may do, from
+// EMAIL_VERIFICATION_POLICY: "none" (default) restricts nothing, "read-only"
+// allows only reads and "block" allows nothing but the auth endpoints.
+export const getVerificationPolicy = () =>
+  process.env.EMAIL_VERIFICATION_POLICY || "none";
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select("-password");
+const isRestrictedUnverified = (user, method) => {
+  if (user.emailVerified) return false;
+  const policy = getVerificationPolicy();
+  if (policy === "block") return true;
+  if (policy === "read-only") {
+    return !["GET", "HEAD", "OPTIONS"].includes(method);
+  }
+  return false;
+};
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token. User not found.",
-      });
-    }
+// Authenticate the request. Unless allowUnverified is set, unverified
+// accounts are limited by the email verification policy.
+const authenticate = ({ allowUnverified = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const token = req.header("Authorization")?.replace("Bearer ", "");
 
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token.",
-      });
-    }
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          message: "Access denied. No token provided.",
+        });
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = await getActiveSession(decoded);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: "Session has been revoked. Please log in again.",
+        });
+      }
+
+      const user = await User.findById(decoded.userId).select("-password");
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid token. User not found.",
+        });
+      }
+
+      if (!allowUnverified && isRestrictedUnverified(user, req.method)) {
+        return res.status(403).json({
+          success: false,
+          message: "Please verify your email address to continue.",
+        });
+      }
+
+      req.user = user;
+      req.sessionId = session._id;
+      await session.touch(req.ip);
+
+      // Changes made while handling the request are attributed to the user
+      // in the audit log
+      runWithAuditContext(
+        { actorId: user._id, source: "api", ipAddress: req.ip },
+        next
+      );
+    } catch (error) {
+      if (error.name === "JsonWebTokenError") {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid token.",
+        });
+      }
+      if (error.name === "TokenExpiredError") {
+        return res.status(401).json({
+          success: false,
+          message: "Token expired.",
+        });
+      }
+
+      console.error("Auth middleware error:", error);
+      res.status(500).json({
         success: false,
-        message: "Token expired.",
+        message: "Internal server error.",
       });
     }
-
-    console.error("Auth middleware error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Internal server error.",
-    });
-  }
+  };
 };
 
+export const auth = authenticate();
+
+// For the endpoints an unverified account still needs (profile, resending
+// the verification email, sessions...)
+export const authAllowUnverified = authenticate({ allowUnverified: true });
+
 export const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header("Authorization")?.replace("Bearer ", "");
@@ -55,10 +117,16 @@ export const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await getActiveSession(decoded);
+    if (!session) {
+      return next();
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (user) {
       req.user = user;
+      req.sessionId = session._id;
     }
 
     next();
@@ -68,14 +136,38 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
+// Must run after `auth`
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied. Admin privileges required.",
+    });
+  }
+  next();
+};
+
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRES_IN,
   });
 };
 
-export const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
+// Short-lived token proving the password was correct, exchanged for real
+// tokens once the second factor is checked. It has no session, so `auth`
+// never accepts it.
+export const generateChallengeToken = (userId, deviceName) => {
+  return jwt.sign(
+    { userId, purpose: "2fa", deviceName },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m" }
+  );
+};
+
+// tokenId becomes the token's jti, which the session checks on refresh
+export const generateRefreshToken = (userId, sessionId, tokenId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRES_IN,
+    jwtid: tokenId,
   });
 };
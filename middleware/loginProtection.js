@@ -0,0 +1,184 @@
+import slowDown from "express-slow-down";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { getLoginAttemptStore } from "../utils/loginAttemptStore.js";
+import { sendMail } from "../utils/mailer.js";
+
+// Brute-force protection for sign-in. Failed attempts are counted per IP
+// address and per account (by email, whether or not it is registered, so
+// lockouts do not reveal which emails exist). Both counters slow responses
+// down progressively; too many failures for an account lock it for a while
+// and notify its owner, and too many from one address block that address.
+// Settings are read per request because .env is loaded after imports.
+const getSettings = () => ({
+  windowMs: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MS) || 15 * 60 * 1000,
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000,
+});
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const lockKey = (email) => `lock:${String(email).toLowerCase().trim()}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Record an attempt in the audit trail. Never fails the request.
+const recordAttempt = async (req, { email, user, outcome, reason }) => {
+  try {
+    await LoginAttempt.create({
+      email: email || user?.email,
+      userId: user?._id,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent")?.substring(0, 500),
+      outcome,
+      reason,
+    });
+  } catch (error) {
+    console.error("Record login attempt error:", error);
+  }
+};
+
+// express-rate-limit compatible view of the per-IP counters
+const ipCounterStore = {
+  async increment(key) {
+    const counter = await getLoginAttemptStore().increment(
+      `ip:${key}`,
+      getSettings().windowMs
+    );
+    return { totalHits: counter.count, resetTime: counter.resetAt };
+  },
+  async decrement(key) {
+    await getLoginAttemptStore().decrement(`ip:${key}`);
+  },
+  async resetKey(key) {
+    await getLoginAttemptStore().reset(`ip:${key}`);
+  },
+};
+
+// Delays requests from an address by a further second for each failed
+// attempt past LOGIN_DELAY_AFTER (successful ones are not counted)
+export const loginSlowDown = slowDown({
+  delayAfter: () => parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+  maxDelayMs: 10 * 1000,
+  skipSuccessfulRequests: true,
+  store: ipCounterStore,
+});
+
+// Resolves with why sign-in is blocked for this email and address, or null
+export const getLoginBlock = async (email, ipAddress) => {
+  const store = getLoginAttemptStore();
+
+  const lock = email && (await store.get(lockKey(email)));
+  if (lock) {
+    return {
+      reason: "account-locked",
+      message:
+        "Too many failed login attempts. This account is temporarily locked.",
+      resetAt: new Date(lock.resetAt),
+    };
+  }
+
+  const ipCounter = await store.get(`ip:${ipAddress}`);
+  if (ipCounter && ipCounter.count > getSettings().maxIpFailures) {
+    return {
+      reason: "ip-blocked",
+      message: "Too many failed login attempts. Please try again later.",
+      resetAt: new Date(ipCounter.resetAt),
+    };
+  }
+
+  return null;
+};
+
+export const sendLoginBlocked = (res, block) => {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((block.resetAt.getTime() - Date.now()) / 1000)
+  );
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: block.message,
+    retryAfter,
+  });
+};
+
+// Rejects locked accounts and blocked addresses before the password is
+// checked, and slows down accounts with recent failures
+export const loginLockout = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const block = await getLoginBlock(email, req.ip);
+    if (block) {
+      await recordAttempt(req, {
+        email,
+        outcome: "blocked",
+        reason: block.reason,
+      });
+      return sendLoginBlocked(res, block);
+    }
+
+    const failures = await getLoginAttemptStore().get(accountKey(email));
+    if (failures?.count) {
+      await sleep(Math.min(failures.count * 1000, 10 * 1000));
+    }
+
+    next();
+  } catch (error) {
+    console.error("Login protection error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+const notifyLockout = async (user, req, failures, lockoutMs) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Sign-in to your account was locked",
+      text:
+        `Hi ${user.name},\n\n` +
+        `After ${failures} failed sign-in attempts (the last one from ` +
+        `${req.ip}), sign-in to your account is locked for ` +
+        `${Math.round(lockoutMs / 60000)} minutes.\n\n` +
+        `If this was not you, someone may be trying to guess your ` +
+        `password. Consider changing it and enabling two-factor ` +
+        `authentication.`,
+    });
+  } catch (error) {
+    console.error("Send lockout notification error:", error);
+  }
+};
+
+// Count a failed attempt (wrong password or second factor) against the
+// account, locking it once the limit is reached. user is null for emails
+// that are not registered.
+export const recordLoginFailure = async (req, email, user, reason) => {
+  const settings = getSettings();
+  const store = getLoginAttemptStore();
+
+  const failures = await store.increment(accountKey(email), settings.windowMs);
+  await recordAttempt(req, { email, user, outcome: "failed", reason });
+
+  if (failures.count >= settings.maxAccountFailures) {
+    await store.increment(lockKey(email), settings.lockoutMs);
+    await store.reset(accountKey(email));
+    await recordAttempt(req, {
+      email,
+      user,
+      outcome: "blocked",
+      reason: "account-locked",
+    });
+    if (user) {
+      await notifyLockout(user, req, failures.count, settings.lockoutMs);
+    }
+  }
+};
+
+// Clear the account's failures once it has fully signed in
+export const recordLoginSuccess = async (req, user) => {
+  await getLoginAttemptStore().reset(accountKey(user.email));
+  await recordAttempt(req, { user, outcome: "success" });
+};
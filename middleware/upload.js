@@ -0,0 +1,19 @@
+import multer from "multer";
+
+// Largest file that can be attached, in megabytes
+export const getAttachmentMaxMb = () =>
+  parseInt(process.env.ATTACHMENT_MAX_MB) || 10;
+
+// Parse a multipart/form-data upload of a single file in the "file" field
+// into req.file ({ originalname, buffer, size, ... }). Files are held in
+// memory until they are checked and handed to storage. Upload errors (such
+// as a file over the limit) are answered by the global error handler. Built
+// per request, as the limit is read from the environment once it is loaded.
+export const uploadFile = (req, res, next) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: getAttachmentMaxMb() * 1024 * 1024,
+      files: 1,
+    },
+  }).single("file")(req, res, next);
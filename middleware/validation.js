@@ -28,31 +28,121 @@ export const authSchemas = {
     name: Joi.string().min(2).max(50).required(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
+    deviceName: Joi.string().max(100).optional(),
   }),
 
   login: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().required(),
+    deviceName: Joi.string().max(100).optional(),
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required(),
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required(),
+  }),
+
+  changeEmail: Joi.object({
+    email: Joi.string().email().required(),
+    password: Joi.string().required(),
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required(),
+  }),
+
+  // Either a code from the authenticator app or a recovery code
+  twoFactorVerify: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+  }).xor("code", "recoveryCode"),
+
+  twoFactorEnable: Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .required(),
+  }),
+
+  passwordConfirmation: Joi.object({
+    password: Joi.string().required(),
   }),
 };
 
+const currencyCode = Joi.string().pattern(/^[A-Z]{3}$/);
+
+// Split lines of a transaction (see Transaction#getSplitError for the total)
+const splitLines = Joi.array()
+  .items(
+    Joi.object({
+      category: Joi.string().min(1).max(50).required(),
+      amount: Joi.number().positive().required(),
+      note: Joi.string().max(200).allow("").optional(),
+    })
+  )
+  .min(2)
+  .max(50);
+
+// Tags of a record, by name (new names create the tag)
+const tagName = Joi.string().trim().min(1).max(50);
+const tagList = Joi.array().items(tagName).max(20);
+
 export const transactionSchemas = {
   create: Joi.object({
     type: Joi.string().valid("income", "expense", "transfer").required(),
-    amount: Joi.number().positive().required(),
+    // May be left out when paid in another currency with a known rate
+    amount: Joi.number()
+      .positive()
+      .when("originalAmount", {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.required(),
+      }),
     description: Joi.string().min(1).max(200).required(),
-    category: Joi.string().min(1).max(50).required(),
+    // Defaults to "Split" for split transactions
+    category: Joi.string()
+      .min(1)
+      .max(50)
+      .when("splits", {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.required(),
+      }),
+    splits: splitLines.optional(),
+    tags: tagList.optional(),
     accountId: Joi.string().required(),
+    toAccountId: Joi.string().optional(),
+    toAmount: Joi.number().positive().optional(),
+    originalAmount: Joi.number().positive().optional(),
+    originalCurrency: currencyCode.optional(),
+    exchangeRate: Joi.number().positive().optional(),
     date: Joi.date().max("now").required(),
     time: Joi.string().optional(),
-  }),
+  }).and("originalAmount", "originalCurrency"),
 
   update: Joi.object({
     type: Joi.string().valid("income", "expense", "transfer"),
     amount: Joi.number().positive(),
     description: Joi.string().min(1).max(200),
     category: Joi.string().min(1).max(50),
+    // null removes the split
+    splits: splitLines.allow(null),
+    tags: tagList,
     accountId: Joi.string(),
+    toAccountId: Joi.string(),
+    toAmount: Joi.number().positive(),
+    originalAmount: Joi.number().positive(),
+    originalCurrency: currencyCode,
+    exchangeRate: Joi.number().positive(),
     date: Joi.date().max("now"),
     time: Joi.string().optional(),
   }),
@@ -76,12 +166,34 @@ export const accountSchemas = {
     isActive: Joi.boolean(),
   }),
 
+  share: Joi.object({
+    email: Joi.string().email().required(),
+    access: Joi.string().valid("read", "contribute").required(),
+  }),
+
   transfer: Joi.object({
     fromAccountId: Joi.string().required(),
     toAccountId: Joi.string().required(),
     amount: Joi.number().positive().required(),
+    // Between accounts of different currencies (otherwise the stored rate)
+    toAmount: Joi.number().positive().optional(),
+    exchangeRate: Joi.number().positive().optional(),
     description: Joi.string().max(200).optional(),
   }),
+
+  reconcile: Joi.object({
+    correct: Joi.boolean().default(false),
+    statementBalance: Joi.number().optional(),
+    statementDate: Joi.date().when("statementBalance", {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.forbidden(),
+    }),
+  }),
+
+  reconcileAll: Joi.object({
+    correct: Joi.boolean().default(false),
+  }),
 };
 
 export const budgetSchemas = {
@@ -91,12 +203,16 @@ export const budgetSchemas = {
     month: Joi.string()
       .pattern(/^\d{4}-\d{2}$/)
       .required(),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "JPY", "CAD", "AUD"),
+    carryForward: Joi.boolean().default(false),
   }),
 
   update: Joi.object({
     category: Joi.string().min(1).max(50),
     amount: Joi.number().positive(),
     month: Joi.string().pattern(/^\d{4}-\d{2}$/),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "JPY", "CAD", "AUD"),
+    carryForward: Joi.boolean(),
   }),
 };
 
@@ -105,19 +221,45 @@ export const fixedExpenseSchemas = {
     title: Joi.string().min(1).max(100).required(),
     amount: Joi.number().positive().required(),
     category: Joi.string().min(1).max(50).required(),
-    dueDate: Joi.date().required(),
+    // Day of the month, or the date of the first occurrence
+    dueDate: Joi.alternatives()
+      .try(Joi.number().integer().min(1).max(31), Joi.date())
+      .required(),
+    frequency: Joi.string()
+      .valid("weekly", "biweekly", "monthly", "quarterly", "yearly")
+      .default("monthly"),
+    startDate: Joi.date().optional(),
     accountId: Joi.string().required(),
     isPaid: Joi.boolean().default(false),
+    tags: tagList.optional(),
   }),
 
   update: Joi.object({
     title: Joi.string().min(1).max(100),
     amount: Joi.number().positive(),
     category: Joi.string().min(1).max(50),
-    dueDate: Joi.date(),
+    dueDate: Joi.alternatives().try(
+      Joi.number().integer().min(1).max(31),
+      Joi.date()
+    ),
+    frequency: Joi.string().valid(
+      "weekly",
+      "biweekly",
+      "monthly",
+      "quarterly",
+      "yearly"
+    ),
+    startDate: Joi.date(),
     accountId: Joi.string(),
     isPaid: Joi.boolean(),
     isActive: Joi.boolean(),
+    tags: tagList,
+  }),
+
+  markPaid: Joi.object({
+    occurrenceId: Joi.string().optional(),
+    amount: Joi.number().positive().optional(),
+    date: Joi.date().max("now").optional(),
   }),
 };
 
@@ -183,6 +325,7 @@ export const borrowingSchemas = {
     description: Joi.string().max(500).allow("").optional(),
     transactionDate: Joi.date().optional(),
     dueDate: Joi.string().optional(),
+    tags: tagList.optional(),
   }),
   update: Joi.object({
     personName: Joi.string().min(1).max(100),
@@ -192,5 +335,128 @@ export const borrowingSchemas = {
     description: Joi.string().max(500).allow(""),
     transactionDate: Joi.date(),
     dueDate: Joi.string().optional(),
+    tags: tagList,
+  }),
+};
+
+export const tagSchemas = {
+  create: Joi.object({
+    name: tagName.required(),
+    color: Joi.string()
+      .pattern(/^#[0-9A-F]{6}$/i)
+      .optional(),
+  }),
+
+  update: Joi.object({
+    name: tagName,
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i),
+  }).min(1),
+};
+
+const categoryName = Joi.string().trim().min(1).max(50);
+
+export const categorySchemas = {
+  create: Joi.object({
+    name: categoryName.required(),
+    type: Joi.string().valid("income", "expense").required(),
+    parentId: Joi.string().allow(null),
+    icon: Joi.string().max(50).allow(""),
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i),
+  }),
+
+  update: Joi.object({
+    name: categoryName,
+    type: Joi.string().valid("income", "expense"),
+    parentId: Joi.string().allow(null),
+    icon: Joi.string().max(50).allow(""),
+    color: Joi.string().pattern(/^#[0-9A-F]{6}$/i),
+  }).min(1),
+
+  merge: Joi.object({
+    targetId: Joi.string().required(),
+  }),
+};
+
+const importStatement = {
+  accountId: Joi.string().required(),
+  format: Joi.string().valid("csv", "ofx", "qif").required(),
+  content: Joi.string().required(),
+  fileName: Joi.string().max(255),
+  mapping: Joi.object({
+    date: Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0)),
+    description: Joi.alternatives().try(
+      Joi.string(),
+      Joi.number().integer().min(0)
+    ),
+    amount: Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0)),
+    debit: Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0)),
+    credit: Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0)),
+    type: Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0)),
+    category: Joi.alternatives().try(
+      Joi.string(),
+      Joi.number().integer().min(0)
+    ),
+    externalId: Joi.alternatives().try(
+      Joi.string(),
+      Joi.number().integer().min(0)
+    ),
+  }).when("format", {
+    is: "csv",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  delimiter: Joi.string().length(1),
+  hasHeader: Joi.boolean(),
+  dateFormat: Joi.string().valid(
+    "auto",
+    "YYYY-MM-DD",
+    "MM/DD/YYYY",
+    "DD/MM/YYYY"
+  ),
+  invertAmounts: Joi.boolean(),
+  defaultCategory: Joi.string().min(1).max(50),
+};
+
+export const importSchemas = {
+  preview: Joi.object(importStatement),
+
+  commit: Joi.object({
+    ...importStatement,
+    skipRows: Joi.array().items(Joi.number().integer().min(0)),
+    includeDuplicates: Joi.boolean(),
+  }),
+};
+
+export const exchangeRateSchemas = {
+  create: Joi.object({
+    base: currencyCode.required(),
+    currency: currencyCode.required(),
+    rate: Joi.number().positive().required(),
+    date: Joi.date(),
+  }),
+};
+
+export const householdSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "JPY", "CAD", "AUD"),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100),
+    currency: Joi.string().valid("USD", "EUR", "GBP", "JPY", "CAD", "AUD"),
+  }),
+
+  invite: Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid("editor", "viewer").required(),
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string().required(),
+  }),
+
+  updateMember: Joi.object({
+    role: Joi.string().valid("owner", "editor", "viewer").required(),
   }),
 };
@@ -0,0 +1,59 @@
+import Household from "../models/Household.js";
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Resolve the workspace a request works in. Requests act on the user's own
+// records unless an X-Household-Id header selects a household they belong
+// to. Sets req.workspace to:
+//
+//   userId    - id the workspace's records are stored under (their userId)
+//   household - the household, or null for the personal workspace
+//   role      - the user's role in it (always "owner" in their own)
+//   currency  - reporting currency
+//
+// Viewers may only read. Must run after `auth`.
+export const workspace = async (req, res, next) => {
+  try {
+    const householdId = req.header("X-Household-Id");
+
+    if (!householdId) {
+      req.workspace = {
+        userId: req.user._id,
+        household: null,
+        role: "owner",
+        currency: req.user.settings?.currency || "USD",
+      };
+      return next();
+    }
+
+    const household = await Household.findForMember(householdId, req.user._id);
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: "Household not found",
+      });
+    }
+
+    const { role } = household.getMember(req.user._id);
+    if (role === "viewer" && !READ_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        success: false,
+        message: "Viewers cannot make changes in this household.",
+      });
+    }
+
+    req.workspace = {
+      userId: household._id,
+      household,
+      role,
+      currency: household.currency,
+    };
+    next();
+  } catch (error) {
+    console.error("Workspace middleware error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error.",
+    });
+  }
+};
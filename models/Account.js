@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const accountSchema = new mongoose.Schema(
   {
@@ -20,11 +22,20 @@ const accountSchema = new mongoose.Schema(
       enum: ["bank", "cash", "credit", "mobile"],
       default: "bank",
     },
+    // Can go below zero: expenses are not checked against it, and deleting
+    // an income that was already spent reverses it in full. Transfers are
+    // the only debits that require funds (see adjustBalance).
     balance: {
       type: Number,
       required: true,
       default: 0,
-      min: 0,
+    },
+    // Balance the account was opened with; the ledger (transactions and
+    // borrowings) is replayed on top of it when reconciling. Null for
+    // accounts created before this was recorded.
+    openingBalance: {
+      type: Number,
+      default: null,
     },
     currency: {
       type: String,
@@ -35,6 +46,28 @@ const accountSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Other users the account is shared with. Readers see the account and
+    // its transactions; contributors may also add, change and delete its
+    // transactions. Only the owner changes the account itself.
+    shares: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        access: {
+          type: String,
+          required: true,
+          enum: ["read", "contribute"],
+        },
+        grantedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -44,6 +77,7 @@ const accountSchema = new mongoose.Schema(
 // Indexes for efficient queries
 accountSchema.index({ userId: 1, isActive: 1 });
 accountSchema.index({ userId: 1, type: 1 });
+accountSchema.index({ "shares.userId": 1 });
 
 // Virtual for formatted balance
 accountSchema.virtual("formattedBalance").get(function () {
@@ -59,6 +93,179 @@ accountSchema.methods.updateBalance = async function (amount) {
   return await this.save();
 };
 
+// Static method to atomically apply a balance change (pass a session to
+// include it in a transaction). With requireFunds, a debit only goes through
+// if the balance covers it; resolves with null when it does not.
+accountSchema.statics.adjustBalance = async function (
+  accountId,
+  amount,
+  session = null,
+  { requireFunds = false } = {}
+) {
+  const filter = { _id: accountId };
+  if (requireFunds && amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+  return await this.findOneAndUpdate(
+    filter,
+    { $inc: { balance: amount } },
+    { new: true, session }
+  );
+};
+
+// Static method to apply (or, with direction -1, reverse) a list of
+// { accountId, amount } balance effects such as Transaction#getBalanceEffects
+accountSchema.statics.applyBalanceEffects = async function (
+  effects,
+  session = null,
+  direction = 1
+) {
+  // Sequential on purpose: a session cannot run operations in parallel
+  for (const effect of effects) {
+    await this.adjustBalance(
+      effect.accountId,
+      effect.amount * direction,
+      session
+    );
+  }
+};
+
+// Static method to recompute an account's balance from its ledger: the
+// opening balance plus every transaction (including transfers in and out)
+// and any borrowing reversals that have no transaction of their own.
+// Pass asOf to only count entries up to that date.
+accountSchema.statics.getLedgerBalance = async function (account, asOf = null) {
+  const accountId = new mongoose.Types.ObjectId(account._id);
+  const dateMatch = asOf ? { date: { $lte: asOf } } : {};
+
+  const [outgoing, incoming, borrowings] = await Promise.all([
+    // Income, expenses and transfers out of the account
+    mongoose.model("Transaction").aggregate([
+      { $match: { accountId, ...dateMatch } },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: {
+              $cond: [
+                { $eq: ["$type", "income"] },
+                "$amount",
+                { $multiply: ["$amount", -1] },
+              ],
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    // Transfers into the account (in its currency when they differ)
+    mongoose.model("Transaction").aggregate([
+      { $match: { toAccountId: accountId, type: "transfer", ...dateMatch } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: { $ifNull: ["$toAmount", "$amount"] } },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    // Older borrowings deleted while unpaid reverted the balance without
+    // removing their transaction, so the reversal is counted separately
+    // (including those still in the trash)
+    mongoose.model("Borrowing").aggregate([
+      {
+        $match: {
+          accountId,
+          isActive: false,
+          isPaid: false,
+          transactionId: { $exists: false },
+          ...(asOf ? { updatedAt: { $lte: asOf } } : {}),
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: {
+              $cond: [
+                { $eq: ["$type", "borrowed"] },
+                { $multiply: ["$amount", -1] },
+                "$amount",
+              ],
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]).option({ withDeleted: true }),
+  ]);
+
+  const transactionTotal =
+    (outgoing[0]?.total || 0) + (incoming[0]?.total || 0);
+  const borrowingAdjustment = borrowings[0]?.total || 0;
+
+  return {
+    openingBalance: account.openingBalance,
+    transactionTotal,
+    transactionCount: (outgoing[0]?.count || 0) + (incoming[0]?.count || 0),
+    borrowingAdjustment,
+    balance:
+      account.openingBalance === null || account.openingBalance === undefined
+        ? null
+        : account.openingBalance + transactionTotal + borrowingAdjustment,
+  };
+};
+
+// Static method to get the total balance of a user's active accounts,
+// converted into one currency when given a converter (see utils/currency.js)
+accountSchema.statics.getTotalBalance = async function (
+  userId,
+  converter = null
+) {
+  const accounts = await this.find({ userId, isActive: true })
+    .select("balance currency")
+    .lean();
+  return accounts.reduce(
+    (sum, account) =>
+      sum +
+      (converter
+        ? converter.convert(account.balance, account.currency)
+        : account.balance),
+    0
+  );
+};
+
+// Static method to find an account that is either in the workspace
+// (ownerId, see middleware/workspace.js) or shared with the user with at
+// least the given access ("read" or "contribute")
+accountSchema.statics.findAccessible = async function (
+  accountId,
+  { ownerId, userId },
+  access = "read"
+) {
+  return await this.findOne({
+    _id: accountId,
+    $or: [
+      { userId: ownerId },
+      {
+        shares: {
+          $elemMatch: {
+            userId,
+            access: {
+              $in: access === "read" ? ["read", "contribute"] : ["contribute"],
+            },
+          },
+        },
+      },
+    ],
+  });
+};
+
+// Method to get the user's share of the account, or undefined
+accountSchema.methods.getShare = function (userId) {
+  return this.shares.find((share) => share.userId.equals(userId));
+};
+
 // Method to get account summary
 accountSchema.methods.getSummary = function () {
   return {
@@ -66,12 +273,16 @@ accountSchema.methods.getSummary = function () {
     name: this.name,
     type: this.type,
     balance: this.balance,
+    openingBalance: this.openingBalance,
     currency: this.currency,
     formattedBalance: this.formattedBalance,
     isActive: this.isActive,
   };
 };
 
+accountSchema.plugin(softDeletePlugin);
+accountSchema.plugin(auditPlugin);
+
 const Account = mongoose.model("Account", accountSchema);
 
 export default Account;
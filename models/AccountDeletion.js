@@ -0,0 +1,255 @@
+import mongoose from "mongoose";
+import User from "./User.js";
+import Account from "./Account.js";
+import Session from "./Session.js";
+import AuthToken from "./AuthToken.js";
+import JobRun from "./JobRun.js";
+import LoginAttempt from "./LoginAttempt.js";
+import Household from "./Household.js";
+import HouseholdInvitation from "./HouseholdInvitation.js";
+import AuditLog from "./AuditLog.js";
+import { sendMail } from "../utils/mailer.js";
+import { withoutAudit } from "../utils/audit.js";
+import { deletes, RECORD_STEPS } from "../utils/erasure.js";
+
+// Everything stored about a user, erased in this order. Each step must be
+// safe to run again, so an erasure interrupted part way can be resumed.
+// Add a step here for every new collection holding user data (financial
+// records go in RECORD_STEPS, which households share).
+const ERASURE_STEPS = [
+  // Sign the user out everywhere first, so nothing new is created meanwhile
+  deletes("sessions", Session),
+  deletes("authTokens", AuthToken),
+  ...RECORD_STEPS,
+  // Shared households stay with their other members; those the user was
+  // alone in are erased with their records
+  {
+    name: "householdMemberships",
+    action: "deleted",
+    run: async (userId) => await Household.removeMemberEverywhere(userId),
+  },
+  {
+    name: "householdInvitations",
+    action: "deleted",
+    run: async (userId) =>
+      (await HouseholdInvitation.deleteMany({ invitedBy: userId }))
+        .deletedCount,
+  },
+  {
+    name: "accountShares",
+    action: "deleted",
+    run: async (userId) =>
+      (
+        await Account.updateMany(
+          { "shares.userId": userId },
+          { $pull: { shares: { userId } } }
+        )
+      ).modifiedCount,
+  },
+  // Changes the user made to others' records stay in their audit logs
+  {
+    name: "auditLogActor",
+    action: "anonymised",
+    run: async (userId) => await AuditLog.anonymiseActor(userId),
+  },
+  deletes("loginAttempts", LoginAttempt),
+  // Job history is kept for operations, without saying who triggered it
+  {
+    name: "jobRuns",
+    action: "anonymised",
+    run: async (userId) => {
+      const result = await JobRun.updateMany(
+        { triggeredBy: userId },
+        { $unset: { triggeredBy: 1 } }
+      );
+      return result.modifiedCount;
+    },
+  },
+  {
+    name: "user",
+    action: "deleted",
+    run: async (userId) => (await User.deleteOne({ _id: userId })).deletedCount,
+  },
+];
+
+// A request to erase a user and all their data. Erasure starts once the
+// grace period has passed (see processDue) and each completed step is
+// recorded, so the document doubles as the deletion report and is kept
+// after the user is gone. It holds no personal data besides the user id.
+const accountDeletionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "in-progress", "completed", "cancelled"],
+      default: "scheduled",
+    },
+    requestedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // End of the grace period, until which the request can be cancelled
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    steps: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        action: { type: String, enum: ["deleted", "anonymised"] },
+        count: { type: Number, default: 0 },
+        completedAt: { type: Date },
+      },
+    ],
+    // Last failure, if a run stopped part way
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+// Static method to get the user's pending (or running) deletion, if any
+accountDeletionSchema.statics.findPending = async function (userId) {
+  return await this.findOne({
+    userId,
+    status: { $in: ["scheduled", "in-progress"] },
+  });
+};
+
+// Method to run (or resume) the erasure, skipping steps already done.
+// Resolves with null, erasing nothing, when the deletion was cancelled
+// since it was read.
+accountDeletionSchema.methods.execute = async function () {
+  if (this.status === "scheduled") {
+    // Claimed with a conditional update, which a cancellation cannot slip
+    // in between (see cancelAccountDeletion)
+    const startedAt = new Date();
+    const result = await this.constructor.updateOne(
+      { _id: this._id, status: "scheduled" },
+      { $set: { status: "in-progress", startedAt } }
+    );
+    if (result.modifiedCount === 0) return null;
+    this.set({ status: "in-progress", startedAt });
+  }
+
+  const done = new Set(this.steps.map((step) => step.name));
+  for (const step of ERASURE_STEPS) {
+    if (done.has(step.name)) continue;
+
+    // The report goes out while the email address still exists
+    if (step.name === "user") {
+      await this.sendReport();
+    }
+
+    // Erasing is not itself audited
+    const count = await withoutAudit(() => step.run(this.userId));
+    this.steps.push({
+      name: step.name,
+      action: step.action,
+      count,
+      completedAt: new Date(),
+    });
+    await this.save();
+  }
+
+  this.status = "completed";
+  this.completedAt = new Date();
+  this.error = undefined;
+  await this.save();
+  return this;
+};
+
+// Method to email the user what was erased. Failing to send it does not
+// stop the erasure.
+accountDeletionSchema.methods.sendReport = async function () {
+  const user = await User.findById(this.userId);
+  if (!user) return;
+
+  const lines = this.steps
+    .filter((step) => step.count > 0)
+    .map((step) => `- ${step.name}: ${step.count} ${step.action}`);
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Your account has been deleted",
+      text:
+        `Hi ${user.name},\n\n` +
+        `As requested on ${this.requestedAt.toISOString().substring(0, 10)}, ` +
+        `your account and all its data have been erased:\n\n` +
+        `${lines.join("\n") || "- no financial records"}\n\n` +
+        `Reference: ${this._id}`,
+    });
+  } catch (error) {
+    console.error("Send deletion report error:", error);
+  }
+};
+
+// Method to get the deletion report
+accountDeletionSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    status: this.status,
+    requestedAt: this.requestedAt,
+    scheduledFor: this.scheduledFor,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    cancelledAt: this.cancelledAt,
+    steps: this.steps,
+    error: this.error,
+  };
+};
+
+// Static method to erase every account whose grace period has ended, and
+// resume erasures that stopped part way. Resolves with the number completed
+// and the ids of those that failed (they are retried on the next run).
+accountDeletionSchema.statics.processDue = async function (now = new Date()) {
+  const due = await this.find({
+    $or: [
+      { status: "scheduled", scheduledFor: { $lte: now } },
+      { status: "in-progress" },
+    ],
+  }).sort({ scheduledFor: 1 });
+
+  let completed = 0;
+  const failed = [];
+  for (const deletion of due) {
+    try {
+      if (await deletion.execute()) completed++;
+    } catch (error) {
+      console.error(`Account deletion ${deletion._id} failed:`, error);
+      deletion.error = error.message;
+      await deletion.save();
+      failed.push(deletion._id);
+    }
+  }
+  return { completed, failed };
+};
+
+const AccountDeletion = mongoose.model(
+  "AccountDeletion",
+  accountDeletionSchema
+);
+
+export default AccountDeletion;
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import { getStorage } from "../utils/storage.js";
+
+// Records files can be attached to
+export const ATTACHMENT_PARENTS = ["Transaction", "FixedExpense", "Borrowing"];
+
+// A receipt or document attached to a record. The file itself is kept by a
+// storage driver (see utils/storage.js) under storageKey.
+const attachmentSchema = new mongoose.Schema(
+  {
+    // Owner of the record: a user, or a household (see Household)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    parentType: {
+      type: String,
+      required: true,
+      enum: ATTACHMENT_PARENTS,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "parentType",
+      required: true,
+    },
+    // Who uploaded it (a contributor to a shared account, in a workspace
+    // member's name, ...)
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 255,
+    },
+    // Detected from the content (see utils/fileInfo.js)
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    driver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    // Pixel size of images, and the size to show them at as a thumbnail
+    image: {
+      width: Number,
+      height: Number,
+    },
+    thumbnail: {
+      width: Number,
+      height: Number,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attachmentSchema.index({ parentType: 1, parentId: 1, createdAt: 1 });
+
+// Static method to delete the attachments matching the filter together with
+// their files. Resolves with the number deleted.
+attachmentSchema.statics.removeFor = async function (filter) {
+  const attachments = await this.find(filter);
+  for (const attachment of attachments) {
+    await getStorage(attachment.driver).remove(attachment.storageKey);
+  }
+  const result = await this.deleteMany({
+    _id: { $in: attachments.map((attachment) => attachment._id) },
+  });
+  return result.deletedCount;
+};
+
+// Method to get attachment summary
+attachmentSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    parentType: this.parentType,
+    parentId: this.parentId,
+    fileName: this.fileName,
+    contentType: this.contentType,
+    size: this.size,
+    image: this.image?.width ? this.image : undefined,
+    thumbnail: this.thumbnail?.width ? this.thumbnail : undefined,
+    uploadedBy: this.uploadedBy,
+    createdAt: this.createdAt,
+  };
+};
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+
+export default Attachment;
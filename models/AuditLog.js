@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+
+export const AUDITED_ENTITIES = [
+  "Transaction",
+  "Account",
+  "Budget",
+  "FixedExpense",
+  "PossibleExpense",
+  "TargetSavings",
+  "Borrowing",
+];
+
+// Append-only record of every create, update and delete of a financial
+// record, with snapshots of the document before and after the change.
+// Entries are written by the audit plugin (utils/audit.js) and can only be
+// erased along with the records they belong to, never changed.
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Owner of the changed record: a user, or a household (see Household)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Who made the change; unset for background jobs
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // "api", or "job:<name>" for background jobs
+    source: {
+      type: String,
+      default: "system",
+    },
+    ipAddress: {
+      type: String,
+    },
+    entity: {
+      type: String,
+      required: true,
+      enum: AUDITED_ENTITIES,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ["create", "update", "delete"],
+    },
+    // Top-level fields that differ between the snapshots
+    changes: {
+      type: [String],
+      default: undefined,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  }
+);
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1 });
+
+// Entries are never changed once written
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries cannot be changed"));
+  }
+  next();
+});
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function (next) {
+    next(new Error("Audit log entries cannot be changed"));
+  }
+);
+
+// Static method to drop a deleted user's id from the entries they made in
+// other owners' logs (bypassing the append-only guard, for erasure only).
+// Resolves with the number of entries changed.
+auditLogSchema.statics.anonymiseActor = async function (actorId) {
+  const result = await this.collection.updateMany(
+    { actorId: new mongoose.Types.ObjectId(actorId) },
+    { $unset: { actorId: 1, ipAddress: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Method to get entry summary
+auditLogSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    entity: this.entity,
+    entityId: this.entityId,
+    action: this.action,
+    actorId: this.actorId,
+    source: this.source,
+    ipAddress: this.ipAddress,
+    changes: this.changes,
+    before: this.before,
+    after: this.after,
+    createdAt: this.createdAt,
+  };
+};
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Single-use tokens sent to a user out of band (e.g. password reset links).
+// Only a SHA-256 hash of the token is stored, so a leaked database cannot be
+// used to take over accounts.
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      required: true,
+      enum: ["password-reset", "email-verification", "email-change"],
+    },
+    // Address the token was sent to, for tokens that verify one
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove tokens once they have expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Static method to issue a new token, replacing any unused ones for the same
+// purpose. Resolves with the raw token, which is never stored.
+authTokenSchema.statics.issue = async function (
+  userId,
+  purpose,
+  ttlMinutes,
+  email
+) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  await this.create({
+    userId,
+    purpose,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Static method to mark a token as used; purpose may be a list of accepted
+// purposes. Resolves with the token document, or null if it is unknown,
+// expired or was already used.
+authTokenSchema.statics.consume = async function (token, purpose) {
+  const now = new Date();
+  return await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose: { $in: [].concat(purpose) },
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+
+export default AuthToken;
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { tagsField } from "./Tag.js";
 
 const borrowingSchema = new mongoose.Schema(
   {
@@ -50,6 +53,11 @@ const borrowingSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Unpaid past its due date; kept current on save and by the scheduler
+    isOverdue: {
+      type: Boolean,
+      default: false,
+    },
     paidDate: {
       type: Date,
     },
@@ -57,14 +65,20 @@ const borrowingSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    tags: tagsField,
   },
   {
     timestamps: true,
   }
 );
 
-// Link to repayment transaction (created when marked as paid)
+// Link to the transaction recorded when the borrowing was created, and to the
+// repayment transaction (created when marked as paid)
 borrowingSchema.add({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+  },
   repaymentTransactionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Transaction",
@@ -75,34 +89,66 @@ borrowingSchema.add({
 borrowingSchema.index({ userId: 1, type: 1 });
 borrowingSchema.index({ userId: 1, isActive: 1 });
 borrowingSchema.index({ userId: 1, isPaid: 1 });
+borrowingSchema.index({ userId: 1, tags: 1 });
+borrowingSchema.index({ isOverdue: 1, dueDate: 1 });
+
+// Recompute overdue status whenever paid status or due date may have changed
+borrowingSchema.pre("save", function (next) {
+  this.isOverdue =
+    !this.isPaid && !!this.dueDate && this.dueDate.getTime() < Date.now();
+  next();
+});
+
+// Static method to flag unpaid borrowings whose due date has passed
+borrowingSchema.statics.markOverdue = async function (now = new Date()) {
+  const result = await this.updateMany(
+    {
+      isActive: true,
+      isPaid: false,
+      isOverdue: { $ne: true },
+      dueDate: { $lt: now },
+    },
+    { $set: { isOverdue: true } }
+  );
+  return result.modifiedCount;
+};
 
 // Virtual for calculating net amount (positive for borrowed, negative for lent)
 borrowingSchema.virtual("netAmount").get(function () {
   return this.type === "borrowed" ? this.amount : -this.amount;
 });
 
-// Method to get summary for a user
-borrowingSchema.statics.getUserSummary = async function (userId) {
+// Method to get summary for a user. Amounts are in their account's currency;
+// pass a converter (see utils/currency.js) to total them in one currency.
+borrowingSchema.statics.getUserSummary = async function (
+  userId,
+  converter = null
+) {
   const activeBorrowings = await this.find({
     userId,
     isActive: true,
   }).populate("accountId", "name balance");
 
+  const amountOf = (b) =>
+    converter ? converter.convertFromAccount(b.amount, b.accountId) : b.amount;
+
   const totalBorrowed = activeBorrowings
     .filter((b) => b.type === "borrowed" && !b.isPaid)
-    .reduce((sum, b) => sum + b.amount, 0);
+    .reduce((sum, b) => sum + amountOf(b), 0);
 
   const totalLent = activeBorrowings
     .filter((b) => b.type === "lent" && !b.isPaid)
-    .reduce((sum, b) => sum + b.amount, 0);
+    .reduce((sum, b) => sum + amountOf(b), 0);
 
   const netAmount = totalBorrowed - totalLent;
 
   return {
+    currency: converter?.currency,
     totalBorrowed,
     totalLent,
     netAmount,
     activeCount: activeBorrowings.filter((b) => !b.isPaid).length,
+    overdueCount: activeBorrowings.filter((b) => b.isOverdue).length,
     totalCount: activeBorrowings.length,
   };
 };
@@ -134,4 +180,23 @@ borrowingSchema.statics.getPersonSummary = async function (userId, personName) {
   };
 };
 
+// Static method to permanently delete borrowings trashed before the cutoff.
+// Older borrowings deleted while unpaid have no linked transaction, and
+// Account.getLedgerBalance counts their balance reversal from the borrowing
+// itself, so those leave the trash but are kept (as inactive). Resolves
+// with the number of borrowings deleted.
+borrowingSchema.statics.purgeDeleted = async function (cutoff) {
+  const trashed = { deletedAt: { $lte: cutoff } };
+  const unlinked = { isPaid: false, transactionId: { $exists: false } };
+  await this.updateMany(
+    { ...trashed, ...unlinked },
+    { $unset: { deletedAt: 1 } }
+  );
+  const result = await this.deleteMany(trashed);
+  return result.deletedCount;
+};
+
+borrowingSchema.plugin(softDeletePlugin);
+borrowingSchema.plugin(auditPlugin);
+
 export default mongoose.model("Borrowing", borrowingSchema);
@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import { createConverter } from "../utils/currency.js";
+import { SPLIT_LINE_STAGES } from "./Transaction.js";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const budgetSchema = new mongoose.Schema(
   {
@@ -25,6 +29,27 @@ const budgetSchema = new mongoose.Schema(
       match: [/^\d{4}-\d{2}$/, "Month must be in YYYY-MM format"],
       index: true,
     },
+    // Currency the amount is in; budgets created before currencies were
+    // recorded are in the user's currency
+    currency: {
+      type: String,
+      enum: ["USD", "EUR", "GBP", "JPY", "CAD", "AUD"],
+    },
+    // Copy this budget into the following month when the month rolls over
+    carryForward: {
+      type: Boolean,
+      default: false,
+    },
+    // Budget this one was carried forward from
+    carriedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Budget",
+    },
+    // Month (YYYY-MM) this budget was last carried forward into, so that
+    // it is carried once even if the copy is deleted afterwards
+    carriedInto: {
+      type: String,
+    },
   },
   {
     timestamps: true,
@@ -39,17 +64,77 @@ budgetSchema.index({ userId: 1, category: 1 });
 budgetSchema.virtual("formattedAmount").get(function () {
   return new Intl.NumberFormat("en-US", {
     style: "currency",
-    currency: "USD",
+    currency: this.currency || "USD",
   }).format(this.amount);
 });
 
+// Static method to carry budgets flagged carryForward from the previous
+// month into `month` (YYYY-MM), skipping categories already budgeted. Each
+// budget is carried once per month: deleting the copy does not bring it
+// back on the next run.
+budgetSchema.statics.carryForwardInto = async function (month) {
+  const [year, monthNum] = month.split("-").map(Number);
+  const previous = new Date(Date.UTC(year, monthNum - 2, 1))
+    .toISOString()
+    .substring(0, 7);
+
+  const budgets = await this.find({
+    month: previous,
+    carryForward: true,
+    carriedInto: { $ne: month },
+  });
+  let created = 0;
+
+  for (const budget of budgets) {
+    // Claim the budget first, so that overlapping runs carry it once
+    const { modifiedCount } = await this.updateOne(
+      { _id: budget._id, carriedInto: { $ne: month } },
+      { $set: { carriedInto: month } }
+    );
+    if (modifiedCount === 0) continue;
+
+    const exists = await this.exists({
+      userId: budget.userId,
+      category: budget.category,
+      month,
+    });
+    if (exists) continue;
+
+    try {
+      await this.create({
+        userId: budget.userId,
+        category: budget.category,
+        amount: budget.amount,
+        currency: budget.currency,
+        month,
+        carryForward: true,
+        carriedFrom: budget._id,
+      });
+    } catch (error) {
+      // Leave the budget to be carried on the next run
+      await this.updateOne({ _id: budget._id }, { $unset: { carriedInto: 1 } });
+      throw error;
+    }
+    created++;
+  }
+
+  return { previous, candidates: budgets.length, created };
+};
+
 // Static method to get user budgets for a month
 budgetSchema.statics.getUserBudgets = async function (userId, month) {
   return await this.find({ userId, month }).sort({ category: 1 });
 };
 
-// Static method to get budget with spending data
-budgetSchema.statics.getBudgetWithSpending = async function (userId, month) {
+// Static method to get budget with spending data. Split transactions count
+// towards the budget of each line's category. Spending is converted from
+// each account's currency into the budget's (or, for older budgets, the
+// given default currency).
+budgetSchema.statics.getBudgetWithSpending = async function (
+  userId,
+  month,
+  defaultCurrency = "USD"
+) {
   const budgets = await this.find({ userId, month });
 
   // Get spending data for the month
@@ -60,39 +145,46 @@ budgetSchema.statics.getBudgetWithSpending = async function (userId, month) {
     0
   );
 
-  const spendingData = await mongoose.model("Transaction").aggregate([
-    {
-      $match: {
-        userId: new mongoose.Types.ObjectId(userId),
-        type: "expense",
-        date: {
-          $gte: startDate,
-          $lte: endDate,
+  const [spendingData, converter] = await Promise.all([
+    mongoose.model("Transaction").aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          type: "expense",
+          date: {
+            $gte: startDate,
+            $lte: endDate,
+          },
         },
       },
-    },
-    {
-      $group: {
-        _id: "$category",
-        spent: { $sum: "$amount" },
+      ...SPLIT_LINE_STAGES,
+      {
+        $group: {
+          _id: { category: "$line.category", accountId: "$accountId" },
+          spent: { $sum: "$line.amount" },
+        },
       },
-    },
+    ]),
+    createConverter(userId, defaultCurrency),
   ]);
 
-  // Create a map of spending by category
-  const spendingMap = {};
-  spendingData.forEach((item) => {
-    spendingMap[item._id] = item.spent;
-  });
-
   // Combine budget and spending data
   return budgets.map((budget) => {
-    const spent = spendingMap[budget.category] || 0;
+    const currency = budget.currency || defaultCurrency;
+    const spent = spendingData
+      .filter((item) => item._id.category === budget.category)
+      .reduce(
+        (sum, item) =>
+          sum +
+          converter.convertFromAccount(item.spent, item._id.accountId, currency),
+        0
+      );
     const remaining = budget.amount - spent;
     const percentage = budget.amount > 0 ? (spent / budget.amount) * 100 : 0;
 
     return {
       ...budget.toObject(),
+      currency,
       spent,
       remaining,
       percentage: Math.min(percentage, 100),
@@ -101,6 +193,9 @@ budgetSchema.statics.getBudgetWithSpending = async function (userId, month) {
   });
 };
 
+budgetSchema.plugin(softDeletePlugin);
+budgetSchema.plugin(auditPlugin);
+
 const Budget = mongoose.model("Budget", budgetSchema);
 
 export default Budget;
@@ -0,0 +1,384 @@
+import mongoose from "mongoose";
+
+export const CATEGORY_TYPES = ["income", "expense"];
+
+// Records that carry a category name (transactions also in split lines)
+const CATEGORIZED_MODELS = [
+  "Transaction",
+  "Budget",
+  "FixedExpense",
+  "PossibleExpense",
+];
+
+// Models categories can belong to (see userId below)
+const OWNER_MODELS = ["User", "Household"];
+
+// Seeded for every new user and household. Subcategories roll up into
+// their parent in analytics.
+export const DEFAULT_CATEGORIES = [
+  {
+    name: "Food & Dining",
+    type: "expense",
+    icon: "🍽️",
+    color: "#F97316",
+    children: [
+      { name: "Groceries", icon: "🛒" },
+      { name: "Restaurants", icon: "🍔" },
+    ],
+  },
+  {
+    name: "Housing",
+    type: "expense",
+    icon: "🏠",
+    color: "#6366F1",
+    children: [
+      { name: "Rent", icon: "🔑" },
+      { name: "Utilities", icon: "💡" },
+    ],
+  },
+  {
+    name: "Transportation",
+    type: "expense",
+    icon: "🚗",
+    color: "#0EA5E9",
+    children: [
+      { name: "Fuel", icon: "⛽" },
+      { name: "Public Transport", icon: "🚌" },
+    ],
+  },
+  { name: "Shopping", type: "expense", icon: "🛍️", color: "#EC4899" },
+  { name: "Entertainment", type: "expense", icon: "🎬", color: "#A855F7" },
+  { name: "Health", type: "expense", icon: "💊", color: "#EF4444" },
+  { name: "Travel", type: "expense", icon: "✈️", color: "#14B8A6" },
+  { name: "Education", type: "expense", icon: "📚", color: "#8B5CF6" },
+  { name: "Other Expenses", type: "expense", icon: "📦", color: "#6B7280" },
+  { name: "Salary", type: "income", icon: "💼", color: "#10B981" },
+  { name: "Business", type: "income", icon: "🏢", color: "#22C55E" },
+  { name: "Investments", type: "income", icon: "📈", color: "#84CC16" },
+  { name: "Gifts", type: "income", icon: "🎁", color: "#F59E0B" },
+  { name: "Other Income", type: "income", icon: "💰", color: "#6B7280" },
+];
+
+// Category names are compared ignoring case and spacing, so that "Food"
+// and "food " are the same category
+export const normalizeCategoryName = (name) =>
+  String(name).trim().replace(/\s+/g, " ");
+
+export const getCategoryKey = (name) =>
+  normalizeCategoryName(name).toLowerCase();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Query value matching the category however records spell it (records
+// from before categories were managed may differ in case or spacing)
+const getNamePattern = (key) =>
+  new RegExp(`^\\s*${key.split(" ").map(escapeRegex).join("\\s+")}\\s*$`, "i");
+
+// Point every record filed under the category key at name instead
+const rewriteRecords = async (userId, key, name, session) => {
+  const pattern = getNamePattern(key);
+  for (const modelName of CATEGORIZED_MODELS) {
+    await mongoose
+      .model(modelName)
+      .updateMany(
+        { userId, category: pattern },
+        { $set: { category: name } },
+        { session }
+      );
+  }
+  await mongoose
+    .model("Transaction")
+    .updateMany(
+      { userId, "splits.category": pattern },
+      { $set: { "splits.$[line].category": name } },
+      { arrayFilters: [{ "line.category": pattern }], session }
+    );
+};
+
+// A category records are filed under. Records carry the category name
+// itself, so renaming or merging a category rewrites them (see rename and
+// mergeInto below).
+const categorySchema = new mongoose.Schema(
+  {
+    // Owner: a user, or a household (see Household)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 50,
+      set: normalizeCategoryName,
+    },
+    // Lower-case name, unique per owner (see getCategoryKey)
+    key: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: CATEGORY_TYPES,
+    },
+    // Parent of a subcategory; subcategories cannot have their own
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    icon: {
+      type: String,
+      maxlength: 50,
+    },
+    color: {
+      type: String,
+      default: "#6B7280", // Gray color
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ userId: 1, key: 1 }, { unique: true });
+categorySchema.index({ userId: 1, parentId: 1 });
+
+categorySchema.pre("validate", function (next) {
+  if (this.name) this.key = getCategoryKey(this.name);
+  next();
+});
+
+// Static method to seed the default categories (missing ones only)
+categorySchema.statics.seedDefaults = async function (userId) {
+  for (const { children = [], ...category } of DEFAULT_CATEGORIES) {
+    const key = getCategoryKey(category.name);
+    const parent = await this.findOneAndUpdate(
+      { userId, key },
+      { $setOnInsert: { ...category, userId, key } },
+      { upsert: true, new: true }
+    );
+    for (const child of children) {
+      const childKey = getCategoryKey(child.name);
+      await this.updateOne(
+        { userId, key: childKey },
+        {
+          $setOnInsert: {
+            ...child,
+            userId,
+            key: childKey,
+            type: parent.type,
+            parentId: parent._id,
+            color: parent.color,
+          },
+        },
+        { upsert: true }
+      );
+    }
+  }
+};
+
+// Static method to match category names to the owner's categories,
+// creating those that are new with the given type. Resolves with the
+// categories' own spelling of each name, in order (empty names are kept).
+categorySchema.statics.resolve = async function (userId, names, type) {
+  const spellings = new Map();
+  for (const name of names) {
+    if (!name || !normalizeCategoryName(name)) continue;
+    const key = getCategoryKey(name);
+    if (!spellings.has(key)) spellings.set(key, normalizeCategoryName(name));
+  }
+  if (spellings.size === 0) return names;
+
+  const findNames = async () =>
+    new Map(
+      (await this.find({ userId, key: { $in: [...spellings.keys()] } })).map(
+        (category) => [category.key, category.name]
+      )
+    );
+  let found = await findNames();
+  const missing = [...spellings].filter(([key]) => !found.has(key));
+  if (missing.length > 0) {
+    await this.bulkWrite(
+      missing.map(([key, name]) => ({
+        updateOne: {
+          filter: { userId, key },
+          update: { $setOnInsert: { userId, key, name, type } },
+          upsert: true,
+        },
+      }))
+    );
+    found = await findNames();
+  }
+
+  return names.map((name) =>
+    name ? found.get(getCategoryKey(name)) ?? name : name
+  );
+};
+
+// Static method to make sure the owner has categories: the default set
+// when they have none yet, plus one for every name their records use that
+// has none (records from before categories were managed). Done once per
+// owner; categoriesSetUpAt on the user or household records it.
+categorySchema.statics.ensureCategories = async function (userId) {
+  const owners = OWNER_MODELS.map((modelName) => mongoose.model(modelName));
+  for (const Owner of owners) {
+    if (await Owner.exists({ _id: userId, categoriesSetUpAt: { $ne: null } })) {
+      return;
+    }
+  }
+
+  if (!(await this.exists({ userId }))) {
+    await this.seedDefaults(userId);
+  }
+
+  // Split transactions are filed under their lines' categories
+  const used = await mongoose.model("Transaction").aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        type: { $in: CATEGORY_TYPES },
+      },
+    },
+    {
+      $project: {
+        type: 1,
+        names: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+            "$splits.category",
+            ["$category"],
+          ],
+        },
+      },
+    },
+    { $unwind: "$names" },
+    { $group: { _id: { type: "$type", name: "$names" } } },
+  ]);
+  const names = { income: [], expense: [] };
+  for (const { _id } of used) names[_id.type].push(_id.name);
+  for (const modelName of CATEGORIZED_MODELS.slice(1)) {
+    names.expense.push(
+      ...(await mongoose.model(modelName).distinct("category", { userId }))
+    );
+  }
+
+  for (const type of CATEGORY_TYPES) {
+    await this.resolve(userId, names[type], type);
+  }
+
+  for (const Owner of owners) {
+    await Owner.updateOne(
+      { _id: userId },
+      { $set: { categoriesSetUpAt: new Date() } }
+    );
+  }
+};
+
+// Static method to get a function from a category name to the name of its
+// parent category, if it is one of the owner's subcategories (see
+// Transaction.getAnalytics)
+categorySchema.statics.getParentOf = async function (userId) {
+  const categories = await this.find({ userId });
+  const names = new Map(
+    categories.map((category) => [String(category._id), category.name])
+  );
+  const parentNames = new Map(
+    categories
+      .filter((category) => category.parentId)
+      .map((category) => [category.key, names.get(String(category.parentId))])
+  );
+  return (name) => parentNames.get(getCategoryKey(name));
+};
+
+// Method to rename the category on every record filed under it (pass a
+// session to include it in a transaction). The current key is read through
+// the session, so that it is safe to retry inside withTransaction.
+categorySchema.methods.rename = async function (name, session = null) {
+  const { key } = await this.constructor
+    .findById(this._id, "key")
+    .session(session)
+    .lean();
+  await rewriteRecords(this.userId, key, normalizeCategoryName(name), session);
+  this.name = name;
+  return await this.save({ session });
+};
+
+// Method to merge the category into target: its records are filed under
+// target, its subcategories move to target (or target's parent, so that
+// the hierarchy stays two levels deep) and it is deleted. Where both have
+// a budget for the same month, the target's budget takes over the amount
+// and the other budget is deleted. Resolves with false, changing nothing,
+// when two such budgets are in different currencies.
+categorySchema.methods.mergeInto = async function (target, session = null) {
+  const Budget = mongoose.model("Budget");
+  const budgets = await Budget.find({
+    userId: this.userId,
+    category: getNamePattern(this.key),
+  }).session(session);
+  const overlapping = [];
+  for (const budget of budgets) {
+    const existing = await Budget.findOne({
+      userId: this.userId,
+      category: getNamePattern(target.key),
+      month: budget.month,
+    }).session(session);
+    if (!existing) continue;
+    if ((existing.currency || null) !== (budget.currency || null)) {
+      return false;
+    }
+    overlapping.push([budget, existing]);
+  }
+
+  for (const [budget, existing] of overlapping) {
+    await Budget.updateOne(
+      { _id: existing._id },
+      { $inc: { amount: budget.amount } },
+      { session }
+    );
+    await Budget.deleteOne({ _id: budget._id }, { session });
+  }
+
+  await rewriteRecords(this.userId, this.key, target.name, session);
+  await this.constructor.updateMany(
+    { parentId: this._id },
+    { $set: { parentId: target.parentId || target._id } },
+    { session }
+  );
+  await this.deleteOne({ session });
+  return true;
+};
+
+// Method to count the records filed under the category. Transactions count
+// once, whether the category is theirs or one of their split lines'.
+categorySchema.methods.countRecords = async function () {
+  const pattern = getNamePattern(this.key);
+  let count = 0;
+  for (const modelName of CATEGORIZED_MODELS) {
+    const filter =
+      modelName === "Transaction"
+        ? { $or: [{ category: pattern }, { "splits.category": pattern }] }
+        : { category: pattern };
+    count += await mongoose
+      .model(modelName)
+      .countDocuments({ userId: this.userId, ...filter });
+  }
+  return count;
+};
+
+// Method to get category summary
+categorySchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    type: this.type,
+    parentId: this.parentId,
+    icon: this.icon,
+    color: this.color,
+    createdAt: this.createdAt,
+  };
+};
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+// Exchange rate: 1 unit of `base` is worth `rate` units of `currency` on
+// `date`. Rates loaded from the rates file are shared by everyone (no
+// userId); rates users enter by hand only apply to them.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["manual", "file"],
+      default: "manual",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exchangeRateSchema.index(
+  { userId: 1, base: 1, currency: 1, date: 1 },
+  { unique: true }
+);
+exchangeRateSchema.index({ date: -1 });
+// Latest rates per pair (see getRateTable)
+exchangeRateSchema.index({ base: 1, currency: 1, date: -1, userId: -1 });
+
+// Static method to get the latest rate for each currency pair as of a date,
+// keyed "BASE:CURRENCY". A user's own rates win over shared ones of the
+// same date. Only one rate per pair leaves the database, however many
+// have accumulated.
+exchangeRateSchema.statics.getRateTable = async function (
+  userId,
+  asOf = new Date()
+) {
+  const rates = await this.aggregate([
+    {
+      $match: {
+        userId: { $in: [new mongoose.Types.ObjectId(userId), null] },
+        date: { $lte: new Date(asOf) },
+      },
+    },
+    // Shared rates have no userId, so they sort after the user's own
+    { $sort: { base: 1, currency: 1, date: -1, userId: -1 } },
+    {
+      $group: {
+        _id: { base: "$base", currency: "$currency" },
+        rate: { $first: "$rate" },
+      },
+    },
+  ]);
+
+  return new Map(
+    rates.map(({ _id, rate }) => [`${_id.base}:${_id.currency}`, rate])
+  );
+};
+
+// Method to get exchange rate summary
+exchangeRateSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    base: this.base,
+    currency: this.currency,
+    rate: this.rate,
+    date: this.date.toISOString().split("T")[0],
+    source: this.source,
+    isShared: !this.userId,
+  };
+};
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+
+export default ExchangeRate;
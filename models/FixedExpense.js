@@ -1,4 +1,53 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { tagsField } from "./Tag.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FREQUENCIES = [
+  "weekly",
+  "biweekly",
+  "monthly",
+  "quarterly",
+  "yearly",
+];
+
+// UTC date for a day of a month, clamped to the month's last day (so a
+// 31st due date falls on the 30th in April and the 28th/29th in February)
+const monthDate = (year, month, day) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+};
+
+// Date of the nth occurrence of a schedule starting at `start`
+const nthOccurrence = (start, frequency, n, dayOfMonth) => {
+  switch (frequency) {
+    case "weekly":
+      return new Date(start.getTime() + n * 7 * DAY_MS);
+    case "biweekly":
+      return new Date(start.getTime() + n * 14 * DAY_MS);
+    case "quarterly":
+      return monthDate(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + n * 3,
+        dayOfMonth
+      );
+    case "yearly":
+      return monthDate(
+        start.getUTCFullYear() + n,
+        start.getUTCMonth(),
+        dayOfMonth
+      );
+    case "monthly":
+    default:
+      return monthDate(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + n,
+        dayOfMonth
+      );
+  }
+};
 
 const fixedExpenseSchema = new mongoose.Schema(
   {
@@ -25,12 +74,23 @@ const fixedExpenseSchema = new mongoose.Schema(
       trim: true,
       maxlength: 50,
     },
+    // Day of the month the expense falls due (monthly, quarterly and yearly
+    // schedules); weekly schedules repeat from startDate instead
     dueDate: {
       type: Number,
       required: true,
       min: 1,
       max: 31,
     },
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      default: "monthly",
+    },
+    // First occurrence of the schedule
+    startDate: {
+      type: Date,
+    },
     accountId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Account",
@@ -44,6 +104,7 @@ const fixedExpenseSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    tags: tagsField,
   },
   {
     timestamps: true,
@@ -54,15 +115,119 @@ const fixedExpenseSchema = new mongoose.Schema(
 fixedExpenseSchema.index({ userId: 1, isActive: 1 });
 fixedExpenseSchema.index({ userId: 1, dueDate: 1 });
 fixedExpenseSchema.index({ userId: 1, isPaid: 1 });
+fixedExpenseSchema.index({ userId: 1, tags: 1 });
 
 // Virtual for formatted amount
 fixedExpenseSchema.virtual("formattedAmount").get(function () {
   return new Intl.NumberFormat("en-US", {
     style: "currency",
-    currency: "USD",
+    // In the account's currency when it is populated
+    currency: this.accountId?.currency || "USD",
   }).format(this.amount);
 });
 
+// Method to get the first occurrence of the schedule. Expenses created before
+// schedules existed start from the current month.
+fixedExpenseSchema.methods.getScheduleStart = function (now = new Date()) {
+  if (this.startDate) return this.startDate;
+  return monthDate(now.getUTCFullYear(), now.getUTCMonth(), this.dueDate);
+};
+
+// Method to list occurrence dates up to `until`, plus the first one after it
+fixedExpenseSchema.methods.getOccurrenceDates = function (until = new Date()) {
+  const start = this.getScheduleStart(until);
+  const dayOfMonth = this.dueDate || start.getUTCDate();
+  const dates = [];
+
+  // Bounded so a bad start date cannot generate an unbounded backlog
+  for (let n = 0; n < 1000; n++) {
+    const date = nthOccurrence(start, this.frequency, n, dayOfMonth);
+    dates.push(date);
+    if (date > until) break;
+  }
+
+  return dates;
+};
+
+// Method to get the next due date on or after today
+fixedExpenseSchema.methods.getNextDueDate = function (now = new Date()) {
+  const today = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+  return this.getOccurrenceDates(today).find((date) => date >= today) || null;
+};
+
+// Method to create any missing occurrences up to the next upcoming one and
+// roll isPaid over to the current period's occurrence
+fixedExpenseSchema.methods.syncOccurrences = async function (now = new Date()) {
+  const Occurrence = mongoose.model("FixedExpenseOccurrence");
+
+  // Carry the paid flag of expenses created before schedules existed over
+  // to their first occurrence rather than starting them unpaid
+  const isLegacy = !this.startDate;
+  if (isLegacy) {
+    this.startDate = this.getScheduleStart(now);
+  }
+
+  if (this.isActive) {
+    const dates = this.getOccurrenceDates(now);
+    const existing = await Occurrence.find({
+      fixedExpenseId: this._id,
+    }).select("dueDate");
+    const existingTimes = new Set(existing.map((o) => o.dueDate.getTime()));
+    const missing = dates.filter((date) => !existingTimes.has(date.getTime()));
+
+    if (missing.length > 0) {
+      try {
+        await Occurrence.insertMany(
+          missing.map((dueDate, index) => ({
+            userId: this.userId,
+            fixedExpenseId: this._id,
+            dueDate,
+            amount: this.amount,
+            isPaid: isLegacy && index === 0 ? this.isPaid : false,
+            paidDate: isLegacy && index === 0 && this.isPaid ? now : undefined,
+          })),
+          { ordered: false }
+        );
+      } catch (error) {
+        // Another request generated the same occurrences concurrently
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  // The current period is the latest occurrence already due, or the first
+  // upcoming one if none is due yet
+  const current =
+    (await Occurrence.findOne({
+      fixedExpenseId: this._id,
+      dueDate: { $lte: now },
+    }).sort({ dueDate: -1 })) ||
+    (await Occurrence.findOne({ fixedExpenseId: this._id }).sort({
+      dueDate: 1,
+    }));
+
+  this.isPaid = current ? current.isPaid : false;
+  if (this.isModified()) {
+    await this.save();
+  }
+
+  return this;
+};
+
+// Static method to roll over all active fixed expenses matching a filter
+fixedExpenseSchema.statics.rollOver = async function (
+  filter = {},
+  now = new Date()
+) {
+  const expenses = await this.find({ ...filter, isActive: true });
+  for (const expense of expenses) {
+    await expense.syncOccurrences(now);
+  }
+  return expenses.length;
+};
+
 // Method to toggle paid status
 fixedExpenseSchema.methods.togglePaid = async function () {
   this.isPaid = !this.isPaid;
@@ -71,26 +236,56 @@ fixedExpenseSchema.methods.togglePaid = async function () {
 
 // Static method to get user's fixed expenses
 fixedExpenseSchema.statics.getUserFixedExpenses = async function (userId) {
+  await this.rollOver({ userId });
   return await this.find({ userId, isActive: true })
-    .populate("accountId", "name type")
+    .populate("accountId", "name type currency")
     .sort({ dueDate: 1, title: 1 });
 };
 
-// Static method to get upcoming fixed expenses
-fixedExpenseSchema.statics.getUpcomingExpenses = async function (userId) {
-  const today = new Date();
-  const currentDay = today.getDate();
-
-  return await this.find({
-    userId,
-    isActive: true,
-    isPaid: false,
-    dueDate: { $gte: currentDay },
-  })
-    .populate("accountId", "name type")
-    .sort({ dueDate: 1, title: 1 });
+// Static method to get unpaid occurrences due within the next `days` days
+// (including overdue ones)
+fixedExpenseSchema.statics.getUpcomingExpenses = async function (
+  userId,
+  days = 30
+) {
+  await this.rollOver({ userId });
+
+  const endDate = new Date();
+  endDate.setDate(endDate.getDate() + days);
+
+  const activeIds = await this.find({ userId, isActive: true }).distinct("_id");
+
+  return await mongoose
+    .model("FixedExpenseOccurrence")
+    .find({
+      userId,
+      fixedExpenseId: { $in: activeIds },
+      isPaid: false,
+      dueDate: { $lte: endDate },
+    })
+    .populate({
+      path: "fixedExpenseId",
+      populate: { path: "accountId", select: "name type currency" },
+    })
+    .sort({ dueDate: 1 });
 };
 
+// Static method to permanently delete expenses trashed before the cutoff,
+// along with their schedules (posted transactions are kept). Resolves with
+// the number of expenses deleted.
+fixedExpenseSchema.statics.purgeDeleted = async function (cutoff) {
+  const ids = await this.find({ deletedAt: { $lte: cutoff } }).distinct("_id");
+  if (ids.length === 0) return 0;
+  await mongoose
+    .model("FixedExpenseOccurrence")
+    .deleteMany({ fixedExpenseId: { $in: ids } });
+  const result = await this.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+fixedExpenseSchema.plugin(softDeletePlugin);
+fixedExpenseSchema.plugin(auditPlugin);
+
 const FixedExpense = mongoose.model("FixedExpense", fixedExpenseSchema);
 
 export default FixedExpense;
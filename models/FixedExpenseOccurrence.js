@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// One scheduled instance (e.g. "October rent") of a recurring fixed expense
+const fixedExpenseOccurrenceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fixedExpenseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FixedExpense",
+      required: true,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    isPaid: {
+      type: Boolean,
+      default: false,
+    },
+    paidDate: {
+      type: Date,
+    },
+    // Expense transaction posted when the occurrence was paid (absent when it
+    // was marked as paid outside the app)
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+fixedExpenseOccurrenceSchema.index(
+  { fixedExpenseId: 1, dueDate: 1 },
+  { unique: true }
+);
+fixedExpenseOccurrenceSchema.index({ userId: 1, isPaid: 1, dueDate: 1 });
+
+// Virtual for overdue status
+fixedExpenseOccurrenceSchema.virtual("isOverdue").get(function () {
+  return !this.isPaid && this.dueDate < new Date();
+});
+
+// Method to get occurrence summary
+fixedExpenseOccurrenceSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    fixedExpenseId: this.fixedExpenseId?._id || this.fixedExpenseId,
+    dueDate: this.dueDate,
+    amount: this.amount,
+    isPaid: this.isPaid,
+    paidDate: this.paidDate,
+    isOverdue: this.isOverdue,
+    transactionId: this.transactionId,
+  };
+};
+
+const FixedExpenseOccurrence = mongoose.model(
+  "FixedExpenseOccurrence",
+  fixedExpenseOccurrenceSchema
+);
+
+export default FixedExpenseOccurrence;
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import HouseholdInvitation from "./HouseholdInvitation.js";
+import { eraseRecords } from "../utils/erasure.js";
+
+export const HOUSEHOLD_ROLES = ["owner", "editor", "viewer"];
+
+const memberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The owner manages the household and its members, editors change its
+    // records and viewers only read them
+    role: {
+      type: String,
+      required: true,
+      enum: HOUSEHOLD_ROLES,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A workspace shared by several users. Its accounts, transactions, budgets
+// and other records are stored with the household's id in their userId
+// field, so the per-user queries work unchanged once the active workspace
+// is resolved (see middleware/workspace.js).
+const householdSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Reporting currency of the shared records
+    currency: {
+      type: String,
+      default: "USD",
+      enum: ["USD", "EUR", "GBP", "JPY", "CAD", "AUD"],
+    },
+    members: [memberSchema],
+    // When the household's categories were set up (see
+    // Category.ensureCategories)
+    categoriesSetUpAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+householdSchema.index({ "members.userId": 1 });
+
+// Static method to find a household the user is a member of
+householdSchema.statics.findForMember = async function (id, userId) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return await this.findOne({ _id: id, "members.userId": userId });
+};
+
+// Method to get a member's entry, or undefined
+householdSchema.methods.getMember = function (userId) {
+  return this.members.find((member) => member.userId.equals(userId));
+};
+
+// Method to get household summary, with the given member's role
+householdSchema.methods.getSummary = function (userId) {
+  return {
+    id: this._id,
+    name: this.name,
+    currency: this.currency,
+    role: this.getMember(userId)?.role,
+    memberCount: this.members.length,
+    createdAt: this.createdAt,
+  };
+};
+
+// Method to erase the household with all its records and invitations
+householdSchema.methods.erase = async function () {
+  await eraseRecords(this._id);
+  await HouseholdInvitation.deleteMany({ householdId: this._id });
+  await this.deleteOne();
+};
+
+// Static method to take the user out of every household they belong to.
+// Households left empty are erased, and when the owner leaves the longest
+// standing editor (or else member) takes over. Resolves with the number of
+// memberships removed.
+householdSchema.statics.removeMemberEverywhere = async function (userId) {
+  const households = await this.find({ "members.userId": userId });
+
+  for (const household of households) {
+    const member = household.getMember(userId);
+    const others = household.members
+      .filter((other) => !other.userId.equals(userId))
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+
+    if (others.length === 0) {
+      await household.erase();
+      continue;
+    }
+
+    if (member.role === "owner") {
+      const successor =
+        others.find((other) => other.role === "editor") || others[0];
+      successor.role = "owner";
+    }
+    household.members = others;
+    await household.save();
+  }
+
+  return households.length;
+};
+
+const Household = mongoose.model("Household", householdSchema);
+
+export default Household;
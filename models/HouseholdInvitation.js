@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// An invitation to join a household, emailed as a link with a single-use
+// token. The address does not need to be registered yet; the invitation is
+// accepted by whoever signs in with it. As with AuthToken, only a SHA-256
+// hash of the token is stored.
+const householdInvitationSchema = new mongoose.Schema(
+  {
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      required: true,
+      enum: ["editor", "viewer"],
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Remove invitations once they have expired
+householdInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Static method to invite an address, replacing its pending invitation to
+// the same household. Resolves with the invitation and the raw token, which
+// is never stored.
+householdInvitationSchema.statics.issue = async function (
+  { householdId, email, role, invitedBy },
+  ttlDays
+) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await this.deleteMany({ householdId, email, acceptedAt: null });
+  const invitation = await this.create({
+    householdId,
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+  });
+
+  return { invitation, token };
+};
+
+// Static method to find a pending invitation by its token, or null if it is
+// unknown, expired or was already accepted
+householdInvitationSchema.statics.findPending = async function (token) {
+  return await this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Method to mark the invitation as accepted by the user. Resolves with false
+// if it was accepted meanwhile.
+householdInvitationSchema.methods.accept = async function (userId) {
+  const now = new Date();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, acceptedAt: null },
+    { acceptedAt: now, acceptedBy: userId }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  this.acceptedAt = now;
+  this.acceptedBy = userId;
+  return true;
+};
+
+// Method to get invitation summary
+householdInvitationSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt,
+  };
+};
+
+const HouseholdInvitation = mongoose.model(
+  "HouseholdInvitation",
+  householdInvitationSchema
+);
+
+export default HouseholdInvitation;
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+// A committed statement import; its transactions reference it through
+// Transaction.importBatchId so the whole import can be undone as a unit
+const importBatchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    format: {
+      type: String,
+      required: true,
+      enum: ["csv", "ofx", "qif"],
+    },
+    fileName: {
+      type: String,
+      trim: true,
+      maxlength: 255,
+    },
+    status: {
+      type: String,
+      enum: ["committed", "undone"],
+      default: "committed",
+    },
+    // Rows parsed from the file, rows imported, and rows left out (invalid,
+    // skipped by the user or flagged as duplicates)
+    rowCount: {
+      type: Number,
+      default: 0,
+    },
+    importedCount: {
+      type: Number,
+      default: 0,
+    },
+    skippedCount: {
+      type: Number,
+      default: 0,
+    },
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    // Net change applied to the account balance
+    netAmount: {
+      type: Number,
+      default: 0,
+    },
+    undoneAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to get import batch summary
+importBatchSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    accountId: this.accountId?._id || this.accountId,
+    accountName: this.accountId?.name,
+    format: this.format,
+    fileName: this.fileName,
+    status: this.status,
+    rowCount: this.rowCount,
+    importedCount: this.importedCount,
+    skippedCount: this.skippedCount,
+    duplicateCount: this.duplicateCount,
+    netAmount: this.netAmount,
+    createdAt: this.createdAt,
+    undoneAt: this.undoneAt,
+  };
+};
+
+const ImportBatch = mongoose.model("ImportBatch", importBatchSchema);
+
+export default ImportBatch;
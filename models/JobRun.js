@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// Record of a single scheduled (or manually triggered) background job run
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    status: {
+      type: String,
+      enum: ["running", "success", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    // Number of records the job changed
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep 90 days of run history
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Virtual for run duration in milliseconds
+jobRunSchema.virtual("durationMs").get(function () {
+  if (!this.finishedAt) return null;
+  return this.finishedAt - this.startedAt;
+});
+
+// Method to get run summary
+jobRunSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    job: this.job,
+    trigger: this.trigger,
+    status: this.status,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    durationMs: this.durationMs,
+    processed: this.processed,
+    details: this.details,
+    error: this.error,
+  };
+};
+
+const JobRun = mongoose.model("JobRun", jobRunSchema);
+
+export default JobRun;
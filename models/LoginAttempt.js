@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Audit trail of sign-in attempts, successful or not, kept for 90 days
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // As typed, so attempts against unknown addresses are recorded too
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    outcome: {
+      type: String,
+      required: true,
+      enum: ["success", "failed", "blocked"],
+    },
+    // Why it failed or was blocked, e.g. "invalid-password", "account-locked"
+    reason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+// Method to get attempt summary
+loginAttemptSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    outcome: this.outcome,
+    reason: this.reason,
+    createdAt: this.createdAt,
+  };
+};
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+export default LoginAttempt;
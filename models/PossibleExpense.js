@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const possibleExpenseSchema = new mongoose.Schema(
   {
@@ -49,7 +51,8 @@ possibleExpenseSchema.index({ userId: 1, createdAt: -1 });
 possibleExpenseSchema.virtual("formattedExpectedAmount").get(function () {
   return new Intl.NumberFormat("en-US", {
     style: "currency",
-    currency: "USD",
+    // In the account's currency when it is populated
+    currency: this.accountId?.currency || "USD",
   }).format(this.expectedAmount);
 });
 
@@ -58,7 +61,7 @@ possibleExpenseSchema.statics.getUserPossibleExpenses = async function (
   userId
 ) {
   return await this.find({ userId })
-    .populate("accountId", "name type")
+    .populate("accountId", "name type currency")
     .sort({ createdAt: -1 });
 };
 
@@ -68,10 +71,13 @@ possibleExpenseSchema.statics.getByCategory = async function (
   category
 ) {
   return await this.find({ userId, category })
-    .populate("accountId", "name type")
+    .populate("accountId", "name type currency")
     .sort({ expectedAmount: -1 });
 };
 
+possibleExpenseSchema.plugin(softDeletePlugin);
+possibleExpenseSchema.plugin(auditPlugin);
+
 const PossibleExpense = mongoose.model(
   "PossibleExpense",
   possibleExpenseSchema
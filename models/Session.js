@@ -0,0 +1,189 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// A signed-in device. Every login starts a session; its refresh token is
+// rotated on each use and only the latest one (tokenId) is accepted, so a
+// refresh token that is presented twice means it was copied and the whole
+// session is revoked. Access tokens carry the session id and stop working
+// once the session is revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    // Address of the last request seen from the device
+    ipAddress: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // jti of the only refresh token currently valid for this session
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastRefreshedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout-all",
+        "revoked",
+        "token-reuse",
+        "password-reset",
+        "password-change",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const generateTokenId = () => crypto.randomBytes(16).toString("hex");
+
+// lastSeenAt is refreshed at most this often, to avoid a write per request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+const PLATFORMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Macintosh|Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+// Readable device name from a User-Agent header, e.g. "Chrome on Windows"
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser || platform) return (browser || platform)[0];
+  return userAgent.split(/[\s/]/)[0].substring(0, 100) || "Unknown device";
+};
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to record activity from the device
+sessionSchema.methods.touch = async function (ipAddress) {
+  const now = new Date();
+  if (
+    this.ipAddress === ipAddress &&
+    now - this.lastSeenAt < LAST_SEEN_INTERVAL_MS
+  ) {
+    return;
+  }
+
+  this.lastSeenAt = now;
+  this.ipAddress = ipAddress;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: now, ipAddress }
+  );
+};
+
+// Method to get session summary; currentSessionId marks the caller's own
+sessionSchema.methods.getSummary = function (currentSessionId) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    isCurrent: String(this._id) === String(currentSessionId),
+  };
+};
+
+// Static method to get the active sessions of a user, most recent first
+sessionSchema.statics.getActiveSessions = async function (userId) {
+  return await this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to swap the current refresh token id for a new one. Resolves
+// with the updated session, or null if tokenId is not the current one (it was
+// already rotated) or the session is no longer active.
+sessionSchema.statics.rotate = async function (
+  sessionId,
+  tokenId,
+  newTokenId,
+  expiresAt,
+  ipAddress
+) {
+  const now = new Date();
+  return await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      tokenId: newTokenId,
+      expiresAt,
+      lastRefreshedAt: now,
+      lastSeenAt: now,
+      ipAddress,
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke sessions matching a filter, e.g. one session or
+// every session of a user. Resolves with the number revoked.
+sessionSchema.statics.revoke = async function (filter, reason) {
+  const result = await this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+
+// Records that can be tagged: model name and the key their usage counts
+// are reported under
+export const TAGGED_MODELS = {
+  Transaction: "transactions",
+  Borrowing: "borrowings",
+  FixedExpense: "fixedExpenses",
+};
+
+// Tag names are kept trimmed, in lower case and without duplicates
+export const normalizeTagNames = (names) =>
+  names === null || names === undefined
+    ? []
+    : [
+        ...new Set(
+          (Array.isArray(names) ? names : [names])
+            .map((name) => String(name).trim().toLowerCase())
+            .filter(Boolean)
+        ),
+      ];
+
+// Usage counts of a tag nothing carries yet
+export const getEmptyUsage = () =>
+  Object.fromEntries(Object.values(TAGGED_MODELS).map((key) => [key, 0]));
+
+// Schema field for the tags of a taggable record: names of its owner's tags
+export const tagsField = {
+  type: [{ type: String, maxlength: 50 }],
+  default: undefined,
+  set: normalizeTagNames,
+};
+
+// A free-form label such as "vacation-2026" or "tax-deductible". Records
+// carry the tag names themselves, so renaming or deleting a tag rewrites
+// them (see rename and erase below).
+const tagSchema = new mongoose.Schema(
+  {
+    // Owner: a user, or a household (see Household)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      maxlength: 50,
+    },
+    color: {
+      type: String,
+      default: "#6B7280", // Gray color
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tagSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Static method to create any of the named tags the owner does not have
+// yet, as records are tagged with them
+tagSchema.statics.ensureTags = async function (userId, names) {
+  const tags = normalizeTagNames(names);
+  if (tags.length === 0) return;
+  await this.bulkWrite(
+    tags.map((name) => ({
+      updateOne: {
+        filter: { userId, name },
+        update: { $setOnInsert: { userId, name } },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+// Static method to count the owner's records carrying each tag. Resolves
+// with a Map of tag name to { transactions, borrowings, fixedExpenses }.
+tagSchema.statics.getUsage = async function (userId) {
+  const usage = new Map();
+  for (const [modelName, key] of Object.entries(TAGGED_MODELS)) {
+    const counts = await mongoose.model(modelName).aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+    ]);
+    for (const { _id, count } of counts) {
+      if (!usage.has(_id)) usage.set(_id, getEmptyUsage());
+      usage.get(_id)[key] = count;
+    }
+  }
+  return usage;
+};
+
+// Method to rename the tag on every record carrying it (pass a session to
+// include it in a transaction). The current name is read through the
+// session, so that it is safe to retry inside withTransaction.
+tagSchema.methods.rename = async function (name, session = null) {
+  const { name: oldName } = await this.constructor
+    .findById(this._id, "name")
+    .session(session)
+    .lean();
+  for (const modelName of Object.keys(TAGGED_MODELS)) {
+    await mongoose
+      .model(modelName)
+      .updateMany(
+        { userId: this.userId, tags: oldName },
+        { $set: { "tags.$[tag]": name } },
+        { arrayFilters: [{ tag: oldName }], session }
+      );
+  }
+  this.name = name;
+  return await this.save({ session });
+};
+
+// Method to delete the tag, removing it from every record carrying it
+tagSchema.methods.erase = async function (session = null) {
+  for (const modelName of Object.keys(TAGGED_MODELS)) {
+    await mongoose
+      .model(modelName)
+      .updateMany(
+        { userId: this.userId, tags: this.name },
+        { $pull: { tags: this.name } },
+        { session }
+      );
+  }
+  await this.deleteOne({ session });
+};
+
+// Method to get tag summary
+tagSchema.methods.getSummary = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    color: this.color,
+    createdAt: this.createdAt,
+  };
+};
+
+const Tag = mongoose.model("Tag", tagSchema);
+
+export default Tag;
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { createConverter } from "../utils/currency.js";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const targetSavingsSchema = new mongoose.Schema(
   {
@@ -112,29 +115,17 @@ targetSavingsSchema.statics.getUserTargets = async function (userId) {
 // Static method to get target with spending analysis
 targetSavingsSchema.statics.getTargetWithAnalysis = async function (
   targetId,
-  userId
+  userId,
+  currency = "USD"
 ) {
   const target = await this.findOne({ _id: targetId, userId });
   if (!target) return null;
 
   // Get current month's total spending
-  // Get total balance from accounts
-  const totalBalance = await mongoose.model("Account").aggregate([
-    {
-      $match: {
-        userId: new mongoose.Types.ObjectId(userId),
-        isActive: true,
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalBalance: { $sum: "$balance" },
-      },
-    },
-  ]);
-
-  const totalBalanceAmount = totalBalance[0]?.totalBalance || 0;
+  // Get total balance from accounts, in the user's currency
+  const totalBalanceAmount = await mongoose
+    .model("Account")
+    .getTotalBalance(userId, await createConverter(userId, currency));
   // Spendable without touching savings equals totalBalance - totalCurrentSavings - monthlyExpenses
   const allTargets = await mongoose
     .model("TargetSavings")
@@ -187,6 +178,9 @@ targetSavingsSchema.statics.getTargetWithAnalysis = async function (
   };
 };
 
+targetSavingsSchema.plugin(softDeletePlugin);
+targetSavingsSchema.plugin(auditPlugin);
+
 const TargetSavings = mongoose.model("TargetSavings", targetSavingsSchema);
 
 export default TargetSavings;
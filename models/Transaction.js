@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import { auditPlugin } from "../utils/audit.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { normalizeTagNames, tagsField } from "./Tag.js";
 
 const transactionSchema = new mongoose.Schema(
   {
@@ -14,17 +17,45 @@ const transactionSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // Destination account for transfers (accountId is the source)
+    toAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      index: true,
+    },
     type: {
       type: String,
       required: true,
       enum: ["income", "expense", "transfer"],
       index: true,
     },
+    // Always in the currency of accountId
     amount: {
       type: Number,
       required: true,
       min: 0.01,
     },
+    // What was actually paid when it was in another currency
+    originalAmount: {
+      type: Number,
+      min: 0.01,
+    },
+    originalCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    // Amount credited to toAccountId when it uses a different currency
+    toAmount: {
+      type: Number,
+      min: 0.01,
+    },
+    // Rate applied: originalCurrency to the account currency, or for
+    // transfers the source to the destination account currency
+    exchangeRate: {
+      type: Number,
+      min: 0,
+    },
     description: {
       type: String,
       required: true,
@@ -38,6 +69,35 @@ const transactionSchema = new mongoose.Schema(
       maxlength: 50,
       index: true,
     },
+    // Lines splitting an income or expense across categories. They are in
+    // the currency it was entered in (originalCurrency when set, otherwise
+    // the account's) and add up to its total; category then only labels
+    // the transaction as a whole (SPLIT_CATEGORY by default).
+    splits: {
+      type: [
+        {
+          _id: false,
+          category: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 50,
+          },
+          amount: {
+            type: Number,
+            required: true,
+            min: 0.01,
+          },
+          note: {
+            type: String,
+            trim: true,
+            maxlength: 200,
+          },
+        },
+      ],
+      default: undefined,
+    },
+    tags: tagsField,
     date: {
       type: Date,
       required: true,
@@ -56,6 +116,17 @@ const transactionSchema = new mongoose.Schema(
         });
       },
     },
+    // Statement import this transaction came from, and the bank's own
+    // identifier for it (e.g. the OFX FITID)
+    importBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      index: true,
+    },
+    externalId: {
+      type: String,
+      trim: true,
+    },
   },
   {
     timestamps: true,
@@ -68,6 +139,71 @@ transactionSchema.index({ userId: 1, accountId: 1 });
 transactionSchema.index({ userId: 1, category: 1 });
 transactionSchema.index({ userId: 1, type: 1 });
 transactionSchema.index({ userId: 1, date: 1, type: 1 });
+transactionSchema.index({ userId: 1, "splits.category": 1 });
+transactionSchema.index({ userId: 1, tags: 1 });
+
+// Category of a split transaction when none is given
+export const SPLIT_CATEGORY = "Split";
+
+// Method to check the split lines against the transaction. Returns an error
+// message, or null when they are valid (or there are none).
+transactionSchema.methods.getSplitError = function () {
+  if (!this.splits?.length) return null;
+  if (this.type === "transfer") {
+    return "Transfers cannot be split";
+  }
+  const total = this.originalAmount || this.amount;
+  const linesTotal = this.splits.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(linesTotal - total) >= 0.005) {
+    return `Split amounts must add up to the transaction total (${total})`;
+  }
+  return null;
+};
+
+transactionSchema.pre("validate", function (next) {
+  if (this.splits?.length && !this.category) {
+    this.category = SPLIT_CATEGORY;
+  }
+  const error = this.getSplitError();
+  if (error) {
+    this.invalidate("splits", error);
+  }
+  next();
+});
+
+// Aggregation stages turning each transaction into its lines, as
+// `line: { category, amount }` with the amount in the account currency:
+// one per split, each taking its share of the amount, or a single line for
+// the whole amount when it is not split. lineIndex is 0 for the first line
+// of each transaction, to count transactions once. Follow a $match.
+export const SPLIT_LINE_STAGES = [
+  {
+    $addFields: {
+      line: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+          {
+            $map: {
+              input: "$splits",
+              as: "split",
+              in: {
+                category: "$$split.category",
+                amount: {
+                  $divide: [
+                    { $multiply: ["$amount", "$$split.amount"] },
+                    { $sum: "$splits.amount" },
+                  ],
+                },
+              },
+            },
+          },
+          [{ category: "$category", amount: "$amount" }],
+        ],
+      },
+    },
+  },
+  { $unwind: { path: "$line", includeArrayIndex: "lineIndex" } },
+];
 
 // Virtual for formatted amount
 transactionSchema.virtual("formattedAmount").get(function () {
@@ -81,85 +217,309 @@ transactionSchema.virtual("formattedAmount").get(function () {
   return `$${this.amount.toFixed(2)}`;
 });
 
-// Static method to get user transactions with filters
-transactionSchema.statics.getUserTransactions = async function (
-  userId,
-  filters = {}
-) {
+// Method to get the balance change this transaction applies to each account
+transactionSchema.methods.getBalanceEffects = function () {
+  const accountId = this.accountId?._id || this.accountId;
+  if (this.type === "income") {
+    return [{ accountId, amount: this.amount }];
+  }
+
+  const effects = [{ accountId, amount: -this.amount }];
+  // Legacy transfers without a destination only debit the source account
+  if (this.type === "transfer" && this.toAccountId) {
+    effects.push({
+      accountId: this.toAccountId?._id || this.toAccountId,
+      amount: this.toAmount || this.amount,
+    });
+  }
+  return effects;
+};
+
+// Fields transaction listings can be sorted by; _id breaks ties so cursors
+// are stable
+export const TRANSACTION_SORT_FIELDS = [
+  "date",
+  "amount",
+  "createdAt",
+  "description",
+];
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Build the find() query shared by listings and their total counts
+const buildUserQuery = (userId, filters) => {
   const query = { userId };
+  const conditions = [];
 
-  if (filters.startDate && filters.endDate) {
+  if (filters.startDate || filters.endDate) {
     // Handle both ISO strings and date-only strings
-    const startDate = new Date(filters.startDate);
-    const endDate = new Date(filters.endDate);
-    
-    query.date = {
-      $gte: startDate,
-      $lte: endDate,
-    };
+    query.date = {};
+    if (filters.startDate) query.date.$gte = new Date(filters.startDate);
+    if (filters.endDate) query.date.$lte = new Date(filters.endDate);
   }
 
   if (filters.type) {
-    query.type = filters.type;
+    query.type = { $in: toList(filters.type) };
   }
 
   if (filters.category) {
-    query.category = filters.category;
+    // Split transactions match on any of their lines
+    const categories = toList(filters.category);
+    conditions.push({
+      $or: [
+        { category: { $in: categories } },
+        { "splits.category": { $in: categories } },
+      ],
+    });
+  }
+
+  if (filters.tags) {
+    query.tags = { $in: normalizeTagNames(filters.tags) };
   }
 
   if (filters.accountId) {
-    query.accountId = filters.accountId;
+    // Include transfers into the account(s) as well as those out of them
+    const accountIds = toList(filters.accountId);
+    conditions.push({
+      $or: [
+        { accountId: { $in: accountIds } },
+        { toAccountId: { $in: accountIds } },
+      ],
+    });
+  }
+
+  if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+    query.amount = {};
+    if (filters.minAmount !== undefined) query.amount.$gte = filters.minAmount;
+    if (filters.maxAmount !== undefined) query.amount.$lte = filters.maxAmount;
+  }
+
+  if (filters.search) {
+    query.description = {
+      $regex: escapeRegex(filters.search),
+      $options: "i",
+    };
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return query;
+};
+
+const getSortOptions = (filters) => {
+  const field = filters.sortBy || "date";
+  const direction = filters.sortOrder === "asc" ? 1 : -1;
+  return { field, direction, sort: { [field]: direction, _id: direction } };
+};
+
+// Cursors are the last returned row's sort value and id, base64url encoded
+const encodeCursor = (transaction, field) =>
+  Buffer.from(
+    JSON.stringify([transaction[field], transaction._id.toString()])
+  ).toString("base64url");
+
+// Static method to decode a listing cursor; returns null if it is malformed
+transactionSchema.statics.decodeCursor = function (cursor) {
+  try {
+    const [value, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (value === undefined || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { value, id };
+  } catch {
+    return null;
   }
+};
 
-  return await this.find(query)
-    .sort({ date: -1, createdAt: -1 })
+// Static method to get user transactions with filters
+transactionSchema.statics.getUserTransactions = async function (
+  userId,
+  filters = {}
+) {
+  return await this.find(buildUserQuery(userId, filters))
+    .sort(getSortOptions(filters).sort)
     .populate("accountId", "name type")
+    .populate("toAccountId", "name type")
     .limit(filters.limit || 100);
 };
 
-// Static method to get analytics data
+// Static method to get one page of user transactions with the total number
+// matching the filters. Pass the previous page's nextCursor as
+// filters.cursor (decoded) to continue, or filters.skip for offset paging.
+transactionSchema.statics.getTransactionPage = async function (
+  userId,
+  filters = {}
+) {
+  const query = buildUserQuery(userId, filters);
+  const { field, direction, sort } = getSortOptions(filters);
+  const limit = filters.limit || 50;
+
+  let pageQuery = query;
+  if (filters.cursor) {
+    // Rows strictly after the cursor in sort order
+    const operator = direction === 1 ? "$gt" : "$lt";
+    const { value, id } = filters.cursor;
+    pageQuery = {
+      $and: [
+        query,
+        {
+          $or: [
+            { [field]: { [operator]: value } },
+            { [field]: value, _id: { [operator]: id } },
+          ],
+        },
+      ],
+    };
+  }
+
+  const [transactions, total] = await Promise.all([
+    this.find(pageQuery)
+      .sort(sort)
+      .skip(filters.cursor ? 0 : filters.skip || 0)
+      .limit(limit + 1)
+      .populate("accountId", "name type")
+      .populate("toAccountId", "name type"),
+    this.countDocuments(query),
+  ]);
+
+  const hasMore = transactions.length > limit;
+  if (hasMore) transactions.pop();
+
+  return {
+    transactions,
+    total,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor(transactions[transactions.length - 1], field)
+      : null,
+  };
+};
+
+// Static method to get analytics data. Split transactions count towards
+// the category of each line; each type is also broken down by tag, where a
+// transaction counts in full towards every tag it carries (so tag totals
+// can overlap). Totals are per account currency in the database, so they
+// are grouped by account and, given a converter (see utils/currency.js),
+// converted into its currency before being combined. Given parentOf (a
+// function from a category name to its parent's, if any), subcategories
+// are rolled up into their parent, listed under its subcategories.
 transactionSchema.statics.getAnalytics = async function (
   userId,
   startDate,
-  endDate
+  endDate,
+  converter = null,
+  parentOf = null
 ) {
-  const pipeline = [
-    {
-      $match: {
-        userId: new mongoose.Types.ObjectId(userId),
-        date: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate),
-        },
+  const match = {
+    $match: {
+      userId: new mongoose.Types.ObjectId(userId),
+      date: {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
       },
     },
+  };
+  const totals = await this.aggregate([
+    match,
+    ...SPLIT_LINE_STAGES,
     {
       $group: {
         _id: {
           type: "$type",
-          category: "$category",
+          category: "$line.category",
+          accountId: "$accountId",
         },
-        total: { $sum: "$amount" },
+        total: { $sum: "$line.amount" },
         count: { $sum: 1 },
+        transactions: {
+          $sum: { $cond: [{ $eq: ["$lineIndex", 0] }, 1, 0] },
+        },
       },
     },
+  ]);
+  const tagTotals = await this.aggregate([
+    match,
+    { $unwind: "$tags" },
     {
       $group: {
-        _id: "$_id.type",
-        categories: {
-          $push: {
-            category: "$_id.category",
-            total: "$total",
-            count: "$count",
-          },
-        },
-        totalAmount: { $sum: "$total" },
-        totalCount: { $sum: "$count" },
+        _id: { type: "$type", tag: "$tags", accountId: "$accountId" },
+        total: { $sum: "$amount" },
+        count: { $sum: 1 },
       },
     },
-  ];
+  ]);
 
-  return await this.aggregate(pipeline);
+  const byType = new Map();
+  const getGroup = (type) => {
+    if (!byType.has(type)) {
+      byType.set(type, {
+        _id: type,
+        categories: new Map(),
+        tags: new Map(),
+        totalAmount: 0,
+        totalCount: 0,
+      });
+    }
+    return byType.get(type);
+  };
+  const toAmount = (total, accountId) =>
+    converter ? converter.convertFromAccount(total, accountId) : total;
+
+  for (const { _id, total, count, transactions } of totals) {
+    const amount = toAmount(total, _id.accountId);
+    const group = getGroup(_id.type);
+    const parent = parentOf?.(_id.category);
+    const name = parent || _id.category;
+    const category = group.categories.get(name) || {
+      category: name,
+      total: 0,
+      count: 0,
+    };
+    category.total += amount;
+    category.count += count;
+    if (parent) {
+      category.subcategories ??= new Map();
+      const subcategory = category.subcategories.get(_id.category) || {
+        category: _id.category,
+        total: 0,
+        count: 0,
+      };
+      subcategory.total += amount;
+      subcategory.count += count;
+      category.subcategories.set(_id.category, subcategory);
+    }
+    group.categories.set(name, category);
+    group.totalAmount += amount;
+    group.totalCount += transactions;
+  }
+
+  for (const { _id, total, count } of tagTotals) {
+    const group = getGroup(_id.type);
+    const tag = group.tags.get(_id.tag) || {
+      tag: _id.tag,
+      total: 0,
+      count: 0,
+    };
+    tag.total += toAmount(total, _id.accountId);
+    tag.count += count;
+    group.tags.set(_id.tag, tag);
+  }
+
+  return [...byType.values()].map((group) => ({
+    ...group,
+    categories: [...group.categories.values()].map((category) =>
+      category.subcategories
+        ? { ...category, subcategories: [...category.subcategories.values()] }
+        : category
+    ),
+    tags: [...group.tags.values()],
+  }));
 };
 
 // Static method to get monthly summary
@@ -193,6 +553,9 @@ transactionSchema.statics.getMonthlySummary = async function (
   return await this.aggregate(pipeline);
 };
 
+transactionSchema.plugin(softDeletePlugin);
+transactionSchema.plugin(auditPlugin);
+
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
 export default Transaction;
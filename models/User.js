@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { verifyCode, hashRecoveryCode } from "../utils/totp.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,6 +26,58 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: 50,
     },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // New address waiting to be confirmed from the link sent to it
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // When the last verification email was sent, to throttle resends
+    emailVerificationSentAt: {
+      type: Date,
+    },
+    // TOTP two-factor authentication. Secrets are never returned by default
+    // queries; select them explicitly where needed.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated at setup, until the first code confirms it
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
     settings: {
       currency: {
         type: String,
@@ -41,6 +94,10 @@ const userSchema = new mongoose.Schema(
         enum: ["light", "dark", "auto"],
       },
     },
+    // When the user's categories were set up (see Category.ensureCategories)
+    categoriesSetUpAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -68,10 +125,49 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to get public profile (without password)
+// Method to accept an authenticator app code. The time step is recorded
+// atomically so the same code cannot be used twice. Needs twoFactor.secret
+// to have been selected.
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+  const step = verifyCode(this.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      "twoFactor.enabled": true,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": null },
+      ],
+    },
+    { "twoFactor.lastUsedStep": step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Method to spend a recovery code; each one works once
+userSchema.methods.useRecoveryCode = async function (code) {
+  const hash = hashRecoveryCode(code);
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      "twoFactor.enabled": true,
+      "twoFactor.recoveryCodes": hash,
+    },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Method to get public profile (without password or 2FA secrets)
 userSchema.methods.toPublicJSON = function () {
   const user = this.toObject();
   delete user.password;
+  user.twoFactor = {
+    enabled: Boolean(this.twoFactor?.enabled),
+    enabledAt: this.twoFactor?.enabledAt,
+  };
   return user;
 };
 
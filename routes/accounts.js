@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import { validate, accountSchemas } from "../middleware/validation.js";
 import {
   createAccount,
@@ -7,12 +8,18 @@ import {
   updateAccount,
   deleteAccount,
   transferFunds,
+  reconcileAccount,
+  reconcileAccounts,
+  getSharedAccounts,
+  getAccountShares,
+  shareAccount,
+  revokeAccountShare,
 } from "../controllers/accountController.js";
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
 
 /**
  * @swagger
@@ -155,7 +162,7 @@ router.put("/:id", validate(accountSchemas.update), updateAccount);
  * @swagger
  * /api/accounts/{id}:
  *   delete:
- *     summary: Delete an account
+ *     summary: Delete an account (moves it to the trash)
  *     tags: [Accounts]
  *     security:
  *       - bearerAuth: []
@@ -212,6 +219,14 @@ router.delete("/:id", deleteAccount);
  *                 type: number
  *                 minimum: 0.01
  *                 example: 100.00
+ *               toAmount:
+ *                 type: number
+ *                 description: Amount the destination receives, when its currency differs
+ *                 example: 92.00
+ *               exchangeRate:
+ *                 type: number
+ *                 description: Rate to use instead of the stored one when currencies differ
+ *                 example: 0.92
  *               description:
  *                 type: string
  *                 maxLength: 200
@@ -239,10 +254,284 @@ router.delete("/:id", deleteAccount);
  *                       $ref: '#/components/schemas/Account'
  *                     amount:
  *                       type: number
+ *                     toAmount:
+ *                       type: number
+ *                     exchangeRate:
+ *                       type: number
+ *                       nullable: true
  *                     transferDate:
  *                       type: string
  *                       format: date-time
+ *       400:
+ *         description: Insufficient funds, same account, or no exchange rate between the account currencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post("/transfer", validate(accountSchemas.transfer), transferFunds);
 
+/**
+ * @swagger
+ * /api/accounts/reconcile:
+ *   post:
+ *     summary: Reconcile all account balances against their ledgers
+ *     description: Recomputes every account's balance from its opening balance plus all transactions, transfers and borrowings, and reports accounts whose stored balance has drifted
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               correct:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Overwrite drifted balances with the ledger balance
+ *     responses:
+ *       200:
+ *         description: Accounts reconciled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accounts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Reconciliation'
+ *                     discrepancies:
+ *                       type: integer
+ *                       example: 1
+ *                     corrected:
+ *                       type: integer
+ *                       example: 0
+ */
+router.post(
+  "/reconcile",
+  validate(accountSchemas.reconcileAll),
+  reconcileAccounts
+);
+
+/**
+ * @swagger
+ * /api/accounts/{id}/reconcile:
+ *   post:
+ *     summary: Reconcile an account balance
+ *     description: Recomputes the account's balance from its ledger, optionally corrects it, and optionally compares the ledger with a bank statement balance for a date
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               correct:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Overwrite a drifted balance with the ledger balance
+ *               statementBalance:
+ *                 type: number
+ *                 example: 1520.75
+ *               statementDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-31"
+ *                 description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Account reconciled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Reconciliation'
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/:id/reconcile",
+  validate(accountSchemas.reconcile),
+  reconcileAccount
+);
+
+/**
+ * @swagger
+ * /api/accounts/shared:
+ *   get:
+ *     summary: Get accounts other users have shared with you
+ *     description: Use the account's id as the accountId filter of GET /api/transactions to list its transactions. With contribute access, transactions can also be added to it, changed and deleted.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shared accounts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Account'
+ *                       - type: object
+ *                         properties:
+ *                           access:
+ *                             type: string
+ *                             enum: [read, contribute]
+ */
+router.get("/shared", getSharedAccounts);
+
+/**
+ * @swagger
+ * /api/accounts/{id}/shares:
+ *   get:
+ *     summary: Get the users an account is shared with
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *     responses:
+ *       200:
+ *         description: Shares retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountShare'
+ *       404:
+ *         description: Account not found
+ *   post:
+ *     summary: Share an account with another registered user
+ *     description: Read access shows the account and its transactions; contribute access also allows adding, changing and deleting its transactions. Sharing again with the same user changes their access. A household's accounts can only be shared by its owner.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - access
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: accountant@example.com
+ *               access:
+ *                 type: string
+ *                 enum: [read, contribute]
+ *     responses:
+ *       201:
+ *         description: Account shared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountShare'
+ *       200:
+ *         description: Access updated for a user the account was already shared with
+ *       400:
+ *         description: Cannot share with yourself
+ *       403:
+ *         description: Only the household owner can share its accounts
+ *       404:
+ *         description: Account not found, or no user registered with the email
+ */
+router.get("/:id/shares", getAccountShares);
+router.post("/:id/shares", validate(accountSchemas.share), shareAccount);
+
+/**
+ * @swagger
+ * /api/accounts/{id}/shares/{userId}:
+ *   delete:
+ *     summary: Revoke a user's access to an account
+ *     description: The owner (for a household's accounts, the household owner) may revoke anyone's access; a user an account is shared with may remove their own.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access revoked successfully
+ *       403:
+ *         description: Only the account owner can revoke others' access
+ *       404:
+ *         description: Account or share not found
+ */
+router.delete("/:id/shares/:userId", revokeAccountShare);
+
 export default router;
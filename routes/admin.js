@@ -0,0 +1,135 @@
+import express from "express";
+import { auth, requireAdmin } from "../middleware/auth.js";
+import {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+} from "../controllers/adminController.js";
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(auth, requireAdmin);
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List background jobs with their most recent run
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: fixed-expense-rollover
+ *                       description:
+ *                         type: string
+ *                       isRunning:
+ *                         type: boolean
+ *                       lastRun:
+ *                         $ref: '#/components/schemas/JobRun'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/jobs", getJobs);
+
+/**
+ * @swagger
+ * /api/admin/jobs/runs:
+ *   get:
+ *     summary: Get recorded job runs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *         description: Filter by job name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, success, failed]
+ *         description: Filter by run status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of runs to return
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobRun'
+ */
+router.get("/jobs/runs", getJobRuns);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/run:
+ *   post:
+ *     summary: Run a background job immediately
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name, as listed by GET /api/admin/jobs
+ *     responses:
+ *       200:
+ *         description: Job completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/JobRun'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.post("/jobs/:name/run", triggerJob);
+
+export default router;
@@ -0,0 +1,207 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import { uploadFile } from "../middleware/upload.js";
+import {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} from "../controllers/attachmentController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/attachments/{id}/download:
+ *   get:
+ *     summary: Download an attached file
+ *     description: Available to everyone who can see the record it is attached to.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Let the browser show the file instead of saving it
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Attachment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id/download", downloadAttachment);
+
+/**
+ * @swagger
+ * /api/attachments/{type}/{id}:
+ *   get:
+ *     summary: List the files attached to a record
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [transactions, fixed-expenses, borrowings]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:type/:id", getAttachments);
+
+/**
+ * @swagger
+ * /api/attachments/{type}/{id}:
+ *   post:
+ *     summary: Attach a receipt or document to a record
+ *     description: JPEG, PNG or WebP images and PDFs of up to ATTACHMENT_MAX_MB (default 10) megabytes, at most 10 per record. The type is recognised from the file content. Transactions on accounts shared with you need contributor access.
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [transactions, fixed-expenses, borrowings]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File attached successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: File attached successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Missing or unsupported file, or too many attachments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       413:
+ *         description: File too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:type/:id", uploadFile, uploadAttachment);
+
+/**
+ * @swagger
+ * /api/attachments/{id}:
+ *   delete:
+ *     summary: Delete an attached file
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       404:
+ *         description: Attachment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", deleteAttachment);
+
+export default router;
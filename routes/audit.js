@@ -0,0 +1,94 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import { getAuditLog } from "../controllers/auditController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get the audit log of changes to financial records
+ *     description: Every create, update and delete of transactions, accounts, budgets, fixed and possible expenses, savings goals and borrowings, most recent first, with snapshots of the record before and after. Balance changes appear as Account updates.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           example: Transaction,Account
+ *         description: Comma-separated list of Transaction, Account, Budget, FixedExpense, PossibleExpense, TargetSavings, Borrowing
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: History of a single record
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: update,delete
+ *         description: Comma-separated list of create, update, delete
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", getAuditLog);
+
+export default router;
@@ -1,15 +1,36 @@
 import express from "express";
-import { auth } from "../middleware/auth.js";
+import { authAllowUnverified } from "../middleware/auth.js";
 import { validate, authSchemas } from "../middleware/validation.js";
+import { loginSlowDown, loginLockout } from "../middleware/loginProtection.js";
 import {
   register,
   login,
   refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  getLoginAttempts,
+  revokeSession,
   getProfile,
   updateProfile,
   forgotPassword,
+  resetPassword,
+  changePassword,
+  changeEmail,
+  requestAccountDeletion,
+  getAccountDeletion,
+  cancelAccountDeletion,
+  verifyEmail,
+  resendVerificationEmail,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
 } from "../controllers/authController.js";
 
+// Unverified accounts keep access to these endpoints whatever the email
+// verification policy, so they can verify, resend and manage their account
 const router = express.Router();
 
 /**
@@ -41,6 +62,11 @@ const router = express.Router();
  *                 type: string
  *                 maxLength: 50
  *                 example: John Doe
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Name shown in the session list (defaults to one derived from the User-Agent)
+ *                 example: Work laptop
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -89,9 +115,14 @@ router.post("/register", validate(authSchemas.register), register);
  *               password:
  *                 type: string
  *                 example: password123
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Name shown in the session list (defaults to one derived from the User-Agent)
+ *                 example: Work laptop
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled (data.twoFactorRequired and data.challengeToken instead of tokens)
  *         content:
  *           application/json:
  *             schema:
@@ -111,6 +142,12 @@ router.post("/register", validate(authSchemas.register), register);
  *                     refreshToken:
  *                       type: string
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       example: true
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Send to /api/auth/2fa/verify with a code
  *                 message:
  *                   type: string
  *                   example: Login successful
@@ -120,14 +157,264 @@ router.post("/register", validate(authSchemas.register), register);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts; the account is temporarily locked or the address blocked (see the Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/login",
+  validate(authSchemas.login),
+  loginSlowDown,
+  loginLockout,
+  login
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: Exchanges the challenge token from /api/auth/login and a code from the authenticator app (or an unused recovery code) for access and refresh tokens.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-c27e4
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                       description: Only when a recovery code was used
+ *                       example: 9
+ *       401:
+ *         description: Invalid or expired challenge token, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts (see the Retry-After header)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/2fa/verify",
+  validate(authSchemas.twoFactorVerify),
+  loginSlowDown,
+  verifyTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a TOTP secret to add to an authenticator app. Two-factor authentication is not enabled until confirmed with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/Flowtrance%20Finance%3Auser%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Flowtrance+Finance
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/2fa/setup", authAllowUnverified, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Enabled; returns recovery codes, shown only this once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: 3f9a1-c27e4
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/2fa/enable",
+  authAllowUnverified,
+  validate(authSchemas.twoFactorEnable),
+  enableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Requires the current password. Earlier codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only this once
+ *       400:
+ *         description: Incorrect password or two-factor authentication not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authAllowUnverified,
+  validate(authSchemas.passwordConfirmation),
+  regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the current password.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Incorrect password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post("/login", validate(authSchemas.login), login);
+router.post(
+  "/2fa/disable",
+  authAllowUnverified,
+  validate(authSchemas.passwordConfirmation),
+  disableTwoFactor
+);
 
 /**
  * @swagger
  * /api/auth/refresh-token:
  *   post:
  *     summary: Refresh access token
+ *     description: Refresh tokens are single use; each call returns a new one. Presenting a token that was already used revokes its session.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -165,7 +452,7 @@ router.post("/login", validate(authSchemas.login), login);
  *                   type: string
  *                   example: Token refreshed successfully
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired, revoked or already used refresh token
  *         content:
  *           application/json:
  *             schema:
@@ -175,38 +462,558 @@ router.post("/refresh-token", refreshToken);
 
 /**
  * @swagger
- * /api/auth/forgot-password:
+ * /api/auth/logout:
  *   post:
- *     summary: Request password reset
+ *     summary: Log out of the current session
+ *     description: Revokes the session of the access token used, along with its refresh token.
  *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: user@example.com
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Password reset email sent
+ *         description: Logged out successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Success'
- *       404:
- *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/logout", authAllowUnverified, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Revokes every session of the user, including the current one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Logged out of all devices
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 3
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/logout-all", authAllowUnverified, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get the devices the user is logged in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently seen first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/sessions", authAllowUnverified, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/login-attempts:
+ *   get:
+ *     summary: Get recent sign-in attempts on the user's account
+ *     description: Successful, failed and blocked attempts from the last 90 days, most recent first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Sign-in attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginAttempt'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/login-attempts", authAllowUnverified, getLoginAttempts);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Log a device out
+ *     description: Revokes the session; its access and refresh tokens stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/sessions/:id", authAllowUnverified, revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request password reset
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Reset instructions sent if the email is registered (the response does not reveal which)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/forgot-password",
+  validate(authSchemas.forgotPassword),
+  forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Tokens are sent by /api/auth/forgot-password, expire after PASSWORD_RESET_EXPIRES_MINUTES and can only be used once. All of the user's sessions are logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 3f7c2a...
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: newpassword123
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid or expired reset token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/reset-password",
+  validate(authSchemas.resetPassword),
+  resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password
+ *     description: Requires the current password. Every other session is logged out; the current one stays signed in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: password123
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: newpassword456
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Password changed successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 2
+ *       400:
+ *         description: Current password is incorrect or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/password",
+  authAllowUnverified,
+  validate(authSchemas.changePassword),
+  changePassword
+);
+
+/**
+ * @swagger
+ * /api/auth/email:
+ *   put:
+ *     summary: Change email address
+ *     description: Requires the current password. A confirmation link is sent to the new address; the email only changes once it is opened (see /api/auth/verify-email).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: new@example.com
+ *               password:
+ *                 type: string
+ *                 example: password123
+ *     responses:
+ *       200:
+ *         description: Confirmation link sent to the new address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     pendingEmail:
+ *                       type: string
+ *                       example: new@example.com
+ *       400:
+ *         description: Incorrect password, or the email is unchanged or already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put(
+  "/email",
+  authAllowUnverified,
+  validate(authSchemas.changeEmail),
+  changeEmail
+);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete the user's account and all their data
+ *     description: Requires the current password. The account is erased after a grace period (ACCOUNT_DELETION_GRACE_DAYS, default 7) during which the request can be cancelled; other sessions are logged out right away. Accounts, transactions, budgets, fixed and possible expenses, savings goals, borrowings and imports are deleted and job history is anonymised. A deletion report is emailed when erasure runs.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AccountDeletion'
+ *       400:
+ *         description: Incorrect password or deletion already requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/me",
+  authAllowUnverified,
+  validate(authSchemas.passwordConfirmation),
+  requestAccountDeletion
+);
+
+/**
+ * @swagger
+ * /api/auth/me/deletion:
+ *   get:
+ *     summary: Get the pending account deletion
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending deletion and the steps completed so far
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AccountDeletion'
+ *       404:
+ *         description: No account deletion pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Cancel a pending account deletion
+ *     description: Only possible during the grace period.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AccountDeletion'
+ *       404:
+ *         description: No account deletion to cancel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/me/deletion", authAllowUnverified, getAccountDeletion);
+router.delete("/me/deletion", authAllowUnverified, cancelAccountDeletion);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify the user's email address
+ *     description: Tokens are emailed at registration and by /api/auth/verify-email/resend, or to the new address by /api/auth/email (which then becomes the account's email). They expire after EMAIL_VERIFICATION_EXPIRES_HOURS and can only be used once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 9b1e4c...
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/verify-email", validate(authSchemas.verifyEmail), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Send the verification email again
+ *     description: Limited to one email per EMAIL_VERIFICATION_RESEND_SECONDS. Earlier links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Email is already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Requested too soon after the last email (see the Retry-After header)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/forgot-password", forgotPassword);
+router.post(
+  "/verify-email/resend",
+  authAllowUnverified,
+  resendVerificationEmail
+);
 
 /**
  * @swagger
@@ -239,7 +1046,7 @@ router.post("/forgot-password", forgotPassword);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/profile", auth, getProfile);
+router.get("/profile", authAllowUnverified, getProfile);
 
 /**
  * @swagger
@@ -302,6 +1109,6 @@ router.get("/profile", auth, getProfile);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put("/profile", auth, updateProfile);
+router.put("/profile", authAllowUnverified, updateProfile);
 
 export default router;
@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import { validateRequest, borrowingSchemas } from "../middleware/validation.js";
 import {
   createBorrowing,
@@ -14,7 +15,7 @@ import {
 const router = express.Router();
 
 // Apply authentication to all routes
-router.use(auth);
+router.use(auth, workspace);
 
 /**
  * @swagger
@@ -52,6 +53,12 @@ router.use(auth);
  *                 type: string
  *                 format: date
  *                 example: "2025-01-31"
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Tag names; tags not used before are created
+ *                 items:
+ *                   type: string
  *     responses:
  *       201:
  *         description: Borrowing record created
@@ -78,6 +85,10 @@ router.post("/", validateRequest(borrowingSchemas.create), createBorrowing);
  *         schema:
  *           type: boolean
  *       - in: query
+ *         name: isOverdue
+ *         schema:
+ *           type: boolean
+ *       - in: query
  *         name: personName
  *         schema:
  *           type: string
@@ -181,7 +192,7 @@ router.patch("/:id/paid", togglePaidStatus);
  * @swagger
  * /api/borrowings/{id}:
  *   delete:
- *     summary: Delete a borrowing record
+ *     summary: Delete a borrowing record (moves it to the trash)
  *     tags: [Borrowings]
  *     security:
  *       - bearerAuth: []
@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import { validate, budgetSchemas } from "../middleware/validation.js";
 import {
   createBudget,
@@ -11,8 +12,8 @@ import {
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
 
 /**
  * @swagger
@@ -45,6 +46,10 @@ router.use(auth);
  *                 type: string
  *                 format: YYYY-MM
  *                 example: "2024-01"
+ *               carryForward:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Copy this budget into the next month automatically
  *     responses:
  *       201:
  *         description: Budget created successfully
@@ -128,6 +133,8 @@ router.get("/", getBudgets);
  *               month:
  *                 type: string
  *                 format: YYYY-MM
+ *               carryForward:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Budget updated successfully
@@ -148,7 +155,7 @@ router.put("/:id", validate(budgetSchemas.update), updateBudget);
  * @swagger
  * /api/budgets/{id}:
  *   delete:
- *     summary: Delete a budget
+ *     summary: Delete a budget (moves it to the trash)
  *     tags: [Budgets]
  *     security:
  *       - bearerAuth: []
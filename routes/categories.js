@@ -0,0 +1,271 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import { validate, categorySchemas } from "../middleware/validation.js";
+import {
+  getCategories,
+  createCategory,
+  updateCategory,
+  mergeCategory,
+  deleteCategory,
+} from "../controllers/categoryController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get categories
+ *     description: Subcategories carry the id of their parent in parentId. Category names used by existing records are added as categories on first use.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense]
+ *         description: Filter by category type
+ *     responses:
+ *       200:
+ *         description: Categories retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ */
+router.get("/", getCategories);
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a new category
+ *     description: Categories are also created automatically the first time a record is filed under a new name. Names are matched ignoring case and spacing. A subcategory's parent must be a top-level category of the same type.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Coffee"
+ *               type:
+ *                 type: string
+ *                 enum: [income, expense]
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *               icon:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "☕"
+ *               color:
+ *                 type: string
+ *                 pattern: '^#[0-9A-F]{6}$'
+ *                 example: "#F97316"
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Category created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Validation error, category already exists or invalid parent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Parent category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/", validate(categorySchemas.create), createCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     description: Renaming a category renames it on every transaction, budget, fixed expense and possible expense filed under it. Changing the type of a category changes it for its subcategories too. Set parentId to null to make a subcategory top-level.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               type:
+ *                 type: string
+ *                 enum: [income, expense]
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *               icon:
+ *                 type: string
+ *                 maxLength: 50
+ *               color:
+ *                 type: string
+ *                 pattern: '^#[0-9A-F]{6}$'
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       400:
+ *         description: Validation error, a category with the new name already exists or invalid parent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id", validate(categorySchemas.update), updateCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}/merge:
+ *   post:
+ *     summary: Merge a category into another
+ *     description: Files every record of the category under the target category, moves its subcategories to the target and deletes it. Where both categories have a budget for the same month, the amounts are added up in the target's budget; budgets in different currencies block the merge.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetId
+ *             properties:
+ *               targetId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Categories merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Categories merged successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Categories of different types, or merging into itself or one of its subcategories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Both categories have a budget for the same month in different currencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/merge", validate(categorySchemas.merge), mergeCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Only categories without subcategories that no record is filed under can be deleted. Merge a category into another to keep its records.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       400:
+ *         description: Category has subcategories or is in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", deleteCategory);
+
+export default router;
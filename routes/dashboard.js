@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import {
   getDashboard,
   getDashboardSummary,
@@ -28,6 +29,12 @@ const router = express.Router();
  *           format: YYYY-MM
  *           example: "2024-01"
  *         description: Month for analytics data (optional, defaults to current month)
+ *       - in: query
+ *         name: rollup
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Roll subcategories up into their parent category in the analytics
  *     responses:
  *       200:
  *         description: Dashboard data retrieved successfully
@@ -57,13 +64,13 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/", auth, getDashboard);
+router.get("/", auth, workspace, getDashboard);
 
 // Split endpoints for optimized loading
-router.get("/summary", auth, getDashboardSummary);
-router.get("/transactions", auth, getDashboardTransactions);
-router.get("/budgets", auth, getDashboardBudgets);
-router.get("/savings", auth, getDashboardSavings);
-router.get("/analytics", auth, getDashboardAnalytics);
+router.get("/summary", auth, workspace, getDashboardSummary);
+router.get("/transactions", auth, workspace, getDashboardTransactions);
+router.get("/budgets", auth, workspace, getDashboardBudgets);
+router.get("/savings", auth, workspace, getDashboardSavings);
+router.get("/analytics", auth, workspace, getDashboardAnalytics);
 
 export default router;
@@ -0,0 +1,201 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import { validate, exchangeRateSchemas } from "../middleware/validation.js";
+import {
+  getExchangeRates,
+  createExchangeRate,
+  deleteExchangeRate,
+  convertAmount,
+} from "../controllers/exchangeRateController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Get exchange rates (the user's own and the shared ones)
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Exchange rates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *   post:
+ *     summary: Enter an exchange rate by hand
+ *     description: Saving a rate for a pair and day that already has one replaces it. Manual rates only apply to the user who entered them.
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - base
+ *               - currency
+ *               - rate
+ *             properties:
+ *               base:
+ *                 type: string
+ *                 example: USD
+ *               currency:
+ *                 type: string
+ *                 example: EUR
+ *               rate:
+ *                 type: number
+ *                 description: Units of currency per 1 unit of base
+ *                 example: 0.92
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-15"
+ *     responses:
+ *       201:
+ *         description: Exchange rate saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", getExchangeRates);
+router.post("/", validate(exchangeRateSchemas.create), createExchangeRate);
+
+/**
+ * @swagger
+ * /api/exchange-rates/convert:
+ *   get:
+ *     summary: Convert an amount between currencies
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *       - in: query
+ *         name: to
+ *         description: Defaults to the user's currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: date
+ *         description: Use the rates as of this date (default today)
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Amount converted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     rate:
+ *                       type: number
+ *                     converted:
+ *                       type: number
+ *       404:
+ *         description: No exchange rate known for the pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/convert", convertAmount);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   delete:
+ *     summary: Delete a manually entered exchange rate
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted successfully
+ *       404:
+ *         description: Exchange rate not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", deleteExchangeRate);
+
+export default router;
@@ -0,0 +1,149 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import {
+  exportArchive,
+  exportEntity,
+} from "../controllers/exportController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/exports:
+ *   get:
+ *     summary: Download all data as a single JSON archive
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entities
+ *         description: Comma-separated subset of transactions, accounts, budgets, fixedExpenses, possibleExpenses, borrowings, savingsGoals (default all)
+ *         schema:
+ *           type: string
+ *           example: transactions,accounts
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: JSON archive file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   type: object
+ *                 filters:
+ *                   type: object
+ *                 counts:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *                 data:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *       400:
+ *         description: Unknown entity or invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", exportArchive);
+
+/**
+ * @swagger
+ * /api/exports/{entity}:
+ *   get:
+ *     summary: Download one collection as CSV, JSON or (transactions only) OFX
+ *     description: Date ranges apply to transaction and borrowing dates and budget months; the account filter applies to every collection linked to an account
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [transactions, accounts, budgets, fixedExpenses, possibleExpenses, borrowings, savingsGoals]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ofx]
+ *           default: csv
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *           application/x-ofx:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format or invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Unknown entity or account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:entity", exportEntity);
+
+export default router;
@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import { validate, fixedExpenseSchemas } from "../middleware/validation.js";
 import {
   createFixedExpense,
@@ -7,13 +8,14 @@ import {
   updateFixedExpense,
   deleteFixedExpense,
   markAsPaid,
+  getOccurrences,
   getUpcomingExpenses,
 } from "../controllers/fixedExpenseController.js";
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
 
 /**
  * @swagger
@@ -49,15 +51,34 @@ router.use(auth);
  *                 maxLength: 50
  *                 example: "Housing"
  *               dueDate:
+ *                 oneOf:
+ *                   - type: integer
+ *                     minimum: 1
+ *                     maximum: 31
+ *                   - type: string
+ *                     format: date
+ *                 description: Day of the month, or the date of the first occurrence
+ *                 example: "2024-01-15"
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly, monthly, quarterly, yearly]
+ *                 default: monthly
+ *               startDate:
  *                 type: string
  *                 format: date
- *                 example: "2024-01-15"
+ *                 description: First occurrence (defaults to the next due date)
  *               accountId:
  *                 type: string
  *                 example: "507f1f77bcf86cd799439011"
  *               isPaid:
  *                 type: boolean
  *                 default: false
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Tag names; tags not used before are created
+ *                 items:
+ *                   type: string
  *     responses:
  *       201:
  *         description: Fixed expense created successfully
@@ -151,6 +172,16 @@ router.get("/", getFixedExpenses);
  *                 type: string
  *                 maxLength: 50
  *               dueDate:
+ *                 oneOf:
+ *                   - type: integer
+ *                     minimum: 1
+ *                     maximum: 31
+ *                   - type: string
+ *                     format: date
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly, monthly, quarterly, yearly]
+ *               startDate:
  *                 type: string
  *                 format: date
  *               accountId:
@@ -159,6 +190,12 @@ router.get("/", getFixedExpenses);
  *                 type: boolean
  *               isActive:
  *                 type: boolean
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Replaces the tags; tags not used before are created
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
  *         description: Fixed expense updated successfully
@@ -179,7 +216,7 @@ router.put("/:id", validate(fixedExpenseSchemas.update), updateFixedExpense);
  * @swagger
  * /api/fixed-expenses/{id}:
  *   delete:
- *     summary: Delete a fixed expense
+ *     summary: Delete a fixed expense (moves it to the trash)
  *     tags: [Fixed Expenses]
  *     security:
  *       - bearerAuth: []
@@ -212,6 +249,7 @@ router.delete("/:id", deleteFixedExpense);
  * /api/fixed-expenses/{id}/mark-paid:
  *   patch:
  *     summary: Mark fixed expense as paid
+ *     description: Pays an occurrence (the oldest unpaid one by default) by posting an expense transaction against the linked account
  *     tags: [Fixed Expenses]
  *     security:
  *       - bearerAuth: []
@@ -222,6 +260,22 @@ router.delete("/:id", deleteFixedExpense);
  *         schema:
  *           type: string
  *         description: Fixed expense ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               occurrenceId:
+ *                 type: string
+ *                 description: Occurrence to pay (defaults to the oldest unpaid one)
+ *               amount:
+ *                 type: number
+ *                 description: Amount actually paid (defaults to the occurrence amount)
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Payment date (defaults to now)
  *     responses:
  *       200:
  *         description: Fixed expense marked as paid
@@ -239,13 +293,56 @@ router.delete("/:id", deleteFixedExpense);
  *                   type: string
  *                   example: Fixed expense marked as paid
  */
-router.patch("/:id/mark-paid", markAsPaid);
+router.patch(
+  "/:id/mark-paid",
+  validate(fixedExpenseSchemas.markPaid),
+  markAsPaid
+);
+
+/**
+ * @swagger
+ * /api/fixed-expenses/{id}/occurrences:
+ *   get:
+ *     summary: Get the scheduled occurrences of a fixed expense
+ *     tags: [Fixed Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Fixed expense ID
+ *       - in: query
+ *         name: isPaid
+ *         schema:
+ *           type: boolean
+ *         description: Filter by payment status
+ *     responses:
+ *       200:
+ *         description: Occurrences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FixedExpenseOccurrence'
+ */
+router.get("/:id/occurrences", getOccurrences);
 
 /**
  * @swagger
  * /api/fixed-expenses/upcoming:
  *   get:
  *     summary: Get upcoming fixed expenses
+ *     description: Unpaid occurrences due within the window, including overdue ones
  *     tags: [Fixed Expenses]
  *     security:
  *       - bearerAuth: []
@@ -274,6 +371,8 @@ router.patch("/:id/mark-paid", markAsPaid);
  *                     properties:
  *                       id:
  *                         type: string
+ *                       occurrenceId:
+ *                         type: string
  *                       title:
  *                         type: string
  *                       amount:
@@ -283,8 +382,12 @@ router.patch("/:id/mark-paid", markAsPaid);
  *                       dueDate:
  *                         type: string
  *                         format: date
+ *                       frequency:
+ *                         type: string
  *                       isPaid:
  *                         type: boolean
+ *                       isOverdue:
+ *                         type: boolean
  *                       account:
  *                         type: string
  *                       accountName:
@@ -0,0 +1,378 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { validate, householdSchemas } from "../middleware/validation.js";
+import {
+  createHousehold,
+  getHouseholds,
+  getHousehold,
+  updateHousehold,
+  deleteHousehold,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+} from "../controllers/householdController.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+/**
+ * @swagger
+ * /api/households:
+ *   post:
+ *     summary: Create a household
+ *     description: The creator becomes its owner. Send its id in the X-Household-Id header to work with its shared accounts, transactions, budgets and savings goals.
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Home"
+ *               currency:
+ *                 type: string
+ *                 description: Reporting currency, defaults to the creator's
+ *                 enum: [USD, EUR, GBP, JPY, CAD, AUD]
+ *     responses:
+ *       201:
+ *         description: Household created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Household'
+ *   get:
+ *     summary: Get the households the user belongs to
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Households retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Household'
+ */
+router.post("/", validate(householdSchemas.create), createHousehold);
+router.get("/", getHouseholds);
+
+/**
+ * @swagger
+ * /api/households/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation to a household
+ *     description: Only the account registered with the invited email address can accept it.
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Joined the household
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Household'
+ *       400:
+ *         description: Invalid or expired invitation
+ *       403:
+ *         description: The invitation was sent to a different email address
+ */
+router.post(
+  "/invitations/accept",
+  validate(householdSchemas.acceptInvitation),
+  acceptInvitation
+);
+
+/**
+ * @swagger
+ * /api/households/{id}:
+ *   get:
+ *     summary: Get a household with its members
+ *     description: The owner also sees pending invitations.
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Household retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/HouseholdDetails'
+ *       404:
+ *         description: Household not found
+ *   put:
+ *     summary: Rename a household or change its currency (owner only)
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, EUR, GBP, JPY, CAD, AUD]
+ *     responses:
+ *       200:
+ *         description: Household updated successfully
+ *       403:
+ *         description: Only the household owner can do this
+ *       404:
+ *         description: Household not found
+ *   delete:
+ *     summary: Delete a household and all its shared records (owner only)
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Household deleted successfully
+ *       403:
+ *         description: Only the household owner can do this
+ *       404:
+ *         description: Household not found
+ */
+router.get("/:id", getHousehold);
+router.put("/:id", validate(householdSchemas.update), updateHousehold);
+router.delete("/:id", deleteHousehold);
+
+/**
+ * @swagger
+ * /api/households/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to a household by email (owner only)
+ *     description: Emails a link to accept the invitation, valid for HOUSEHOLD_INVITATION_EXPIRES_DAYS days (default 7). Inviting the same address again replaces its pending invitation.
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [editor, viewer]
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/HouseholdInvitation'
+ *       400:
+ *         description: The user is already a member
+ *       403:
+ *         description: Only the household owner can do this
+ */
+router.post(
+  "/:id/invitations",
+  validate(householdSchemas.invite),
+  inviteMember
+);
+
+/**
+ * @swagger
+ * /api/households/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation (owner only)
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete("/:id/invitations/:invitationId", revokeInvitation);
+
+/**
+ * @swagger
+ * /api/households/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role (owner only)
+ *     description: Making another member the owner hands ownership over; the previous owner becomes an editor.
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/HouseholdDetails'
+ *       400:
+ *         description: The owner cannot change their own role
+ *       404:
+ *         description: Member not found
+ *   delete:
+ *     summary: Remove a member, or leave the household
+ *     description: The owner may remove any other member; other members may only remove themselves. The owner must hand ownership over before leaving.
+ *     tags: [Households]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The owner cannot leave
+ *       403:
+ *         description: Only the household owner can remove other members
+ *       404:
+ *         description: Member not found
+ */
+router.put(
+  "/:id/members/:userId",
+  validate(householdSchemas.updateMember),
+  updateMember
+);
+router.delete("/:id/members/:userId", removeMember);
+
+export default router;
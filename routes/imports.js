@@ -0,0 +1,228 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import { validate, importSchemas } from "../middleware/validation.js";
+import {
+  previewImport,
+  commitImport,
+  getImports,
+  undoImport,
+} from "../controllers/importController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/imports/preview:
+ *   post:
+ *     summary: Parse a statement file and preview the rows without saving
+ *     description: Flags rows that likely duplicate existing transactions (same bank id, or same day, amount and a similar description)
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImportRequest'
+ *     responses:
+ *       200:
+ *         description: Statement parsed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     account:
+ *                       $ref: '#/components/schemas/Account'
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ImportRow'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         rowCount:
+ *                           type: integer
+ *                         invalidCount:
+ *                           type: integer
+ *                         duplicateCount:
+ *                           type: integer
+ *                         importableCount:
+ *                           type: integer
+ *                         netAmount:
+ *                           type: number
+ *       400:
+ *         description: Validation error or unreadable file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/preview", validate(importSchemas.preview), previewImport);
+
+/**
+ * @swagger
+ * /api/imports:
+ *   post:
+ *     summary: Import a statement file as one batch
+ *     description: Creates all selected transactions and updates the account balance in a single database transaction. Invalid rows are always skipped, duplicates unless includeDuplicates is set.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ImportRequest'
+ *               - type: object
+ *                 properties:
+ *                   skipRows:
+ *                     type: array
+ *                     description: Row numbers from the preview to leave out
+ *                     items:
+ *                       type: integer
+ *                     example: [3, 7]
+ *                   includeDuplicates:
+ *                     type: boolean
+ *                     default: false
+ *     responses:
+ *       201:
+ *         description: Transactions imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batch:
+ *                       $ref: '#/components/schemas/ImportBatch'
+ *                     account:
+ *                       $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Validation error, unreadable file or no rows to import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Account not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: Get import history
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [committed, undone]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Imports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportBatch'
+ */
+router.post("/", validate(importSchemas.commit), commitImport);
+router.get("/", getImports);
+
+/**
+ * @swagger
+ * /api/imports/{id}:
+ *   delete:
+ *     summary: Undo an import
+ *     description: Deletes every transaction created by the import and reverses their balance effects as a unit
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import undone successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ImportBatch'
+ *                     - type: object
+ *                       properties:
+ *                         removedCount:
+ *                           type: integer
+ *       400:
+ *         description: Import has already been undone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Import not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", undoImport);
+
+export default router;
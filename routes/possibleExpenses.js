@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import { validate, possibleExpenseSchemas } from "../middleware/validation.js";
 import {
   createPossibleExpense,
@@ -12,8 +13,8 @@ import {
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
 
 /**
  * @swagger
@@ -169,7 +170,7 @@ router.put(
  * @swagger
  * /api/possible-expenses/{id}:
  *   delete:
- *     summary: Delete a possible expense
+ *     summary: Delete a possible expense (moves it to the trash)
  *     tags: [Possible Expenses]
  *     security:
  *       - bearerAuth: []
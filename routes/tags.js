@@ -0,0 +1,167 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import { validate, tagSchemas } from "../middleware/validation.js";
+import {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+} from "../controllers/tagController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/tags:
+ *   get:
+ *     summary: Get tags with how many records carry each
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ */
+router.get("/", getTags);
+
+/**
+ * @swagger
+ * /api/tags:
+ *   post:
+ *     summary: Create a new tag
+ *     description: Tags are also created automatically the first time a transaction, borrowing or fixed expense is tagged with a new name. Names are stored in lower case.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "vacation-2026"
+ *               color:
+ *                 type: string
+ *                 pattern: '^#[0-9A-F]{6}$'
+ *                 example: "#10B981"
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Tag created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Validation error or tag already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/", validate(tagSchemas.create), createTag);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   put:
+ *     summary: Rename or recolour a tag
+ *     description: Renaming a tag renames it on every transaction, borrowing and fixed expense carrying it.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               color:
+ *                 type: string
+ *                 pattern: '^#[0-9A-F]{6}$'
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       400:
+ *         description: Validation error or a tag with the new name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Tag not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id", validate(tagSchemas.update), updateTag);
+
+/**
+ * @swagger
+ * /api/tags/{id}:
+ *   delete:
+ *     summary: Delete a tag
+ *     description: Removes the tag from every transaction, borrowing and fixed expense carrying it. The records themselves are kept.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", deleteTag);
+
+export default router;
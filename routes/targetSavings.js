@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import {
   createTargetSavings,
   getUserTargetSavings,
@@ -14,8 +15,8 @@ import { targetSavingsSchemas } from "../middleware/validation.js";
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
 
 /**
  * @swagger
@@ -148,7 +149,7 @@ router.put(
  * @swagger
  * /api/target-savings/{id}:
  *   delete:
- *     summary: Delete a target savings goal
+ *     summary: Delete a target savings goal (moves it to the trash)
  *     tags: [Target Savings]
  *     security:
  *       - bearerAuth: []
@@ -1,5 +1,6 @@
 import express from "express";
 import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
 import { validate, transactionSchemas } from "../middleware/validation.js";
 import {
   createTransaction,
@@ -11,8 +12,8 @@ import {
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
 
 /**
  * @swagger
@@ -31,17 +32,32 @@ router.use(auth);
  *             required:
  *               - accountId
  *               - type
- *               - amount
  *               - description
- *               - category
  *               - date
  *             properties:
  *               accountId:
  *                 type: string
  *                 example: "507f1f77bcf86cd799439011"
+ *               toAccountId:
+ *                 type: string
+ *                 description: Destination account, only for transfers
+ *                 example: "507f1f77bcf86cd799439012"
+ *               toAmount:
+ *                 type: number
+ *                 description: Amount the destination receives when its currency differs (otherwise derived from exchangeRate or the stored rate)
+ *               originalAmount:
+ *                 type: number
+ *                 description: Amount paid in another currency; amount may then be left out and is converted at exchangeRate or the stored rate
+ *                 example: 50.00
+ *               originalCurrency:
+ *                 type: string
+ *                 example: EUR
+ *               exchangeRate:
+ *                 type: number
+ *                 example: 1.08
  *               type:
  *                 type: string
- *                 enum: [income, expense]
+ *                 enum: [income, expense, transfer]
  *                 example: expense
  *               amount:
  *                 type: number
@@ -54,7 +70,21 @@ router.use(auth);
  *               category:
  *                 type: string
  *                 maxLength: 50
+ *                 description: Required unless the transaction is split (then defaults to "Split")
  *                 example: "Food & Dining"
+ *               splits:
+ *                 type: array
+ *                 minItems: 2
+ *                 description: Split lines, in the currency of amount (or originalAmount when set), adding up to it. Not for transfers.
+ *                 items:
+ *                   $ref: '#/components/schemas/SplitLine'
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Tag names; tags not used before are created
+ *                 items:
+ *                   type: string
+ *                   example: vacation-2026
  *               date:
  *                 type: string
  *                 format: date
@@ -98,6 +128,7 @@ router.post("/", validate(transactionSchemas.create), createTransaction);
  * /api/transactions:
  *   get:
  *     summary: Get user transactions with filters
+ *     description: Returns one page of matching transactions. Pass the returned nextCursor as cursor to get the next page.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -106,18 +137,25 @@ router.post("/", validate(transactionSchemas.create), createTransaction);
  *         name: type
  *         schema:
  *           type: string
- *           enum: [income, expense]
- *         description: Filter by transaction type
+ *           example: income,expense
+ *         description: Filter by transaction type (comma-separated for several)
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category
+ *           example: Food & Dining,Groceries
+ *         description: Filter by category (comma-separated for several); split transactions match on any of their lines
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *           example: vacation-2026,tax-deductible
+ *         description: Filter by tag (comma-separated for several); matches transactions carrying any of them
  *       - in: query
  *         name: accountId
  *         schema:
  *           type: string
- *         description: Filter by account ID
+ *         description: Filter by account ID, comma-separated for several (includes transfers into the accounts)
  *       - in: query
  *         name: startDate
  *         schema:
@@ -131,17 +169,50 @@ router.post("/", validate(transactionSchemas.create), createTransaction);
  *           format: date
  *         description: End date for filtering
  *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum amount (inclusive)
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum amount (inclusive)
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive text search in the description
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [date, amount, createdAt, description]
+ *           default: date
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 50
+ *           maximum: 200
  *         description: Number of transactions to return
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number for pagination
+ *         description: Page number for offset pagination (ignored when cursor is given)
  *     responses:
  *       200:
  *         description: Transactions retrieved successfully
@@ -154,30 +225,38 @@ router.post("/", validate(transactionSchemas.create), createTransaction);
  *                   type: boolean
  *                   example: true
  *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transaction'
+ *                 pagination:
  *                   type: object
  *                   properties:
- *                     transactions:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Transaction'
- *                     pagination:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                           example: 1
- *                         limit:
- *                           type: integer
- *                           example: 50
- *                         total:
- *                           type: integer
- *                           example: 150
- *                         pages:
- *                           type: integer
- *                           example: 3
- *                 message:
- *                   type: string
- *                   example: Transactions retrieved successfully
+ *                     total:
+ *                       type: integer
+ *                       example: 150
+ *                     limit:
+ *                       type: integer
+ *                       example: 50
+ *                     hasMore:
+ *                       type: boolean
+ *                       example: true
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     page:
+ *                       type: integer
+ *                       description: Only for offset pagination
+ *                       example: 1
+ *                     pages:
+ *                       type: integer
+ *                       description: Only for offset pagination
+ *                       example: 3
+ *       400:
+ *         description: Invalid filter, sort or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -192,6 +271,7 @@ router.get("/", getTransactions);
  * /api/transactions/analytics:
  *   get:
  *     summary: Get transaction analytics
+ *     description: Totals per type, broken down by category (split transactions count towards the category of each line) and by tag (a transaction counts in full towards each of its tags). With rollup, subcategories count towards their parent category, which lists them under subcategories.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -208,6 +288,12 @@ router.get("/", getTransactions);
  *           type: string
  *           format: date
  *         description: End date for analytics
+ *       - in: query
+ *         name: rollup
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Roll subcategories up into their parent category
  *     responses:
  *       200:
  *         description: Analytics data retrieved successfully
@@ -286,9 +372,13 @@ router.get("/analytics", getTransactionAnalytics);
  *               accountId:
  *                 type: string
  *                 example: "507f1f77bcf86cd799439011"
+ *               toAccountId:
+ *                 type: string
+ *                 description: Destination account, only for transfers
+ *                 example: "507f1f77bcf86cd799439012"
  *               type:
  *                 type: string
- *                 enum: [income, expense]
+ *                 enum: [income, expense, transfer]
  *                 example: expense
  *               amount:
  *                 type: number
@@ -302,6 +392,19 @@ router.get("/analytics", getTransactionAnalytics);
  *                 type: string
  *                 maxLength: 50
  *                 example: "Food & Dining"
+ *               splits:
+ *                 type: array
+ *                 minItems: 2
+ *                 nullable: true
+ *                 description: Replaces the split lines (null removes them); they must add up to the transaction total
+ *                 items:
+ *                   $ref: '#/components/schemas/SplitLine'
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Replaces the tags; tags not used before are created
+ *                 items:
+ *                   type: string
  *               date:
  *                 type: string
  *                 format: date
@@ -350,7 +453,7 @@ router.put("/:id", validate(transactionSchemas.update), updateTransaction);
  * @swagger
  * /api/transactions/{id}:
  *   delete:
- *     summary: Delete a transaction
+ *     summary: Delete a transaction (moves it to the trash)
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,118 @@
+import express from "express";
+import { auth } from "../middleware/auth.js";
+import { workspace } from "../middleware/workspace.js";
+import {
+  getTrash,
+  restoreFromTrash,
+} from "../controllers/trashController.js";
+
+const router = express.Router();
+
+// All routes require authentication and act in the active workspace
+router.use(auth, workspace);
+
+/**
+ * @swagger
+ * /api/trash:
+ *   get:
+ *     summary: List deleted records still in the trash
+ *     description: Deleted transactions, accounts, budgets, fixed and possible expenses, savings goals and borrowings, most recently deleted first. Each is purged permanently TRASH_RETENTION_DAYS (default 30) after it was deleted.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: transactions,borrowings
+ *         description: Comma-separated list of transactions, accounts, budgets, fixed-expenses, possible-expenses, target-savings, borrowings
+ *     responses:
+ *       200:
+ *         description: Records in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashItem'
+ *                 retentionDays:
+ *                   type: integer
+ *                   example: 30
+ *       400:
+ *         description: Unknown type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", getTrash);
+
+/**
+ * @swagger
+ * /api/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted record from the trash
+ *     description: Transactions and unpaid borrowings put their balance changes back on their accounts. A record whose account is itself in the trash cannot be restored until the account is.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [transactions, accounts, budgets, fixed-expenses, possible-expenses, target-savings, borrowings]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Record restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Restored successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *       404:
+ *         description: Record not found in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The record's account is in the trash or no longer exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:type/:id/restore", restoreFromTrash);
+
+export default router;
@@ -0,0 +1,51 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId } from "./helpers.js";
+import AccountDeletion from "../models/AccountDeletion.js";
+import Session from "../models/Session.js";
+
+describe("AccountDeletion.processDue", () => {
+  let deletion;
+
+  beforeEach(() => {
+    deletion = new AccountDeletion({
+      userId: newId(),
+      scheduledFor: new Date("2024-03-08"),
+    });
+    jest
+      .spyOn(AccountDeletion, "find")
+      .mockReturnValue({ sort: async () => [deletion] });
+    jest.spyOn(deletion, "save").mockResolvedValue(deletion);
+    jest.spyOn(Session, "deleteMany");
+  });
+
+  test("erases nothing when cancelled since it was read", async () => {
+    // The conditional update finds the deletion no longer scheduled
+    jest
+      .spyOn(AccountDeletion, "updateOne")
+      .mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await AccountDeletion.processDue();
+
+    expect(AccountDeletion.updateOne).toHaveBeenCalledWith(
+      { _id: deletion._id, status: "scheduled" },
+      expect.anything()
+    );
+    expect(result).toEqual({ completed: 0, failed: [] });
+    expect(Session.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test("records where a claimed erasure failed", async () => {
+    jest
+      .spyOn(AccountDeletion, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    Session.deleteMany.mockRejectedValue(new Error("Connection lost"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await AccountDeletion.processDue();
+
+    expect(Session.deleteMany).toHaveBeenCalled();
+    expect(result).toEqual({ completed: 0, failed: [deletion._id] });
+    expect(deletion.status).toBe("in-progress");
+    expect(deletion.error).toBe("Connection lost");
+  });
+});
@@ -0,0 +1,274 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId, mockTransactions, mockResponse } from "./helpers.js";
+import Account from "../models/Account.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import {
+  transferFunds,
+  shareAccount,
+  revokeAccountShare,
+  reconcileAccount,
+} from "../controllers/accountController.js";
+
+const userId = newId();
+
+describe("Account.adjustBalance", () => {
+  beforeEach(() => {
+    jest.spyOn(Account, "findOneAndUpdate").mockResolvedValue(null);
+  });
+
+  test("requires funds for a guarded debit", async () => {
+    const accountId = newId();
+
+    await Account.adjustBalance(accountId, -50, null, { requireFunds: true });
+
+    expect(Account.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: accountId, balance: { $gte: 50 } },
+      { $inc: { balance: -50 } },
+      expect.anything()
+    );
+  });
+
+  test("lets other changes take the balance below zero", async () => {
+    const accountId = newId();
+
+    await Account.adjustBalance(accountId, -50);
+    await Account.adjustBalance(accountId, 50, null, { requireFunds: true });
+
+    expect(Account.findOneAndUpdate).toHaveBeenNthCalledWith(
+      1,
+      { _id: accountId },
+      { $inc: { balance: -50 } },
+      expect.anything()
+    );
+    expect(Account.findOneAndUpdate).toHaveBeenNthCalledWith(
+      2,
+      { _id: accountId },
+      { $inc: { balance: 50 } },
+      expect.anything()
+    );
+  });
+});
+
+describe("transferFunds", () => {
+  let fromAccount;
+  let toAccount;
+
+  beforeEach(() => {
+    fromAccount = new Account({ userId, name: "Checking", balance: 100 });
+    toAccount = new Account({ userId, name: "Savings", balance: 0 });
+
+    mockTransactions();
+    jest
+      .spyOn(Account, "findOne")
+      .mockImplementation(async ({ _id }) =>
+        [fromAccount, toAccount].find((account) => account._id.equals(_id))
+      );
+    jest.spyOn(Transaction.prototype, "save").mockResolvedValue();
+  });
+
+  const req = (amount) => ({
+    body: {
+      fromAccountId: String(fromAccount._id),
+      toAccountId: String(toAccount._id),
+      amount,
+    },
+    workspace: { userId },
+  });
+
+  test("fails when the balance was spent since it was read", async () => {
+    // The debit's balance condition no longer matches
+    jest.spyOn(Account, "findOneAndUpdate").mockResolvedValue(null);
+    const res = mockResponse();
+
+    await transferFunds(req(80), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "Insufficient funds" })
+    );
+    expect(Account.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test("rejects a transfer larger than the balance", async () => {
+    jest.spyOn(Account, "findOneAndUpdate");
+    const res = mockResponse();
+
+    await transferFunds(req(150), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Account.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("account sharing in a household", () => {
+  const householdId = newId();
+  const member = { _id: newId(), name: "Sam" };
+  let account;
+  let grantee;
+
+  beforeEach(() => {
+    grantee = new User({
+      name: "Jo",
+      email: "jo@example.com",
+      password: "secret123",
+    });
+    account = new Account({ userId: householdId, name: "Groceries" });
+    account.shares.push({ userId: grantee._id, access: "read" });
+
+    jest.spyOn(Account, "findOne").mockResolvedValue(account);
+    jest.spyOn(User, "findOne").mockResolvedValue(grantee);
+    jest.spyOn(Account, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(account, "save").mockResolvedValue(account);
+  });
+
+  const req = (role, { params, body } = {}) => ({
+    params: { id: String(account._id), ...params },
+    body,
+    user: member,
+    workspace: { userId: householdId, role },
+  });
+
+  test("cannot be shared by an editor", async () => {
+    const res = mockResponse();
+
+    await shareAccount(
+      req("editor", { body: { email: grantee.email, access: "contribute" } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(account.save).not.toHaveBeenCalled();
+  });
+
+  test("cannot be revoked by an editor", async () => {
+    const res = mockResponse();
+
+    await revokeAccountShare(
+      req("editor", { params: { userId: String(grantee._id) } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Account.updateOne).not.toHaveBeenCalled();
+  });
+
+  test("is revoked by the household owner", async () => {
+    const res = mockResponse();
+
+    await revokeAccountShare(
+      req("owner", { params: { userId: String(grantee._id) } }),
+      res
+    );
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(Account.updateOne).toHaveBeenCalledWith(
+      { _id: account._id },
+      { $pull: { shares: { userId: String(grantee._id) } } }
+    );
+  });
+});
+
+describe("reconcileAccount", () => {
+  let account;
+
+  beforeEach(() => {
+    account = new Account({
+      userId,
+      name: "Checking",
+      balance: 120,
+      openingBalance: 50,
+    });
+    jest.spyOn(Account, "findOne").mockResolvedValue(account);
+    jest.spyOn(Account, "findByIdAndUpdate").mockResolvedValue(account);
+    // Opening balance of 50 plus 60 in transactions and 10 in borrowings
+    jest.spyOn(Account, "getLedgerBalance").mockResolvedValue({
+      openingBalance: 50,
+      transactionTotal: 60,
+      transactionCount: 3,
+      borrowingAdjustment: 10,
+      balance: 120.004,
+    });
+  });
+
+  const req = (body = {}) => ({
+    params: { id: String(account._id) },
+    body,
+    workspace: { userId },
+  });
+
+  test("reports a balance that matches its ledger", async () => {
+    const res = mockResponse();
+
+    await reconcileAccount(req(), res);
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      expectedBalance: 120,
+      discrepancy: 0,
+      isBalanced: true,
+      corrected: false,
+    });
+    expect(Account.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test("corrects a balance that drifted from its ledger", async () => {
+    account.balance = 135.5;
+    const res = mockResponse();
+
+    await reconcileAccount(req({ correct: true }), res);
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      recordedBalance: 135.5,
+      expectedBalance: 120,
+      discrepancy: 15.5,
+      isBalanced: false,
+      corrected: true,
+    });
+    expect(Account.findByIdAndUpdate).toHaveBeenCalledWith(account._id, {
+      balance: 120,
+      openingBalance: 50,
+    });
+  });
+
+  test("infers the opening balance of older accounts", async () => {
+    Account.getLedgerBalance.mockResolvedValue({
+      openingBalance: null,
+      transactionTotal: 60,
+      transactionCount: 3,
+      borrowingAdjustment: 10,
+      balance: null,
+    });
+    const res = mockResponse();
+
+    await reconcileAccount(req(), res);
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      openingBalance: 50,
+      openingBalanceInferred: true,
+      isBalanced: true,
+    });
+  });
+
+  test("compares the ledger with a statement balance", async () => {
+    const res = mockResponse();
+
+    await reconcileAccount(
+      req({ statementBalance: 118, statementDate: "2024-03-31" }),
+      res
+    );
+
+    expect(Account.getLedgerBalance).toHaveBeenLastCalledWith(
+      { _id: account._id, openingBalance: 50 },
+      new Date("2024-03-31T23:59:59.999Z")
+    );
+    expect(res.json.mock.calls[0][0].data.statement).toEqual({
+      date: "2024-03-31",
+      statementBalance: 118,
+      ledgerBalance: 120,
+      difference: -2,
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import mongoose from "mongoose";
+import { newId } from "./helpers.js";
+import AuditLog from "../models/AuditLog.js";
+import { auditPlugin, runWithAuditContext } from "../utils/audit.js";
+
+// A model of its own, saved through a stubbed collection
+const noteSchema = new mongoose.Schema({
+  userId: mongoose.Schema.Types.ObjectId,
+  text: String,
+  amount: Number,
+});
+noteSchema.plugin(auditPlugin);
+const Note = mongoose.model("AuditedNote", noteSchema);
+
+const loadNote = () =>
+  Note.hydrate({ _id: newId(), userId: newId(), text: "Rent", amount: 900 });
+
+describe("audit plugin", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(Note.collection, "updateOne")
+      .mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Note.collection, "insertOne").mockResolvedValue({});
+    jest.spyOn(Note, "findOne");
+  });
+
+  test("records a save against what the document was loaded as", async () => {
+    jest.spyOn(AuditLog, "create").mockResolvedValue([]);
+    const note = loadNote();
+    const actorId = newId();
+
+    note.amount = 950;
+    await runWithAuditContext({ actorId, source: "api" }, () => note.save());
+
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity: "AuditedNote",
+        entityId: note._id,
+        actorId,
+        action: "update",
+        changes: ["amount"],
+        before: expect.objectContaining({ amount: 900 }),
+        after: expect.objectContaining({ amount: 950 }),
+      })
+    );
+    // The snapshot comes from loading the document, not another read
+    expect(Note.findOne).not.toHaveBeenCalled();
+  });
+
+  test("compares later saves with the previous one", async () => {
+    jest.spyOn(AuditLog, "create").mockResolvedValue([]);
+    const note = loadNote();
+
+    note.amount = 950;
+    await note.save();
+    note.text = "Rent and parking";
+    await note.save();
+
+    expect(AuditLog.create).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        changes: ["text"],
+        before: expect.objectContaining({ amount: 950, text: "Rent" }),
+      })
+    );
+  });
+
+  test("keeps a change made without a session when its entry fails", async () => {
+    jest.spyOn(AuditLog, "create").mockRejectedValue(new Error("Disk full"));
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const note = loadNote();
+
+    note.amount = 950;
+    await expect(note.save()).resolves.toBe(note);
+
+    expect(error).toHaveBeenCalledWith("Audit log error:", expect.any(Error));
+  });
+
+  test("fails a change in a transaction when its entry fails", async () => {
+    jest.spyOn(AuditLog, "create").mockRejectedValue(new Error("Disk full"));
+    const session = { id: "test-session" };
+    const note = loadNote();
+
+    note.amount = 950;
+    await expect(note.save({ session })).rejects.toThrow("Disk full");
+
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.any(Array), {
+      session,
+    });
+  });
+
+  test("records a new document without a before snapshot", async () => {
+    jest.spyOn(AuditLog, "create").mockResolvedValue([]);
+    const note = new Note({ userId: newId(), text: "Gym", amount: 30 });
+
+    await note.save();
+
+    expect(AuditLog.create).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "create", before: null })
+    );
+  });
+});
@@ -0,0 +1,95 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId } from "./helpers.js";
+import Category from "../models/Category.js";
+import Budget from "../models/Budget.js";
+import Transaction from "../models/Transaction.js";
+import FixedExpense from "../models/FixedExpense.js";
+import PossibleExpense from "../models/PossibleExpense.js";
+
+const userId = newId();
+
+const createCategory = (name) =>
+  new Category({ userId, name, key: name.toLowerCase(), type: "expense" });
+
+// Query results read through a session, as mergeInto reads them
+const inSession = (result) => ({ session: async () => result });
+
+describe("Category#mergeInto", () => {
+  let source;
+  let target;
+
+  beforeEach(() => {
+    source = createCategory("Eating Out");
+    target = createCategory("Restaurants");
+
+    for (const Model of [Transaction, Budget, FixedExpense, PossibleExpense]) {
+      jest.spyOn(Model, "updateMany").mockResolvedValue({});
+    }
+    jest.spyOn(Category, "updateMany").mockResolvedValue({});
+    jest.spyOn(Budget, "updateOne").mockResolvedValue({});
+    jest.spyOn(Budget, "deleteOne").mockResolvedValue({});
+    jest.spyOn(source, "deleteOne").mockResolvedValue({});
+  });
+
+  const mockBudgets = (sourceBudget, targetBudget) => {
+    jest.spyOn(Budget, "find").mockReturnValue(inSession([sourceBudget]));
+    jest.spyOn(Budget, "findOne").mockReturnValue(inSession(targetBudget));
+  };
+
+  const createBudget = (category, amount, currency) =>
+    new Budget({ userId, category, month: "2024-03", amount, currency });
+
+  test("adds up budgets for the same month", async () => {
+    const sourceBudget = createBudget("Eating Out", 100, "EUR");
+    const targetBudget = createBudget("Restaurants", 250, "EUR");
+    mockBudgets(sourceBudget, targetBudget);
+
+    expect(await source.mergeInto(target)).toBe(true);
+
+    expect(Budget.updateOne).toHaveBeenCalledWith(
+      { _id: targetBudget._id },
+      { $inc: { amount: 100 } },
+      { session: null }
+    );
+    expect(Budget.deleteOne).toHaveBeenCalledWith(
+      { _id: sourceBudget._id },
+      { session: null }
+    );
+    expect(source.deleteOne).toHaveBeenCalled();
+  });
+
+  test("changes nothing for budgets in other currencies", async () => {
+    mockBudgets(
+      createBudget("Eating Out", 100, "EUR"),
+      createBudget("Restaurants", 250, "USD")
+    );
+
+    expect(await source.mergeInto(target)).toBe(false);
+
+    expect(Budget.updateOne).not.toHaveBeenCalled();
+    expect(Budget.deleteOne).not.toHaveBeenCalled();
+    expect(Transaction.updateMany).not.toHaveBeenCalled();
+    expect(source.deleteOne).not.toHaveBeenCalled();
+  });
+});
+
+describe("Category#countRecords", () => {
+  test("counts a transaction once, split or not", async () => {
+    const category = createCategory("Groceries");
+    jest.spyOn(Transaction, "countDocuments").mockResolvedValue(3);
+    for (const Model of [Budget, FixedExpense, PossibleExpense]) {
+      jest.spyOn(Model, "countDocuments").mockResolvedValue(1);
+    }
+
+    expect(await category.countRecords()).toBe(6);
+
+    expect(Transaction.countDocuments).toHaveBeenCalledTimes(1);
+    expect(Transaction.countDocuments).toHaveBeenCalledWith({
+      userId,
+      $or: [
+        { category: expect.any(RegExp) },
+        { "splits.category": expect.any(RegExp) },
+      ],
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "@jest/globals";
+import { newId, mockResponse } from "./helpers.js";
+import User from "../models/User.js";
+import AuthToken from "../models/AuthToken.js";
+import Session from "../models/Session.js";
+import { registerTransport } from "../utils/mailer.js";
+import {
+  changePassword,
+  changeEmail,
+  verifyEmail,
+} from "../controllers/authController.js";
+
+const sentMail = [];
+registerTransport("test", async (message) => {
+  sentMail.push(message);
+});
+
+let user;
+
+beforeEach(() => {
+  user = new User({
+    name: "Alex",
+    email: "alex@example.com",
+    password: "old-password",
+    emailVerified: true,
+  });
+
+  jest.spyOn(User, "findById").mockImplementation(async () => user);
+  jest.spyOn(user, "save").mockResolvedValue(user);
+  jest
+    .spyOn(user, "comparePassword")
+    .mockImplementation(async (password) => password === "old-password");
+});
+
+describe("changePassword", () => {
+  const sessionId = newId();
+
+  beforeEach(() => {
+    jest.spyOn(Session, "revoke").mockResolvedValue(2);
+  });
+
+  const change = async (currentPassword) => {
+    const res = mockResponse();
+    await changePassword(
+      {
+        user: { _id: user._id },
+        sessionId,
+        body: { currentPassword, newPassword: "new-password" },
+      },
+      res
+    );
+    return res;
+  };
+
+  test("requires the current password", async () => {
+    const res = await change("wrong-password");
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.save).not.toHaveBeenCalled();
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+
+  test("signs out every device but the current one", async () => {
+    const res = await change("old-password");
+
+    expect(user.password).toBe("new-password");
+    expect(user.save).toHaveBeenCalled();
+    expect(Session.revoke).toHaveBeenCalledWith(
+      { userId: user._id, _id: { $ne: sessionId } },
+      "password-change"
+    );
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ data: { revokedSessions: 2 } })
+    );
+  });
+});
+
+describe("changeEmail", () => {
+  let tokens;
+
+  beforeAll(() => {
+    process.env.MAIL_TRANSPORT = "test";
+  });
+
+  afterAll(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  beforeEach(() => {
+    tokens = [];
+    sentMail.length = 0;
+
+    jest.spyOn(User, "exists").mockResolvedValue(null);
+    jest.spyOn(AuthToken, "deleteMany").mockResolvedValue({});
+    jest
+      .spyOn(AuthToken, "create")
+      .mockImplementation(async (fields) => tokens.push({ ...fields }));
+    jest
+      .spyOn(AuthToken, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        const token = tokens.find(
+          (candidate) =>
+            candidate.tokenHash === filter.tokenHash && !candidate.usedAt
+        );
+        return token ? Object.assign(token, update) : null;
+      });
+  });
+
+  const change = async (email, password = "old-password") => {
+    const res = mockResponse();
+    await changeEmail(
+      { user: { _id: user._id }, body: { password, email } },
+      res
+    );
+    return res;
+  };
+
+  const confirm = async () => {
+    const token = new URL(
+      sentMail.at(-1).text.match(/https?:\/\/\S+/)[0]
+    ).searchParams.get("token");
+    const res = mockResponse();
+    await verifyEmail({ body: { token } }, res);
+    return res;
+  };
+
+  test("keeps the old address until the new one is confirmed", async () => {
+    await change(" New.Address@Example.com ");
+
+    expect(sentMail).toEqual([
+      expect.objectContaining({ to: "new.address@example.com" }),
+    ]);
+    expect(user.email).toBe("alex@example.com");
+    expect(user.pendingEmail).toBe("new.address@example.com");
+
+    const res = await confirm();
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(user.email).toBe("new.address@example.com");
+    expect(user.pendingEmail).toBeUndefined();
+    expect(user.emailVerified).toBe(true);
+  });
+
+  test("requires the password", async () => {
+    const res = await change("new.address@example.com", "wrong-password");
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  test("refuses an address taken before it is confirmed", async () => {
+    await change("new.address@example.com");
+    User.exists.mockResolvedValue({ _id: newId() });
+
+    const res = await confirm();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.email).toBe("alex@example.com");
+  });
+});
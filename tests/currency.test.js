@@ -0,0 +1,108 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId } from "./helpers.js";
+import Account from "../models/Account.js";
+import ExchangeRate from "../models/ExchangeRate.js";
+import {
+  findRate,
+  createConverter,
+  resolveTransferAmounts,
+  resolveOriginalAmount,
+} from "../utils/currency.js";
+
+// Rates keyed "BASE:CURRENCY", as ExchangeRate.getRateTable returns them
+const table = new Map([
+  ["USD:EUR", 0.9],
+  ["USD:GBP", 0.8],
+]);
+
+describe("findRate", () => {
+  test("uses a rate directly or inverted", () => {
+    expect(findRate(table, "USD", "EUR")).toBe(0.9);
+    expect(findRate(table, "EUR", "USD")).toBeCloseTo(1.111111);
+    expect(findRate(table, "EUR", "EUR")).toBe(1);
+  });
+
+  test("goes through a shared currency", () => {
+    expect(findRate(table, "EUR", "GBP")).toBeCloseTo(0.888889);
+  });
+
+  test("returns null when there is no path", () => {
+    expect(findRate(table, "EUR", "JPY")).toBeNull();
+  });
+});
+
+describe("createConverter", () => {
+  const userId = newId();
+  const euroAccountId = newId();
+
+  beforeEach(() => {
+    jest.spyOn(Account, "find").mockReturnValue({
+      select: () => ({
+        lean: async () => [{ _id: euroAccountId, currency: "EUR" }],
+      }),
+    });
+    jest.spyOn(ExchangeRate, "getRateTable").mockResolvedValue(table);
+  });
+
+  test("converts amounts into the reporting currency", async () => {
+    const converter = await createConverter(userId, "USD");
+
+    expect(converter.convert(90, "EUR")).toBe(100);
+    expect(converter.convertFromAccount(45, euroAccountId)).toBe(50);
+    expect(converter.missingRates).toEqual([]);
+  });
+
+  test("leaves amounts without a rate unconverted and lists them", async () => {
+    const converter = await createConverter(userId, "USD");
+
+    expect(converter.convert(1000, "JPY")).toBe(1000);
+    expect(converter.missingRates).toEqual(["JPY"]);
+  });
+});
+
+describe("resolveTransferAmounts", () => {
+  const usd = { currency: "USD" };
+  const eur = { currency: "EUR" };
+
+  test("records nothing between accounts of one currency", async () => {
+    expect(await resolveTransferAmounts(newId(), usd, usd, 100)).toEqual({
+      toAmount: undefined,
+      exchangeRate: undefined,
+    });
+  });
+
+  test("derives the rate from the amount credited", async () => {
+    expect(
+      await resolveTransferAmounts(newId(), usd, eur, 100, { toAmount: 92.5 })
+    ).toEqual({ toAmount: 92.5, exchangeRate: 0.925 });
+  });
+
+  test("credits the amount at the stored rate", async () => {
+    jest.spyOn(ExchangeRate, "getRateTable").mockResolvedValue(table);
+
+    expect(await resolveTransferAmounts(newId(), usd, eur, 100)).toEqual({
+      toAmount: 90,
+      exchangeRate: 0.9,
+    });
+  });
+
+  test("fails without a known rate", async () => {
+    jest.spyOn(ExchangeRate, "getRateTable").mockResolvedValue(new Map());
+
+    const result = await resolveTransferAmounts(newId(), usd, eur, 100);
+
+    expect(result.error).toMatch(/No exchange rate from USD to EUR/);
+  });
+});
+
+describe("resolveOriginalAmount", () => {
+  test("converts the original amount at the given rate", async () => {
+    const result = await resolveOriginalAmount(
+      newId(),
+      { currency: "USD" },
+      { originalAmount: 50, originalCurrency: "EUR", exchangeRate: 1.1 }
+    );
+
+    expect(result).toEqual({ amount: 55, exchangeRate: 1.1 });
+  });
+});
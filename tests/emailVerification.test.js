@@ -0,0 +1,205 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { mockResponse } from "./helpers.js";
+import User from "../models/User.js";
+import AuthToken from "../models/AuthToken.js";
+import Session, { generateTokenId } from "../models/Session.js";
+import Category from "../models/Category.js";
+import { registerTransport } from "../utils/mailer.js";
+import { auth, generateToken } from "../middleware/auth.js";
+import {
+  register,
+  verifyEmail,
+  resendVerificationEmail,
+} from "../controllers/authController.js";
+
+const sentMail = [];
+registerTransport("test", async (message) => {
+  sentMail.push(message);
+});
+
+const sentToken = () =>
+  new URL(sentMail.at(-1).text.match(/https?:\/\/\S+/)[0]).searchParams.get(
+    "token"
+  );
+
+describe("email verification", () => {
+  let user;
+  let tokens;
+
+  beforeAll(() => {
+    process.env.MAIL_TRANSPORT = "test";
+  });
+
+  afterAll(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  beforeEach(() => {
+    tokens = [];
+    sentMail.length = 0;
+
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+    jest.spyOn(User, "findById").mockImplementation(async () => user);
+    jest.spyOn(User, "updateOne").mockResolvedValue({});
+    jest.spyOn(User.prototype, "save").mockImplementation(async function () {
+      user = this;
+      return this;
+    });
+    jest.spyOn(Category, "seedDefaults").mockResolvedValue();
+    jest.spyOn(Session.prototype, "save").mockResolvedValue();
+    jest.spyOn(AuthToken, "deleteMany").mockResolvedValue({});
+    jest
+      .spyOn(AuthToken, "create")
+      .mockImplementation(async (fields) => tokens.push({ ...fields }));
+    // Mark a stored token as used the way the conditional update would
+    jest
+      .spyOn(AuthToken, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        const token = tokens.find(
+          (candidate) =>
+            candidate.tokenHash === filter.tokenHash &&
+            filter.purpose.$in.includes(candidate.purpose) &&
+            !candidate.usedAt
+        );
+        return token ? Object.assign(token, update) : null;
+      });
+  });
+
+  const registerUser = async () => {
+    const res = mockResponse();
+    await register(
+      {
+        body: { name: "Alex", email: "alex@example.com", password: "s3cret" },
+        get: () => "jest",
+      },
+      res
+    );
+    return res;
+  };
+
+  const verify = async (token) => {
+    const res = mockResponse();
+    await verifyEmail({ body: { token } }, res);
+    return res;
+  };
+
+  test("registers an unverified account and emails a link", async () => {
+    const res = await registerUser();
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(user.emailVerified).toBe(false);
+    expect(sentMail).toEqual([
+      expect.objectContaining({
+        to: "alex@example.com",
+        subject: "Verify your email address",
+      }),
+    ]);
+    expect(tokens[0]).toMatchObject({
+      purpose: "email-verification",
+      email: "alex@example.com",
+    });
+  });
+
+  test("verifies the address with the emailed link once", async () => {
+    await registerUser();
+    const token = sentToken();
+
+    const res = await verify(token);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(user.emailVerified).toBe(true);
+    expect((await verify(token)).status).toHaveBeenCalledWith(400);
+  });
+
+  test("does not verify an address the link was not sent to", async () => {
+    await registerUser();
+    user.email = "someone.else@example.com";
+
+    const res = await verify(sentToken());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.emailVerified).toBe(false);
+  });
+
+  test("throttles resending the email", async () => {
+    await registerUser();
+
+    const res = mockResponse();
+    await resendVerificationEmail({ user }, res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", expect.any(String));
+    expect(sentMail).toHaveLength(1);
+
+    user.emailVerificationSentAt = new Date(Date.now() - 2 * 60 * 1000);
+    await resendVerificationEmail({ user }, mockResponse());
+    expect(sentMail).toHaveLength(2);
+  });
+});
+
+describe("email verification policy", () => {
+  const app = express();
+  app.get("/resource", auth, (req, res) => res.json({ success: true }));
+  app.post("/resource", auth, (req, res) => res.json({ success: true }));
+
+  let user;
+  let session;
+
+  beforeEach(() => {
+    user = new User({
+      name: "Alex",
+      email: "alex@example.com",
+      password: "s3cret",
+    });
+    session = new Session({
+      userId: user._id,
+      tokenId: generateTokenId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+    jest.spyOn(Session, "findOne").mockResolvedValue(session);
+    jest.spyOn(Session, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+  });
+
+  const send = (method) =>
+    request(app)
+      [method]("/resource")
+      .set("Authorization", `Bearer ${generateToken(user._id, session._id)}`);
+
+  test("restricts nothing by default", async () => {
+    expect((await send("post")).status).toBe(200);
+  });
+
+  test("lets unverified accounts only read when read-only", async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = "read-only";
+
+    expect((await send("get")).status).toBe(200);
+    expect((await send("post")).status).toBe(403);
+
+    user.emailVerified = true;
+    expect((await send("post")).status).toBe(200);
+  });
+
+  test("blocks unverified accounts entirely when set to block", async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = "block";
+
+    expect((await send("get")).status).toBe(403);
+  });
+});
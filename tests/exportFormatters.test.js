@@ -0,0 +1,100 @@
+import { describe, test, expect } from "@jest/globals";
+import { newId } from "./helpers.js";
+import { toCSV, toOFX } from "../utils/exportFormatters.js";
+import { parseOFX } from "../utils/importParsers.js";
+
+describe("toCSV", () => {
+  const columns = [
+    { header: "Date", value: (row) => row.date },
+    { header: "Description", value: (row) => row.description },
+    { header: "Amount", value: (row) => row.amount },
+  ];
+
+  test("writes a header and one line per row", () => {
+    const csv = toCSV(
+      [
+        {
+          date: new Date("2024-03-01T15:00:00Z"),
+          description: "Rent",
+          amount: -900,
+        },
+      ],
+      columns
+    );
+
+    expect(csv).toBe("Date,Description,Amount\r\n2024-03-01,Rent,-900\r\n");
+  });
+
+  test("quotes fields with delimiters, quotes or line breaks", () => {
+    const csv = toCSV(
+      [{ date: null, description: 'Dinner, "Luigi\'s"\nTable 4', amount: 0 }],
+      columns
+    );
+
+    expect(csv.split("\r\n")[1]).toBe(',"Dinner, ""Luigi\'s""\nTable 4",0');
+  });
+});
+
+describe("toOFX", () => {
+  const account = {
+    _id: newId(),
+    currency: "EUR",
+    type: "bank",
+    balance: 1234.5,
+  };
+  const salary = {
+    _id: newId(),
+    type: "income",
+    date: new Date("2024-03-25"),
+    description: "Salary",
+  };
+  const groceries = {
+    _id: newId(),
+    type: "expense",
+    date: new Date("2024-03-02"),
+    description: "Fish & <Chips>",
+  };
+
+  const render = () =>
+    toOFX(
+      [
+        {
+          account,
+          transactions: [
+            { transaction: salary, amount: 2500 },
+            { transaction: groceries, amount: -42.1 },
+          ],
+        },
+      ],
+      { now: new Date("2024-03-31") }
+    );
+
+  test("covers the statement period and balance", () => {
+    const ofx = render();
+
+    expect(ofx).toContain("<CURDEF>EUR");
+    expect(ofx).toContain(`<ACCTID>${account._id}`);
+    expect(ofx).toContain("<DTSTART>20240302");
+    expect(ofx).toContain("<DTEND>20240325");
+    expect(ofx).toContain("<BALAMT>1234.50");
+  });
+
+  test("can be imported again", () => {
+    expect(parseOFX(render())).toEqual([
+      {
+        date: new Date("2024-03-25"),
+        amount: 2500,
+        description: "Salary",
+        category: null,
+        externalId: String(salary._id),
+      },
+      {
+        date: new Date("2024-03-02"),
+        amount: -42.1,
+        description: "Fish & <Chips>",
+        category: null,
+        externalId: String(groceries._id),
+      },
+    ]);
+  });
+});
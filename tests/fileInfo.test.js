@@ -0,0 +1,74 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  detectFileType,
+  getImageSize,
+  getThumbnailSize,
+} from "../utils/fileInfo.js";
+
+// Signature and IHDR chunk of a PNG image
+const png = (width, height) => {
+  const buffer = Buffer.alloc(33);
+  buffer.write("\x89PNG\r\n\x1a\n", 0, "latin1");
+  buffer.writeUInt32BE(13, 8);
+  buffer.write("IHDR", 12, "latin1");
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+// JPEG with an APP0 segment before the start of frame
+const jpeg = (width, height) => {
+  const buffer = Buffer.from("ffd8ffe000040000ffc00011080000000003", "hex");
+  buffer.writeUInt16BE(height, 13);
+  buffer.writeUInt16BE(width, 15);
+  return buffer;
+};
+
+describe("detectFileType", () => {
+  test("recognises files from their content", () => {
+    expect(detectFileType(png(1, 1))).toEqual({
+      contentType: "image/png",
+      extension: "png",
+    });
+    expect(detectFileType(jpeg(1, 1))).toMatchObject({ extension: "jpg" });
+    expect(detectFileType(Buffer.from("%PDF-1.7\n"))).toMatchObject({
+      contentType: "application/pdf",
+    });
+  });
+
+  test("rejects anything else, whatever it is called", () => {
+    expect(detectFileType(Buffer.from("<html><script>"))).toBeNull();
+    expect(detectFileType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe("getImageSize", () => {
+  test("reads the size of PNG and JPEG images", () => {
+    expect(getImageSize(png(640, 480), "image/png")).toEqual({
+      width: 640,
+      height: 480,
+    });
+    expect(getImageSize(jpeg(1024, 768), "image/jpeg")).toEqual({
+      width: 1024,
+      height: 768,
+    });
+  });
+
+  test("returns null for documents and truncated images", () => {
+    expect(getImageSize(Buffer.from("%PDF-1.7"), "application/pdf")).toBeNull();
+    expect(getImageSize(png(640, 480).subarray(0, 20), "image/png")).toBeNull();
+  });
+});
+
+describe("getThumbnailSize", () => {
+  test("scales images down to fit, keeping their proportions", () => {
+    expect(getThumbnailSize({ width: 1024, height: 768 })).toEqual({
+      width: 256,
+      height: 192,
+    });
+    expect(getThumbnailSize({ width: 100, height: 50 })).toEqual({
+      width: 100,
+      height: 50,
+    });
+  });
+});
@@ -0,0 +1,227 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import {
+  newId,
+  mockTransactions,
+  mockBalances,
+  mockResponse,
+} from "./helpers.js";
+import FixedExpense from "../models/FixedExpense.js";
+import FixedExpenseOccurrence from "../models/FixedExpenseOccurrence.js";
+import Account from "../models/Account.js";
+import Transaction from "../models/Transaction.js";
+import Tag from "../models/Tag.js";
+import {
+  updateFixedExpense,
+  markAsPaid,
+} from "../controllers/fixedExpenseController.js";
+
+const userId = newId();
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+const createExpense = (fields) =>
+  new FixedExpense({
+    userId,
+    title: "Rent",
+    amount: 900,
+    category: "Housing",
+    accountId: newId(),
+    ...fields,
+  });
+
+describe("FixedExpense schedule", () => {
+  test("falls on the last day of shorter months", () => {
+    const expense = createExpense({
+      dueDate: 31,
+      startDate: new Date(Date.UTC(2024, 0, 31)),
+    });
+
+    const dates = expense.getOccurrenceDates(new Date(Date.UTC(2024, 3, 1)));
+
+    expect(dates).toEqual([
+      new Date(Date.UTC(2024, 0, 31)),
+      new Date(Date.UTC(2024, 1, 29)),
+      new Date(Date.UTC(2024, 2, 31)),
+      new Date(Date.UTC(2024, 3, 30)),
+    ]);
+  });
+
+  test("repeats weekly schedules from their start", () => {
+    const expense = createExpense({
+      dueDate: 4,
+      frequency: "biweekly",
+      startDate: new Date(Date.UTC(2024, 0, 4)),
+    });
+
+    const dates = expense.getOccurrenceDates(new Date(Date.UTC(2024, 1, 1)));
+
+    expect(dates).toEqual([
+      new Date(Date.UTC(2024, 0, 4)),
+      new Date(Date.UTC(2024, 0, 18)),
+      new Date(Date.UTC(2024, 1, 1)),
+      new Date(Date.UTC(2024, 1, 15)),
+    ]);
+  });
+
+  test("finds the next due date on or after today", () => {
+    const expense = createExpense({
+      dueDate: 15,
+      frequency: "quarterly",
+      startDate: new Date(Date.UTC(2024, 0, 15)),
+    });
+
+    expect(expense.getNextDueDate(new Date(Date.UTC(2024, 3, 15, 18)))).toEqual(
+      new Date(Date.UTC(2024, 3, 15))
+    );
+    expect(expense.getNextDueDate(new Date(Date.UTC(2024, 3, 16)))).toEqual(
+      new Date(Date.UTC(2024, 6, 15))
+    );
+  });
+});
+
+describe("updateFixedExpense", () => {
+  let expense;
+  let inserted;
+
+  beforeEach(() => {
+    // A monthly expense on the 1st that has been running for over a year
+    const today = startOfToday();
+    expense = createExpense({
+      dueDate: 1,
+      frequency: "monthly",
+      startDate: new Date(Date.UTC(today.getUTCFullYear() - 1, 0, 1)),
+    });
+    inserted = [];
+
+    jest.spyOn(FixedExpense, "findOne").mockResolvedValue(expense);
+    jest.spyOn(expense, "save").mockResolvedValue(expense);
+    jest.spyOn(expense, "populate").mockResolvedValue(expense);
+    jest.spyOn(Tag, "ensureTags").mockResolvedValue();
+    jest.spyOn(FixedExpenseOccurrence, "deleteMany").mockResolvedValue({});
+    jest
+      .spyOn(FixedExpenseOccurrence, "find")
+      .mockReturnValue({ select: async () => [] });
+    jest
+      .spyOn(FixedExpenseOccurrence, "insertMany")
+      .mockImplementation(async (docs) => inserted.push(...docs));
+    jest
+      .spyOn(FixedExpenseOccurrence, "findOne")
+      .mockReturnValue({ sort: async () => null });
+  });
+
+  const req = (body) => ({
+    params: { id: String(expense._id) },
+    body,
+    workspace: { userId },
+  });
+
+  test("starts a new due day from its next occurrence", async () => {
+    const res = mockResponse();
+
+    await updateFixedExpense(req({ dueDate: 15 }), res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(expense.startDate >= startOfToday()).toBe(true);
+    expect(expense.startDate.getUTCDate()).toBe(15);
+    // Nothing overdue is generated on the new schedule
+    expect(inserted.length).toBeGreaterThan(0);
+    for (const occurrence of inserted) {
+      expect(occurrence.dueDate >= startOfToday()).toBe(true);
+      expect(occurrence.dueDate.getUTCDate()).toBe(15);
+    }
+  });
+
+  test("starts a new frequency from its next occurrence", async () => {
+    await updateFixedExpense(req({ frequency: "weekly" }), mockResponse());
+
+    expect(expense.startDate >= startOfToday()).toBe(true);
+    for (const occurrence of inserted) {
+      expect(occurrence.dueDate >= startOfToday()).toBe(true);
+    }
+  });
+
+  test("keeps an explicit start date", async () => {
+    const startDate = new Date(Date.UTC(2024, 0, 15));
+
+    await updateFixedExpense(
+      req({ dueDate: 15, startDate: startDate.toISOString() }),
+      mockResponse()
+    );
+
+    expect(expense.startDate).toEqual(startDate);
+  });
+});
+
+describe("markAsPaid", () => {
+  let expense;
+  let occurrence;
+  let balances;
+
+  beforeEach(() => {
+    expense = createExpense({
+      dueDate: 1,
+      startDate: new Date(Date.UTC(2024, 0, 1)),
+    });
+    occurrence = new FixedExpenseOccurrence({
+      userId,
+      fixedExpenseId: expense._id,
+      dueDate: new Date(Date.UTC(2024, 2, 1)),
+      amount: 900,
+    });
+
+    mockTransactions();
+    balances = mockBalances(Account, { [expense.accountId]: 2000 });
+    jest.spyOn(FixedExpense, "findOne").mockResolvedValue(expense);
+    jest.spyOn(expense, "syncOccurrences").mockResolvedValue(expense);
+    jest.spyOn(expense, "populate").mockResolvedValue(expense);
+    jest.spyOn(FixedExpenseOccurrence, "findOne").mockResolvedValue(occurrence);
+    jest.spyOn(Transaction.prototype, "save").mockResolvedValue();
+  });
+
+  const req = () => ({
+    params: { id: String(expense._id) },
+    body: { occurrenceId: String(occurrence._id) },
+    workspace: { userId },
+  });
+
+  test("posts the expense and settles the occurrence", async () => {
+    jest
+      .spyOn(FixedExpenseOccurrence, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const res = mockResponse();
+
+    await markAsPaid(req(), res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(balances).toEqual({ [expense.accountId]: 1100 });
+    expect(Transaction.prototype.save).toHaveBeenCalledTimes(1);
+    expect(occurrence.isPaid).toBe(true);
+  });
+
+  test("pays nothing when paid concurrently", async () => {
+    // The conditional update finds the occurrence already paid
+    jest
+      .spyOn(FixedExpenseOccurrence, "updateOne")
+      .mockResolvedValue({ modifiedCount: 0 });
+    const res = mockResponse();
+
+    await markAsPaid(req(), res);
+
+    expect(FixedExpenseOccurrence.updateOne).toHaveBeenCalledWith(
+      { _id: occurrence._id, isPaid: false },
+      expect.anything(),
+      expect.anything()
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(balances).toEqual({ [expense.accountId]: 2000 });
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+
+// Tests run without a database: whatever the code under test reads or
+// writes is stubbed, and anything that is not fails right away instead of
+// waiting for a connection
+mongoose.set("bufferCommands", false);
+
+process.env.JWT_SECRET ??= "test-secret";
+process.env.JWT_REFRESH_SECRET ??= "test-refresh-secret";
+process.env.JWT_EXPIRES_IN ??= "15m";
+process.env.JWT_REFRESH_EXPIRES_IN ??= "7d";
+
+export const newId = () => new mongoose.Types.ObjectId();
+
+// Run withTransaction (utils/db.js) callbacks straight away with a fake
+// session. Resolves with the session they are given.
+export const mockTransactions = () => {
+  const session = { id: "test-session" };
+  jest
+    .spyOn(mongoose.connection, "transaction")
+    .mockImplementation((work) => work(session));
+  return session;
+};
+
+// Keep account balances in memory, keyed by account id, behind
+// Account.adjustBalance
+export const mockBalances = (Account, balances = {}) => {
+  jest
+    .spyOn(Account, "adjustBalance")
+    .mockImplementation(async (accountId, amount) => {
+      const key = String(accountId);
+      balances[key] = Math.round(((balances[key] || 0) + amount) * 100) / 100;
+      return { _id: accountId, balance: balances[key] };
+    });
+  return balances;
+};
+
+// Express response recording what a controller answers
+export const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
@@ -0,0 +1,199 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId, mockResponse } from "./helpers.js";
+import User from "../models/User.js";
+import Household from "../models/Household.js";
+import HouseholdInvitation from "../models/HouseholdInvitation.js";
+import { workspace } from "../middleware/workspace.js";
+import {
+  acceptInvitation,
+  updateMember,
+  removeMember,
+} from "../controllers/householdController.js";
+
+const owner = { _id: newId(), email: "alex@example.com" };
+const editor = { _id: newId(), email: "sam@example.com" };
+const viewer = { _id: newId(), email: "kim@example.com" };
+
+let household;
+
+beforeEach(() => {
+  household = new Household({
+    name: "Home",
+    currency: "EUR",
+    members: [
+      { userId: owner._id, role: "owner", joinedAt: new Date("2024-01-01") },
+      { userId: viewer._id, role: "viewer", joinedAt: new Date("2024-02-01") },
+      { userId: editor._id, role: "editor", joinedAt: new Date("2024-03-01") },
+    ],
+  });
+
+  jest
+    .spyOn(Household, "findForMember")
+    .mockImplementation(async (id, userId) =>
+      household._id.equals(id) && household.getMember(userId) ? household : null
+    );
+  jest.spyOn(household, "save").mockResolvedValue(household);
+  jest.spyOn(User, "find").mockReturnValue({ select: async () => [] });
+});
+
+describe("workspace", () => {
+  const run = async (user, method, householdId) => {
+    const req = {
+      user: { ...user, settings: { currency: "GBP" } },
+      method,
+      header: () => householdId,
+    };
+    const res = mockResponse();
+    const next = jest.fn();
+    await workspace(req, res, next);
+    return { req, res, next };
+  };
+
+  test("uses the user's own records without a household", async () => {
+    const { req, next } = await run(viewer, "POST");
+
+    expect(next).toHaveBeenCalled();
+    expect(req.workspace).toEqual({
+      userId: viewer._id,
+      household: null,
+      role: "owner",
+      currency: "GBP",
+    });
+  });
+
+  test("uses the household's records for its members", async () => {
+    const { req, next } = await run(editor, "POST", String(household._id));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.workspace).toMatchObject({
+      userId: household._id,
+      role: "editor",
+      currency: "EUR",
+    });
+  });
+
+  test("lets viewers read but not make changes", async () => {
+    const householdId = String(household._id);
+
+    expect((await run(viewer, "GET", householdId)).next).toHaveBeenCalled();
+
+    const { res, next } = await run(viewer, "DELETE", householdId);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("hides households the user is not a member of", async () => {
+    const { res, next } = await run(
+      { _id: newId() },
+      "GET",
+      String(household._id)
+    );
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe("household members", () => {
+  const req = (user, params, body = {}) => ({
+    user,
+    params: { id: String(household._id), ...params },
+    body,
+  });
+
+  test("hands ownership over to another member", async () => {
+    await updateMember(
+      req(owner, { userId: String(editor._id) }, { role: "owner" }),
+      mockResponse()
+    );
+
+    expect(household.getMember(editor._id).role).toBe("owner");
+    expect(household.getMember(owner._id).role).toBe("editor");
+  });
+
+  test("only lets the owner change roles", async () => {
+    const res = mockResponse();
+
+    await updateMember(
+      req(editor, { userId: String(viewer._id) }, { role: "editor" }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(household.getMember(viewer._id).role).toBe("viewer");
+  });
+
+  test("lets members leave but not the owner", async () => {
+    await removeMember(
+      req(viewer, { userId: String(viewer._id) }),
+      mockResponse()
+    );
+    expect(household.getMember(viewer._id)).toBeUndefined();
+
+    const res = mockResponse();
+    await removeMember(req(owner, { userId: String(owner._id) }), res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(household.getMember(owner._id)).toBeDefined();
+  });
+
+  test("passes ownership on when the owner's account goes", async () => {
+    jest.spyOn(Household, "find").mockResolvedValue([household]);
+
+    await Household.removeMemberEverywhere(owner._id);
+
+    // The longest standing editor rather than the longest standing member
+    expect(household.members.map(({ userId, role }) => [userId, role])).toEqual(
+      [
+        [viewer._id, "viewer"],
+        [editor._id, "owner"],
+      ]
+    );
+    expect(household.save).toHaveBeenCalled();
+  });
+});
+
+describe("acceptInvitation", () => {
+  let invitation;
+
+  beforeEach(() => {
+    invitation = new HouseholdInvitation({
+      householdId: household._id,
+      email: "new.member@example.com",
+      role: "editor",
+      invitedBy: owner._id,
+      tokenHash: "hash",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    jest
+      .spyOn(HouseholdInvitation, "findPending")
+      .mockResolvedValue(invitation);
+    jest.spyOn(invitation, "accept").mockResolvedValue(true);
+    jest.spyOn(Household, "findById").mockResolvedValue(household);
+    jest.spyOn(Household, "updateOne").mockResolvedValue({});
+  });
+
+  test("adds the invited account with the role it was given", async () => {
+    const user = { _id: newId(), email: "new.member@example.com" };
+    const res = mockResponse();
+
+    await acceptInvitation({ user, body: { token: "token" } }, res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(Household.updateOne).toHaveBeenCalledWith(
+      { _id: household._id, "members.userId": { $ne: user._id } },
+      { $push: { members: { userId: user._id, role: "editor" } } }
+    );
+  });
+
+  test("cannot be accepted by another account", async () => {
+    const res = mockResponse();
+
+    await acceptInvitation({ user: viewer, body: { token: "token" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(invitation.accept).not.toHaveBeenCalled();
+    expect(Household.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  parseDate,
+  parseAmount,
+  parseCSV,
+  parseOFX,
+  parseQIF,
+} from "../utils/importParsers.js";
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+describe("parseDate", () => {
+  test("reads ISO dates and both day orders", () => {
+    expect(parseDate("2024-03-05")).toEqual(utc(2024, 3, 5));
+    expect(parseDate("03/05/2024", "MM/DD/YYYY")).toEqual(utc(2024, 3, 5));
+    expect(parseDate("05/03/2024", "DD/MM/YYYY")).toEqual(utc(2024, 3, 5));
+    expect(parseDate("3/5'24")).toEqual(utc(2024, 3, 5));
+  });
+
+  test("rejects dates that do not exist", () => {
+    expect(parseDate("02/30/2024", "MM/DD/YYYY")).toBeNull();
+    expect(parseDate("31/04/2024", "DD/MM/YYYY")).toBeNull();
+    expect(parseDate("2023-02-29")).toBeNull();
+    expect(parseDate("13/01/2024", "MM/DD/YYYY")).toBeNull();
+  });
+
+  test("accepts the 29th of February in leap years", () => {
+    expect(parseDate("2024-02-29")).toEqual(utc(2024, 2, 29));
+  });
+
+  test("rejects text that is not a date", () => {
+    expect(parseDate("yesterday")).toBeNull();
+    expect(parseDate("")).toBeNull();
+  });
+});
+
+describe("parseAmount", () => {
+  test("reads signs in their different notations", () => {
+    expect(parseAmount("1,234.56")).toBe(1234.56);
+    expect(parseAmount("(12.00)")).toBe(-12);
+    expect(parseAmount("-$5")).toBe(-5);
+    expect(parseAmount("12.00-")).toBe(-12);
+  });
+
+  test("returns null for a missing amount", () => {
+    expect(parseAmount("")).toBeNull();
+    expect(parseAmount("n/a")).toBeNull();
+  });
+});
+
+describe("parseCSV", () => {
+  test("maps columns and quoted fields", () => {
+    const content =
+      'Date,Payee,Debit,Credit\n2024-03-01,"Shop, Inc",12.50,\n' +
+      "2024-03-02,Employer,,1500\n";
+
+    const rows = parseCSV(content, {
+      mapping: { description: "Payee", debit: "Debit", credit: "Credit" },
+    });
+
+    expect(rows).toEqual([
+      {
+        date: utc(2024, 3, 1),
+        amount: -12.5,
+        description: "Shop, Inc",
+        category: null,
+        externalId: null,
+      },
+      {
+        date: utc(2024, 3, 2),
+        amount: 1500,
+        description: "Employer",
+        category: null,
+        externalId: null,
+      },
+    ]);
+  });
+
+  test("leaves the date of an impossible row empty", () => {
+    const [row] = parseCSV("date,description,amount\n02/30/2024,Rent,-900", {
+      mapping: { amount: "amount" },
+      dateFormat: "MM/DD/YYYY",
+    });
+
+    expect(row.date).toBeNull();
+  });
+
+  test("requires an amount column", () => {
+    expect(() => parseCSV("date,description\n2024-03-01,Rent")).toThrow(
+      /amount column/
+    );
+  });
+});
+
+describe("parseOFX", () => {
+  test("reads SGML statement transactions", () => {
+    const content = [
+      "<OFX><BANKTRANLIST>",
+      "<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240301120000",
+      "<TRNAMT>-42.10<FITID>A1<NAME>Grocer<MEMO>Card 1234</STMTTRN>",
+      "</BANKTRANLIST></OFX>",
+    ].join("\n");
+
+    expect(parseOFX(content)).toEqual([
+      {
+        date: utc(2024, 3, 1),
+        amount: -42.1,
+        description: "Grocer - Card 1234",
+        category: null,
+        externalId: "A1",
+      },
+    ]);
+  });
+});
+
+describe("parseQIF", () => {
+  test("reads records and their categories", () => {
+    const content = "!Type:Bank\nD03/01/2024\nT-20.00\nPCafe\nLFood:Coffee\n^";
+
+    expect(parseQIF(content)).toEqual([
+      {
+        date: utc(2024, 3, 1),
+        amount: -20,
+        description: "Cafe",
+        category: "Food",
+        externalId: null,
+      },
+    ]);
+  });
+});
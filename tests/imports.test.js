@@ -0,0 +1,93 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import {
+  newId,
+  mockTransactions,
+  mockBalances,
+  mockResponse,
+} from "./helpers.js";
+import Transaction from "../models/Transaction.js";
+import Account from "../models/Account.js";
+import ImportBatch from "../models/ImportBatch.js";
+import Attachment from "../models/Attachment.js";
+import { undoImport } from "../controllers/importController.js";
+
+const userId = newId();
+const accountId = newId();
+
+describe("undoImport", () => {
+  let batch;
+  let balances;
+
+  beforeEach(() => {
+    batch = new ImportBatch({
+      userId,
+      accountId,
+      format: "csv",
+      rowCount: 2,
+      importedCount: 2,
+      netAmount: 1150,
+    });
+    const imported = [
+      { type: "income", amount: 1200, description: "Salary" },
+      { type: "expense", amount: 50, description: "Groceries" },
+    ].map(
+      (fields) =>
+        new Transaction({
+          userId,
+          accountId,
+          category: "Imported",
+          date: new Date("2024-03-01"),
+          importBatchId: batch._id,
+          ...fields,
+        })
+    );
+
+    mockTransactions();
+    balances = mockBalances(Account, { [accountId]: 2150 });
+    jest.spyOn(ImportBatch, "findOne").mockResolvedValue(batch);
+    jest
+      .spyOn(Transaction, "find")
+      .mockReturnValue({ session: async () => imported });
+    jest.spyOn(Transaction, "deleteMany").mockResolvedValue({});
+    jest.spyOn(Attachment, "removeFor").mockResolvedValue(0);
+  });
+
+  const req = () => ({
+    params: { id: String(batch._id) },
+    workspace: { userId },
+  });
+
+  test("reverses the imported transactions", async () => {
+    jest
+      .spyOn(ImportBatch, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const res = mockResponse();
+
+    await undoImport(req(), res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(balances).toEqual({ [accountId]: 1000 });
+    expect(Transaction.deleteMany).toHaveBeenCalled();
+  });
+
+  test("reverses nothing when the import was undone concurrently", async () => {
+    // The conditional update finds the batch already undone
+    jest
+      .spyOn(ImportBatch, "updateOne")
+      .mockResolvedValue({ modifiedCount: 0 });
+    const res = mockResponse();
+
+    await undoImport(req(), res);
+
+    expect(ImportBatch.updateOne).toHaveBeenCalledWith(
+      { _id: batch._id, status: { $ne: "undone" } },
+      expect.anything(),
+      expect.anything()
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(balances).toEqual({ [accountId]: 2150 });
+    expect(Transaction.deleteMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,151 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import { newId, mockResponse } from "./helpers.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { registerTransport } from "../utils/mailer.js";
+import {
+  createMemoryStore,
+  getLoginAttemptStore,
+  setLoginAttemptStore,
+} from "../utils/loginAttemptStore.js";
+import {
+  getLoginBlock,
+  loginLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../middleware/loginProtection.js";
+
+const IP_ADDRESS = "203.0.113.7";
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const sentMail = [];
+registerTransport("test", async (message) => {
+  sentMail.push(message);
+});
+
+const createRequest = (email) => ({
+  ip: IP_ADDRESS,
+  body: { email },
+  get: () => "jest",
+});
+
+const fail = async (email, user = null, times = 1) => {
+  for (let i = 0; i < times; i++) {
+    await recordLoginFailure(createRequest(email), email, user, "password");
+  }
+};
+
+describe("login protection", () => {
+  const user = { _id: newId(), name: "Alex", email: "alex@example.com" };
+
+  beforeAll(() => {
+    process.env.MAIL_TRANSPORT = "test";
+  });
+
+  afterAll(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  beforeEach(() => {
+    setLoginAttemptStore(createMemoryStore());
+    sentMail.length = 0;
+    jest.spyOn(LoginAttempt, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("locks the account after too many failed attempts", async () => {
+    await fail(user.email, user, 4);
+    expect(await getLoginBlock(user.email, IP_ADDRESS)).toBeNull();
+
+    await fail(user.email, user);
+
+    const block = await getLoginBlock(user.email, IP_ADDRESS);
+    expect(block).toMatchObject({ reason: "account-locked" });
+    expect(LoginAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: user.email,
+        userId: user._id,
+        outcome: "blocked",
+        reason: "account-locked",
+      })
+    );
+  });
+
+  test("counts failures by email regardless of case and spacing", async () => {
+    await fail(" Alex@Example.com ", null, 5);
+
+    const block = await getLoginBlock("alex@example.com", IP_ADDRESS);
+    expect(block).toMatchObject({ reason: "account-locked" });
+  });
+
+  test("tells the owner of a registered account it was locked", async () => {
+    await fail(user.email, user, 5);
+    await fail("nobody@example.com", null, 5);
+
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0]).toMatchObject({
+      to: user.email,
+      subject: "Sign-in to your account was locked",
+    });
+  });
+
+  test("rejects a locked account before checking the password", async () => {
+    await fail(user.email, user, 5);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await loginLockout(createRequest(user.email), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith(
+      "Retry-After",
+      String(LOCKOUT_MS / 1000)
+    );
+  });
+
+  test("lets sign-in through once the lockout has passed", async () => {
+    jest.useFakeTimers({ doNotFake: ["setInterval", "clearInterval"] });
+    await fail(user.email, user, 5);
+
+    jest.setSystemTime(Date.now() + LOCKOUT_MS + 1000);
+
+    expect(await getLoginBlock(user.email, IP_ADDRESS)).toBeNull();
+  });
+
+  test("forgets failed attempts after a successful sign-in", async () => {
+    await fail(user.email, user, 4);
+    await recordLoginSuccess(createRequest(user.email), user);
+    await fail(user.email, user, 4);
+
+    expect(await getLoginBlock(user.email, IP_ADDRESS)).toBeNull();
+  });
+
+  test("blocks an address with too many failed attempts", async () => {
+    const store = getLoginAttemptStore();
+    for (let i = 0; i < 21; i++) {
+      store.increment(`ip:${IP_ADDRESS}`, LOCKOUT_MS);
+    }
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await loginLockout(createRequest("someone@example.com"), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(LoginAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: "blocked", reason: "ip-blocked" })
+    );
+  });
+});
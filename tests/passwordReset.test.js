@@ -0,0 +1,158 @@
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+} from "@jest/globals";
+import crypto from "crypto";
+import { newId, mockResponse } from "./helpers.js";
+import User from "../models/User.js";
+import AuthToken from "../models/AuthToken.js";
+import Session from "../models/Session.js";
+import { registerTransport } from "../utils/mailer.js";
+import {
+  forgotPassword,
+  resetPassword,
+} from "../controllers/authController.js";
+
+const sentMail = [];
+registerTransport("test", async (message) => {
+  sentMail.push(message);
+});
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+describe("password reset", () => {
+  let user;
+  let tokens;
+
+  beforeAll(() => {
+    process.env.MAIL_TRANSPORT = "test";
+  });
+
+  afterAll(() => {
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  beforeEach(() => {
+    user = new User({
+      name: "Alex",
+      email: "alex@example.com",
+      password: "old-password",
+    });
+    tokens = [];
+    sentMail.length = 0;
+
+    jest
+      .spyOn(User, "findOne")
+      .mockImplementation(async ({ email }) =>
+        email === user.email ? user : null
+      );
+    jest.spyOn(User, "findById").mockResolvedValue(user);
+    jest.spyOn(user, "save").mockResolvedValue(user);
+    jest.spyOn(Session, "revoke").mockResolvedValue();
+    jest.spyOn(AuthToken, "deleteMany").mockResolvedValue({});
+    jest
+      .spyOn(AuthToken, "create")
+      .mockImplementation(async (fields) => tokens.push({ ...fields }));
+    // Mark a stored token as used the way the conditional update would
+    jest
+      .spyOn(AuthToken, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        const token = tokens.find(
+          (candidate) =>
+            candidate.tokenHash === filter.tokenHash &&
+            filter.purpose.$in.includes(candidate.purpose) &&
+            !candidate.usedAt &&
+            candidate.expiresAt > filter.expiresAt.$gt
+        );
+        return token ? Object.assign(token, update) : null;
+      });
+  });
+
+  const requestReset = async (email) => {
+    const res = mockResponse();
+    await forgotPassword({ body: { email } }, res);
+    return res;
+  };
+
+  const sentToken = () =>
+    new URL(sentMail[0].text.match(/https?:\/\/\S+/)[0]).searchParams.get(
+      "token"
+    );
+
+  test("answers the same whether or not the email is registered", async () => {
+    const known = await requestReset(user.email);
+    const unknown = await requestReset("nobody@example.com");
+
+    expect(unknown.json.mock.calls).toEqual(known.json.mock.calls);
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe(user.email);
+  });
+
+  test("stores only a hash of the token it sends", async () => {
+    await requestReset(user.email);
+    const token = sentToken();
+
+    expect(tokens).toEqual([
+      expect.objectContaining({
+        userId: user._id,
+        purpose: "password-reset",
+        tokenHash: hashToken(token),
+      }),
+    ]);
+    expect(tokens[0].expiresAt > new Date()).toBe(true);
+  });
+
+  test("sets the password and signs out every device", async () => {
+    await requestReset(user.email);
+    const res = mockResponse();
+
+    await resetPassword(
+      { body: { token: sentToken(), password: "new-password" } },
+      res
+    );
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(user.password).toBe("new-password");
+    expect(user.save).toHaveBeenCalled();
+    expect(Session.revoke).toHaveBeenCalledWith(
+      { userId: user._id },
+      "password-reset"
+    );
+  });
+
+  test("accepts each token only once", async () => {
+    await requestReset(user.email);
+    const token = sentToken();
+    await resetPassword(
+      { body: { token, password: "new-password" } },
+      mockResponse()
+    );
+    const res = mockResponse();
+
+    await resetPassword({ body: { token, password: "other-password" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(user.password).toBe("new-password");
+  });
+
+  test("rejects expired and unknown tokens", async () => {
+    await requestReset(user.email);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    for (const token of [sentToken(), "not-a-token"]) {
+      const res = mockResponse();
+      await resetPassword({ body: { token, password: "new-password" } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(user.save).not.toHaveBeenCalled();
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+});
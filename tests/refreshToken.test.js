@@ -0,0 +1,110 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { newId } from "./helpers.js";
+import User from "../models/User.js";
+import Session, { generateTokenId } from "../models/Session.js";
+import { generateRefreshToken } from "../middleware/auth.js";
+import authRoutes from "../routes/auth.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+
+const refresh = (refreshToken) =>
+  request(app).post("/api/auth/refresh-token").send({ refreshToken });
+
+describe("POST /api/auth/refresh-token", () => {
+  let user;
+  let session;
+
+  beforeEach(() => {
+    user = new User({
+      name: "Alex",
+      email: "alex@example.com",
+      password: "secret123",
+    });
+    session = new Session({
+      userId: user._id,
+      tokenId: generateTokenId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    jest
+      .spyOn(User, "findById")
+      .mockReturnValue({ select: async () => user });
+    jest
+      .spyOn(Session, "findOne")
+      .mockImplementation(async ({ _id }) =>
+        session._id.equals(_id) ? session : null
+      );
+    // Same conditions as the real conditional update
+    jest
+      .spyOn(Session, "rotate")
+      .mockImplementation(async (sessionId, tokenId, newTokenId, expiresAt) => {
+        const isCurrent =
+          session._id.equals(sessionId) && session.tokenId === tokenId;
+        if (!isCurrent || !session.isActive) return null;
+        session.set({ tokenId: newTokenId, expiresAt });
+        return session;
+      });
+    jest.spyOn(Session, "revoke").mockImplementation(async (filter, reason) => {
+      if (session.revokedAt) return 0;
+      session.set({ revokedAt: new Date(), revokedReason: reason });
+      return 1;
+    });
+  });
+
+  const issueToken = () =>
+    generateRefreshToken(user._id, session._id, session.tokenId);
+
+  test("rotates the refresh token", async () => {
+    const token = issueToken();
+
+    const response = await refresh(token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.token).toEqual(expect.any(String));
+    expect(response.body.data.refreshToken).not.toBe(token);
+    expect(session.revokedAt).toBeUndefined();
+  });
+
+  test("revokes the session when a used token is replayed", async () => {
+    const token = issueToken();
+    const { body } = await refresh(token);
+
+    const reuse = await refresh(token);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.message).toMatch(/already been used/);
+    expect(Session.revoke).toHaveBeenCalledWith(
+      { _id: session._id },
+      "token-reuse"
+    );
+    expect(session.revokedReason).toBe("token-reuse");
+
+    // The token issued before the reuse was detected stops working too
+    const next = await refresh(body.data.refreshToken);
+    expect(next.status).toBe(401);
+    expect(next.body.message).toBe("Invalid refresh token");
+  });
+
+  test("rejects tokens of a revoked session", async () => {
+    const token = issueToken();
+    session.set({ revokedAt: new Date(), revokedReason: "logout" });
+
+    const response = await refresh(token);
+
+    expect(response.status).toBe(401);
+    expect(Session.rotate).not.toHaveBeenCalled();
+  });
+
+  test("rejects tokens not signed with the refresh secret", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const response = await refresh("not-a-token");
+
+    expect(response.status).toBe(401);
+    expect(Session.findOne).not.toHaveBeenCalled();
+  });
+});
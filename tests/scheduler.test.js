@@ -0,0 +1,120 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId } from "./helpers.js";
+import JobRun from "../models/JobRun.js";
+import Borrowing from "../models/Borrowing.js";
+import Budget from "../models/Budget.js";
+import { getAuditContext } from "../utils/audit.js";
+import { runJob, listJobs } from "../jobs/scheduler.js";
+
+const JOB = "borrowing-overdue";
+
+describe("runJob", () => {
+  let run;
+
+  beforeEach(() => {
+    run = new JobRun({ job: JOB, trigger: "schedule" });
+    jest.spyOn(run, "save").mockResolvedValue(run);
+    jest.spyOn(JobRun, "create").mockResolvedValue(run);
+  });
+
+  test("records what a successful run did", async () => {
+    const triggeredBy = newId();
+    let context;
+    jest.spyOn(Borrowing, "markOverdue").mockImplementation(async () => {
+      context = getAuditContext();
+      return 3;
+    });
+
+    const result = await runJob(JOB, { trigger: "manual", triggeredBy });
+
+    expect(result).toBe(run);
+    expect(run).toMatchObject({
+      status: "success",
+      processed: 3,
+      details: { markedOverdue: 3 },
+    });
+    expect(run.finishedAt).toEqual(expect.any(Date));
+    // Changes the job makes are audited as its own
+    expect(context).toMatchObject({
+      actorId: triggeredBy,
+      source: `job:${JOB}`,
+    });
+  });
+
+  test("records a failed run", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest
+      .spyOn(Borrowing, "markOverdue")
+      .mockRejectedValue(new Error("Connection lost"));
+
+    await runJob(JOB);
+
+    expect(run).toMatchObject({ status: "failed", error: "Connection lost" });
+    expect(run.save).toHaveBeenCalled();
+  });
+
+  test("skips a job that is already running", async () => {
+    let finish;
+    jest
+      .spyOn(Borrowing, "markOverdue")
+      .mockImplementation(() => new Promise((resolve) => (finish = resolve)));
+
+    const first = runJob(JOB);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(listJobs().find((job) => job.name === JOB).isRunning).toBe(true);
+    expect(await runJob(JOB)).toBeNull();
+
+    finish(0);
+    await first;
+    expect(listJobs().find((job) => job.name === JOB).isRunning).toBe(false);
+  });
+
+  test("lets the next run start when the run cannot be recorded", async () => {
+    JobRun.create.mockRejectedValueOnce(new Error("Connection lost"));
+    jest.spyOn(Borrowing, "markOverdue").mockResolvedValue(0);
+
+    await expect(runJob(JOB)).rejects.toThrow("Connection lost");
+
+    expect(await runJob(JOB)).toBe(run);
+  });
+
+  test("rejects unknown jobs", async () => {
+    await expect(runJob("coffee")).rejects.toThrow("Unknown job: coffee");
+  });
+});
+
+describe("Budget.carryForwardInto", () => {
+  test("carries each budget once across overlapping runs", async () => {
+    const budget = new Budget({
+      userId: newId(),
+      category: "Groceries",
+      month: "2024-02",
+      amount: 300,
+      carryForward: true,
+    });
+    jest.spyOn(Budget, "find").mockResolvedValue([budget]);
+    // Only the first run claims the budget
+    jest
+      .spyOn(Budget, "updateOne")
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Budget, "exists").mockResolvedValue(null);
+    jest.spyOn(Budget, "create").mockResolvedValue({});
+
+    const results = await Promise.all([
+      Budget.carryForwardInto("2024-03"),
+      Budget.carryForwardInto("2024-03"),
+    ]);
+
+    expect(results.map((result) => result.created)).toEqual([1, 0]);
+    expect(Budget.create).toHaveBeenCalledTimes(1);
+    expect(Budget.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        month: "2024-03",
+        amount: 300,
+        carriedFrom: budget._id,
+      })
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { newId } from "./helpers.js";
+import User from "../models/User.js";
+import Session, {
+  generateTokenId,
+  describeUserAgent,
+} from "../models/Session.js";
+import { generateToken } from "../middleware/auth.js";
+import authRoutes from "../routes/auth.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+
+describe("describeUserAgent", () => {
+  test("names the browser and platform", () => {
+    expect(
+      describeUserAgent(
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
+          "(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0"
+      )
+    ).toBe("Edge on Windows");
+    expect(
+      describeUserAgent(
+        "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) " +
+          "AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 " +
+          "Mobile/15E148 Safari/604.1"
+      )
+    ).toBe("Safari on iPhone");
+  });
+
+  test("falls back to the client name", () => {
+    expect(describeUserAgent("okhttp/4.12.0")).toBe("okhttp");
+    expect(describeUserAgent(undefined)).toBe("Unknown device");
+  });
+});
+
+describe("session management", () => {
+  let user;
+  let sessions;
+
+  const createSession = (fields) =>
+    new Session({
+      userId: user._id,
+      tokenId: generateTokenId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...fields,
+    });
+
+  beforeEach(() => {
+    user = new User({
+      name: "Alex",
+      email: "alex@example.com",
+      password: "secret123",
+      emailVerified: true,
+    });
+    sessions = [
+      createSession({ deviceName: "Chrome on Windows" }),
+      createSession({ deviceName: "Safari on iPhone" }),
+    ];
+
+    jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+    jest
+      .spyOn(Session, "findOne")
+      .mockImplementation(
+        async ({ _id }) =>
+          sessions.find((session) => session._id.equals(_id)) || null
+      );
+    jest
+      .spyOn(Session, "getActiveSessions")
+      .mockImplementation(async () =>
+        sessions.filter((session) => session.isActive)
+      );
+    jest.spyOn(Session, "updateOne").mockResolvedValue({});
+    // Same conditions as the real conditional update
+    jest.spyOn(Session, "revoke").mockImplementation(async (filter, reason) => {
+      const matches = sessions.filter(
+        (session) =>
+          String(session._id) === String(filter._id) &&
+          session.userId.equals(filter.userId) &&
+          !session.revokedAt
+      );
+      for (const session of matches) {
+        session.set({ revokedAt: new Date(), revokedReason: reason });
+      }
+      return matches.length;
+    });
+  });
+
+  const as = (session) => ({
+    Authorization: `Bearer ${generateToken(user._id, session._id)}`,
+  });
+
+  test("lists active devices and marks the current one", async () => {
+    const response = await request(app)
+      .get("/api/auth/sessions")
+      .set(as(sessions[1]));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([
+      expect.objectContaining({
+        deviceName: "Chrome on Windows",
+        isCurrent: false,
+      }),
+      expect.objectContaining({
+        deviceName: "Safari on iPhone",
+        isCurrent: true,
+      }),
+    ]);
+  });
+
+  test("signs out another device", async () => {
+    const response = await request(app)
+      .delete(`/api/auth/sessions/${sessions[0]._id}`)
+      .set(as(sessions[1]));
+
+    expect(response.status).toBe(200);
+    expect(sessions[0].revokedReason).toBe("revoked");
+
+    // Its access token stops working straight away
+    const next = await request(app)
+      .get("/api/auth/sessions")
+      .set(as(sessions[0]));
+    expect(next.status).toBe(401);
+  });
+
+  test("does not revoke sessions of other users", async () => {
+    const other = createSession({ userId: newId() });
+    sessions.push(other);
+
+    const response = await request(app)
+      .delete(`/api/auth/sessions/${other._id}`)
+      .set(as(sessions[0]));
+
+    expect(response.status).toBe(404);
+    expect(other.revokedAt).toBeUndefined();
+  });
+
+  test("records where a device was last seen", async () => {
+    sessions[0].lastSeenAt = new Date(Date.now() - 10 * 60 * 1000);
+
+    await request(app).get("/api/auth/sessions").set(as(sessions[0]));
+
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: sessions[0]._id },
+      expect.objectContaining({ lastSeenAt: expect.any(Date) })
+    );
+    expect(Date.now() - sessions[0].lastSeenAt).toBeLessThan(60 * 1000);
+  });
+});
@@ -0,0 +1,151 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import {
+  newId,
+  mockTransactions,
+  mockBalances,
+  mockResponse,
+} from "./helpers.js";
+import Transaction, { SPLIT_CATEGORY } from "../models/Transaction.js";
+import Account from "../models/Account.js";
+import Category from "../models/Category.js";
+import Tag from "../models/Tag.js";
+import { createTransaction } from "../controllers/transactionController.js";
+
+const userId = newId();
+const accountId = newId();
+
+const createSplit = (fields) =>
+  new Transaction({
+    userId,
+    accountId,
+    type: "expense",
+    amount: 80,
+    description: "Supermarket",
+    date: new Date("2024-03-01"),
+    splits: [
+      { category: "Groceries", amount: 50 },
+      { category: "Household", amount: 30, note: "Detergent" },
+    ],
+    ...fields,
+  });
+
+describe("split lines", () => {
+  test("must add up to the total", async () => {
+    expect(createSplit().getSplitError()).toBeNull();
+
+    const transaction = createSplit({ amount: 90 });
+
+    expect(transaction.getSplitError()).toBe(
+      "Split amounts must add up to the transaction total (90)"
+    );
+    await expect(transaction.validate()).rejects.toThrow(
+      /Split amounts must add up/
+    );
+  });
+
+  test("add up to the amount in the original currency", () => {
+    const transaction = createSplit({
+      amount: 88,
+      originalAmount: 80,
+      originalCurrency: "EUR",
+      exchangeRate: 1.1,
+    });
+
+    expect(transaction.getSplitError()).toBeNull();
+  });
+
+  test("cannot split transfers", () => {
+    expect(
+      createSplit({ type: "transfer", toAccountId: newId() }).getSplitError()
+    ).toBe("Transfers cannot be split");
+  });
+
+  test("label the transaction as split without a category", async () => {
+    const transaction = createSplit();
+
+    await transaction.validate();
+
+    expect(transaction.category).toBe(SPLIT_CATEGORY);
+  });
+});
+
+describe("createTransaction with split lines", () => {
+  let balances;
+
+  beforeEach(() => {
+    mockTransactions();
+    balances = mockBalances(Account, { [accountId]: 1000 });
+    jest
+      .spyOn(Account, "findAccessible")
+      .mockResolvedValue(
+        new Account({ _id: accountId, userId, name: "Checking" })
+      );
+    // Names are matched to existing categories, e.g. by case
+    jest
+      .spyOn(Category, "resolve")
+      .mockImplementation(async (id, names) =>
+        names.map((name) => name[0].toUpperCase() + name.slice(1))
+      );
+    jest.spyOn(Tag, "ensureTags").mockResolvedValue();
+    jest
+      .spyOn(Transaction.prototype, "save")
+      .mockImplementation(async function () {
+        await this.validate();
+      });
+    jest
+      .spyOn(Transaction.prototype, "populate")
+      .mockImplementation(async function () {
+        this.accountId = { _id: accountId, name: "Checking" };
+      });
+  });
+
+  const create = async (body) => {
+    const res = mockResponse();
+    await createTransaction(
+      {
+        body: {
+          type: "income",
+          accountId: String(accountId),
+          description: "Payslip",
+          date: "2024-03-25",
+          ...body,
+        },
+        user: { _id: userId },
+        workspace: { userId, currency: "USD" },
+      },
+      res
+    );
+    return res;
+  };
+
+  test("applies the total once and resolves each line", async () => {
+    const res = await create({
+      amount: 2500,
+      splits: [
+        { category: "salary", amount: 2300 },
+        { category: "bonus", amount: 200 },
+      ],
+    });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(balances).toEqual({ [accountId]: 3500 });
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      category: SPLIT_CATEGORY,
+      splits: [
+        { category: "Salary", amount: 2300 },
+        { category: "Bonus", amount: 200 },
+      ],
+    });
+  });
+
+  test("rejects lines that do not add up", async () => {
+    const res = await create({
+      amount: 2500,
+      splits: [{ category: "Salary", amount: 2000 }],
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(balances).toEqual({ [accountId]: 1000 });
+    expect(Transaction.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId, mockTransactions, mockResponse } from "./helpers.js";
+import Tag, { normalizeTagNames } from "../models/Tag.js";
+import Transaction from "../models/Transaction.js";
+import Borrowing from "../models/Borrowing.js";
+import FixedExpense from "../models/FixedExpense.js";
+import { updateTag, deleteTag } from "../controllers/tagController.js";
+
+const userId = newId();
+const TAGGED = [Transaction, Borrowing, FixedExpense];
+
+describe("tag names", () => {
+  test("are trimmed, lower case and unique", () => {
+    expect(
+      normalizeTagNames([" Vacation-2026 ", "vacation-2026", "", "Tax"])
+    ).toEqual(["vacation-2026", "tax"]);
+    expect(normalizeTagNames("Reimbursable")).toEqual(["reimbursable"]);
+    expect(normalizeTagNames(null)).toEqual([]);
+  });
+
+  test("are normalized on the records carrying them", () => {
+    const transaction = new Transaction({ tags: ["Travel", "travel "] });
+
+    expect(transaction.tags).toEqual(["travel"]);
+  });
+});
+
+describe("Tag.ensureTags", () => {
+  test("creates the tags the owner does not have yet", async () => {
+    jest.spyOn(Tag, "bulkWrite").mockResolvedValue({});
+
+    await Tag.ensureTags(userId, ["Travel", "food"]);
+
+    expect(Tag.bulkWrite).toHaveBeenCalledWith(
+      ["travel", "food"].map((name) => ({
+        updateOne: {
+          filter: { userId, name },
+          update: { $setOnInsert: { userId, name } },
+          upsert: true,
+        },
+      }))
+    );
+  });
+
+  test("does nothing without tags", async () => {
+    jest.spyOn(Tag, "bulkWrite").mockResolvedValue({});
+
+    await Tag.ensureTags(userId, undefined);
+
+    expect(Tag.bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe("tag changes", () => {
+  let tag;
+  let session;
+
+  beforeEach(() => {
+    tag = new Tag({ userId, name: "travel" });
+    session = mockTransactions();
+
+    jest
+      .spyOn(Tag, "findOne")
+      .mockImplementation(async ({ _id, name }) =>
+        _id ? tag : name === "food" ? new Tag({ userId, name }) : null
+      );
+    jest.spyOn(Tag, "findById").mockReturnValue({
+      session: () => ({ lean: async () => ({ name: "travel" }) }),
+    });
+    jest.spyOn(tag, "save").mockResolvedValue(tag);
+    jest.spyOn(tag, "deleteOne").mockResolvedValue({});
+    for (const model of TAGGED) {
+      jest.spyOn(model, "updateMany").mockResolvedValue({});
+    }
+  });
+
+  const req = (body = {}) => ({
+    params: { id: String(tag._id) },
+    body,
+    workspace: { userId },
+  });
+
+  test("renames the tag on every record carrying it", async () => {
+    const res = mockResponse();
+
+    await updateTag(req({ name: "Holidays" }), res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(tag.name).toBe("holidays");
+    for (const model of TAGGED) {
+      expect(model.updateMany).toHaveBeenCalledWith(
+        { userId, tags: "travel" },
+        { $set: { "tags.$[tag]": "holidays" } },
+        { arrayFilters: [{ tag: "travel" }], session }
+      );
+    }
+  });
+
+  test("does not rename onto an existing tag", async () => {
+    const res = mockResponse();
+
+    await updateTag(req({ name: "Food" }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(tag.name).toBe("travel");
+    expect(Transaction.updateMany).not.toHaveBeenCalled();
+  });
+
+  test("removes a deleted tag from every record", async () => {
+    await deleteTag(req(), mockResponse());
+
+    for (const model of TAGGED) {
+      expect(model.updateMany).toHaveBeenCalledWith(
+        { userId, tags: "travel" },
+        { $pull: { tags: "travel" } },
+        { session }
+      );
+    }
+    expect(tag.deleteOne).toHaveBeenCalledWith({ session });
+  });
+});
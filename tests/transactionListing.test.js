@@ -0,0 +1,125 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { newId } from "./helpers.js";
+import Transaction from "../models/Transaction.js";
+
+const userId = newId();
+
+// find() query resolving with rows, whatever it is chained with
+const mockQuery = (rows) => {
+  const query = {
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject),
+  };
+  return query;
+};
+
+const createTransactions = (count) =>
+  Array.from(
+    { length: count },
+    (_, index) =>
+      new Transaction({
+        userId,
+        accountId: newId(),
+        type: "expense",
+        amount: 10 + index,
+        description: `Purchase ${index}`,
+        category: "Shopping",
+        date: new Date(Date.UTC(2024, 2, 20 - index)),
+      })
+  );
+
+describe("Transaction.getTransactionPage", () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction, "countDocuments").mockResolvedValue(3);
+  });
+
+  test("returns a cursor to the next page", async () => {
+    const rows = createTransactions(3);
+    jest.spyOn(Transaction, "find").mockReturnValue(mockQuery(rows));
+
+    const page = await Transaction.getTransactionPage(userId, { limit: 2 });
+
+    expect(page.transactions).toHaveLength(2);
+    expect(page).toMatchObject({ total: 3, hasMore: true });
+    expect(Transaction.decodeCursor(page.nextCursor)).toEqual({
+      value: rows[1].date.toISOString(),
+      id: String(rows[1]._id),
+    });
+  });
+
+  test("continues strictly after the cursor in sort order", async () => {
+    jest.spyOn(Transaction, "find").mockReturnValue(mockQuery([]));
+    const id = String(newId());
+
+    const page = await Transaction.getTransactionPage(userId, {
+      sortBy: "amount",
+      sortOrder: "asc",
+      cursor: { value: 25, id },
+    });
+
+    expect(page).toMatchObject({ hasMore: false, nextCursor: null });
+    expect(Transaction.find).toHaveBeenCalledWith({
+      $and: [
+        { userId },
+        {
+          $or: [{ amount: { $gt: 25 } }, { amount: 25, _id: { $gt: id } }],
+        },
+      ],
+    });
+    // The total counts every match, not just those after the cursor
+    expect(Transaction.countDocuments).toHaveBeenCalledWith({ userId });
+  });
+
+  test("matches split lines and transfers into an account", async () => {
+    jest.spyOn(Transaction, "find").mockReturnValue(mockQuery([]));
+    const accountId = String(newId());
+
+    await Transaction.getTransactionPage(userId, {
+      category: "Groceries",
+      accountId,
+    });
+
+    expect(Transaction.countDocuments).toHaveBeenCalledWith({
+      userId,
+      $and: [
+        {
+          $or: [
+            { category: { $in: ["Groceries"] } },
+            { "splits.category": { $in: ["Groceries"] } },
+          ],
+        },
+        {
+          $or: [
+            { accountId: { $in: [accountId] } },
+            { toAccountId: { $in: [accountId] } },
+          ],
+        },
+      ],
+    });
+  });
+
+  test("matches any of the given tags", async () => {
+    jest.spyOn(Transaction, "find").mockReturnValue(mockQuery([]));
+
+    await Transaction.getTransactionPage(userId, { tags: ["Travel", "tax"] });
+
+    expect(Transaction.countDocuments).toHaveBeenCalledWith({
+      userId,
+      tags: { $in: ["travel", "tax"] },
+    });
+  });
+});
+
+describe("Transaction.decodeCursor", () => {
+  test("rejects malformed cursors", () => {
+    expect(Transaction.decodeCursor("not-a-cursor")).toBeNull();
+    expect(
+      Transaction.decodeCursor(
+        Buffer.from(JSON.stringify([5, "nope"])).toString("base64url")
+      )
+    ).toBeNull();
+  });
+});
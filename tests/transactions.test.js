@@ -0,0 +1,236 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import {
+  newId,
+  mockTransactions,
+  mockBalances,
+  mockResponse,
+} from "./helpers.js";
+import Transaction from "../models/Transaction.js";
+import Account from "../models/Account.js";
+import Category from "../models/Category.js";
+import Tag from "../models/Tag.js";
+import {
+  deleteTransaction,
+  updateTransaction,
+} from "../controllers/transactionController.js";
+
+const userId = newId();
+const fromAccountId = newId();
+const toAccountId = newId();
+
+const createTransfer = (fields = {}) =>
+  new Transaction({
+    userId,
+    accountId: fromAccountId,
+    toAccountId,
+    type: "transfer",
+    amount: 100,
+    description: "To savings",
+    category: "Transfer",
+    date: new Date("2024-03-01"),
+    ...fields,
+  });
+
+describe("transfer balance effects", () => {
+  test("debit the source and credit the destination", () => {
+    const effects = createTransfer().getBalanceEffects();
+
+    expect(effects).toEqual([
+      { accountId: fromAccountId, amount: -100 },
+      { accountId: toAccountId, amount: 100 },
+    ]);
+  });
+
+  test("credit the converted amount across currencies", () => {
+    const effects = createTransfer({ toAmount: 92.5 }).getBalanceEffects();
+
+    expect(effects).toEqual([
+      { accountId: fromAccountId, amount: -100 },
+      { accountId: toAccountId, amount: 92.5 },
+    ]);
+  });
+
+  test("only debit the source for legacy transfers", () => {
+    const effects = createTransfer({
+      toAccountId: undefined,
+    }).getBalanceEffects();
+
+    expect(effects).toEqual([{ accountId: fromAccountId, amount: -100 }]);
+  });
+
+  test("cancel out when reversed", async () => {
+    const balances = mockBalances(Account, {
+      [fromAccountId]: 500,
+      [toAccountId]: 50,
+    });
+    const effects = createTransfer({ toAmount: 92.5 }).getBalanceEffects();
+
+    await Account.applyBalanceEffects(effects);
+    expect(balances).toEqual({
+      [fromAccountId]: 400,
+      [toAccountId]: 142.5,
+    });
+
+    await Account.applyBalanceEffects(effects, null, -1);
+    expect(balances).toEqual({
+      [fromAccountId]: 500,
+      [toAccountId]: 50,
+    });
+  });
+});
+
+const createRequest = (id, body) => ({
+  params: { id: String(id) },
+  body,
+  user: { _id: userId },
+  workspace: { userId },
+});
+
+describe("updateTransaction", () => {
+  let expense;
+  let balances;
+
+  beforeEach(() => {
+    expense = new Transaction({
+      userId,
+      accountId: fromAccountId,
+      type: "expense",
+      amount: 40,
+      description: "Groceries",
+      category: "Food",
+      date: new Date("2024-03-01"),
+      updatedAt: new Date("2024-03-01T10:00:00Z"),
+    });
+
+    mockTransactions();
+    balances = mockBalances(Account, { [fromAccountId]: 460 });
+    jest.spyOn(Transaction, "findById").mockResolvedValue(expense);
+    jest
+      .spyOn(Account, "findById")
+      .mockResolvedValue(
+        new Account({ _id: fromAccountId, userId, name: "Checking" })
+      );
+    jest
+      .spyOn(Category, "resolve")
+      .mockImplementation(async (id, names) => names);
+    jest.spyOn(Tag, "ensureTags").mockResolvedValue();
+    jest.spyOn(expense, "save").mockResolvedValue(expense);
+    jest.spyOn(expense, "populate").mockResolvedValue(expense);
+  });
+
+  test("re-applies a changed amount", async () => {
+    jest
+      .spyOn(Transaction, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const res = mockResponse();
+
+    await updateTransaction(createRequest(expense._id, { amount: 65 }), res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(balances).toEqual({ [fromAccountId]: 435 });
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      {
+        _id: expense._id,
+        updatedAt: new Date("2024-03-01T10:00:00Z"),
+        deletedAt: null,
+      },
+      expect.anything(),
+      expect.anything()
+    );
+  });
+
+  test("changes nothing when edited concurrently", async () => {
+    // The conditional update finds the transaction changed since it was read
+    jest
+      .spyOn(Transaction, "updateOne")
+      .mockResolvedValue({ modifiedCount: 0 });
+    const res = mockResponse();
+
+    await updateTransaction(createRequest(expense._id, { amount: 65 }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(balances).toEqual({ [fromAccountId]: 460 });
+    expect(expense.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("deleteTransaction", () => {
+  const req = (id) => createRequest(id);
+
+  test("restores both accounts of a transfer", async () => {
+    const session = mockTransactions();
+    const balances = mockBalances(Account, {
+      [fromAccountId]: 400,
+      [toAccountId]: 142.5,
+    });
+    const transfer = createTransfer({ toAmount: 92.5 });
+    jest.spyOn(Transaction, "findById").mockResolvedValue(transfer);
+    const softDelete = jest
+      .spyOn(transfer, "softDelete")
+      .mockResolvedValue(true);
+    const res = mockResponse();
+
+    await deleteTransaction(req(transfer._id), res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(balances).toEqual({
+      [fromAccountId]: 500,
+      [toAccountId]: 50,
+    });
+    expect(Account.adjustBalance).toHaveBeenCalledWith(
+      fromAccountId,
+      100,
+      session
+    );
+    expect(Account.adjustBalance).toHaveBeenCalledWith(
+      toAccountId,
+      -92.5,
+      session
+    );
+    expect(softDelete).toHaveBeenCalledWith(session);
+  });
+
+  test("leaves balances alone when deleted concurrently", async () => {
+    mockTransactions();
+    const balances = mockBalances(Account, {
+      [fromAccountId]: 500,
+      [toAccountId]: 50,
+    });
+    const transfer = createTransfer();
+    jest.spyOn(Transaction, "findById").mockResolvedValue(transfer);
+    // The conditional update finds it already in the trash
+    jest
+      .spyOn(Transaction, "updateOne")
+      .mockResolvedValue({ modifiedCount: 0 });
+    const res = mockResponse();
+
+    await deleteTransaction(req(transfer._id), res);
+
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      { _id: transfer._id, deletedAt: null },
+      expect.anything(),
+      expect.anything()
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(balances).toEqual({
+      [fromAccountId]: 500,
+      [toAccountId]: 50,
+    });
+  });
+
+  test("leaves balances alone when the transaction is not found", async () => {
+    mockTransactions();
+    const balances = mockBalances(Account);
+    jest.spyOn(Transaction, "findById").mockResolvedValue(null);
+    const res = mockResponse();
+
+    await deleteTransaction(req(newId()), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(balances).toEqual({});
+  });
+});
@@ -0,0 +1,148 @@
+import { jest, describe, test, expect } from "@jest/globals";
+import {
+  newId,
+  mockTransactions,
+  mockBalances,
+  mockResponse,
+} from "./helpers.js";
+import Transaction from "../models/Transaction.js";
+import Account from "../models/Account.js";
+import Borrowing from "../models/Borrowing.js";
+import { restoreFromTrash } from "../controllers/trashController.js";
+
+const userId = newId();
+const fromAccountId = newId();
+const toAccountId = newId();
+
+const createRequest = (type, id) => ({
+  params: { type, id: String(id) },
+  workspace: { userId },
+});
+
+// A transfer that was deleted, which reversed its balance changes
+const createDeletedTransfer = () =>
+  new Transaction({
+    userId,
+    accountId: fromAccountId,
+    toAccountId,
+    type: "transfer",
+    amount: 100,
+    toAmount: 92.5,
+    description: "To savings",
+    category: "Transfer",
+    date: new Date("2024-03-01"),
+    deletedAt: new Date("2024-03-02"),
+  });
+
+// Stub the trash lookup and the conditional update restore() makes; the
+// update only matches while the record is still in the trash
+const mockTrashed = (Model, doc, { stillTrashed = true } = {}) => {
+  jest.spyOn(Model, "findOne").mockResolvedValue(doc);
+  jest
+    .spyOn(Model, "updateOne")
+    .mockResolvedValue({ modifiedCount: stillTrashed ? 1 : 0 });
+};
+
+describe("restoreFromTrash", () => {
+  test("puts back both balance changes of a deleted transfer", async () => {
+    const session = mockTransactions();
+    const balances = mockBalances(Account, {
+      [fromAccountId]: 500,
+      [toAccountId]: 50,
+    });
+    const transfer = createDeletedTransfer();
+    mockTrashed(Transaction, transfer);
+    jest.spyOn(Account, "countDocuments").mockResolvedValue(2);
+    const res = mockResponse();
+
+    await restoreFromTrash(createRequest("transactions", transfer._id), res);
+
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true })
+    );
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      { _id: transfer._id, deletedAt: { $ne: null } },
+      { $unset: { deletedAt: 1 } },
+      { session }
+    );
+    expect(balances).toEqual({
+      [fromAccountId]: 400,
+      [toAccountId]: 142.5,
+    });
+  });
+
+  test("leaves balances alone when restored concurrently", async () => {
+    mockTransactions();
+    const balances = mockBalances(Account, {
+      [fromAccountId]: 400,
+      [toAccountId]: 142.5,
+    });
+    const transfer = createDeletedTransfer();
+    mockTrashed(Transaction, transfer, { stillTrashed: false });
+    jest.spyOn(Account, "countDocuments").mockResolvedValue(2);
+
+    await restoreFromTrash(
+      createRequest("transactions", transfer._id),
+      mockResponse()
+    );
+
+    expect(balances).toEqual({
+      [fromAccountId]: 400,
+      [toAccountId]: 142.5,
+    });
+  });
+
+  test("waits for the accounts to be restored first", async () => {
+    mockTransactions();
+    const balances = mockBalances(Account);
+    const transfer = createDeletedTransfer();
+    mockTrashed(Transaction, transfer);
+    // The destination account is still in the trash
+    jest.spyOn(Account, "countDocuments").mockResolvedValue(1);
+    const res = mockResponse();
+
+    await restoreFromTrash(createRequest("transactions", transfer._id), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+    expect(balances).toEqual({});
+  });
+
+  test("puts back a borrowing without a transaction", async () => {
+    mockTransactions();
+    const balances = mockBalances(Account, { [fromAccountId]: 200 });
+    const borrowing = new Borrowing({
+      userId,
+      personName: "Sam",
+      type: "borrowed",
+      amount: 75,
+      accountId: fromAccountId,
+      accountName: "Checking",
+      transactionDate: new Date("2024-03-01"),
+      isActive: false,
+      deletedAt: new Date("2024-03-02"),
+    });
+    mockTrashed(Borrowing, borrowing);
+    jest.spyOn(Account, "countDocuments").mockResolvedValue(1);
+
+    await restoreFromTrash(
+      createRequest("borrowings", borrowing._id),
+      mockResponse()
+    );
+
+    expect(Borrowing.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $unset: { deletedAt: 1 }, $set: { isActive: true } },
+      expect.anything()
+    );
+    expect(balances).toEqual({ [fromAccountId]: 275 });
+  });
+
+  test("rejects unknown types", async () => {
+    const res = mockResponse();
+
+    await restoreFromTrash(createRequest("receipts", newId()), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,190 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import User from "../models/User.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import AccountDeletion from "../models/AccountDeletion.js";
+import {
+  createMemoryStore,
+  setLoginAttemptStore,
+} from "../utils/loginAttemptStore.js";
+import {
+  generateCode,
+  generateSecret,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../utils/totp.js";
+import "./helpers.js";
+import authRoutes from "../routes/auth.js";
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+
+// Secret of the RFC 6238 test vectors ("12345678901234567890"), in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("TOTP codes", () => {
+  test("match the RFC 6238 test vectors", () => {
+    expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe("287082");
+    expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe(
+      "081804"
+    );
+  });
+
+  test("are accepted one step either side of now", () => {
+    const now = 1111111109 * 1000;
+    const step = getTimeStep(now);
+
+    expect(verifyCode(RFC_SECRET, "081804", { now })).toBe(step);
+    expect(verifyCode(RFC_SECRET, "081804", { now: now + 30 * 1000 })).toBe(
+      step
+    );
+    expect(
+      verifyCode(RFC_SECRET, "081804", { now: now + 90 * 1000 })
+    ).toBeNull();
+    expect(verifyCode(RFC_SECRET, "08180", { now })).toBeNull();
+  });
+
+  test("share the secret in the otpauth URI", () => {
+    const secret = generateSecret();
+    const url = new URL(buildOtpauthUrl(secret, "alex@example.com"));
+
+    expect(url.protocol).toBe("otpauth:");
+    expect(url.host).toBe("totp");
+    expect(decodeURIComponent(url.pathname)).toBe(
+      "/Flowtrance Finance:alex@example.com"
+    );
+    expect(url.searchParams.get("secret")).toBe(secret);
+  });
+
+  test("hash recovery codes however they are typed", () => {
+    const [code] = generateRecoveryCodes(1);
+
+    expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(hashRecoveryCode(code.toUpperCase().replace("-", " "))).toBe(
+      hashRecoveryCode(code)
+    );
+  });
+});
+
+describe("two-factor login", () => {
+  let user;
+  let recoveryCodes;
+
+  beforeEach(() => {
+    recoveryCodes = generateRecoveryCodes(2);
+    user = new User({
+      name: "Alex",
+      email: "alex@example.com",
+      password: "secret123",
+      twoFactor: {
+        enabled: true,
+        secret: generateSecret(),
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      },
+    });
+
+    setLoginAttemptStore(createMemoryStore());
+    jest.spyOn(LoginAttempt, "create").mockResolvedValue({});
+    jest.spyOn(AccountDeletion, "findPending").mockResolvedValue(null);
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+    jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+    jest
+      .spyOn(user, "comparePassword")
+      .mockImplementation(async (password) => password === "secret123");
+    jest.spyOn(Session.prototype, "save").mockResolvedValue();
+    // Same conditions as the real conditional updates, applied to a copy
+    // of what is stored
+    const twoFactor = {
+      lastUsedStep: null,
+      recoveryCodes: [...user.twoFactor.recoveryCodes],
+    };
+    jest.spyOn(User, "updateOne").mockImplementation(async (filter, update) => {
+      const step = update["twoFactor.lastUsedStep"];
+      if (step !== undefined) {
+        if (twoFactor.lastUsedStep >= step) return { modifiedCount: 0 };
+        twoFactor.lastUsedStep = step;
+        return { modifiedCount: 1 };
+      }
+      const hash = filter["twoFactor.recoveryCodes"];
+      if (!twoFactor.recoveryCodes.includes(hash)) return { modifiedCount: 0 };
+      twoFactor.recoveryCodes.splice(twoFactor.recoveryCodes.indexOf(hash), 1);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  const startLogin = async () => {
+    const response = await request(app)
+      .post("/api/auth/login")
+      .send({ email: user.email, password: "secret123" });
+    return response.body.data;
+  };
+
+  const verify = (challengeToken, body) =>
+    request(app)
+      .post("/api/auth/2fa/verify")
+      .send({ challengeToken, ...body });
+
+  test("asks for a code before issuing tokens", async () => {
+    const data = await startLogin();
+
+    expect(data).toEqual({
+      twoFactorRequired: true,
+      challengeToken: expect.any(String),
+    });
+    expect(Session.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test("signs in with a code, which works only once", async () => {
+    const { challengeToken } = await startLogin();
+    const code = generateCode(user.twoFactor.secret);
+
+    const response = await verify(challengeToken, { code });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(
+      expect.objectContaining({
+        token: expect.any(String),
+        refreshToken: expect.any(String),
+      })
+    );
+
+    const replay = await verify(challengeToken, { code });
+    expect(replay.status).toBe(401);
+  });
+
+  test("signs in with each recovery code once", async () => {
+    const { challengeToken } = await startLogin();
+
+    const response = await verify(challengeToken, {
+      recoveryCode: recoveryCodes[0],
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.recoveryCodesRemaining).toBe(1);
+
+    const replay = await verify(challengeToken, {
+      recoveryCode: recoveryCodes[0],
+    });
+    expect(replay.status).toBe(401);
+  });
+
+  test("does not accept an access token as a challenge", async () => {
+    const { challengeToken } = await startLogin();
+    const { body } = await verify(challengeToken, {
+      code: generateCode(user.twoFactor.secret),
+    });
+
+    const response = await verify(body.data.token, {
+      code: generateCode(user.twoFactor.secret, getTimeStep() + 1),
+    });
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe("Invalid or expired challenge token");
+  });
+});
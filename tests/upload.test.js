@@ -0,0 +1,40 @@
+import { describe, test, expect, afterEach } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { uploadFile } from "../middleware/upload.js";
+
+const app = express();
+app.post("/upload", uploadFile, (req, res) => {
+  res.json({ size: req.file.size });
+});
+app.use((error, req, res, next) => {
+  res.status(413).json({ code: error.code });
+});
+
+const upload = (size) =>
+  request(app)
+    .post("/upload")
+    .attach("file", Buffer.alloc(size), "receipt.pdf");
+
+describe("uploadFile", () => {
+  afterEach(() => {
+    delete process.env.ATTACHMENT_MAX_MB;
+  });
+
+  test("accepts a file within the limit", async () => {
+    const response = await upload(1024);
+
+    expect(response.status).toBe(200);
+    expect(response.body.size).toBe(1024);
+  });
+
+  test("reads the limit once the environment is loaded", async () => {
+    // Set after the middleware was imported, as dotenv does
+    process.env.ATTACHMENT_MAX_MB = "1";
+
+    const response = await upload(1024 * 1024 + 1);
+
+    expect(response.status).toBe(413);
+    expect(response.body.code).toBe("LIMIT_FILE_SIZE");
+  });
+});
@@ -0,0 +1,201 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { isDeepStrictEqual } from "util";
+import AuditLog from "../models/AuditLog.js";
+
+// Who is making changes, carried through everything a request or job does:
+// { actorId, source, ipAddress }, plus skip to leave changes unaudited
+const context = new AsyncLocalStorage();
+
+export const runWithAuditContext = (auditContext, fn) =>
+  context.run(auditContext, fn);
+
+export const getAuditContext = () => context.getStore() || {};
+
+// Run fn without auditing the changes it makes (e.g. erasing records)
+export const withoutAudit = (fn) =>
+  context.run({ ...getAuditContext(), skip: true }, fn);
+
+// Top-level fields that differ between two snapshots
+const getChangedFields = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (field) =>
+      field !== "updatedAt" && !isDeepStrictEqual(before[field], after[field])
+  );
+
+// Write an entry in the session of the change it describes, so that the two
+// are committed together: failing to write it fails the change. Changes made
+// without a session are already stored by then, so failing to write their
+// entry is only logged.
+const record = async (entity, action, before, after, session) => {
+  const snapshot = after || before;
+  const changes =
+    before && after ? getChangedFields(before, after) : undefined;
+  if (changes && changes.length === 0) return;
+
+  const { actorId, source, ipAddress } = getAuditContext();
+  const entry = {
+    userId: snapshot.userId,
+    actorId,
+    source,
+    ipAddress,
+    entity,
+    entityId: snapshot._id,
+    action,
+    changes,
+    before,
+    after,
+  };
+  if (session) {
+    await AuditLog.create([entry], { session });
+    return;
+  }
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+};
+
+// Snapshots include documents in the trash (see utils/softDelete.js)
+const WITH_DELETED = { withDeleted: true };
+
+const SINGLE_DOCUMENT_QUERIES = [
+  "updateOne",
+  "findOneAndUpdate",
+  "deleteOne",
+  "findOneAndDelete",
+];
+
+// Documents a query is about to change, read in the query's session
+const findTargets = async (query) => {
+  const { session, sort } = query.getOptions();
+  if (SINGLE_DOCUMENT_QUERIES.includes(query.op)) {
+    const doc = await query.model
+      .findOne(query.getFilter())
+      .sort(sort)
+      .session(session)
+      .setOptions(WITH_DELETED)
+      .lean();
+    return doc ? [doc] : [];
+  }
+  return await query.model
+    .find(query.getFilter())
+    .session(session)
+    .setOptions(WITH_DELETED)
+    .lean();
+};
+
+// Mongoose plugin recording every create, update and delete of the model's
+// documents in the audit log, whether made through documents (save), update
+// and delete queries or insertMany
+export const auditPlugin = (schema) => {
+  // Documents keep what they were loaded as, for the "before" snapshot of
+  // their next save (the raw result is left untouched by changes to them)
+  schema.pre("init", function (raw) {
+    this.$locals.auditBefore = raw;
+  });
+
+  schema.pre("save", async function () {
+    if (getAuditContext().skip) return;
+    this.$locals.auditAction = this.isNew ? "create" : "update";
+    if (this.isNew) {
+      this.$locals.auditBefore = null;
+    } else if (!this.$locals.auditBefore) {
+      // Only for documents that were not loaded by a query
+      this.$locals.auditBefore = await this.constructor
+        .findById(this._id)
+        .session(this.$session())
+        .setOptions(WITH_DELETED)
+        .lean();
+    }
+  });
+
+  schema.post("save", async function (doc) {
+    const action = doc.$locals.auditAction;
+    if (!action) return;
+    delete doc.$locals.auditAction;
+    const after = doc.toObject({ depopulate: true });
+    const before = doc.$locals.auditBefore;
+    // Saves in a transaction keep the snapshot they were loaded with, as a
+    // retried transaction saves again from there
+    if (!doc.$session()) doc.$locals.auditBefore = after;
+    await record(
+      doc.constructor.modelName,
+      action,
+      before,
+      after,
+      doc.$session()
+    );
+  });
+
+  schema.post("insertMany", async function (docs) {
+    if (getAuditContext().skip) return;
+    for (const doc of docs) {
+      await record(
+        this.modelName,
+        "create",
+        null,
+        doc.toObject({ depopulate: true }),
+        doc.$session()
+      );
+    }
+  });
+
+  schema.pre(
+    ["updateOne", "updateMany", "findOneAndUpdate"],
+    { document: false, query: true },
+    async function () {
+      if (getAuditContext().skip) return;
+      this._auditBefore = await findTargets(this);
+    }
+  );
+
+  schema.post(
+    ["updateOne", "updateMany", "findOneAndUpdate"],
+    { document: false, query: true },
+    async function () {
+      if (!this._auditBefore) return;
+      const { session } = this.getOptions();
+      const after = await this.model
+        .find({ _id: { $in: this._auditBefore.map((doc) => doc._id) } })
+        .session(session)
+        .setOptions(WITH_DELETED)
+        .lean();
+      const afterById = new Map(after.map((doc) => [String(doc._id), doc]));
+
+      for (const before of this._auditBefore) {
+        const updated = afterById.get(String(before._id));
+        if (updated) {
+          await record(
+            this.model.modelName,
+            "update",
+            before,
+            updated,
+            session
+          );
+        }
+      }
+    }
+  );
+
+  schema.pre(
+    ["deleteOne", "deleteMany", "findOneAndDelete"],
+    { document: false, query: true },
+    async function () {
+      if (getAuditContext().skip) return;
+      this._auditBefore = await findTargets(this);
+    }
+  );
+
+  schema.post(
+    ["deleteOne", "deleteMany", "findOneAndDelete"],
+    { document: false, query: true },
+    async function () {
+      if (!this._auditBefore) return;
+      const { session } = this.getOptions();
+      for (const before of this._auditBefore) {
+        await record(this.model.modelName, "delete", before, null, session);
+      }
+    }
+  );
+};
@@ -0,0 +1,175 @@
+import { readFile } from "fs/promises";
+import Account from "../models/Account.js";
+import ExchangeRate from "../models/ExchangeRate.js";
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const roundRate = (rate) => Math.round(rate * 1e6) / 1e6;
+
+// Find the rate from one currency to another in a rate table (see
+// ExchangeRate.getRateTable): directly, inverted, or through one shared
+// currency. Returns null when no path exists.
+export const findRate = (table, from, to) => {
+  if (from === to) return 1;
+
+  const direct = (a, b) => {
+    if (table.has(`${a}:${b}`)) return table.get(`${a}:${b}`);
+    if (table.has(`${b}:${a}`)) return 1 / table.get(`${b}:${a}`);
+    return null;
+  };
+
+  const rate = direct(from, to);
+  if (rate !== null) return rate;
+
+  const currencies = new Set([...table.keys()].flatMap((key) => key.split(":")));
+  for (const pivot of currencies) {
+    const first = direct(from, pivot);
+    const second = first !== null ? direct(pivot, to) : null;
+    if (second !== null) return first * second;
+  }
+  return null;
+};
+
+// Look up a single rate for a user as of a date
+export const getRate = async (userId, from, to, asOf = new Date()) => {
+  if (from === to) return 1;
+  const table = await ExchangeRate.getRateTable(userId, asOf);
+  const rate = findRate(table, from, to);
+  return rate === null ? null : roundRate(rate);
+};
+
+// Build a converter of amounts into `currency` (the user's reporting
+// currency) using the rates as of `asOf`. Amounts whose rate is unknown are
+// left unconverted and their currency is listed in missingRates.
+export const createConverter = async (userId, currency, asOf = new Date()) => {
+  const [accounts, table] = await Promise.all([
+    Account.find({ userId }).select("currency").lean(),
+    ExchangeRate.getRateTable(userId, asOf),
+  ]);
+  const accountCurrencies = new Map(
+    accounts.map((account) => [String(account._id), account.currency])
+  );
+  const missing = new Set();
+
+  const convert = (amount, from, to = currency) => {
+    if (!from || from === to) return amount;
+    const rate = findRate(table, from, to);
+    if (rate === null) {
+      missing.add(from === currency ? to : from);
+      return amount;
+    }
+    return roundAmount(amount * rate);
+  };
+
+  return {
+    currency,
+    convert,
+    // Transaction amounts are in the currency of their account
+    convertFromAccount: (amount, accountId, to = currency) =>
+      convert(
+        amount,
+        accountCurrencies.get(String(accountId?._id || accountId)),
+        to
+      ),
+    get missingRates() {
+      return [...missing];
+    },
+  };
+};
+
+// Work out what a transfer between two accounts credits the destination:
+// the given toAmount, the amount at the given rate, or the amount at the
+// stored rate. Same-currency transfers have neither. Returns { error } when
+// no rate is known.
+export const resolveTransferAmounts = async (
+  userId,
+  fromAccount,
+  toAccount,
+  amount,
+  { toAmount, exchangeRate, date } = {}
+) => {
+  if (fromAccount.currency === toAccount.currency) {
+    return { toAmount: undefined, exchangeRate: undefined };
+  }
+
+  if (toAmount) {
+    return {
+      toAmount: roundAmount(toAmount),
+      exchangeRate: roundRate(toAmount / amount),
+    };
+  }
+
+  const rate =
+    exchangeRate ||
+    (await getRate(userId, fromAccount.currency, toAccount.currency, date));
+  if (!rate) {
+    return {
+      error: `No exchange rate from ${fromAccount.currency} to ${toAccount.currency}; provide toAmount or exchangeRate`,
+    };
+  }
+
+  return { toAmount: roundAmount(amount * rate), exchangeRate: rate };
+};
+
+// Work out the account-currency amount of a transaction paid in another
+// currency: the given amount (recording the implied rate), or the original
+// amount at the given or stored rate. Returns { error } when no rate is
+// known.
+export const resolveOriginalAmount = async (
+  userId,
+  account,
+  { amount, originalAmount, originalCurrency, exchangeRate, date }
+) => {
+  if (amount) {
+    return { amount, exchangeRate: roundRate(amount / originalAmount) };
+  }
+
+  const rate =
+    exchangeRate ||
+    (await getRate(userId, originalCurrency, account.currency, date));
+  if (!rate) {
+    return {
+      error: `No exchange rate from ${originalCurrency} to ${account.currency}; provide amount or exchangeRate`,
+    };
+  }
+
+  return { amount: roundAmount(originalAmount * rate), exchangeRate: rate };
+};
+
+// Load shared rates from a JSON file holding one or more
+// { base, date, rates: { CURRENCY: rate } } entries. Existing rates for the
+// same pair and date are replaced, so loading a file twice is harmless.
+export const loadExchangeRateFile = async (path) => {
+  const data = JSON.parse(await readFile(path, "utf8"));
+  const entries = Array.isArray(data) ? data : [data];
+
+  const operations = entries.flatMap((entry) => {
+    const base = String(entry.base || "").toUpperCase();
+    const date = new Date(entry.date);
+    if (!/^[A-Z]{3}$/.test(base) || Number.isNaN(date.getTime())) {
+      throw new Error("Each rates entry needs a base currency and a date");
+    }
+
+    return Object.entries(entry.rates || {}).map(([currency, rate]) => {
+      if (!(Number(rate) > 0)) {
+        throw new Error(`Invalid ${base}/${currency} rate: ${rate}`);
+      }
+      return {
+        updateOne: {
+          filter: {
+            userId: null,
+            base,
+            currency: currency.toUpperCase(),
+            date,
+          },
+          update: { $set: { rate: Number(rate), source: "file" } },
+          upsert: true,
+        },
+      };
+    });
+  });
+
+  if (operations.length === 0) return 0;
+  const result = await ExchangeRate.bulkWrite(operations, { ordered: false });
+  return result.upsertedCount + result.modifiedCount;
+};
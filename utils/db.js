@@ -0,0 +1,9 @@
+import mongoose from "mongoose";
+
+// Run a unit of work inside a MongoDB transaction. Every read and write that
+// is given the session commits together, or is rolled back together if the
+// callback throws. The callback may be retried on transient errors, so it
+// should only change the database through the session (no in-memory
+// read-modify-write of documents loaded outside it).
+// Requires MongoDB running as a replica set (Atlas clusters already are).
+export const withTransaction = (work) => mongoose.connection.transaction(work);
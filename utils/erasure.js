@@ -0,0 +1,59 @@
+import Account from "../models/Account.js";
+import Transaction from "../models/Transaction.js";
+import Budget from "../models/Budget.js";
+import FixedExpense from "../models/FixedExpense.js";
+import FixedExpenseOccurrence from "../models/FixedExpenseOccurrence.js";
+import PossibleExpense from "../models/PossibleExpense.js";
+import TargetSavings from "../models/TargetSavings.js";
+import Borrowing from "../models/Borrowing.js";
+import ImportBatch from "../models/ImportBatch.js";
+import ExchangeRate from "../models/ExchangeRate.js";
+import Tag from "../models/Tag.js";
+import Category from "../models/Category.js";
+import Attachment from "../models/Attachment.js";
+import AuditLog from "../models/AuditLog.js";
+import { withoutAudit } from "./audit.js";
+
+// Erasure step removing every document of Model stored under an owner id
+export const deletes = (name, Model) => ({
+  name,
+  action: "deleted",
+  run: async (userId) => (await Model.deleteMany({ userId })).deletedCount,
+});
+
+// The financial records kept under a user's or a household's id, erased in
+// this order. Add a step here for every new collection of such records.
+export const RECORD_STEPS = [
+  // First, so that failing to remove their files from storage stops the
+  // erasure while the records they belong to are still there
+  {
+    name: "attachments",
+    action: "deleted",
+    run: (userId) => Attachment.removeFor({ userId }),
+  },
+  deletes("transactions", Transaction),
+  deletes("fixedExpenseOccurrences", FixedExpenseOccurrence),
+  deletes("fixedExpenses", FixedExpense),
+  deletes("possibleExpenses", PossibleExpense),
+  deletes("budgets", Budget),
+  deletes("savingsGoals", TargetSavings),
+  deletes("borrowings", Borrowing),
+  deletes("imports", ImportBatch),
+  deletes("exchangeRates", ExchangeRate),
+  deletes("accounts", Account),
+  deletes("tags", Tag),
+  deletes("categories", Category),
+  // Last, as the history of the records above goes with them
+  deletes("auditLog", AuditLog),
+];
+
+// Erase every record kept under the id. Resolves with the number of
+// documents deleted per step.
+export const eraseRecords = async (ownerId) =>
+  await withoutAudit(async () => {
+    const counts = {};
+    for (const step of RECORD_STEPS) {
+      counts[step.name] = await step.run(ownerId);
+    }
+    return counts;
+  });
@@ -0,0 +1,110 @@
+// Serializers for data exports
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().split("T")[0] : "";
+
+// OFX dates are YYYYMMDD
+const formatOFXDate = (date) => formatDate(date).replace(/-/g, "");
+
+const escapeCSV = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? formatDate(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows as CSV. Columns are { header, value(row) } pairs.
+export const toCSV = (rows, columns) => {
+  const lines = [columns.map((column) => escapeCSV(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(
+      columns.map((column) => escapeCSV(column.value(row))).join(",")
+    );
+  }
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+const escapeOFX = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+// Render an OFX 1.0.2 (SGML) bank statement with one statement per account.
+// Each statement is { account, transactions: [{ transaction, amount }] } with
+// the amount signed from that account's point of view.
+export const toOFX = (statements, { startDate, endDate, now = new Date() }) => {
+  const lines = [
+    "OFXHEADER:100",
+    "DATA:OFXSGML",
+    "VERSION:102",
+    "SECURITY:NONE",
+    "ENCODING:USASCII",
+    "CHARSET:1252",
+    "COMPRESSION:NONE",
+    "OLDFILEUID:NONE",
+    "NEWFILEUID:NONE",
+    "",
+    "<OFX>",
+    "<SIGNONMSGSRSV1>",
+    "<SONRS>",
+    "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+    `<DTSERVER>${formatOFXDate(now)}`,
+    "<LANGUAGE>ENG",
+    "</SONRS>",
+    "</SIGNONMSGSRSV1>",
+    "<BANKMSGSRSV1>",
+  ];
+
+  statements.forEach(({ account, transactions }, index) => {
+    const dates = transactions.map(({ transaction }) => transaction.date);
+    const start = startDate || (dates.length ? dates[dates.length - 1] : now);
+    const end = endDate || (dates.length ? dates[0] : now);
+
+    lines.push(
+      "<STMTTRNRS>",
+      `<TRNUID>${index + 1}`,
+      "<STATUS><CODE>0<SEVERITY>INFO</STATUS>",
+      "<STMTRS>",
+      `<CURDEF>${account.currency}`,
+      "<BANKACCTFROM>",
+      "<BANKID>FLOWTRANCE",
+      `<ACCTID>${account._id}`,
+      `<ACCTTYPE>${account.type === "credit" ? "CREDITLINE" : "CHECKING"}`,
+      "</BANKACCTFROM>",
+      "<BANKTRANLIST>",
+      `<DTSTART>${formatOFXDate(start)}`,
+      `<DTEND>${formatOFXDate(end)}`
+    );
+
+    for (const { transaction, amount } of transactions) {
+      lines.push(
+        "<STMTTRN>",
+        `<TRNTYPE>${
+          transaction.type === "transfer"
+            ? "XFER"
+            : amount >= 0
+              ? "CREDIT"
+              : "DEBIT"
+        }`,
+        `<DTPOSTED>${formatOFXDate(transaction.date)}`,
+        `<TRNAMT>${amount.toFixed(2)}`,
+        `<FITID>${transaction._id}`,
+        `<NAME>${escapeOFX(transaction.description)}`,
+        "</STMTTRN>"
+      );
+    }
+
+    lines.push(
+      "</BANKTRANLIST>",
+      "<LEDGERBAL>",
+      `<BALAMT>${account.balance.toFixed(2)}`,
+      `<DTASOF>${formatOFXDate(now)}`,
+      "</LEDGERBAL>",
+      "</STMTRS>",
+      "</STMTTRNRS>"
+    );
+  });
+
+  lines.push("</BANKMSGSRSV1>", "</OFX>");
+  return `${lines.join("\r\n")}\r\n`;
+};
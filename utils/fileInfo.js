@@ -0,0 +1,125 @@
+// Recognising uploaded files from their content rather than the name or
+// content type the client sent
+
+const startsWith = (buffer, text, offset = 0) =>
+  buffer.length >= offset + text.length &&
+  buffer.toString("latin1", offset, offset + text.length) === text;
+
+// Files that can be attached to records
+const FILE_TYPES = [
+  {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (buffer) =>
+      buffer.length > 3 &&
+      buffer[0] === 0xff &&
+      buffer[1] === 0xd8 &&
+      buffer[2] === 0xff,
+  },
+  {
+    contentType: "image/png",
+    extension: "png",
+    matches: (buffer) => startsWith(buffer, "\x89PNG\r\n\x1a\n"),
+  },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (buffer) =>
+      startsWith(buffer, "RIFF") && startsWith(buffer, "WEBP", 8),
+  },
+  {
+    contentType: "application/pdf",
+    extension: "pdf",
+    matches: (buffer) => startsWith(buffer, "%PDF-"),
+  },
+];
+
+export const SUPPORTED_FILE_TYPES = FILE_TYPES.map((type) => type.contentType);
+
+// Type of the file, as { contentType, extension }, or null when it is not
+// one that can be attached
+export const detectFileType = (buffer) => {
+  const type = FILE_TYPES.find((candidate) => candidate.matches(buffer));
+  return type
+    ? { contentType: type.contentType, extension: type.extension }
+    : null;
+};
+
+// Walk the JPEG segments up to the start of frame, which holds the size
+const getJpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      offset += 1;
+      continue;
+    }
+    // SOF0-SOF15, except DHT, JPG and DAC which share the range
+    if (
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      ![0xc4, 0xc8, 0xcc].includes(marker)
+    ) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+// WebP comes in lossy (VP8), lossless (VP8L) and extended (VP8X) flavours
+const getWebpSize = (buffer) => {
+  if (buffer.length < 30) return null;
+  if (startsWith(buffer, "VP8 ", 12)) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (startsWith(buffer, "VP8L", 12)) {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+    };
+  }
+  if (startsWith(buffer, "VP8X", 12)) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+};
+
+// Pixel size of an image as { width, height }, or null when it cannot be
+// read (or the file is not an image)
+export const getImageSize = (buffer, contentType) => {
+  let size = null;
+  if (contentType === "image/jpeg") {
+    size = getJpegSize(buffer);
+  } else if (contentType === "image/png" && buffer.length >= 24) {
+    size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (contentType === "image/webp") {
+    size = getWebpSize(buffer);
+  }
+  return size && size.width > 0 && size.height > 0 ? size : null;
+};
+
+// Longest side of a thumbnail, in pixels
+export const THUMBNAIL_SIZE = 256;
+
+// Size to show an image at as a thumbnail: scaled down (never up) to fit a
+// THUMBNAIL_SIZE square, keeping its proportions
+export const getThumbnailSize = ({ width, height }) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
@@ -0,0 +1,255 @@
+// Parsers for bank statement exports. Each returns normalized rows:
+// { date: Date, amount: Number (signed; negative is money out),
+//   description: String, category: String|null, externalId: String|null }
+
+// Parse a date string in the given format ("YYYY-MM-DD", "MM/DD/YYYY" or
+// "DD/MM/YYYY"); "auto" accepts ISO dates and falls back to MM/DD/YYYY.
+// Two-digit years are taken as 20xx. Returns a UTC midnight Date, or null
+// for dates that do not exist (such as 02/30/2024, which Date.UTC would roll
+// over into March).
+export const parseDate = (value, format = "auto") => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  let year, month, day;
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const parts = text.match(/^(\d{1,2})[/.\-](\d{1,2})[/.\-'](\d{2,4})/);
+
+  if (iso && format !== "MM/DD/YYYY" && format !== "DD/MM/YYYY") {
+    [, year, month, day] = iso;
+  } else if (parts) {
+    if (format === "DD/MM/YYYY") {
+      [, day, month, year] = parts;
+    } else {
+      [, month, day, year] = parts;
+    }
+  } else {
+    return null;
+  }
+
+  year = Number(year);
+  month = Number(month);
+  day = Number(day);
+  if (year < 100) year += 2000;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const exists =
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+  return exists ? date : null;
+};
+
+// Parse an amount such as "1,234.56", "(12.00)", "-$5" or "12.00-"
+export const parseAmount = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  let text = String(value).trim();
+  let negative = false;
+
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.endsWith("-")) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const amount = parseFloat(text.replace(/[^0-9.\-]/g, ""));
+  if (Number.isNaN(amount)) return null;
+  return negative ? -Math.abs(amount) : amount;
+};
+
+// Split CSV text into rows of fields, honouring quoted fields (including
+// embedded delimiters, newlines and doubled quotes)
+export const splitCSV = (content, delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+// Parse CSV using a column mapping. Each mapping value is a header name or a
+// zero-based column index. Either `amount` (signed) or `debit`/`credit`
+// columns must be mapped; a `type` column containing income/expense (or
+// credit/debit) overrides the sign of `amount`.
+export const parseCSV = (content, options = {}) => {
+  const {
+    mapping = {},
+    delimiter = ",",
+    hasHeader = true,
+    dateFormat = "auto",
+  } = options;
+
+  const rows = splitCSV(content, delimiter);
+  const header = hasHeader ? rows.shift().map((h) => h.trim()) : [];
+
+  const columnIndex = (column) => {
+    if (column === undefined || column === null || column === "") return -1;
+    if (Number.isInteger(column)) return column;
+    const index = header.findIndex(
+      (h) => h.toLowerCase() === String(column).trim().toLowerCase()
+    );
+    if (index === -1) {
+      throw new Error(`Column "${column}" not found in CSV header`);
+    }
+    return index;
+  };
+
+  const columns = {
+    date: columnIndex(mapping.date ?? "date"),
+    description: columnIndex(mapping.description ?? "description"),
+    amount: columnIndex(mapping.amount),
+    debit: columnIndex(mapping.debit),
+    credit: columnIndex(mapping.credit),
+    type: columnIndex(mapping.type),
+    category: columnIndex(mapping.category),
+    externalId: columnIndex(mapping.externalId),
+  };
+
+  if (columns.amount === -1 && columns.debit === -1 && columns.credit === -1) {
+    throw new Error("Map either an amount column or debit/credit columns");
+  }
+
+  const value = (row, index) => (index === -1 ? "" : (row[index] || "").trim());
+
+  return rows.map((row) => {
+    let amount;
+    if (columns.amount !== -1) {
+      amount = parseAmount(value(row, columns.amount));
+      const type = value(row, columns.type).toLowerCase();
+      if (amount !== null && ["expense", "debit", "dr"].includes(type)) {
+        amount = -Math.abs(amount);
+      } else if (amount !== null && ["income", "credit", "cr"].includes(type)) {
+        amount = Math.abs(amount);
+      }
+    } else {
+      const debit = parseAmount(value(row, columns.debit));
+      const credit = parseAmount(value(row, columns.credit));
+      amount = debit ? -Math.abs(debit) : credit ? Math.abs(credit) : null;
+    }
+
+    return {
+      date: parseDate(value(row, columns.date), dateFormat),
+      amount,
+      description: value(row, columns.description),
+      category: value(row, columns.category) || null,
+      externalId: value(row, columns.externalId) || null,
+    };
+  });
+};
+
+// Parse OFX (both the SGML 1.x and XML 2.x flavours) statement transactions
+export const parseOFX = (rawContent) => {
+  // The xss-clean middleware escapes "<" in request bodies, so restore the
+  // tags before reading them (escaped text such as "&lt;b&gt;" is left alone)
+  const content = rawContent.replace(/&lt;(\/?[A-Za-z0-9.]+>)/g, "<$1");
+  const decode = (text) =>
+    text.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, "i"));
+    return match ? decode(match[1].trim()) : "";
+  };
+
+  const blocks = content.split(/<STMTTRN>/i).slice(1);
+
+  return blocks.map((raw) => {
+    const block = raw.split(/<\/STMTTRN>/i)[0];
+    const posted = tag(block, "DTPOSTED");
+    const name = tag(block, "NAME");
+    const memo = tag(block, "MEMO");
+
+    return {
+      date: posted
+        ? parseDate(
+            `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`
+          )
+        : null,
+      amount: parseAmount(tag(block, "TRNAMT")),
+      description: name && memo && memo !== name ? `${name} - ${memo}` : name || memo,
+      category: null,
+      externalId: tag(block, "FITID") || null,
+    };
+  });
+};
+
+// Parse QIF bank/cash/credit card registers. Each record is a set of lines
+// keyed by their first character and terminated by "^".
+export const parseQIF = (content, options = {}) => {
+  const { dateFormat = "auto" } = options;
+  const records = [];
+  let record = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("!")) continue;
+
+    if (line === "^") {
+      if (Object.keys(record).length > 0) records.push(record);
+      record = {};
+      continue;
+    }
+
+    const key = line[0];
+    const value = line.slice(1).trim();
+    // Split lines (S/E/$) are not supported; the parent total is imported
+    if (!(key in record)) record[key] = value;
+  }
+  if (Object.keys(record).length > 0) records.push(record);
+
+  return records.map((r) => ({
+    date: parseDate(r.D, dateFormat),
+    amount: parseAmount(r.T ?? r.U),
+    description: r.P || r.M || "",
+    category: r.L && !r.L.startsWith("[") ? r.L.split(":")[0] : null,
+    externalId: r.N || null,
+  }));
+};
+
+export const parseStatement = (format, content, options = {}) => {
+  switch (format) {
+    case "csv":
+      return parseCSV(content, options);
+    case "ofx":
+      return parseOFX(content);
+    case "qif":
+      return parseQIF(content, options);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+};
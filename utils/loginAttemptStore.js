@@ -0,0 +1,64 @@
+// Counters behind login brute-force protection. Each key counts hits in a
+// fixed window that starts with its first hit. The default store keeps them
+// in memory, which is per process; when running several instances, plug in
+// a shared backend (e.g. Redis) with setLoginAttemptStore() at startup. A
+// store implements:
+//
+//   increment(key, windowMs) -> { count, resetAt }
+//   decrement(key)
+//   get(key)                 -> { count, resetAt } or null
+//   reset(key)
+//
+// All methods may return promises.
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  const get = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= new Date()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  // Drop expired counters so the map does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = new Date();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    increment: (key, windowMs) => {
+      const counter = get(key) || {
+        count: 0,
+        resetAt: new Date(Date.now() + windowMs),
+      };
+      counter.count++;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+    decrement: (key) => {
+      const counter = get(key);
+      if (counter && counter.count > 0) counter.count--;
+    },
+    get: (key) => {
+      const counter = get(key);
+      return counter && { ...counter };
+    },
+    reset: (key) => {
+      counters.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+export const setLoginAttemptStore = (newStore) => {
+  store = newStore;
+};
+
+export const getLoginAttemptStore = () => store;
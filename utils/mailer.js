@@ -0,0 +1,58 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Outgoing email. Messages go through the transport named by MAIL_TRANSPORT
+// (default: console). Providers such as SMTP or an email API are added with
+// registerTransport() at startup, e.g.
+//
+//   registerTransport("smtp", (message) => smtpClient.sendMail(message));
+//
+// A transport is an async function receiving { from, to, subject, text }.
+const transports = {
+  // Log the message instead of sending it (development)
+  console: async (message) => {
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+    );
+  },
+  // Append the message as a JSON line to MAIL_FILE_PATH (testing)
+  file: async (message) => {
+    const file = process.env.MAIL_FILE_PATH || "./mail.log";
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+    );
+  },
+};
+
+export const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await send({
+    from: process.env.MAIL_FROM || "Flowtrance Finance <no-reply@localhost>",
+    to,
+    subject,
+    text,
+  });
+};
+
+// Link into the frontend app, e.g. appUrl("/reset-password", { token })
+export const appUrl = (pathname, params = {}) => {
+  const url = new URL(
+    pathname,
+    process.env.APP_URL || process.env.CORS_ORIGIN || "http://localhost:5173"
+  );
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+};
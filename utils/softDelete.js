@@ -0,0 +1,88 @@
+// Queries that read documents. Updates and deletes are left alone: they
+// follow a read, and purging or erasing must reach documents in the trash.
+const READ_QUERIES = ["find", "findOne", "countDocuments", "distinct"];
+
+// Mongoose plugin moving deleted documents to a trash instead of removing
+// them: softDelete() stamps deletedAt, and reads leave such documents out
+// unless their filter mentions deletedAt or they are run with the
+// withDeleted option, e.g. Model.find(filter).setOptions({ withDeleted: true })
+// or Model.aggregate(pipeline).option({ withDeleted: true }).
+// Unrelated to isActive, which keeps meaning inactive (but not deleted).
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+    },
+  });
+  schema.index({ deletedAt: 1 }, { sparse: true });
+
+  schema.pre(READ_QUERIES, function () {
+    if (
+      this.getOptions().withDeleted ||
+      Object.hasOwn(this.getFilter(), "deletedAt")
+    ) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    const [first] = this.pipeline();
+    if (
+      this.options.withDeleted ||
+      (first?.$match && Object.hasOwn(first.$match, "deletedAt"))
+    ) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Move the document to the trash (pass a session to include it in a
+  // transaction). Written as a conditional update, like restore(), so that
+  // only one of two concurrent deletes goes through. Resolves with whether
+  // it was still out of the trash; pass extra changes to make in the same
+  // update.
+  schema.methods.softDelete = async function (session = null, changes = null) {
+    const deletedAt = new Date();
+    const result = await this.constructor.updateOne(
+      { _id: this._id, deletedAt: null },
+      { $set: { ...changes, deletedAt } },
+      { session }
+    );
+    this.set({ ...changes, deletedAt });
+    return result.modifiedCount > 0;
+  };
+
+  // Take the document back out of the trash. Written as a conditional
+  // update rather than a save so that it is safe to retry inside
+  // withTransaction. Resolves with whether it was still in the trash; pass
+  // extra changes to make in the same update.
+  schema.methods.restore = async function (session = null, changes = null) {
+    const update = { $unset: { deletedAt: 1 } };
+    if (changes) update.$set = changes;
+    const result = await this.constructor.updateOne(
+      { _id: this._id, deletedAt: { $ne: null } },
+      update,
+      { session }
+    );
+    this.deletedAt = undefined;
+    return result.modifiedCount > 0;
+  };
+
+  // Documents of the owner in the trash, most recently deleted first
+  schema.statics.findDeleted = function (userId) {
+    return this.find({ userId, deletedAt: { $ne: null } }).sort({
+      deletedAt: -1,
+    });
+  };
+
+  // Permanently delete documents trashed before the cutoff. Resolves with
+  // the number deleted. Models with dependent records define their own
+  // before applying the plugin.
+  if (!schema.statics.purgeDeleted) {
+    schema.statics.purgeDeleted = async function (cutoff) {
+      const result = await this.deleteMany({ deletedAt: { $lte: cutoff } });
+      return result.deletedCount;
+    };
+  }
+};
@@ -0,0 +1,145 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import { Readable } from "stream";
+
+// Where attachment files are kept. New files go to the driver named by
+// STORAGE_DRIVER (default: local); each attachment remembers its driver, so
+// files stored before a switch stay readable. Other backends are added with
+// registerStorageDriver() at startup. A driver is an object with async
+//
+//   put(key, body, contentType) - store the Buffer body under key
+//   get(key)                    - resolve with a readable stream of the file
+//   remove(key)                 - delete the file (missing files are ignored)
+
+const getLocalRoot = () =>
+  path.resolve(process.env.STORAGE_LOCAL_PATH || "./uploads");
+
+// Keys are generated (see createStorageKey), but never let one escape the
+// storage directory
+const getLocalPath = (key) => {
+  const root = getLocalRoot();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return file;
+};
+
+const sha256 = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+// Signed (AWS Signature Version 4) request for an object in S3_BUCKET. Uses
+// path-style URLs so that S3-compatible services (MinIO, R2, Spaces, ...)
+// work through S3_ENDPOINT.
+const s3Request = async (method, key, { body, contentType } = {}) => {
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = new URL(
+    process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+  );
+  const objectPath = key.split("/").map(encodeURIComponent).join("/");
+  const url = new URL(
+    `${endpoint.pathname.replace(/\/$/, "")}/${process.env.S3_BUCKET}/${objectPath}`,
+    endpoint
+  );
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const payloadHash = sha256(body || "");
+  const headers = {
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  if (contentType) headers["content-type"] = contentType;
+
+  const names = Object.keys(headers).sort();
+  const signedHeaders = names.join(";");
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "",
+    names.map((name) => `${name}:${headers[name]}\n`).join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+  const signingKey = [date, region, "s3", "aws4_request"].reduce(
+    hmac,
+    `AWS4${process.env.S3_SECRET_ACCESS_KEY}`
+  );
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  // fetch sets the host header itself, from the same URL
+  delete headers.host;
+  const response = await fetch(url, {
+    method,
+    body,
+    headers: {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${process.env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    },
+  });
+  if (!response.ok && !(method === "DELETE" && response.status === 404)) {
+    throw new Error(`S3 ${method} ${key} failed with ${response.status}`);
+  }
+  return response;
+};
+
+const drivers = {
+  // Files under STORAGE_LOCAL_PATH (default: ./uploads)
+  local: {
+    put: async (key, body) => {
+      const file = getLocalPath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+    get: async (key) => {
+      const file = getLocalPath(key);
+      await fs.access(file);
+      return createReadStream(file);
+    },
+    remove: async (key) => {
+      await fs.rm(getLocalPath(key), { force: true });
+    },
+  },
+  // Objects in an S3 (or S3-compatible) bucket, see s3Request
+  s3: {
+    put: async (key, body, contentType) => {
+      await s3Request("PUT", key, { body, contentType });
+    },
+    get: async (key) => Readable.fromWeb((await s3Request("GET", key)).body),
+    remove: async (key) => {
+      await s3Request("DELETE", key);
+    },
+  },
+};
+
+export const registerStorageDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+// Name of the driver new files are stored with
+export const getDefaultStorageDriver = () =>
+  process.env.STORAGE_DRIVER || "local";
+
+export const getStorage = (name = getDefaultStorageDriver()) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+// Key for a new file of the owner: never derived from the uploaded name
+export const createStorageKey = (ownerId, extension) =>
+  `${ownerId}/${crypto.randomUUID()}.${extension}`;
@@ -0,0 +1,72 @@
+import Transaction from "../models/Transaction.js";
+import Account from "../models/Account.js";
+import Budget from "../models/Budget.js";
+import FixedExpense from "../models/FixedExpense.js";
+import PossibleExpense from "../models/PossibleExpense.js";
+import TargetSavings from "../models/TargetSavings.js";
+import Borrowing from "../models/Borrowing.js";
+import Attachment, { ATTACHMENT_PARENTS } from "../models/Attachment.js";
+
+// Records that are moved to the trash when deleted (see utils/softDelete.js),
+// by the type used in trash URLs, with how each is shown in the listing
+export const TRASH_TYPES = {
+  transactions: {
+    Model: Transaction,
+    describe: (t) => ({ name: t.description, amount: t.amount }),
+  },
+  accounts: {
+    Model: Account,
+    describe: (a) => ({ name: a.name, amount: a.balance }),
+  },
+  budgets: {
+    Model: Budget,
+    describe: (b) => ({ name: `${b.category} (${b.month})`, amount: b.amount }),
+  },
+  "fixed-expenses": {
+    Model: FixedExpense,
+    describe: (e) => ({ name: e.title, amount: e.amount }),
+  },
+  "possible-expenses": {
+    Model: PossibleExpense,
+    describe: (e) => ({ name: e.title, amount: e.expectedAmount }),
+  },
+  "target-savings": {
+    Model: TargetSavings,
+    describe: (t) => ({ name: t.title, amount: t.targetAmount }),
+  },
+  borrowings: {
+    Model: Borrowing,
+    describe: (b) => ({ name: b.personName, amount: b.amount }),
+  },
+};
+
+// Days a deleted record stays in the trash before it is purged
+export const getTrashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// When a record deleted at deletedAt will be purged
+export const getPurgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY);
+
+// Permanently delete every record that has been in the trash longer than
+// the retention period. Resolves with the number purged per type.
+export const purgeTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY);
+  const purged = {};
+  for (const [type, { Model }] of Object.entries(TRASH_TYPES)) {
+    // Files attached to the records go with them
+    if (ATTACHMENT_PARENTS.includes(Model.modelName)) {
+      const ids = await Model.find({ deletedAt: { $lte: cutoff } }).distinct(
+        "_id"
+      );
+      await Attachment.removeFor({
+        parentType: Model.modelName,
+        parentId: { $in: ids },
+      });
+    }
+    purged[type] = await Model.purgeDeleted(cutoff);
+  }
+  return purged;
+};